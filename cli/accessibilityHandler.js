@@ -5,6 +5,12 @@
 
 const { chromium } = require('playwright');
 const logger = require('../logger');
+const { buildHackerNewsUrl } = require('../utils/url');
+const {
+  resolveDeviceProfile,
+  getContextOptions,
+  describeDeviceProfile,
+} = require('../utils/devices');
 const {
   displayAccessibilityResults,
   displayAccessibilityError,
@@ -30,10 +36,11 @@ async function executeAccessibilityAudit(options) {
     .start();
 
   try {
+    const device = resolveDeviceProfile(options.device);
     const browser = await chromium.launch({ headless: options.headless });
-    const page = await browser.newPage();
+    const page = await browser.newPage(getContextOptions(device));
 
-    await page.goto('https://news.ycombinator.com/newest', {
+    await page.goto(buildHackerNewsUrl(options.baseUrl), {
       waitUntil: 'networkidle',
       timeout: options.timeout,
     });
@@ -44,8 +51,9 @@ async function executeAccessibilityAudit(options) {
     });
 
     await browser.close();
-    spinner.succeed('Accessibility audit completed');
+    spinner.succeed(`Accessibility audit completed (${device.label})`);
 
+    auditResults.device = describeDeviceProfile(device);
     const report = generateAccessibilityReport(auditResults);
 
     return {
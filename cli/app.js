@@ -8,10 +8,18 @@ const { validateHackerNewsArticles } = require('../hnScraper');
 const { showPostValidationMenu } = require('../utils/interactive');
 const { runAccessibilityAuditIfRequested } = require('./accessibilityHandler');
 const { runSecurityAuditIfRequested } = require('./securityHandler');
+const { evaluateFaultDetection } = require('../mock/faultInjector');
+const { runBrowserMatrix } = require('./browserMatrixHandler');
+const {
+  startMockServerIfRequested,
+  stopMockServer,
+} = require('./mockServerHandler');
 const {
   displayFinalSummary,
   displayContactInfo,
   displayError,
+  displayFaultInjectionReport,
+  displayBrowserMatrixReport,
 } = require('./output');
 
 /**
@@ -21,10 +29,27 @@ const {
  */
 async function runApplication(options) {
   const startTime = Date.now();
+  let mockServer = null;
 
   try {
-    // Execute main validation
-    const result = await validateHackerNewsArticles(options);
+    // Start the local mock server if requested (updates options.baseUrl)
+    mockServer = await startMockServerIfRequested(options);
+
+    // Execute main validation, once per engine when several are requested
+    const result =
+      options.browsers?.length > 1
+        ? await runBrowserMatrix(options)
+        : await validateHackerNewsArticles(options);
+
+    if (result.browserComparison) {
+      displayBrowserMatrixReport(result.browserComparison, options);
+    }
+
+    // Score injected faults against the validation report
+    if (mockServer && options.faultScenario) {
+      result.faultReport = evaluateFaultDetection(mockServer.faults, result);
+      displayFaultInjectionReport(result.faultReport, options);
+    }
 
     // Display results unless in quiet mode
     if (!options.quiet) {
@@ -48,6 +73,8 @@ async function runApplication(options) {
   } catch (error) {
     displayError(error, options);
     return 1;
+  } finally {
+    await stopMockServer(mockServer);
   }
 }
 
@@ -83,6 +110,19 @@ function determineExitCode(result, options) {
     return 0;
   }
 
+  // In fault-injection mode the run passes when every reached fault was detected
+  if (result.faultReport) {
+    return result.faultReport.allDetected ? 0 : 1;
+  }
+
+  // Across engines the run passes only when every engine passed and agreed
+  if (result.browserComparison) {
+    return result.browserComparison.allPassed &&
+      result.browserComparison.consistent
+      ? 0
+      : 1;
+  }
+
   // Standard exit code based on validation success
   return result.success ? 0 : 1;
 }
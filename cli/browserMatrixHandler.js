@@ -0,0 +1,35 @@
+/**
+ * Browser Matrix Handler Module
+ * Runs the full validation once per browser engine and compares the runs
+ */
+
+const logger = require('../logger');
+const { validateHackerNewsArticles } = require('../hnScraper');
+const { compareEngineRuns } = require('../utils/browserComparison');
+
+/**
+ * Run validation on every requested engine in turn
+ * @param {Object} options - Application options (options.browsers lists the engines)
+ * @returns {Promise<Object>} Result of the first engine with `browserComparison` attached
+ */
+async function runBrowserMatrix(options) {
+  const runs = [];
+
+  for (const browser of options.browsers) {
+    if (!options.quiet) {
+      logger.info(`🧭 Running validation on ${browser}...`);
+    }
+
+    const result = await validateHackerNewsArticles({ ...options, browser });
+    runs.push({ browser, result });
+  }
+
+  const primary = runs[0].result;
+  primary.browserComparison = compareEngineRuns(runs);
+
+  return primary;
+}
+
+module.exports = {
+  runBrowserMatrix,
+};
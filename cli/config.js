@@ -3,9 +3,117 @@
  * Handles argument parsing, validation, and help text generation
  */
 
+const fs = require('fs');
+const path = require('path');
 const yargs = require('yargs');
 const { hideBin } = require('yargs/helpers');
 const logger = require('../logger');
+const config = require('../config');
+const { FAULT_SCENARIOS } = require('../mock/faultInjector');
+const { LISTING_PROFILES } = require('../utils/listings');
+const { loadCustomRules } = require('../utils/customRules');
+const {
+  SEVERITY_LEVELS,
+  resolveSeverityOptions,
+} = require('../utils/validation');
+const { PAGINATION_STRATEGIES } = require('../scrapers/paginationHandler');
+const { EXTRACTION_MODES } = require('../scrapers/articleExtractor');
+const { BROWSER_ENGINES, TRACE_MODES } = require('../scrapers/browserManager');
+const {
+  CUSTOM_DEVICE_PROFILES,
+  resolveDeviceProfile,
+} = require('../utils/devices');
+
+/**
+ * Whether an option was given on the command line rather than defaulted
+ * @param {Array<string>} names - Option name and aliases
+ * @returns {boolean} True when any of the names appears in the arguments
+ */
+function isOptionGiven(names) {
+  const args = hideBin(process.argv);
+  return names.some((name) => {
+    const flag = name.length === 1 ? `-${name}` : `--${name}`;
+    return args.some((arg) => arg === flag || arg.startsWith(`${flag}=`));
+  });
+}
+
+/**
+ * Take the settings of the run being resumed for every option not given on
+ * the command line, so a resumed run reads the same site and listing up to
+ * the same count
+ * @param {Object} argv - Parsed arguments (updated in place)
+ * @param {string} checkpointFile - Checkpoint being resumed
+ * @returns {Array<string>} Descriptions of given options that conflict with the checkpoint
+ */
+function applyCheckpointSettings(argv, checkpointFile) {
+  let run = {};
+  try {
+    run = JSON.parse(fs.readFileSync(checkpointFile, 'utf-8')).run || {};
+  } catch (error) {
+    // An unreadable checkpoint is reported when the run loads it
+    return [];
+  }
+
+  const mismatches = [];
+  const mockRun = /^https?:\/\/(127\.0\.0\.1|localhost)[:/]/.test(
+    run.baseUrl || '',
+  );
+  if (argv['mock-server'] || argv['fault-scenario']) {
+    if (run.baseUrl && !mockRun) {
+      mismatches.push(`was scraped from ${run.baseUrl}, not a mock server`);
+    }
+  } else if (run.baseUrl) {
+    if (!isOptionGiven(['base-url'])) {
+      argv['base-url'] = run.baseUrl;
+    } else if (argv['base-url'].replace(/\/+$/, '') !== run.baseUrl) {
+      mismatches.push(`was scraped from ${run.baseUrl}`);
+    }
+  }
+
+  [
+    ['listing', `validated the ${run.listing} listing`],
+    ['day', `validated ${run.day}`],
+  ].forEach(([option, description]) => {
+    if (run[option] === undefined || run[option] === null) return;
+    if (!isOptionGiven([option])) {
+      argv[option] = run[option];
+    } else if (argv[option] !== run[option]) {
+      mismatches.push(description);
+    }
+  });
+
+  // The target count and pagination only change how far and how the run
+  // continues, so given values are kept
+  if (run.articleCount && !isOptionGiven(['count', 'c'])) {
+    argv.count = run.articleCount;
+  }
+  if (run.pagination && !isOptionGiven(['pagination'])) {
+    argv.pagination = run.pagination;
+  }
+
+  return mismatches;
+}
+
+/**
+ * Parse --severity-thresholds into overrides for config.VIOLATION_SEVERITY
+ * @param {string} text - Comma-separated NAME=number pairs (e.g. "TIE=30000,MAJOR_DISPLACEMENT=10")
+ * @returns {Object} Thresholds by name
+ */
+function parseSeverityThresholds(text) {
+  return Object.fromEntries(
+    text
+      .split(',')
+      .map((pair) => pair.trim())
+      .filter(Boolean)
+      .map((pair) => {
+        const [name, value] = pair.split('=');
+        if (value === undefined || value.trim() === '') {
+          throw new Error(`"${pair}" is not a NAME=number pair`);
+        }
+        return [name.trim().toUpperCase().replace(/-/g, '_'), Number(value)];
+      }),
+  );
+}
 
 /**
  * Parse and validate CLI arguments
@@ -80,6 +188,165 @@ function parseArguments() {
       description: 'Enable demo mode with visible browser and enhanced output',
       default: false,
     })
+    .option('listing', {
+      type: 'string',
+      choices: Object.keys(LISTING_PROFILES),
+      description:
+        'Hacker News listing to validate, with its own ordering rules',
+      default: 'newest',
+    })
+    .option('day', {
+      type: 'string',
+      description:
+        'Day (YYYY-MM-DD) for --listing past, i.e. /front?day= [default: yesterday]',
+    })
+    .option('pagination', {
+      type: 'string',
+      choices: PAGINATION_STRATEGIES,
+      description:
+        'How to reach the next page: click the More link, or navigate to its URL',
+      default: 'click',
+    })
+    .option('extraction', {
+      type: 'string',
+      choices: EXTRACTION_MODES,
+      description:
+        'Row extraction: one page.evaluate per page (batch), per-element round-trips, or both to compare timings',
+      default: 'batch',
+    })
+    .option('concurrency', {
+      type: 'number',
+      description:
+        'Fetch this many listing pages at once in separate browser contexts (ranked listings only; newest and jobs page through a cursor)',
+      default: 1,
+    })
+    .option('browsers', {
+      type: 'string',
+      description:
+        'Comma-separated engines to run the validation on and compare (chromium,firefox,webkit)',
+      default: 'chromium',
+      coerce: (value) =>
+        value
+          .split(',')
+          .map((name) => name.trim().toLowerCase())
+          .filter(Boolean),
+    })
+    .option('device', {
+      type: 'string',
+      description: `Device profile for scraping and audits: ${Object.keys(
+        CUSTOM_DEVICE_PROFILES,
+      ).join(', ')}, any Playwright device name, or a .json profile`,
+      default: 'desktop',
+    })
+    .option('base-url', {
+      type: 'string',
+      description: 'Hacker News base URL used by every scraper and audit',
+      default: config.HN_BASE_URL,
+    })
+    .option('mock-server', {
+      type: 'boolean',
+      description: 'Serve Hacker News from the bundled local mock server',
+      default: false,
+    })
+    .option('mock-seed', {
+      type: 'number',
+      description: 'Seed for the mock server listing',
+      default: 42,
+    })
+    .option('mock-fixture', {
+      type: 'string',
+      description: 'JSON fixture file for the mock server listing',
+    })
+    .option('archive', {
+      type: 'string',
+      description:
+        'Save each scraped page (HTML, URL, headers, capture time) under this directory',
+    })
+    .option('replay', {
+      type: 'string',
+      description:
+        'Re-run extraction and validation against a recorded run directory, without live navigation',
+    })
+    .option('similarity-threshold', {
+      type: 'number',
+      description:
+        'Minimum title similarity (0-1) for reporting near-duplicate titles',
+      default: config.SIMILAR_TITLE_THRESHOLD,
+    })
+    .option('fail-severity', {
+      type: 'string',
+      description: 'Lowest chronological violation severity that fails the run',
+      choices: SEVERITY_LEVELS,
+      default: config.FAIL_SEVERITY,
+    })
+    .option('severity-thresholds', {
+      type: 'string',
+      description: `Override severity thresholds as NAME=number pairs: ${Object.keys(
+        config.VIOLATION_SEVERITY,
+      ).join(', ')} (times in ms, displacements in positions)`,
+    })
+    .option('rules', {
+      type: 'string',
+      description:
+        'Custom validation rules file (JSON or JS module) merged into the report and pass/fail decision',
+    })
+    .option('crawl-delay', {
+      type: 'number',
+      description:
+        'Minimum milliseconds between listing page requests (robots.txt Crawl-delay can raise it)',
+      default: config.CRAWL_DELAY,
+    })
+    .option('robots', {
+      type: 'boolean',
+      description:
+        "Honour robots.txt Crawl-delay and Disallow rules; HN's Crawl-delay is 30s (--no-robots to ignore)",
+      default: true,
+    })
+    .option('checkpoint', {
+      type: 'boolean',
+      description:
+        'Checkpoint extraction progress after each page so a failed run can be resumed (removed once the run finishes)',
+      default: false,
+    })
+    .option('resume', {
+      type: 'string',
+      description:
+        'Continue a failed run from its checkpoint file (or the run directory holding it)',
+    })
+    .option('evidence', {
+      type: 'boolean',
+      description:
+        'Save screenshots and DOM snippets of rows involved in violations',
+      default: false,
+    })
+    .option('evidence-dir', {
+      type: 'string',
+      description: 'Directory evidence runs are written under',
+      default: config.EVIDENCE_PATH,
+    })
+    .option('trace', {
+      type: 'string',
+      choices: TRACE_MODES,
+      description:
+        'Record a Playwright trace of the run: always, or only when it fails',
+      default: 'off',
+    })
+    .option('video', {
+      type: 'boolean',
+      description: 'Record a video of the main browser page',
+      default: false,
+    })
+    .option('har', {
+      type: 'boolean',
+      description: 'Save a HAR file of the main browser context',
+      default: false,
+    })
+    .option('fault-scenario', {
+      type: 'string',
+      choices: Object.keys(FAULT_SCENARIOS),
+      description:
+        'Inject named sorting faults into the mock server and report which were detected (implies --mock-server)',
+    })
     .example('$0', 'Validate 100 articles with interactive mode')
     .example(
       '$0 --count 50 --headless=false',
@@ -105,6 +372,42 @@ function parseArguments() {
       '$0 --demo --count 20',
       'Run demo mode with visible browser and 20 articles',
     )
+    .example(
+      '$0 --listing past --day 2025-07-26',
+      'Validate the front page archive for a given day',
+    )
+    .example(
+      '$0 --mock-server --no-interactive',
+      'Validate offline against the bundled mock server',
+    )
+    .example(
+      '$0 --archive ./archives',
+      'Record every scraped page for later investigation',
+    )
+    .example(
+      '$0 --replay ./archives/run-2025-07-27T20-10-44-000Z',
+      'Reproduce a recorded run offline',
+    )
+    .example(
+      '$0 --resume ./hn_evidence/run-2025-07-27T20-10-44-000Z',
+      'Continue a failed run from its last checkpointed page',
+    )
+    .example(
+      '$0 --rules ./rules.json',
+      'Apply your own validation rules on top of the listing checks',
+    )
+    .example(
+      '$0 --browsers chromium,firefox,webkit --no-interactive',
+      'Run the validation on every engine and compare the results',
+    )
+    .example(
+      '$0 --trace on-failure --video',
+      'Keep a Playwright trace and video of runs that fail',
+    )
+    .example(
+      '$0 --fault-scenario all --no-interactive',
+      'Prove the validator catches injected sorting faults',
+    )
     .help('h')
     .alias('h', 'help')
     .version('2.0.0')
@@ -138,6 +441,184 @@ function validateArguments(argv) {
     process.exit(1);
   }
 
+  // Validate listing day
+  if (argv.day && !/^\d{4}-\d{2}-\d{2}$/.test(argv.day)) {
+    logger.errorBox('❌ INVALID ARGUMENTS', [
+      'Day must be in YYYY-MM-DD format',
+      `You specified: ${argv.day}`,
+      'Use --help for more information',
+    ]);
+    process.exit(1);
+  }
+
+  // Validate base URL
+  if (!/^https?:\/\/[^\s/]+/.test(argv['base-url'])) {
+    logger.errorBox('❌ INVALID ARGUMENTS', [
+      'Base URL must be an absolute http(s) URL',
+      `You specified: ${argv['base-url']}`,
+      'Use --help for more information',
+    ]);
+    process.exit(1);
+  }
+
+  // Validate replay archive
+  if (argv.replay && !fs.existsSync(path.join(argv.replay, 'manifest.json'))) {
+    logger.errorBox('❌ INVALID ARGUMENTS', [
+      'Replay directory must contain a recorded run (manifest.json)',
+      `You specified: ${argv.replay}`,
+      'Use --help for more information',
+    ]);
+    process.exit(1);
+  }
+
+  // Validate concurrency
+  if (argv.concurrency < 1 || argv.concurrency > 8) {
+    logger.errorBox('❌ INVALID ARGUMENTS', [
+      'Concurrency must be between 1 and 8',
+      `You specified: ${argv.concurrency}`,
+      'Use --help for more information',
+    ]);
+    process.exit(1);
+  }
+
+  if (
+    argv.concurrency > 1 &&
+    !argv.replay &&
+    LISTING_PROFILES[argv.listing].paging === 'cursor'
+  ) {
+    logger.errorBox('❌ INVALID ARGUMENTS', [
+      `--listing ${argv.listing} pages through the More link's cursor, so its pages cannot be fetched concurrently`,
+      'Use --concurrency 1, or a ranked listing such as --listing front',
+      'Use --help for more information',
+    ]);
+    process.exit(1);
+  }
+
+  if (argv.concurrency > 1 && argv.archive) {
+    logger.errorBox('❌ INVALID ARGUMENTS', [
+      '--archive records pages from a single browser page',
+      'Use --concurrency 1 when recording a run',
+      'Use --help for more information',
+    ]);
+    process.exit(1);
+  }
+
+  // Validate similarity threshold
+  if (
+    !(argv['similarity-threshold'] > 0 && argv['similarity-threshold'] <= 1)
+  ) {
+    logger.errorBox('❌ INVALID ARGUMENTS', [
+      'Similarity threshold must be greater than 0 and at most 1',
+      `You specified: ${argv['similarity-threshold']}`,
+      'Use --help for more information',
+    ]);
+    process.exit(1);
+  }
+
+  // Validate custom rules
+  if (argv.rules) {
+    try {
+      loadCustomRules(argv.rules);
+    } catch (error) {
+      logger.errorBox('❌ INVALID ARGUMENTS', [
+        'Rules file must hold valid custom validation rules',
+        error.message,
+        'Use --help for more information',
+      ]);
+      process.exit(1);
+    }
+  }
+
+  // Validate severity thresholds
+  if (argv['severity-thresholds']) {
+    try {
+      resolveSeverityOptions({
+        severityThresholds: parseSeverityThresholds(
+          argv['severity-thresholds'],
+        ),
+      });
+    } catch (error) {
+      logger.errorBox('❌ INVALID ARGUMENTS', [
+        'Severity thresholds must be NAME=number pairs such as TIE=30000,MAJOR_DISPLACEMENT=10',
+        error.message,
+        'Use --help for more information',
+      ]);
+      process.exit(1);
+    }
+  }
+
+  // Validate crawl delay
+  if (!(argv['crawl-delay'] >= 0)) {
+    logger.errorBox('❌ INVALID ARGUMENTS', [
+      'Crawl delay must be a non-negative number of milliseconds',
+      `You specified: ${argv['crawl-delay']}`,
+      'Use --help for more information',
+    ]);
+    process.exit(1);
+  }
+
+  // Validate resume checkpoint
+  if (argv.resume) {
+    const checkpointFile =
+      fs.existsSync(argv.resume) && fs.statSync(argv.resume).isDirectory()
+        ? path.join(argv.resume, 'checkpoint.json')
+        : argv.resume;
+    const conflict = argv.replay
+      ? '--replay'
+      : argv.concurrency > 1
+      ? '--concurrency'
+      : argv.browsers.length > 1
+      ? '--browsers'
+      : null;
+
+    if (!fs.existsSync(checkpointFile) || conflict) {
+      logger.errorBox('❌ INVALID ARGUMENTS', [
+        conflict
+          ? `--resume continues a single-browser live run and cannot be combined with ${conflict}`
+          : 'Resume path must be a checkpoint file or a run directory containing checkpoint.json',
+        `You specified: ${argv.resume}`,
+        'Use --help for more information',
+      ]);
+      process.exit(1);
+    }
+
+    const mismatches = applyCheckpointSettings(argv, checkpointFile);
+    if (mismatches.length > 0) {
+      logger.errorBox('❌ INVALID ARGUMENTS', [
+        `--resume continues the checkpointed run, which ${mismatches.join(
+          ' and ',
+        )}`,
+        'Drop the conflicting options to resume it, or start a new run',
+      ]);
+      process.exit(1);
+    }
+  }
+
+  // Validate browser engines
+  const unknownEngines = argv.browsers.filter((name) => !BROWSER_ENGINES[name]);
+  if (argv.browsers.length === 0 || unknownEngines.length > 0) {
+    logger.errorBox('❌ INVALID ARGUMENTS', [
+      `Browsers must be a comma-separated list of: ${Object.keys(
+        BROWSER_ENGINES,
+      ).join(', ')}`,
+      `You specified: ${argv.browsers.join(',')}`,
+      'Use --help for more information',
+    ]);
+    process.exit(1);
+  }
+
+  // Validate device profile
+  try {
+    resolveDeviceProfile(argv.device);
+  } catch (error) {
+    logger.errorBox('❌ INVALID ARGUMENTS', [
+      error.message,
+      `You specified: ${argv.device}`,
+      'Use --help for more information',
+    ]);
+    process.exit(1);
+  }
+
   // Validate retry attempts
   if (argv.retries < 0 || argv.retries > 10) {
     logger.errorBox('❌ INVALID ARGUMENTS', [
@@ -168,6 +649,36 @@ function createApplicationOptions(argv) {
     accessibility: argv.accessibility,
     security: argv.security,
     demo: argv.demo,
+    listing: argv.listing,
+    day: argv.day,
+    pagination: argv.pagination,
+    extraction: argv.extraction,
+    concurrency: argv.concurrency,
+    browsers: [...new Set(argv.browsers)],
+    browser: argv.browsers[0],
+    device: argv.device,
+    baseUrl: argv['base-url'],
+    mockServer: argv['mock-server'] || Boolean(argv['fault-scenario']),
+    mockSeed: argv['mock-seed'],
+    mockFixture: argv['mock-fixture'],
+    faultScenario: argv['fault-scenario'],
+    archive: argv.archive,
+    replay: argv.replay,
+    similarityThreshold: argv['similarity-threshold'],
+    customRules: argv.rules,
+    failSeverity: argv['fail-severity'],
+    severityThresholds: argv['severity-thresholds']
+      ? parseSeverityThresholds(argv['severity-thresholds'])
+      : null,
+    crawlDelay: argv['crawl-delay'],
+    respectRobots: argv.robots,
+    checkpoint: argv.checkpoint,
+    resume: argv.resume,
+    evidence: argv.evidence,
+    evidenceDir: argv['evidence-dir'],
+    trace: argv.trace,
+    video: argv.video,
+    har: argv.har,
   };
 }
 
@@ -185,6 +696,7 @@ function generateHelpEpilog() {
 • Continue validation with more articles
 • Advanced data analysis and statistics
 • Export capabilities (JSON/CSV)
+• Offline runs against a bundled mock Hacker News server
 • Performance monitoring and metrics
 • Comprehensive error handling
 
@@ -0,0 +1,65 @@
+/**
+ * Mock Server Handler Module
+ * Starts the bundled mock Hacker News server for offline runs
+ */
+
+const logger = require('../logger');
+const { startMockServer } = require('../mock/hnMockServer');
+
+/**
+ * Start the mock Hacker News server if requested and point the run at it
+ * @param {Object} options - Application options (baseUrl is updated in place)
+ * @returns {Promise<Object|null>} Running server handle or null
+ */
+async function startMockServerIfRequested(options) {
+  if (!options.mockServer) {
+    return null;
+  }
+
+  const mock = await startMockServer({
+    seed: options.mockSeed,
+    fixture: options.mockFixture,
+    faultScenario: options.faultScenario,
+  });
+
+  options.baseUrl = mock.url;
+
+  if (!options.quiet) {
+    logger.info(
+      `🧪 Mock Hacker News server started at ${mock.url} (${
+        options.mockFixture
+          ? `fixture: ${options.mockFixture}`
+          : `seed: ${options.mockSeed}`
+      })`,
+    );
+    if (mock.faults.length > 0) {
+      logger.warn(
+        `💉 Injected ${mock.faults.length} fault(s) from scenario "${options.faultScenario}"`,
+      );
+    }
+  }
+
+  return mock;
+}
+
+/**
+ * Stop a running mock server
+ * @param {Object|null} mock - Handle returned by startMockServerIfRequested
+ * @returns {Promise<void>}
+ */
+async function stopMockServer(mock) {
+  if (!mock) {
+    return;
+  }
+
+  try {
+    await mock.close();
+  } catch (error) {
+    logger.warn('Error stopping mock server:', error.message);
+  }
+}
+
+module.exports = {
+  startMockServerIfRequested,
+  stopMockServer,
+};
@@ -4,6 +4,8 @@
  */
 
 const logger = require('../logger');
+const config = require('../config');
+const { exportJSON } = require('../utils/export');
 
 /**
  * Display final validation summary
@@ -43,6 +45,32 @@ function displayFinalSummary(result, options, startTime) {
   if (options.exportJson || options.exportCsv) {
     logger.info('📁 Exported data available in current directory');
   }
+
+  if (result.archiveDir) {
+    logger.info(
+      `🗄️  Scraped pages archived to ${result.archiveDir} (replay with --replay ${result.archiveDir})`,
+    );
+  }
+
+  if (result.error && result.checkpointFile) {
+    logger.info(
+      `💾 Progress checkpointed to ${result.checkpointFile} (resume with --resume ${result.checkpointFile})`,
+    );
+  }
+
+  if (result.artifacts?.trace && !result.success) {
+    logger.info(
+      `🎞️  Trace saved to ${result.artifacts.trace} (open with npx playwright show-trace ${result.artifacts.trace})`,
+    );
+  }
+
+  if (result.artifacts?.video) {
+    logger.info(`🎬 Video saved to ${result.artifacts.video}`);
+  }
+
+  if (result.artifacts?.har) {
+    logger.info(`🌐 HAR saved to ${result.artifacts.har}`);
+  }
 }
 
 /**
@@ -93,6 +121,119 @@ function displayError(error, options) {
   process.exit(1);
 }
 
+/**
+ * Display which injected faults the validator detected and which it missed
+ * @param {Object} faultReport - Report from evaluateFaultDetection
+ * @param {Object} options - Application options
+ */
+function displayFaultInjectionReport(faultReport, options) {
+  const statusIcon = {
+    detected: logger.chalk.green('✓ DETECTED'),
+    missed: logger.chalk.red('✗ MISSED'),
+    'not-reached': logger.chalk.gray('– NOT REACHED'),
+  };
+
+  logger.box(
+    `💉 Scenario: ${logger.chalk.white.bold(options.faultScenario)}
+Detected: ${faultReport.detected}/${faultReport.totalFaults} | Missed: ${
+      faultReport.missed
+    } | Not reached: ${faultReport.notReached}
+
+${faultReport.outcomes
+  .map(
+    (outcome) =>
+      `${statusIcon[outcome.status]} ${outcome.description}${
+        outcome.evidence ? logger.chalk.gray(` (${outcome.evidence})`) : ''
+      }`,
+  )
+  .join('\n')}`,
+    {
+      title: '🧪 Fault Injection Report',
+      titleAlignment: 'center',
+      borderColor: faultReport.allDetected ? 'green' : 'red',
+    },
+  );
+
+  if (options.exportJson) {
+    exportJSON(
+      { scenario: options.faultScenario, ...faultReport },
+      `${config.EXPORT_PATH}_faults.json`,
+    );
+  }
+}
+
+/**
+ * Display the per-engine comparison of a browser matrix run
+ * @param {Object} comparison - Report from compareEngineRuns
+ * @param {Object} options - Application options
+ */
+function displayBrowserMatrixReport(comparison, options) {
+  const engineLines = comparison.engines.map((engine) =>
+    engine.completed
+      ? `${
+          engine.validationPassed
+            ? logger.chalk.green('✓')
+            : logger.chalk.yellow('✗')
+        } ${logger.chalk.white.bold(engine.browser)}: ${
+          engine.articleCount
+        } articles, ${engine.chronologicalViolations} violations, ${
+          engine.idInversions
+        } ID inversions, ${
+          engine.duration !== null
+            ? `${(engine.duration / 1000).toFixed(2)}s`
+            : 'N/A'
+        }`
+      : `${logger.chalk.red('✗')} ${logger.chalk.white.bold(engine.browser)}: ${
+          engine.error
+        }`,
+  );
+
+  const findingCounts = comparison.findings.reduce((counts, finding) => {
+    counts[finding.type] = (counts[finding.type] || 0) + 1;
+    return counts;
+  }, {});
+
+  // Engines run minutes apart, so IDs at the listing's edges differ by design
+  const { edgeDifferences = [], sharedIdRange } = comparison;
+  const edgeNote =
+    edgeDifferences.length > 0
+      ? `\n${logger.chalk.gray(
+          `ℹ ${edgeDifferences.length} articles ${
+            sharedIdRange
+              ? `outside the shared ID range ${sharedIdRange.min}-${sharedIdRange.max}`
+              : 'in no shared ID range'
+          } were not compared (the listing moved between runs)`,
+        )}`
+      : '';
+
+  logger.box(
+    `${engineLines.join('\n')}
+
+${
+  comparison.consistent
+    ? logger.chalk.green(
+        'All engines extracted identical data in the shared ID range',
+      )
+    : `Findings: ${Object.entries(findingCounts)
+        .map(([type, count]) => `${type} ×${count}`)
+        .join(', ')}\n${comparison.findings
+        .slice(0, 5)
+        .map((finding) => `• ${finding.description}`)
+        .join('\n')}`
+}${edgeNote}`,
+    {
+      title: '🧭 Browser Engine Comparison',
+      titleAlignment: 'center',
+      borderColor:
+        comparison.consistent && comparison.allPassed ? 'green' : 'yellow',
+    },
+  );
+
+  if (options.exportJson) {
+    exportJSON(comparison, `${config.EXPORT_PATH}_browsers.json`);
+  }
+}
+
 /**
  * Display accessibility audit results
  * @param {Object} auditResults - Accessibility audit results
@@ -114,7 +255,8 @@ function displayAccessibilityResults(auditResults, options) {
 📊 Summary:
 • Total Violations: ${report.executive.totalViolations}
 • Critical Issues: ${report.executive.criticalIssues}
-• WCAG Compliance: ${report.executive.wcagCompliance}`,
+• WCAG Compliance: ${report.executive.wcagCompliance}
+• Device: ${report.technicalDetails?.device?.label || 'Desktop'}`,
     {
       title: '♿ Accessibility Report',
       titleAlignment: 'center',
@@ -145,6 +287,8 @@ module.exports = {
   displayFinalSummary,
   displayContactInfo,
   displayError,
+  displayFaultInjectionReport,
+  displayBrowserMatrixReport,
   displayAccessibilityResults,
   displayAccessibilityError,
 };
@@ -9,6 +9,7 @@ const {
   generateSecurityReport,
 } = require('../utils/reports/generators/securityReport');
 const { createReportServer } = require('../utils/reports/reportServer');
+const { resolveBaseUrl } = require('../utils/url');
 
 /**
  * Run security audit if requested
@@ -29,9 +30,10 @@ async function runSecurityAuditIfRequested(options) {
 
   try {
     const securityTester = new SecurityTester({
-      targetUrl: 'https://news.ycombinator.com',
+      targetUrl: resolveBaseUrl(options.baseUrl),
       verbose: options.debug,
       timeout: options.timeout || 30000,
+      device: options.device,
     });
 
     const securityResults = await securityTester.runSecurityTests();
@@ -138,9 +140,10 @@ async function handleSecurityTesting(options) {
 
   try {
     const securityTester = new SecurityTester({
-      targetUrl: 'https://news.ycombinator.com',
+      targetUrl: resolveBaseUrl(options.baseUrl),
       verbose: options.debug,
       timeout: options.timeout || 30000,
+      device: options.device,
     });
 
     const securityResults = await securityTester.runSecurityTests();
@@ -2,20 +2,50 @@
 // Centralized configuration for the Hacker News sorting validation script
 
 module.exports = {
+  HN_BASE_URL: 'https://news.ycombinator.com',
   HN_URL: 'https://news.ycombinator.com/newest',
   ARTICLE_COUNT: 100,
+  PAGE_SIZE: 30, // articles per listing page
   TIMEOUT: 15000, // ms
   SELECTORS: {
     ARTICLE_ROW: 'tr.athing',
     TITLE: '.titleline > a',
     SUBTEXT: 'td.subtext',
     AGE: 'span.age',
+    RANK: 'td.title .rank',
+    SCORE: '.score',
+    AUTHOR: '.hnuser',
+    SITE: '.sitestr',
     MORE_LINK: 'a.morelink',
   },
+  // Candidates tried in order when the primary selector above stops matching
+  SELECTOR_FALLBACKS: {
+    ARTICLE_ROW: ['tr.submission', 'table.itemlist tr[id]'],
+    TITLE: ['a.storylink', 'td.title:last-child a:not(.morelink)'],
+    RANK: ['span.rank', 'td.title:first-child'],
+    AGE: ['.age', 'span[title]'],
+    SCORE: ['span[id^="score_"]'],
+    AUTHOR: ['a[href^="user?id="]'],
+    SITE: ['.sitebit a span', '.sitebit'],
+  },
+  SIMILAR_TITLE_THRESHOLD: 0.9, // 0-1, for near-duplicate title matches
+  // Chronological violations are classified tie < minor < major < critical
+  VIOLATION_SEVERITY: {
+    TIE: 60 * 1000, // ms; smaller inversions are ties
+    MAJOR: 60 * 60 * 1000, // ms
+    CRITICAL: 24 * 60 * 60 * 1000, // ms
+    MAJOR_DISPLACEMENT: 5, // positions out of place
+    CRITICAL_DISPLACEMENT: 30, // a full page
+  },
+  FAIL_SEVERITY: 'minor', // lowest violation severity that fails the run
   EXPORT_PATH: './hn_articles',
+  EVIDENCE_PATH: './hn_evidence', // screenshots and DOM snippets of violations
   USER_AGENT:
     'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
   VIEWPORT: { width: 1280, height: 800 },
   RETRY_ATTEMPTS: 3,
   RETRY_DELAY: 2000, // ms
+  CRAWL_DELAY: 1000, // ms between listing page requests (robots.txt Crawl-delay can raise it)
+  CRAWL_MAX_BACKOFF: 120000, // ms
+  CRAWL_MAX_BACKOFFS: 5, // rate-limited retries per page
 };
@@ -3,6 +3,8 @@
 
 const { ValidationOrchestrator } = require('./scrapers/validationOrchestrator');
 const logger = require('./logger');
+const { getListingProfile } = require('./utils/listings');
+const { describeSeverityCounts } = require('./utils/validation');
 
 /**
  * Scrape and validate the newest articles on Hacker News.
@@ -21,6 +23,29 @@ const logger = require('./logger');
  * @param {boolean} options.interactive - Enable interactive mode (default: true)
  * @param {boolean} options.accessibility - Run accessibility audit (default: false)
  * @param {boolean} options.demo - Enable demo mode (default: false)
+ * @param {string} options.listing - Listing profile to validate (default: 'newest')
+ * @param {string} options.day - Day for the past front page listing (default: yesterday)
+ * @param {string} options.pagination - Next-page strategy, 'click' or 'url' (default: 'click')
+ * @param {string} options.extraction - Row extraction mode, 'batch', 'element' or 'compare' (default: 'batch')
+ * @param {number} options.concurrency - Pages fetched in parallel browser contexts; ranked listings only (default: 1)
+ * @param {string} options.browser - Playwright engine: 'chromium', 'firefox' or 'webkit' (default: 'chromium')
+ * @param {string} options.device - Device profile name, Playwright device or .json profile (default: 'desktop')
+ * @param {string} options.baseUrl - Hacker News base URL (default: config.HN_BASE_URL)
+ * @param {string} options.archive - Directory to record scraped pages into (default: none)
+ * @param {string} options.replay - Recorded run directory to replay instead of browsing (default: none)
+ * @param {boolean} options.evidence - Capture screenshots and DOM snippets of violating rows (default: false)
+ * @param {string} options.evidenceDir - Directory evidence runs are written under (default: config.EVIDENCE_PATH)
+ * @param {string} options.trace - Playwright tracing: 'off', 'on' or 'on-failure' (default: 'off')
+ * @param {boolean} options.video - Record a video of the main page (default: false)
+ * @param {boolean} options.har - Save a HAR file of the main context (default: false)
+ * @param {number} options.similarityThreshold - Minimum title similarity (0-1) for near-duplicates (default: config.SIMILAR_TITLE_THRESHOLD)
+ * @param {string|Array} options.customRules - Custom rules file (JSON or JS module) or rule definitions (default: none)
+ * @param {string} options.failSeverity - Lowest chronological violation severity that fails: tie, minor, major or critical (default: config.FAIL_SEVERITY)
+ * @param {Object} options.severityThresholds - Overrides for config.VIOLATION_SEVERITY (default: none)
+ * @param {number} options.crawlDelay - Minimum milliseconds between listing page requests (default: config.CRAWL_DELAY)
+ * @param {boolean} options.respectRobots - Honour robots.txt Crawl-delay and Disallow rules (default: true)
+ * @param {boolean} options.checkpoint - Checkpoint extraction progress after each page, removed once the run finishes (default: false)
+ * @param {string} options.resume - Checkpoint file or run directory to continue from (default: none)
  *
  * @returns {Promise<Object>} Validation results containing:
  *   - success: boolean - Whether validation passed
@@ -29,10 +54,21 @@ const logger = require('./logger');
  *   - performanceReport: Object - Performance metrics
  *   - systemInfo: Object - System information
  *   - pages: number - Number of pages processed
+ *   - browser: string - Engine the run used
+ *   - device: Object - Device profile the run emulated
+ *   - archiveDir: string - Directory the run was recorded into, if any
+ *   - replayedFrom: string - Archive the run was replayed from, if any
+ *   - pageDrift: Object - Articles that moved between concurrently fetched pages, if any
+ *   - evidenceDir: string - Directory holding violation screenshots and snippets, if any
+ *   - artifacts: Object - Run directory, trace zip, video and HAR paths, if recorded
+ *   - selectorHealth: Object - Which selector candidates matched, with drift from the primaries
  *   - execTime: number - Total execution time in seconds
  *   - loadTime: number - Initial page load time in milliseconds
  *   - newest: Object - Newest article information
  *   - oldest: Object - Oldest article information
+ *   - checkpointFile: string - Checkpoint left by a failed run, if any
+ *   - resumedFrom: string - Checkpoint the run was resumed from, if any
+ *   - partial: boolean - Whether a failed run still returned the articles extracted before the failure
  *   - error: Error - Error object if validation failed
  *
  * @example
@@ -80,6 +116,29 @@ async function validateHackerNewsArticles(options = {}) {
   }
 }
 
+/**
+ * Stream a validation run: articles are yielded as each page is extracted and
+ * violations as soon as they appear, followed by the full results.
+ * Breaking out of the loop, or aborting `signal`, closes the browser; an
+ * aborted stream simply ends, without the 'done' event.
+ *
+ * @param {Object} options - Same options as validateHackerNewsArticles (concurrency must be 1)
+ * @param {Object} streamOptions - Stream options
+ * @param {string} streamOptions.by - 'article' for one event per article, 'page' for one per page (default: 'article')
+ * @param {AbortSignal} streamOptions.signal - Cancels the run (default: none)
+ * @returns {AsyncGenerator<Object>} Events typed 'article', 'page', 'violation' and finally 'done' (with `result`)
+ *
+ * @example
+ * for await (const event of streamHackerNewsArticles({ articleCount: 60 })) {
+ *   if (event.type === 'article') console.log(event.article.title);
+ *   if (event.type === 'violation') console.warn(event.violation.key);
+ * }
+ */
+function streamHackerNewsArticles(options = {}, streamOptions = {}) {
+  const orchestrator = new ValidationOrchestrator(options);
+  return orchestrator.stream(streamOptions);
+}
+
 /**
  * Display validation summary and results
  * @param {Object} result - Validation results
@@ -88,45 +147,203 @@ async function validateHackerNewsArticles(options = {}) {
 function displayValidationSummary(result, options) {
   logger.separator();
 
+  const report = result.validationReport;
+  const idOrder = report?.idOrder;
+  const rankContinuity = report?.rankContinuity;
+  const listingDrift = report?.listingDrift;
+  const dateMembership = report?.dateMembership;
+  const rules = report?.listing?.rules || [
+    'chronological',
+    'idOrder',
+    'noDuplicates',
+  ];
+  const listingProfile = getListingProfile(report?.listing?.name);
+  const indeterminateCount = rules.includes('chronological')
+    ? report?.chronological?.indeterminate?.length || 0
+    : 0;
+  const chronological = rules.includes('chronological')
+    ? report?.chronological
+    : null;
+  const toleratedCount = chronological
+    ? chronological.violations.length - chronological.failingViolations
+    : 0;
+
   // Main validation results
   if (result.success) {
     logger.successBox('🎉 VALIDATION SUCCESSFUL!', [
-      `All ${result.articles.length} articles are properly sorted from newest to oldest`,
+      `All ${result.articles.length} ${listingProfile.label} articles ${listingProfile.successMessage}`,
       `Validation completed in ${result.performanceReport.summary.totalDurationFormatted}`,
       `Articles processed: ${result.articles.length}`,
       `Pages processed: ${result.pages}`,
+      ...(rules.includes('idOrder')
+        ? [
+            `Item IDs decrease monotonically (${
+              idOrder?.checkedPairs || 0
+            } pairs checked)`,
+          ]
+        : []),
+      ...(indeterminateCount > 0
+        ? [
+            `Indeterminate pairs (overlapping relative ages): ${indeterminateCount}`,
+          ]
+        : []),
+      ...(toleratedCount > 0
+        ? [
+            `Tolerated violations below ${
+              chronological.failSeverity
+            } severity: ${describeSeverityCounts(
+              chronological.severityCounts,
+            )}`,
+          ]
+        : []),
+      ...(result.pageDrift?.hasDrift
+        ? [
+            `Listing drift while fetching: ${result.pageDrift.movedArticles.length} articles moved between pages`,
+          ]
+        : []),
+      ...(listingDrift?.hasDrift
+        ? [
+            `Listing drift while paginating: ${listingDrift.count} articles shifted onto the next page (counted once)`,
+          ]
+        : []),
+      ...(report?.customRules
+        ? [
+            `Custom rules passed: ${
+              report.customRules.checkedRules -
+              report.customRules.failedWarnings -
+              report.customRules.failedInfo
+            }/${report.customRules.checkedRules}${
+              report.customRules.failedWarnings > 0
+                ? ` (${report.customRules.failedWarnings} warnings)`
+                : ''
+            }`,
+          ]
+        : []),
+      ...(report?.summary.hasNearDuplicates
+        ? [
+            `Near-duplicates: ${report.duplicates.duplicates.bySimilarTitle.length} similar titles, ${report.duplicates.duplicates.byUrl.length} same-URL reposts`,
+          ]
+        : []),
+      ...(report?.selectorHealth?.hasDrift
+        ? [
+            `Selector drift: fallbacks used for ${report.selectorHealth.drift
+              .map((d) => d.field)
+              .join(', ')}`,
+          ]
+        : []),
     ]);
   } else {
     const details = [
-      result.validationReport?.summary.isChronologicallyValid
-        ? '✓ Chronological order is correct'
-        : `✗ Found ${
-            result.validationReport?.chronological?.violations?.length || 0
-          } chronological violations`,
-      result.validationReport?.summary.hasDuplicates
+      `Listing: ${listingProfile.label}`,
+      result.error
+        ? `✗ Run failed: ${result.error.message}${
+            result.partial
+              ? ` (partial results from ${result.articles.length} articles below)`
+              : ''
+          }`
+        : null,
+      chronological
+        ? chronological.isValid
+          ? `✓ Chronological order is correct${
+              toleratedCount > 0
+                ? ` (tolerated: ${describeSeverityCounts(
+                    chronological.severityCounts,
+                  )})`
+                : ''
+            }`
+          : `✗ Found ${
+              chronological.failingViolations
+            } chronological violations at or above ${
+              chronological.failSeverity
+            } severity (${describeSeverityCounts(
+              chronological.severityCounts,
+            )})`
+        : null,
+      indeterminateCount > 0
+        ? `? ${indeterminateCount} pairs are indeterminate (overlapping relative ages)`
+        : null,
+      rules.includes('idOrder')
+        ? idOrder?.isValid === false
+          ? `✗ Found ${idOrder.inversions.length} item ID inversions (${idOrder.crossReference.confirmed.length} confirmed by timestamps)`
+          : '✓ Item IDs decrease monotonically'
+        : null,
+      rules.includes('idOrder') &&
+      idOrder?.crossReference?.timestampOnly?.length > 0
+        ? `? ${idOrder.crossReference.timestampOnly.length} timestamp violations have ordered IDs (likely parsing noise)`
+        : null,
+      rules.includes('rankContinuity')
+        ? rankContinuity?.isValid === false
+          ? `✗ Found ${rankContinuity.gaps.length} rank gaps and ${rankContinuity.repeats.length} repeated ranks`
+          : '✓ Ranks are contiguous'
+        : rankContinuity?.isValid === false
+        ? `? ${rankContinuity.gaps.length} rank gaps and ${rankContinuity.repeats.length} repeated ranks (not enforced for this listing)`
+        : null,
+      listingDrift?.hasDrift
+        ? `? Listing drifted while paginating: ${listingDrift.count} articles shifted onto the next page`
+        : null,
+      dateMembership
+        ? dateMembership.isValid
+          ? `✓ All articles belong to ${dateMembership.day}`
+          : `✗ Found ${dateMembership.outsiders.length} articles outside ${dateMembership.day}`
+        : null,
+      report?.summary.hasDuplicates
         ? `✗ Found ${
-            result.validationReport?.duplicates?.duplicates?.byId?.length || 0
+            report?.duplicates?.duplicates?.byId?.length || 0
           } duplicate articles`
         : '✓ No duplicate articles found',
+      ...(report?.customRules?.rules || [])
+        .filter((rule) => !rule.passed)
+        .map(
+          (rule) =>
+            `${rule.severity === 'error' ? '✗' : '?'} Custom rule "${
+              rule.name
+            }": ${rule.error || `${rule.violations.length} violations`}`,
+        ),
+      report?.quality?.schema && !report.quality.schema.isValid
+        ? `? ${report.quality.schema.invalidArticles} articles do not match article schema v${report.quality.schema.version}`
+        : null,
+      report?.summary.hasNearDuplicates
+        ? `? ${report.duplicates.duplicates.bySimilarTitle.length} near-duplicate titles and ${report.duplicates.duplicates.byUrl.length} same-URL reposts (threshold ${report.duplicates.similarityThreshold})`
+        : null,
+      result.pageDrift?.hasDrift
+        ? `? Listing drifted while fetching: ${result.pageDrift.movedArticles.length} articles moved between pages, ${result.pageDrift.boundaryInversions.length} page boundaries out of order`
+        : null,
+      report?.selectorHealth?.hasDrift
+        ? `? Selector drift on ${report.selectorHealth.drift
+            .map((d) => d.field)
+            .join(', ')} (primary selectors no longer match)`
+        : null,
       `Articles processed: ${result.articles?.length || 0}`,
       `Pages processed: ${result.pages || 0}`,
-    ];
+    ].filter(Boolean);
 
     logger.errorBox('❌ VALIDATION ISSUES DETECTED', details);
 
     // Show detailed violation information if debug mode
     if (
       options.debug &&
+      rules.includes('chronological') &&
       result.validationReport?.chronological?.violations?.length > 0
     ) {
       const v = result.validationReport.chronological.violations[0];
       logger.error(
-        `${logger.icons.cross} First violation: Article "${v.current.title}" (ID: ${v.current.id}) at position ${v.current.position} is newer than the previous article`,
+        `${logger.icons.cross} First violation (${v.severity}): Article "${v.current.title}" (ID: ${v.current.id}) at position ${v.current.position} is newer than the previous article`,
       );
       logger.error(
         `Previous: ${v.previous.formatted}, Current: ${v.current.formatted}`,
       );
     }
+
+    if (
+      options.debug &&
+      rules.includes('idOrder') &&
+      idOrder?.inversions?.length > 0
+    ) {
+      const inv = idOrder.inversions[0];
+      logger.error(
+        `${logger.icons.cross} First ID inversion: Article ${inv.current.id} at position ${inv.current.position} has a higher ID than article ${inv.previous.id} above it`,
+      );
+    }
   }
 
   // Performance and system statistics
@@ -136,6 +353,9 @@ function displayValidationSummary(result, options) {
       'Articles/Second': result.performanceReport.efficiency.articlesPerSecond,
       'Pages Processed': result.pages,
       'Network Requests': result.performanceReport.summary.networkRequests,
+      Throttled: `${(
+        (result.performanceReport.summary.throttledTime || 0) / 1000
+      ).toFixed(1)}s`,
       'Peak Memory': `${result.performanceReport.summary.peakMemoryMB} MB`,
       'Memory Delta': `${result.performanceReport.summary.memoryDeltaMB} MB`,
       'Average Time Gap': result.validationReport?.chronological?.averageGap
@@ -176,4 +396,5 @@ function displayValidationSummary(result, options) {
 
 module.exports = {
   validateHackerNewsArticles,
+  streamHackerNewsArticles,
 };
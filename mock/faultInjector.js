@@ -0,0 +1,264 @@
+/**
+ * Fault Injector Module
+ * Applies named sorting faults to mock listings and scores whether validation caught them
+ */
+
+const PAGE_SIZE = 30;
+
+/**
+ * Named fault scenarios. Indexes are 0-based positions in the served listing
+ * before any fault is applied; pages hold 30 articles. Drift faults shift the
+ * ranked listings (?p=) back by `shift` rows from `page` on, as if new stories
+ * had pushed them down between requests.
+ */
+const FAULT_SCENARIOS = {
+  'swap-adjacent': [
+    { type: 'swap', index: 4 },
+    { type: 'swap', index: 39 },
+  ],
+  'cross-page-repeat': [{ type: 'repeat', index: 19, insertAt: 32 }],
+  'drop-timestamps': [
+    { type: 'drop-timestamp', index: 2 },
+    { type: 'drop-timestamp', index: 17 },
+    { type: 'drop-timestamp', index: 45 },
+  ],
+  'corrupt-ranks': [
+    { type: 'corrupt-rank', index: 7, rank: 80 },
+    { type: 'corrupt-rank', index: 34, rank: 34 },
+  ],
+  'listing-drift': [{ type: 'drift', page: 2, shift: 2 }],
+};
+
+FAULT_SCENARIOS.all = [
+  ...FAULT_SCENARIOS['swap-adjacent'],
+  ...FAULT_SCENARIOS['drop-timestamps'],
+  ...FAULT_SCENARIOS['corrupt-ranks'],
+  ...FAULT_SCENARIOS['cross-page-repeat'],
+];
+
+/**
+ * Apply a named fault scenario to a listing
+ * @param {Array} articles - Listing in served order
+ * @param {string} scenarioName - Key of FAULT_SCENARIOS
+ * @returns {{articles: Array, faults: Array}} Faulty listing and the faults injected
+ */
+function applyFaultScenario(articles, scenarioName) {
+  const specs = FAULT_SCENARIOS[scenarioName];
+  if (!specs) {
+    throw new Error(
+      `Unknown fault scenario "${scenarioName}". Available: ${Object.keys(
+        FAULT_SCENARIOS,
+      ).join(', ')}`,
+    );
+  }
+
+  const listing = articles.map((article) => ({ ...article }));
+  const faults = [];
+
+  // Resolve targets up front so later faults are not shifted by earlier ones
+  const targets = specs.map((spec) => {
+    const index =
+      spec.type === 'drift'
+        ? (spec.page - 1) * PAGE_SIZE - spec.shift
+        : spec.index;
+    return {
+      spec,
+      article: listing[index],
+      neighbour: spec.type === 'swap' ? listing[index + 1] : null,
+    };
+  });
+
+  targets.forEach(({ spec, article, neighbour }) => {
+    if (!article || (spec.type === 'swap' && !neighbour)) {
+      return;
+    }
+
+    switch (spec.type) {
+      case 'swap': {
+        const a = listing.indexOf(article);
+        const b = listing.indexOf(neighbour);
+        listing[a] = neighbour;
+        listing[b] = article;
+        faults.push({
+          type: 'swap',
+          description: `Swapped adjacent articles ${article.id} and ${neighbour.id}`,
+          ids: [article.id, neighbour.id],
+          listingPosition: spec.index + 1,
+        });
+        break;
+      }
+      case 'repeat': {
+        listing.splice(spec.insertAt, 0, { ...article });
+        faults.push({
+          type: 'repeat',
+          description: `Repeated article ${article.id} from position ${
+            spec.index + 1
+          } at position ${spec.insertAt + 1}`,
+          ids: [article.id],
+          listingPosition: spec.insertAt + 1,
+        });
+        break;
+      }
+      case 'drop-timestamp': {
+        article.time = null;
+        faults.push({
+          type: 'drop-timestamp',
+          description: `Dropped the timestamp of article ${article.id}`,
+          ids: [article.id],
+          listingPosition: spec.index + 1,
+        });
+        break;
+      }
+      case 'corrupt-rank': {
+        article.rankOverride = spec.rank;
+        faults.push({
+          type: 'corrupt-rank',
+          description: `Rendered article ${article.id} with rank ${
+            spec.rank
+          } instead of ${spec.index + 1}`,
+          ids: [article.id],
+          listingPosition: spec.index + 1,
+        });
+        break;
+      }
+      case 'drift': {
+        const start = listing.indexOf(article);
+        const shifted = listing.slice(start, start + spec.shift);
+        faults.push({
+          type: 'drift',
+          description: `Shifted ranked listings down ${
+            spec.shift
+          } rows from page ${spec.page}, repeating ${shifted
+            .map((a) => a.id)
+            .join(', ')}`,
+          ids: shifted.map((a) => a.id),
+          listingPosition: start + 1,
+          page: spec.page,
+          shift: spec.shift,
+        });
+        break;
+      }
+      default:
+        throw new Error(`Unknown fault type "${spec.type}"`);
+    }
+  });
+
+  return { articles: listing, faults };
+}
+
+/**
+ * Detectors decide whether a validation report caught a fault.
+ * Each returns evidence text when detected, or null when missed.
+ */
+const FAULT_DETECTORS = {
+  swap: (fault, report) => {
+    const involved = (entry) =>
+      fault.ids.includes(entry.current.id) ||
+      fault.ids.includes(entry.previous.id);
+    if ((report.chronological?.violations || []).some(involved)) {
+      return 'chronological violation';
+    }
+    if ((report.idOrder?.inversions || []).some(involved)) {
+      return 'item ID inversion';
+    }
+    return null;
+  },
+  repeat: (fault, report) => {
+    const duplicates = report.duplicates?.duplicates || {};
+    if ((duplicates.byId || []).some((d) => fault.ids.includes(d.id))) {
+      return 'duplicate ID';
+    }
+    return null;
+  },
+  'drop-timestamp': (fault, report, extracted) => {
+    const article = extracted.find((a) => fault.ids.includes(a.id));
+    if (
+      article &&
+      !article.timestamp &&
+      report.quality?.missingData?.timestamps
+    ) {
+      return 'missing timestamp in data quality';
+    }
+    return null;
+  },
+  'corrupt-rank': (fault, report, extracted) => {
+    const continuity = report.rankContinuity || {};
+    // A rank that jumps ahead leaves a gap (and is repeated later by the row
+    // that really holds it); one that falls behind repeats an earlier rank
+    const positions = extracted
+      .map((article, index) => ({ id: article.id, position: index + 1 }))
+      .filter((row) => fault.ids.includes(row.id))
+      .map((row) => row.position);
+    const involved = (repeat) =>
+      fault.ids.includes(repeat.id) || positions.includes(repeat.firstPosition);
+    if ((continuity.gaps || []).some((g) => fault.ids.includes(g.id))) {
+      return 'rank gap';
+    }
+    if ((continuity.repeats || []).some(involved)) {
+      return 'repeated rank';
+    }
+    return null;
+  },
+  drift: (fault, report) => {
+    const shifted = report.listingDrift?.shiftedArticles || [];
+    if (fault.ids.every((id) => shifted.some((row) => row.id === id))) {
+      return 'listing drift';
+    }
+    return null;
+  },
+};
+
+/**
+ * Rows a ranked listing page is shifted back by, from the drift faults that
+ * apply to it
+ * @param {Array} faults - Faults returned by applyFaultScenario
+ * @param {number} page - 1-based page number
+ * @returns {number} Rows to shift the page's slice back by
+ */
+function getDriftShift(faults, page) {
+  return faults
+    .filter((fault) => fault.type === 'drift' && page >= fault.page)
+    .reduce((total, fault) => total + fault.shift, 0);
+}
+
+/**
+ * Score which injected faults the validation report detected
+ * @param {Array} faults - Faults returned by applyFaultScenario
+ * @param {Object} result - Validation result (articles and validationReport)
+ * @returns {Object} Fault detection report
+ */
+function evaluateFaultDetection(faults, result) {
+  const extracted = result.articles || [];
+  const report = result.validationReport || {};
+  const extractedIds = new Set(extracted.map((a) => a.id));
+
+  const outcomes = faults.map((fault) => {
+    if (!fault.ids.some((id) => extractedIds.has(id))) {
+      return { ...fault, status: 'not-reached', evidence: null };
+    }
+    const evidence = FAULT_DETECTORS[fault.type](fault, report, extracted);
+    return {
+      ...fault,
+      status: evidence ? 'detected' : 'missed',
+      evidence,
+    };
+  });
+
+  const count = (status) => outcomes.filter((o) => o.status === status).length;
+
+  return {
+    totalFaults: faults.length,
+    detected: count('detected'),
+    missed: count('missed'),
+    notReached: count('not-reached'),
+    allDetected: count('missed') === 0 && count('detected') > 0,
+    outcomes,
+  };
+}
+
+module.exports = {
+  FAULT_SCENARIOS,
+  applyFaultScenario,
+  evaluateFaultDetection,
+  getDriftShift,
+};
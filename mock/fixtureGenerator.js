@@ -0,0 +1,168 @@
+/**
+ * Mock Fixture Generator
+ * Builds deterministic Hacker News listings from a seed or a fixture file
+ */
+
+const fs = require('fs');
+
+const TITLE_SUBJECTS = [
+  'Rust',
+  'Postgres',
+  'SQLite',
+  'WebAssembly',
+  'Linux',
+  'Kubernetes',
+  'LLMs',
+  'TypeScript',
+  'Zig',
+  'Emacs',
+  'the JVM',
+  'Playwright',
+  'a tiny Lisp',
+  'RISC-V',
+  'CRDTs',
+];
+
+const TITLE_TEMPLATES = [
+  'Show HN: I built {subject} in a weekend',
+  'Ask HN: How do you use {subject} in production?',
+  'Why {subject} is harder than it looks',
+  'A deep dive into {subject}',
+  'Lessons from ten years of {subject}',
+  'The hidden costs of {subject}',
+  'What I learned rewriting our stack in {subject}',
+  '{subject} internals explained',
+  'Benchmarking {subject} on commodity hardware',
+  'Notes on {subject}',
+];
+
+const DOMAINS = [
+  'github.com',
+  'arxiv.org',
+  'lwn.net',
+  'nytimes.com',
+  'blog.example.com',
+  'substack.com',
+  'medium.com',
+  'theverge.com',
+];
+
+const AUTHORS = [
+  'pg',
+  'dang',
+  'tptacek',
+  'patio11',
+  'jacquesm',
+  'ingve',
+  'todsacerdoti',
+  'rbanffy',
+  'bookofjoe',
+  'mooreds',
+];
+
+/**
+ * Create a seeded pseudo-random number generator (mulberry32)
+ * @param {number} seed - Integer seed
+ * @returns {Function} Generator returning floats in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Pick a random element from an array
+ * @param {Function} random - Seeded generator
+ * @param {Array} items - Items to pick from
+ * @returns {*} Selected item
+ */
+function pick(random, items) {
+  return items[Math.floor(random() * items.length)];
+}
+
+/**
+ * Generate a deterministic newest-first listing
+ * @param {Object} options - Generation options
+ * @param {number} options.seed - Seed for the generator (default: 42)
+ * @param {number} options.count - Number of articles (default: 600)
+ * @param {number} options.startId - ID of the newest article (default: 44700000)
+ * @param {Date} options.anchorTime - Submission time of the newest article (default: now)
+ * @returns {Array} Articles sorted newest to oldest
+ */
+function generateArticles(options = {}) {
+  const {
+    seed = 42,
+    count = 600,
+    startId = 44700000,
+    anchorTime = new Date(),
+  } = options;
+
+  const random = createRandom(seed);
+  // Separate stream so adding comment counts leaves existing seeded listings unchanged
+  const commentRandom = createRandom(seed ^ 0x5bd1e995);
+  const articles = [];
+  let id = startId;
+  let time = anchorTime.getTime();
+
+  for (let i = 0; i < count; i++) {
+    const domain = pick(random, DOMAINS);
+    const slug = Math.floor(random() * 1e6).toString(36);
+
+    articles.push({
+      id: String(id),
+      title: pick(random, TITLE_TEMPLATES).replace(
+        '{subject}',
+        pick(random, TITLE_SUBJECTS),
+      ),
+      url: `https://${domain}/${slug}`,
+      site: domain,
+      score: 1 + Math.floor(random() * 5),
+      author: pick(random, AUTHORS),
+      comments: Math.floor(commentRandom() ** 3 * 300),
+      time: new Date(time),
+    });
+
+    // Newer submissions get higher IDs and later times
+    id -= 1 + Math.floor(random() * 40);
+    time -= Math.floor(random() * 4 * 60 * 1000);
+  }
+
+  return articles;
+}
+
+/**
+ * Load a listing from a fixture file.
+ * Accepts either an array of articles or `{ articles: [...] }`; `time` may be
+ * an ISO string or epoch seconds.
+ * @param {string} filePath - Path to the JSON fixture
+ * @returns {Array} Articles in fixture order
+ */
+function loadFixture(filePath) {
+  const raw = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  const articles = Array.isArray(raw) ? raw : raw.articles;
+
+  if (!Array.isArray(articles)) {
+    throw new Error(`Fixture ${filePath} does not contain an articles array`);
+  }
+
+  return articles.map((article) => ({
+    ...article,
+    id: String(article.id),
+    time:
+      typeof article.time === 'number'
+        ? new Date(article.time * 1000)
+        : new Date(article.time),
+  }));
+}
+
+module.exports = {
+  createRandom,
+  generateArticles,
+  loadFixture,
+};
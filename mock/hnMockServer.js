@@ -0,0 +1,374 @@
+/**
+ * Mock Hacker News Server
+ * Serves realistic listing pages with working More pagination for offline runs
+ */
+
+const express = require('express');
+const logger = require('../logger');
+const { generateArticles, loadFixture } = require('./fixtureGenerator');
+const { applyFaultScenario, getDriftShift } = require('./faultInjector');
+
+const PAGE_SIZE = 30;
+
+/**
+ * Escape text for safe inclusion in HTML
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Format an age the way HN does ("1 minute ago", "3 hours ago")
+ * @param {Date} time - Submission time
+ * @param {Date} now - Render time
+ * @returns {string} Relative age text
+ */
+function formatAge(time, now) {
+  const minutes = Math.max(0, Math.floor((now - time) / 60000));
+  if (minutes < 60) {
+    return `${minutes} minute${minutes === 1 ? '' : 's'} ago`;
+  }
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) {
+    return `${hours} hour${hours === 1 ? '' : 's'} ago`;
+  }
+  const days = Math.floor(hours / 24);
+  return `${days} day${days === 1 ? '' : 's'} ago`;
+}
+
+/**
+ * Format the absolute timestamp HN puts in the age title attribute
+ * @param {Date} time - Submission time
+ * @returns {string} "<ISO datetime> <epoch seconds>"
+ */
+function formatAgeTitle(time) {
+  const iso = time.toISOString().replace(/\.\d{3}Z$/, '');
+  return `${iso} ${Math.floor(time.getTime() / 1000)}`;
+}
+
+/**
+ * Render the score/author/comments subline of a non-job item
+ * @param {Object} article - Article to render
+ * @param {string} age - Rendered age element
+ * @returns {string} HTML subline
+ */
+function renderStorySubline(article, age) {
+  const id = escapeHtml(article.id);
+  const comments = article.comments
+    ? `${article.comments}&nbsp;comment${article.comments === 1 ? '' : 's'}`
+    : 'discuss';
+
+  return `<span class="subline">
+    <span class="score" id="score_${id}">${article.score} point${
+    article.score === 1 ? '' : 's'
+  }</span> by <a href="user?id=${escapeHtml(
+    article.author,
+  )}" class="hnuser">${escapeHtml(article.author)}</a>
+    ${age} <span id="unv_${id}"></span> | <a href="hide?id=${id}&amp;goto=newest">hide</a> | <a href="item?id=${id}">${comments}</a>
+  </span>`;
+}
+
+/**
+ * Render one article as the athing/subtext/spacer row triple
+ * @param {Object} article - Article to render
+ * @param {number} rank - 1-based rank in the listing
+ * @param {Date} now - Render time
+ * @returns {string} HTML rows
+ */
+function renderArticleRows(article, rank, now) {
+  const id = escapeHtml(article.id);
+  const site = article.site
+    ? `<span class="sitebit comhead"> (<a href="from?site=${escapeHtml(
+        article.site,
+      )}"><span class="sitestr">${escapeHtml(article.site)}</span></a>)</span>`
+    : '';
+  const markers = ['dead', 'flagged', 'deleted']
+    .filter((marker) => article[marker])
+    .map((marker) => `[${marker}] `)
+    .join('');
+  const age =
+    article.time && !isNaN(article.time)
+      ? `<span class="age" title="${formatAgeTitle(
+          article.time,
+        )}"><a href="item?id=${id}">${formatAge(article.time, now)}</a></span>`
+      : '';
+
+  return `
+<tr class="athing submission" id="${id}">
+  <td align="right" valign="top" class="title"><span class="rank">${
+    article.rankOverride ?? rank
+  }.</span></td>
+  <td valign="top" class="votelinks"><center><a id="up_${id}" href="vote?id=${id}&amp;how=up&amp;goto=newest"><div class="votearrow" title="upvote"></div></a></center></td>
+  <td class="title"><span class="titleline">${markers}<a href="${escapeHtml(
+    article.url || `item?id=${article.id}`,
+  )}">${escapeHtml(article.title)}</a>${site}</span></td>
+</tr>
+<tr>
+  <td colspan="2"></td>
+  <td class="subtext">${
+    article.type === 'job' ? age : renderStorySubline(article, age)
+  }</td>
+</tr>
+<tr class="spacer" style="height:5px"></tr>`;
+}
+
+/**
+ * Render a full listing page
+ * @param {Array} pageArticles - Articles on this page
+ * @param {number} firstRank - Rank of the first article
+ * @param {string|null} moreHref - Href of the More link, null on the last page
+ * @param {Date} now - Render time
+ * @returns {string} HTML document
+ */
+function renderListingPage(pageArticles, firstRank, moreHref, now) {
+  const rows = pageArticles
+    .map((article, index) => renderArticleRows(article, firstRank + index, now))
+    .join('');
+  const more = moreHref
+    ? `<tr class="morespace" style="height:10px"></tr>
+<tr><td colspan="2"></td><td class="title"><a href="${escapeHtml(
+        moreHref,
+      )}" class="morelink" rel="next">More</a></td></tr>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html lang="en" op="newest">
+<head>
+  <meta name="referrer" content="origin">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>New Links | Hacker News</title>
+</head>
+<body>
+<center>
+<table id="hnmain" border="0" cellpadding="0" cellspacing="0" width="85%" bgcolor="#f6f6ef">
+  <tr><td bgcolor="#ff6600">
+    <table border="0" cellpadding="0" cellspacing="0" width="100%" style="padding:2px">
+      <tr><td style="line-height:12pt; height:10px;"><span class="pagetop"><b class="hnname"><a href="news">Hacker News</a></b>
+        <a href="newest">new</a> | <a href="front">past</a> | <a href="newcomments">comments</a> | <a href="ask">ask</a> | <a href="show">show</a> | <a href="jobs">jobs</a>
+      </span></td></tr>
+    </table>
+  </td></tr>
+  <tr style="height:10px"></tr>
+  <tr id="bigbox"><td>
+    <table border="0" cellpadding="0" cellspacing="0" class="itemlist">
+${rows}
+${more}
+    </table>
+  </td></tr>
+</table>
+</center>
+</body>
+</html>`;
+}
+
+/**
+ * Resolve which slice of the listing a request asks for.
+ * Supports HN's `?next=<last id>&n=<rank>` cursor and the `?p=<page>` form.
+ * @param {Array} articles - Full listing
+ * @param {Object} query - Request query parameters
+ * @returns {number} Index of the first article to render
+ */
+function resolveStartIndex(articles, query) {
+  if (query.next) {
+    const cursor = articles.findIndex((a) => a.id === String(query.next));
+    if (cursor !== -1) return cursor + 1;
+
+    // Unknown cursor: continue from the first article older than it
+    const nextId = parseInt(query.next, 10);
+    const index = articles.findIndex((a) => parseInt(a.id, 10) < nextId);
+    return index === -1 ? articles.length : index;
+  }
+
+  if (query.p) {
+    const page = Math.max(1, parseInt(query.p, 10) || 1);
+    return (page - 1) * PAGE_SIZE;
+  }
+
+  return 0;
+}
+
+/**
+ * Create the mock HN express app
+ * @param {Object} options - Server options
+ * @param {number} options.seed - Seed for generated listings (default: 42)
+ * @param {string} options.fixture - Path to a fixture file (overrides seed)
+ * @param {number} options.articleCount - Number of generated articles (default: 600)
+ * @param {string} options.faultScenario - Named fault scenario to inject (default: none)
+ * @param {boolean} options.strictPaging - Reject ?p= on cursor listings, as a check that they are paged by cursor (default: false)
+ * @returns {Object} Express app with the listing and injected faults on `app.locals`
+ */
+function createMockApp(options = {}) {
+  const {
+    seed = 42,
+    fixture = null,
+    articleCount = 600,
+    faultScenario = null,
+    strictPaging = false,
+  } = options;
+  const listing = fixture
+    ? loadFixture(fixture)
+    : generateArticles({ seed, count: articleCount });
+  const { articles, faults } = faultScenario
+    ? applyFaultScenario(listing, faultScenario)
+    : { articles: listing, faults: [] };
+
+  const app = express();
+  app.locals.articles = articles;
+  app.locals.faults = faults;
+
+  // Cursor listings page with ?next=&n=. HN has no ?p= address for them;
+  // strict paging answers one with an error instead of serving it
+  ['newest', 'jobs'].forEach((name) => {
+    app.get(`/${name}`, (req, res) => {
+      if (strictPaging && req.query.p) {
+        res
+          .status(400)
+          .type('text')
+          .send(`/${name} pages with next and n, not p.`);
+        return;
+      }
+
+      const start = resolveStartIndex(articles, req.query);
+      const pageArticles = articles.slice(start, start + PAGE_SIZE);
+      const firstRank = parseInt(req.query.n, 10) || start + 1;
+      const hasMore = start + PAGE_SIZE < articles.length;
+      const moreHref = hasMore
+        ? `${name}?next=${pageArticles[pageArticles.length - 1].id}&n=${
+            firstRank + pageArticles.length
+          }`
+        : null;
+
+      res
+        .type('html')
+        .send(renderListingPage(pageArticles, firstRank, moreHref, new Date()));
+    });
+  });
+
+  // Ranked listings page with ?p=; they reuse the same articles so every
+  // --listing profile can run offline. Drift faults shift later pages back,
+  // so their first rows repeat the end of the previous page
+  ['news', 'ask', 'show', 'best', 'front'].forEach((name) => {
+    app.get(`/${name}`, (req, res) => {
+      const page = Math.max(1, parseInt(req.query.p, 10) || 1);
+      const start = Math.max(
+        0,
+        (page - 1) * PAGE_SIZE - getDriftShift(faults, page),
+      );
+      const pageArticles = articles.slice(start, start + PAGE_SIZE);
+      const params = new URLSearchParams();
+      if (req.query.day) params.set('day', req.query.day);
+      params.set('p', page + 1);
+      const moreHref =
+        start + PAGE_SIZE < articles.length ? `${name}?${params}` : null;
+
+      res
+        .type('html')
+        .send(
+          renderListingPage(
+            pageArticles,
+            (page - 1) * PAGE_SIZE + 1,
+            moreHref,
+            new Date(),
+          ),
+        );
+    });
+  });
+
+  app.get('/item', (req, res) => {
+    const article = articles.find((a) => a.id === String(req.query.id));
+    if (!article) {
+      res.status(404).type('text').send('No such item.');
+      return;
+    }
+    res.type('html').send(renderListingPage([article], 1, null, new Date()));
+  });
+
+  // HN's disallow rules, without its Crawl-delay so offline runs stay fast
+  app.get('/robots.txt', (req, res) => {
+    res
+      .type('text')
+      .send(
+        [
+          'User-Agent: *',
+          'Disallow: /x?',
+          'Disallow: /r?',
+          'Disallow: /vote?',
+          'Disallow: /reply?',
+          'Disallow: /submitted?',
+          'Disallow: /submitlink?',
+          'Disallow: /threads?',
+          '',
+        ].join('\n'),
+      );
+  });
+
+  app.get('/', (req, res) => res.redirect('/newest'));
+
+  return app;
+}
+
+/**
+ * Start the mock HN server
+ * @param {Object} options - Options for createMockApp plus `port` (default: 0, any free port)
+ * @returns {Promise<{server: Object, url: string, close: Function}>} Running server handle
+ */
+function startMockServer(options = {}) {
+  const { port = 0 } = options;
+  const app = createMockApp(options);
+
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port, '127.0.0.1', () => {
+      const url = `http://127.0.0.1:${server.address().port}`;
+      logger.debug(`Mock Hacker News server listening at ${url}`);
+      resolve({
+        server,
+        url,
+        articles: app.locals.articles,
+        faults: app.locals.faults,
+        close: () => new Promise((done) => server.close(() => done())),
+      });
+    });
+    server.on('error', reject);
+  });
+}
+
+// Allow running standalone: node mock/hnMockServer.js --port 4173 --seed 42
+if (require.main === module) {
+  const yargs = require('yargs');
+  const { hideBin } = require('yargs/helpers');
+  const argv = yargs(hideBin(process.argv))
+    .option('port', { type: 'number', default: 4173 })
+    .option('seed', { type: 'number', default: 42 })
+    .option('fixture', { type: 'string' })
+    .option('count', { type: 'number', default: 600 })
+    .option('fault-scenario', { type: 'string' })
+    .option('strict-paging', { type: 'boolean', default: false }).argv;
+
+  startMockServer({
+    port: argv.port,
+    seed: argv.seed,
+    fixture: argv.fixture,
+    articleCount: argv.count,
+    faultScenario: argv['fault-scenario'],
+    strictPaging: argv['strict-paging'],
+  }).then(({ url, faults }) => {
+    logger.success(`🧪 Mock Hacker News server running at ${url}/newest`);
+    faults.forEach((fault) =>
+      logger.warn(`Injected fault: ${fault.description}`),
+    );
+  });
+}
+
+module.exports = {
+  PAGE_SIZE,
+  createMockApp,
+  startMockServer,
+  formatAge,
+  formatAgeTitle,
+};
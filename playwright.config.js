@@ -24,8 +24,12 @@ module.exports = defineConfig({
   reporter: 'html',
   /* Shared settings for all the projects below. See https://playwright.dev/docs/api/class-testoptions. */
   use: {
-    /* Base URL to use in actions like `await page.goto('/')`. */
-    // baseURL: 'http://127.0.0.1:3000',
+    /* Base URL to use in actions like `await page.goto('/')`. Set HN_BASE_URL to target the mock server. */
+    baseURL:
+      process.env.HN_BASE_URL ||
+      (process.env.HN_MOCK
+        ? 'http://127.0.0.1:4173'
+        : 'https://news.ycombinator.com'),
 
     /* Collect trace when retrying the failed test. See https://playwright.dev/docs/trace-viewer */
     trace: 'on-first-retry',
@@ -69,11 +73,13 @@ module.exports = defineConfig({
     // },
   ],
 
-  /* Run your local dev server before starting the tests */
-  // webServer: {
-  //   command: 'npm run start',
-  //   url: 'http://127.0.0.1:3000',
-  //   reuseExistingServer: !process.env.CI,
-  // },
+  /* Run the bundled mock Hacker News server when HN_MOCK is set */
+  webServer: process.env.HN_MOCK
+    ? {
+        command: 'node mock/hnMockServer.js --port 4173 --strict-paging',
+        url: 'http://127.0.0.1:4173/newest',
+        reuseExistingServer: !process.env.CI,
+      }
+    : undefined,
 });
 
@@ -3,9 +3,23 @@
  * Handles extraction and parsing of individual articles from Hacker News DOM
  */
 
-const config = require('../config');
 const logger = require('../logger');
-const { parseHackerNewsTime } = require('../utils/time');
+const {
+  parseHackerNewsTime,
+  parseHackerNewsTimestamp,
+} = require('../utils/time');
+const {
+  getSelectorChain,
+  getSelectorChains,
+  queryChain,
+} = require('../utils/selectors');
+const { validateArticleRecord } = require('../utils/schema');
+
+/**
+ * Extraction modes: one evaluation per page, one round-trip per field, or
+ * both on every page so their timings can be compared
+ */
+const EXTRACTION_MODES = ['batch', 'element', 'compare'];
 
 /**
  * Extract article data from a single DOM row
@@ -13,74 +27,300 @@ const { parseHackerNewsTime } = require('../utils/time');
  * @param {number} position - Position in the extraction sequence
  * @param {number} pageNumber - Current page number
  * @param {boolean} debug - Debug mode flag
+ * @param {Date} referenceTime - Moment the page was loaded (anchors relative ages)
+ * @param {number} rowMatch - Index of the row selector candidate that found this row
  * @returns {Promise<Object>} Extracted article data
  */
-async function extractArticleData(row, position, pageNumber, debug = false) {
+async function extractArticleData(
+  row,
+  position,
+  pageNumber,
+  debug = false,
+  referenceTime = new Date(),
+  rowMatch = 0,
+) {
   try {
     // Get article ID
     const id = await row.getAttribute('id');
-    if (!id) {
-      throw new Error('Article ID not found');
-    }
 
     // Extract title
-    const titleEl = await row.$(config.SELECTORS.TITLE);
+    const title$ = await queryChain(row, getSelectorChain('title'));
+    const titleEl = title$.element;
     const title = titleEl ? await titleEl.innerText() : '';
-    if (!title) {
-      throw new Error('Article title not found');
-    }
 
     // Extract rank number
-    const rankEl = await row.$('td.title .rank');
-    const rank = rankEl ? await rankEl.innerText() : '';
+    const rank$ = await queryChain(row, getSelectorChain('rank'));
+    const rank = rank$.element ? await rank$.element.innerText() : '';
 
     // Get subtext row (contains age, score, author)
     const subtextRow = await row.evaluateHandle((r) => r.nextElementSibling);
 
-    // Extract age/timestamp
-    const ageEl = await subtextRow.$(config.SELECTORS.AGE);
+    // Extract age/timestamp (relative text plus HN's absolute title attribute)
+    const age$ = await queryChain(subtextRow, getSelectorChain('age'));
+    const ageEl = age$.element;
     const ageText = ageEl ? await ageEl.innerText() : '';
+    const ageTitle = ageEl ? (await ageEl.getAttribute('title')) || '' : '';
+
+    // Extract score and author (job posts have neither)
+    const score$ = await queryChain(subtextRow, getSelectorChain('score'));
+    const score = score$.element ? await score$.element.innerText() : null;
+
+    const author$ = await queryChain(subtextRow, getSelectorChain('author'));
+    const author = author$.element ? await author$.element.innerText() : null;
+
+    // Extract outbound URL and site domain
+    const url = titleEl ? await titleEl.evaluate((a) => a.href) : null;
+    const site$ = await queryChain(row, getSelectorChain('site'));
+    const domain = site$.element ? await site$.element.innerText() : null;
+
+    // Subtext link texts carry the comment count ("12 comments" / "discuss")
+    const subtextLinks = await subtextRow.$$eval('a', (links) =>
+      links.map((link) => link.innerText),
+    );
+
+    // Dead/flagged/deleted markers appear as bracketed text in either row
+    const markerText = `${await row.innerText()} ${await subtextRow.evaluate(
+      (r) => (r ? r.innerText : ''),
+    )}`;
+
+    return buildArticle(
+      {
+        id,
+        title,
+        rank,
+        ageText,
+        ageTitle,
+        score,
+        author,
+        url,
+        domain,
+        subtextLinks,
+        markerText,
+        selectorMatches: {
+          row: rowMatch,
+          title: title$.index,
+          rank: rank$.index,
+          age: age$.index,
+          score: score$.index,
+          author: author$.index,
+          site: site$.index,
+        },
+      },
+      position,
+      pageNumber,
+      debug,
+      referenceTime,
+    );
+  } catch (error) {
+    logger.error(`Failed to extract article data: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Build an article from the raw field values read out of its rows.
+ * Shared by the per-element and batch extraction paths.
+ * @param {Object} raw - Raw row fields (id, title, rank, ageText, ageTitle, score, author, url, domain, subtextLinks, markerText, selectorMatches)
+ * @param {number} position - Position in the extraction sequence
+ * @param {number} pageNumber - Current page number
+ * @param {boolean} debug - Debug mode flag
+ * @param {Date} referenceTime - Moment the page was loaded (anchors relative ages)
+ * @returns {Object} Article data
+ */
+function buildArticle(
+  raw,
+  position,
+  pageNumber,
+  debug = false,
+  referenceTime = new Date(),
+) {
+  const { id, title } = raw;
+  if (!id) {
+    throw new Error('Article ID not found');
+  }
+  if (!title) {
+    throw new Error('Article title not found');
+  }
+
+  const {
+    timestamp,
+    preciseTimestamp,
+    relativeTimestamp,
+    timestampInterval,
+    timestampPrecision,
+  } = resolveTimestamps(raw.ageTitle, raw.ageText, id, debug, referenceTime);
+
+  const markers = parseItemMarkers(raw.markerText || '');
+  const itemType = classifyItemType({
+    title,
+    hasScore: Boolean(raw.score),
+    hasAuthor: Boolean(raw.author),
+    isDead: markers.isDead || markers.isDeleted,
+  });
+
+  const article = {
+    position,
+    id,
+    title,
+    rank: (raw.rank || '').replace('.', ''),
+    ageText: raw.ageText,
+    ageTitle: raw.ageTitle,
+    timestamp,
+    preciseTimestamp,
+    relativeTimestamp,
+    timestampInterval,
+    timestampPrecision,
+    score: raw.score,
+    author: raw.author,
+    url: raw.url,
+    domain: raw.domain,
+    commentCount: parseCommentCount(raw.subtextLinks || []),
+    itemType,
+    ...markers,
+    selectorMatches: raw.selectorMatches || null,
+    pageNumber,
+    extractedAt: new Date(),
+  };
+
+  if (debug) {
+    logger.debug(`Extracted article: ${article.title} (ID: ${article.id})`);
+  }
+
+  return article;
+}
 
-    let timestamp = null;
+/**
+ * Resolve an article's timestamps from the age element.
+ * The absolute title attribute is preferred; the relative "N minutes ago"
+ * text is only used when the precise value is missing or unparseable.
+ * @param {string} ageTitle - Raw title attribute of the age element
+ * @param {string} ageText - Relative age text (e.g. '3 minutes ago')
+ * @param {string} id - Article ID (for debug logging)
+ * @param {boolean} debug - Debug mode flag
+ * @param {Date} referenceTime - Moment the page was loaded (anchors relative ages)
+ * @returns {Object} timestamp, preciseTimestamp, relativeTimestamp, timestampInterval and timestampPrecision
+ */
+function resolveTimestamps(
+  ageTitle,
+  ageText,
+  id,
+  debug = false,
+  referenceTime = new Date(),
+) {
+  let preciseTimestamp = null;
+  let relativeInterval = null;
+
+  if (ageTitle) {
     try {
-      timestamp = parseHackerNewsTime(ageText);
+      preciseTimestamp = parseHackerNewsTimestamp(ageTitle);
     } catch (e) {
       if (debug) {
-        logger.warn(`Failed to parse timestamp for article ${id}:`, ageText);
+        logger.warn(
+          `Failed to parse precise timestamp for article ${id}:`,
+          ageTitle,
+        );
       }
     }
+  }
 
-    // Extract score
-    const scoreEl = await subtextRow.$('.score');
-    const score = scoreEl ? await scoreEl.innerText() : '0 points';
+  try {
+    relativeInterval = parseHackerNewsTime(ageText, referenceTime);
+  } catch (e) {
+    if (debug) {
+      logger.warn(`Failed to parse timestamp for article ${id}:`, ageText);
+    }
+  }
 
-    // Extract author
-    const authorEl = await subtextRow.$('.hnuser');
-    const author = authorEl ? await authorEl.innerText() : 'unknown';
+  // Relative ages keep their latest bound as the point estimate
+  const relativeTimestamp = relativeInterval ? relativeInterval.latest : null;
 
-    // Build article object
-    const article = {
-      position,
-      id,
-      title,
-      rank: rank.replace('.', ''),
-      ageText,
-      timestamp,
-      score,
-      author,
-      pageNumber,
-      extractedAt: new Date(),
+  let timestampPrecision = null;
+  let timestampInterval = null;
+  if (preciseTimestamp) {
+    timestampPrecision = 'precise';
+    timestampInterval = {
+      earliest: preciseTimestamp,
+      latest: preciseTimestamp,
+      granularity: 'second',
     };
+  } else if (relativeInterval) {
+    timestampPrecision = 'relative';
+    timestampInterval = relativeInterval;
+  }
 
-    if (debug) {
-      logger.debug(`Extracted article: ${article.title} (ID: ${article.id})`);
+  return {
+    timestamp: preciseTimestamp || relativeTimestamp,
+    preciseTimestamp,
+    relativeTimestamp,
+    timestampInterval,
+    timestampPrecision,
+  };
+}
+
+/**
+ * Parse the comment count from a subtext row's link texts
+ * @param {Array<string>} linkTexts - Inner text of every link in the subtext row
+ * @returns {number|null} Comment count, 0 for "discuss", null when there is no comments link
+ */
+function parseCommentCount(linkTexts) {
+  for (const text of linkTexts) {
+    const normalized = text.replace(/\u00a0/g, ' ').trim();
+    const match = normalized.match(/^(\d+)\s+comments?$/);
+    if (match) {
+      return parseInt(match[1], 10);
+    }
+    if (normalized === 'discuss') {
+      return 0;
     }
+  }
+  return null;
+}
 
-    return article;
-  } catch (error) {
-    logger.error(`Failed to extract article data: ${error.message}`);
-    throw error;
+/**
+ * Detect HN's bracketed moderation markers in an article's row text
+ * @param {string} text - Combined text of the title and subtext rows
+ * @returns {Object} isDead, isFlagged and isDeleted flags
+ */
+function parseItemMarkers(text) {
+  return {
+    isDead: /\[dead\]/i.test(text),
+    isFlagged: /\[flagged\]/i.test(text),
+    isDeleted: /\[deleted\]/i.test(text),
+  };
+}
+
+/**
+ * Classify an item as story, job, ask, show or poll.
+ * Job posts carry no score or author; Ask/Show/Poll use HN's title prefixes.
+ * @param {Object} item - Item traits
+ * @param {string} item.title - Item title
+ * @param {boolean} item.hasScore - Whether a score element was found
+ * @param {boolean} item.hasAuthor - Whether an author element was found
+ * @param {boolean} item.isDead - Whether the item is dead or deleted
+ * @returns {string} Item type
+ */
+function classifyItemType({ title, hasScore, hasAuthor, isDead = false }) {
+  if (!hasScore && !hasAuthor && !isDead) return 'job';
+  if (/^Ask HN\b/i.test(title)) return 'ask';
+  if (/^Show HN\b/i.test(title)) return 'show';
+  if (/^Poll\b/i.test(title)) return 'poll';
+  return 'story';
+}
+
+/**
+ * Find the article rows on a page, trying each row selector candidate in turn
+ * @param {Object} page - Playwright page object
+ * @returns {Promise<{rows: Array, index: number|null}>} Row handles and the candidate that found them
+ */
+async function findArticleRows(page) {
+  const chain = getSelectorChain('row');
+  for (let index = 0; index < chain.length; index++) {
+    const rows = await page.$$(chain[index]);
+    if (rows.length > 0) {
+      return { rows, index };
+    }
   }
+  return { rows: [], index: null };
 }
 
 /**
@@ -90,6 +330,8 @@ async function extractArticleData(row, position, pageNumber, debug = false) {
  * @param {number} targetCount - Target number of articles to extract
  * @param {number} pageNumber - Current page number
  * @param {boolean} debug - Debug mode flag
+ * @param {Date} referenceTime - Moment the page was loaded; every relative age on it is anchored here
+ * @param {Array} skipped - Collects rows skipped because their article was already extracted (default: none)
  * @returns {Promise<Array>} Array of extracted articles
  */
 async function extractArticlesFromPage(
@@ -98,12 +340,14 @@ async function extractArticlesFromPage(
   targetCount,
   pageNumber,
   debug = false,
+  referenceTime = new Date(),
+  skipped = null,
 ) {
   const articles = [];
 
   try {
     // Get all article rows from current page
-    const rows = await page.$$(config.SELECTORS.ARTICLE_ROW);
+    const { rows, index: rowMatch } = await findArticleRows(page);
 
     if (debug) {
       logger.info(`Page ${pageNumber}: Found ${rows.length} article rows`);
@@ -119,6 +363,22 @@ async function extractArticlesFromPage(
         if (debug) {
           logger.debug(`Skipping duplicate article: ${id}`);
         }
+        if (skipped) {
+          const title$ = await queryChain(row, getSelectorChain('title'));
+          const rank$ = await queryChain(row, getSelectorChain('rank'));
+          skipped.push(
+            describeSkippedRow(
+              {
+                id,
+                title: title$.element ? await title$.element.innerText() : '',
+                rank: rank$.element ? await rank$.element.innerText() : '',
+              },
+              pageNumber,
+              i,
+              existingArticles,
+            ),
+          );
+        }
         continue;
       }
 
@@ -128,6 +388,8 @@ async function extractArticlesFromPage(
           existingArticles.length + articles.length + 1,
           pageNumber,
           debug,
+          referenceTime,
+          rowMatch,
         );
         articles.push(article);
       } catch (error) {
@@ -154,6 +416,175 @@ async function extractArticlesFromPage(
   }
 }
 
+/**
+ * Read the raw fields of every article row in one in-page evaluation.
+ * Each field is looked up through its selector chain and the index of the
+ * candidate that matched is kept in `selectorMatches`.
+ * @param {Object} page - Playwright page object
+ * @returns {Promise<Array>} Raw row fields in listing order
+ */
+async function readArticleRows(page) {
+  return page.evaluate((chains) => {
+    // First candidate that matches under root, with its index
+    const match = (root, chain) => {
+      for (let index = 0; root && index < chain.length; index++) {
+        const element = root.querySelector(chain[index]);
+        if (element) return { element, index };
+      }
+      return { element: null, index: null };
+    };
+    const text = (el) => (el ? el.innerText : null);
+
+    let rowMatch = null;
+    let rows = [];
+    for (let index = 0; index < chains.row.length; index++) {
+      rows = Array.from(document.querySelectorAll(chains.row[index]));
+      if (rows.length > 0) {
+        rowMatch = index;
+        break;
+      }
+    }
+
+    return rows.map((row) => {
+      const subtext = row.nextElementSibling;
+      const title = match(row, chains.title);
+      const rank = match(row, chains.rank);
+      const age = match(subtext, chains.age);
+      const score = match(subtext, chains.score);
+      const author = match(subtext, chains.author);
+      const site = match(row, chains.site);
+
+      return {
+        id: row.getAttribute('id'),
+        title: text(title.element) || '',
+        rank: text(rank.element) || '',
+        ageText: text(age.element) || '',
+        ageTitle: age.element ? age.element.getAttribute('title') || '' : '',
+        score: text(score.element),
+        author: text(author.element),
+        url: title.element ? title.element.href : null,
+        domain: text(site.element),
+        subtextLinks: subtext
+          ? Array.from(subtext.querySelectorAll('a'), (a) => a.innerText)
+          : [],
+        markerText: `${row.innerText} ${subtext ? subtext.innerText : ''}`,
+        selectorMatches: {
+          row: rowMatch,
+          title: title.index,
+          rank: rank.index,
+          age: age.index,
+          score: score.index,
+          author: author.index,
+          site: site.index,
+        },
+      };
+    });
+  }, getSelectorChains());
+}
+
+/**
+ * Extract all articles from the current page with a single page.evaluate.
+ * Same contract as extractArticlesFromPage, without a round-trip per field.
+ * @param {Object} page - Playwright page object
+ * @param {Array} existingArticles - Already extracted articles (for duplicate checking)
+ * @param {number} targetCount - Target number of articles to extract
+ * @param {number} pageNumber - Current page number
+ * @param {boolean} debug - Debug mode flag
+ * @param {Date} referenceTime - Moment the page was loaded; every relative age on it is anchored here
+ * @param {Array} skipped - Collects rows skipped because their article was already extracted (default: none)
+ * @returns {Promise<Array>} Array of extracted articles
+ */
+async function extractArticlesFromPageBatch(
+  page,
+  existingArticles,
+  targetCount,
+  pageNumber,
+  debug = false,
+  referenceTime = new Date(),
+  skipped = null,
+) {
+  const articles = [];
+
+  try {
+    const rows = await readArticleRows(page);
+
+    if (debug) {
+      logger.info(`Page ${pageNumber}: Read ${rows.length} article rows`);
+    }
+
+    for (let i = 0; i < rows.length && articles.length < targetCount; i++) {
+      const raw = rows[i];
+
+      // Skip if we already have this article (avoid duplicates)
+      if (existingArticles.some((article) => article.id === raw.id)) {
+        if (debug) {
+          logger.debug(`Skipping duplicate article: ${raw.id}`);
+        }
+        if (skipped) {
+          skipped.push(
+            describeSkippedRow(raw, pageNumber, i, existingArticles),
+          );
+        }
+        continue;
+      }
+
+      try {
+        articles.push(
+          buildArticle(
+            raw,
+            existingArticles.length + articles.length + 1,
+            pageNumber,
+            debug,
+            referenceTime,
+          ),
+        );
+      } catch (error) {
+        if (debug) {
+          logger.warn(`Failed to extract article ${raw.id}:`, error.message);
+        }
+        // Continue with next article
+      }
+    }
+
+    if (debug) {
+      logger.info(
+        `Extracted ${articles.length} new articles from page ${pageNumber}`,
+      );
+    }
+
+    return articles;
+  } catch (error) {
+    logger.error(
+      `Failed to extract articles from page ${pageNumber}:`,
+      error.message,
+    );
+    throw error;
+  }
+}
+
+/**
+ * Describe a row that was skipped because its article was already extracted,
+ * with where the article first appeared, so the repeat can be validated
+ * @param {Object} raw - Row fields (id, title, rank)
+ * @param {number} pageNumber - Page the row was skipped on
+ * @param {number} pageIndex - 0-based index of the row on that page
+ * @param {Array} existingArticles - Already extracted articles
+ * @returns {Object} id, title, rank, pageNumber, pageIndex, firstPosition, firstPageNumber and firstRank
+ */
+function describeSkippedRow(raw, pageNumber, pageIndex, existingArticles) {
+  const first = existingArticles.find((article) => article.id === raw.id);
+  return {
+    id: raw.id,
+    title: raw.title,
+    rank: parseInt((raw.rank || '').replace('.', ''), 10) || null,
+    pageNumber,
+    pageIndex,
+    firstPosition: first ? first.position : null,
+    firstPageNumber: first ? first.pageNumber : null,
+    firstRank: first ? parseInt(first.rank, 10) || null : null,
+  };
+}
+
 /**
  * Check if an article is a duplicate
  * @param {Object} article - Article object to check
@@ -165,28 +596,14 @@ function isDuplicateArticle(article, existingArticles) {
 }
 
 /**
- * Validate extracted article data
+ * Validate extracted article data against the article schema
  * @param {Object} article - Article object to validate
- * @returns {Object} Validation result with isValid flag and errors array
+ * @returns {Object} Validation result with isValid flag and errors array ("<path> <message>")
  */
 function validateArticleData(article) {
-  const errors = [];
-
-  if (!article.id) {
-    errors.push('Missing article ID');
-  }
-
-  if (!article.title || article.title.trim() === '') {
-    errors.push('Missing or empty title');
-  }
-
-  if (!article.rank) {
-    errors.push('Missing rank');
-  }
-
-  if (!article.timestamp) {
-    errors.push('Invalid timestamp');
-  }
+  const errors = validateArticleRecord(article).map(
+    (error) => `${error.path} ${error.message}`,
+  );
 
   return {
     isValid: errors.length === 0,
@@ -195,8 +612,18 @@ function validateArticleData(article) {
 }
 
 module.exports = {
+  EXTRACTION_MODES,
   extractArticleData,
+  buildArticle,
+  resolveTimestamps,
+  parseCommentCount,
+  parseItemMarkers,
+  classifyItemType,
+  findArticleRows,
   extractArticlesFromPage,
+  readArticleRows,
+  extractArticlesFromPageBatch,
   isDuplicateArticle,
+  describeSkippedRow,
   validateArticleData,
 };
@@ -3,9 +3,22 @@
  * Handles browser setup, launch, and cleanup operations
  */
 
-const { chromium } = require('playwright');
+const path = require('path');
+const { chromium, firefox, webkit } = require('playwright');
 const config = require('../config');
 const logger = require('../logger');
+const { getContextOptions } = require('../utils/devices');
+const { anySelector } = require('../utils/selectors');
+
+/**
+ * Playwright engines the validation can run on
+ */
+const BROWSER_ENGINES = { chromium, firefox, webkit };
+
+/**
+ * Tracing modes: never, always keep the trace, or keep it only for failed runs
+ */
+const TRACE_MODES = ['off', 'on', 'on-failure'];
 
 /**
  * Browser manager class for handling Playwright browser operations
@@ -15,30 +28,91 @@ class BrowserManager {
     this.browser = null;
     this.context = null;
     this.page = null;
+    this.contextOptions = null;
+    this.trace = 'off';
+    this.outputDir = null;
+    this.harPath = null;
+    this.onContext = null;
   }
 
   /**
    * Launch browser with specified configuration
    * @param {Object} options - Browser launch options
+   * @param {Object} options.device - Resolved device profile; overrides userAgent and viewport
+   * @param {string} options.trace - Tracing mode: 'off', 'on' or 'on-failure' (default: 'off')
+   * @param {boolean} options.video - Record a video of the main page (default: false)
+   * @param {boolean} options.har - Record a HAR file of the main context (default: false)
+   * @param {string} options.outputDir - Run directory traces, videos and HAR files are saved into
+   * @param {Function} options.onContext - Called with every browser context created (main and extra)
    * @returns {Promise<void>}
    */
   async launch(options = {}) {
     const {
+      browserName = 'chromium',
       headless = true,
       userAgent = config.USER_AGENT,
       viewport = config.VIEWPORT,
       timeout = config.TIMEOUT,
+      blockNetwork = false,
+      device = null,
+      trace = 'off',
+      video = false,
+      har = false,
+      outputDir = null,
+      onContext = null,
     } = options;
 
+    if ((trace !== 'off' || video || har) && !outputDir) {
+      throw new Error(
+        'Tracing, video and HAR recording need an output directory',
+      );
+    }
+    this.trace = trace;
+    this.outputDir = outputDir;
+    this.harPath = har ? path.join(outputDir, 'network.har') : null;
+    this.onContext = onContext;
+
     try {
       // Launch browser
-      this.browser = await chromium.launch({ headless });
+      const engine = BROWSER_ENGINES[browserName];
+      if (!engine) {
+        throw new Error(`Unknown browser engine "${browserName}"`);
+      }
+      this.browser = await engine.launch({ headless });
 
       // Create context with custom settings
+      this.contextOptions = device
+        ? getContextOptions(device, browserName)
+        : { userAgent, viewport };
       this.context = await this.browser.newContext({
-        userAgent,
-        viewport,
+        ...this.contextOptions,
+        ...(video
+          ? {
+              recordVideo: {
+                dir: path.join(outputDir, 'videos'),
+                size: this.contextOptions.viewport,
+              },
+            }
+          : {}),
+        ...(this.harPath
+          ? { recordHar: { path: this.harPath, content: 'omit' } }
+          : {}),
       });
+      if (onContext) {
+        onContext(this.context);
+      }
+
+      if (trace !== 'off') {
+        await this.context.tracing.start({
+          screenshots: true,
+          snapshots: true,
+        });
+      }
+
+      // Abort every request when replaying archived pages offline
+      if (blockNetwork) {
+        await this.context.route('**/*', (route) => route.abort());
+      }
 
       // Create new page
       this.page = await this.context.newPage();
@@ -46,7 +120,7 @@ class BrowserManager {
       // Set default timeout
       this.page.setDefaultTimeout(timeout);
 
-      logger.debug('Browser launched successfully');
+      logger.debug(`${browserName} launched successfully`);
     } catch (error) {
       logger.error('Failed to launch browser:', error.message);
       throw error;
@@ -56,14 +130,21 @@ class BrowserManager {
   /**
    * Navigate to Hacker News and wait for page load
    * @param {number} timeout - Navigation timeout
+   * @param {string} url - Listing URL to open (default: config.HN_URL)
+   * @param {Object} policy - CrawlPolicy the load goes through (default: none)
    * @returns {Promise<number>} Load time in milliseconds
    */
-  async navigateToHackerNews(timeout = config.TIMEOUT) {
+  async navigateToHackerNews(
+    timeout = config.TIMEOUT,
+    url = config.HN_URL,
+    policy = null,
+  ) {
     const startTime = Date.now();
 
     try {
-      await this.page.goto(config.HN_URL, { timeout });
-      await this.page.waitForSelector(config.SELECTORS.ARTICLE_ROW, {
+      const navigate = () => this.page.goto(url, { timeout });
+      await (policy ? policy.load(this.page, url, navigate) : navigate());
+      await this.page.waitForSelector(anySelector('row'), {
         timeout,
       });
 
@@ -77,6 +158,21 @@ class BrowserManager {
     }
   }
 
+  /**
+   * Create an additional isolated context with the same settings as the main one
+   * @returns {Promise<Object>} Playwright browser context
+   */
+  async newContext() {
+    if (!this.browser) {
+      throw new Error('Browser not initialized. Call launch() first.');
+    }
+    const context = await this.browser.newContext(this.contextOptions);
+    if (this.onContext) {
+      this.onContext(context);
+    }
+    return context;
+  }
+
   /**
    * Get the current page instance
    * @returns {Object} Playwright page object
@@ -89,9 +185,42 @@ class BrowserManager {
   }
 
   /**
-   * Close browser and cleanup resources
+   * Close browser and cleanup resources, saving the trace and video first
+   * @param {Object} options - Close options
+   * @param {boolean} options.failed - Whether the run failed (keeps 'on-failure' traces)
+   * @returns {Promise<{trace: string|null, video: string|null, har: string|null}>} Saved artifact paths
    */
-  async close() {
+  async close({ failed = false } = {}) {
+    const artifacts = { trace: null, video: null, har: null };
+
+    try {
+      if (this.context && this.trace !== 'off') {
+        if (this.trace === 'on' || failed) {
+          artifacts.trace = path.join(this.outputDir, 'trace.zip');
+          await this.context.tracing.stop({ path: artifacts.trace });
+          logger.debug(`Trace saved to ${artifacts.trace}`);
+        } else {
+          await this.context.tracing.stop();
+        }
+      }
+
+      // Video and HAR files are only complete once their context has closed
+      const video = this.page ? this.page.video() : null;
+      if (this.context && (video || this.harPath)) {
+        await this.context.close();
+      }
+      if (video) {
+        artifacts.video = await video.path();
+        logger.debug(`Video saved to ${artifacts.video}`);
+      }
+      if (this.context && this.harPath) {
+        artifacts.har = this.harPath;
+        logger.debug(`HAR saved to ${artifacts.har}`);
+      }
+    } catch (error) {
+      logger.warn('Error saving trace, video or HAR:', error.message);
+    }
+
     try {
       if (this.browser) {
         await this.browser.close();
@@ -103,6 +232,8 @@ class BrowserManager {
     } catch (error) {
       logger.warn('Error closing browser:', error.message);
     }
+
+    return artifacts;
   }
 
   /**
@@ -115,5 +246,7 @@ class BrowserManager {
 }
 
 module.exports = {
+  BROWSER_ENGINES,
+  TRACE_MODES,
   BrowserManager,
 };
@@ -0,0 +1,166 @@
+/**
+ * Checkpoint Module
+ * Saves extraction progress after each page so long runs can be resumed
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../logger');
+
+const CHECKPOINT_FILE = 'checkpoint.json';
+const CHECKPOINT_VERSION = 1;
+
+// Article fields that hold Dates and must be revived when loading
+const DATE_FIELDS = [
+  'timestamp',
+  'preciseTimestamp',
+  'relativeTimestamp',
+  'extractedAt',
+];
+
+/**
+ * Turn a serialized article back into one with Date fields
+ * @param {Object} article - Article parsed from JSON
+ * @returns {Object} Article with Dates
+ */
+function reviveArticle(article) {
+  const revived = { ...article };
+  DATE_FIELDS.forEach((field) => {
+    if (revived[field]) revived[field] = new Date(revived[field]);
+  });
+  if (revived.timestampInterval) {
+    revived.timestampInterval = {
+      ...revived.timestampInterval,
+      earliest: new Date(revived.timestampInterval.earliest),
+      latest: new Date(revived.timestampInterval.latest),
+    };
+  }
+  return revived;
+}
+
+/**
+ * Checkpoint class for saving and restoring extraction progress
+ */
+class Checkpoint {
+  /**
+   * @param {string} file - Checkpoint file path
+   * @param {Object} state - Existing state (when loading)
+   */
+  constructor(file, state = null) {
+    this.file = file;
+    this.state = state || {
+      version: CHECKPOINT_VERSION,
+      createdAt: new Date().toISOString(),
+      updatedAt: null,
+      complete: false,
+      pageNumber: 0,
+      pageUrl: null,
+      nextPagePath: null,
+      articles: [],
+      skippedRows: [],
+    };
+  }
+
+  /**
+   * Create a checkpoint in a run directory
+   * @param {string} dir - Run output directory
+   * @param {Object} run - Run settings needed to resume (listing, day, pagination, ...)
+   * @returns {Checkpoint} Empty checkpoint
+   */
+  static create(dir, run = {}) {
+    const checkpoint = new Checkpoint(path.join(dir, CHECKPOINT_FILE));
+    checkpoint.state.run = run;
+    return checkpoint;
+  }
+
+  /**
+   * Load a checkpoint to resume from
+   * @param {string} file - Checkpoint file, or the run directory containing it
+   * @returns {Checkpoint} Loaded checkpoint with revived articles
+   */
+  static load(file) {
+    const checkpointPath =
+      fs.existsSync(file) && fs.statSync(file).isDirectory()
+        ? path.join(file, CHECKPOINT_FILE)
+        : file;
+    if (!fs.existsSync(checkpointPath)) {
+      throw new Error(`Checkpoint ${checkpointPath} not found`);
+    }
+
+    const state = JSON.parse(fs.readFileSync(checkpointPath, 'utf-8'));
+    if (!Array.isArray(state.articles) || state.pageNumber < 1) {
+      throw new Error(`Checkpoint ${checkpointPath} holds no extracted pages`);
+    }
+    state.articles = state.articles.map(reviveArticle);
+
+    return new Checkpoint(checkpointPath, state);
+  }
+
+  /**
+   * Record the last good page and every article extracted so far
+   * @param {Object} progress - Extraction progress
+   * @param {Array} progress.articles - Articles extracted so far
+   * @param {Array} progress.skippedRows - Rows skipped as already extracted (default: none)
+   * @param {number} progress.pageNumber - Last page fully extracted
+   * @param {string} progress.pageUrl - URL of that page
+   * @param {string|null} progress.nextPagePath - Path of the next page (from its More link), if any
+   */
+  save({ articles, skippedRows = [], pageNumber, pageUrl, nextPagePath }) {
+    Object.assign(this.state, {
+      updatedAt: new Date().toISOString(),
+      pageNumber,
+      pageUrl,
+      nextPagePath,
+      articles,
+      skippedRows,
+    });
+    this.write();
+    logger.debug(
+      `Checkpointed page ${pageNumber} (${articles.length} articles) to ${this.file}`,
+    );
+  }
+
+  /**
+   * Mark the run as finished so it is not resumed by mistake
+   */
+  markComplete() {
+    this.state.complete = true;
+    this.state.updatedAt = new Date().toISOString();
+    this.write();
+  }
+
+  /**
+   * Delete the checkpoint of a finished run. One that cannot be deleted is
+   * marked complete instead.
+   */
+  remove() {
+    try {
+      fs.rmSync(this.file, { force: true });
+      logger.debug(`Removed checkpoint ${this.file}`);
+    } catch (error) {
+      logger.warn(`Failed to remove checkpoint ${this.file}:`, error.message);
+      this.markComplete();
+    }
+  }
+
+  /**
+   * Write the checkpoint atomically, so a crash mid-write keeps the previous one
+   */
+  write() {
+    const tmp = `${this.file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(this.state, null, 2), 'utf-8');
+    fs.renameSync(tmp, this.file);
+  }
+
+  /**
+   * Articles restored from the checkpoint
+   * @returns {Array} Articles
+   */
+  getArticles() {
+    return this.state.articles;
+  }
+}
+
+module.exports = {
+  Checkpoint,
+};
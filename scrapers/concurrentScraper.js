@@ -0,0 +1,157 @@
+/**
+ * Concurrent Scraper Module
+ * Fetches listing pages in parallel browser contexts and detects articles that
+ * moved between pages while they were being fetched
+ */
+
+const config = require('../config');
+const logger = require('../logger');
+const { anySelector } = require('../utils/selectors');
+const { readArticleRows } = require('./articleExtractor');
+
+/**
+ * Fetch listing pages with a pool of workers, each in its own browser context
+ * @param {Object} browserManager - Launched BrowserManager
+ * @param {Array<{pageNumber: number, url: string}>} targets - Pages to fetch
+ * @param {Object} options - Fetch options
+ * @param {number} options.concurrency - Maximum number of pages in flight (default: 4)
+ * @param {number} options.timeout - Navigation timeout in milliseconds
+ * @param {Object} options.policy - CrawlPolicy spacing out the page loads (default: none)
+ * @param {Function} options.onPage - Called with each fetched page as it completes
+ * @param {Function} options.onNavigate - Called with the worker's page and target before it is loaded
+ * @param {Function} options.capture - Awaited with the live page and target after its rows are read
+ * @returns {Promise<{pages: Array, workers: Array}>} Fetched pages in listing order and per-worker timings
+ */
+async function fetchPagesConcurrently(browserManager, targets, options = {}) {
+  const {
+    concurrency = 4,
+    timeout = config.TIMEOUT,
+    policy = null,
+    onPage = () => {},
+    onNavigate = () => {},
+    capture = null,
+  } = options;
+  const queue = [...targets];
+  const pages = [];
+  const workerCount = Math.max(1, Math.min(concurrency, targets.length));
+
+  const runWorker = async (workerId) => {
+    const context = await browserManager.newContext();
+    const page = await context.newPage();
+    page.setDefaultTimeout(timeout);
+
+    const worker = { workerId, pages: [], totalTime: 0 };
+    try {
+      while (queue.length > 0) {
+        const target = queue.shift();
+        const startTime = Date.now();
+
+        onNavigate(page, target);
+        const navigate = () =>
+          page.goto(target.url, { waitUntil: 'domcontentloaded', timeout });
+        await (policy ? policy.load(page, target.url, navigate) : navigate());
+        await page.waitForSelector(anySelector('row'), { timeout });
+        const fetchedAt = new Date();
+        const rows = await readArticleRows(page);
+        if (capture) {
+          await capture(page, target);
+        }
+
+        const duration = Date.now() - startTime;
+        worker.pages.push({ pageNumber: target.pageNumber, duration });
+        worker.totalTime += duration;
+
+        const fetched = { ...target, rows, fetchedAt, workerId, duration };
+        pages.push(fetched);
+        onPage(fetched);
+        logger.debug(
+          `Worker ${workerId} fetched page ${target.pageNumber} in ${duration}ms`,
+        );
+      }
+    } finally {
+      await context.close();
+    }
+
+    return worker;
+  };
+
+  const workers = await Promise.all(
+    Array.from({ length: workerCount }, (_, index) => runWorker(index + 1)),
+  );
+
+  pages.sort((a, b) => a.pageNumber - b.pageNumber);
+  return { pages, workers };
+}
+
+/**
+ * Detect listing drift between pages fetched at different moments.
+ * An article pushed down the listing shows up on two pages; for ID-ordered
+ * listings a page starting with a newer ID than the previous page ended on
+ * means the listing shifted in between.
+ * @param {Array} pages - Fetched pages in listing order ({pageNumber, rows, fetchedAt})
+ * @param {Object} options - Detection options
+ * @param {boolean} options.idOrdered - Whether the listing is sorted by item ID
+ * @returns {Object} Drift report
+ */
+function detectPageDrift(pages, options = {}) {
+  const { idOrdered = false } = options;
+  const seen = new Map();
+  const movedArticles = [];
+  const boundaryInversions = [];
+
+  pages.forEach((page) => {
+    page.rows.forEach((row) => {
+      if (!seen.has(row.id)) {
+        seen.set(row.id, { pageNumber: page.pageNumber, rank: row.rank });
+        return;
+      }
+      const first = seen.get(row.id);
+      if (first.pageNumber !== page.pageNumber) {
+        movedArticles.push({
+          id: row.id,
+          title: row.title,
+          firstPage: first.pageNumber,
+          firstRank: first.rank,
+          laterPage: page.pageNumber,
+          laterRank: row.rank,
+        });
+      }
+    });
+  });
+
+  if (idOrdered) {
+    for (let i = 1; i < pages.length; i++) {
+      const previous = pages[i - 1].rows[pages[i - 1].rows.length - 1];
+      const current = pages[i].rows[0];
+      if (
+        previous &&
+        current &&
+        parseInt(current.id, 10) > parseInt(previous.id, 10)
+      ) {
+        boundaryInversions.push({
+          pageNumber: pages[i].pageNumber,
+          previousLastId: previous.id,
+          firstId: current.id,
+        });
+      }
+    }
+  }
+
+  const fetchTimes = pages.map((page) => page.fetchedAt.getTime());
+  const fetchSpread =
+    fetchTimes.length > 0
+      ? Math.max(...fetchTimes) - Math.min(...fetchTimes)
+      : 0;
+
+  return {
+    hasDrift: movedArticles.length > 0 || boundaryInversions.length > 0,
+    movedArticles,
+    boundaryInversions,
+    fetchSpread,
+  };
+}
+
+module.exports = {
+  fetchPagesConcurrently,
+  detectPageDrift,
+};
@@ -0,0 +1,330 @@
+/**
+ * Crawl Policy Module
+ * Spaces out listing page requests, honours robots.txt (Crawl-delay and
+ * Disallow rules) and backs off when Hacker News rate-limits the scraper
+ */
+
+const config = require('../config');
+const logger = require('../logger');
+
+// HN serves this page (sometimes with a 200) when requests come too quickly
+const RATE_LIMIT_TEXT =
+  "Sorry, we're not able to serve your requests this quickly";
+const RATE_LIMIT_STATUSES = [429, 503];
+
+/**
+ * Parse the rules of a robots.txt that apply to a user agent. The most
+ * specific matching group wins; `*` applies when no other group matches.
+ * @param {string} text - robots.txt contents
+ * @param {string} userAgent - User agent the scraper sends
+ * @returns {{crawlDelay: number|null, allow: Array<string>, disallow: Array<string>}} Applicable rules (crawlDelay in seconds)
+ */
+function parseRobotsTxt(text, userAgent = config.USER_AGENT) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  text.split(/\r?\n/).forEach((rawLine) => {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) return;
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      // Consecutive User-agent lines share one group
+      if (!lastWasAgent) {
+        current = { agents: [], crawlDelay: null, allow: [], disallow: [] };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      return;
+    }
+
+    lastWasAgent = false;
+    if (!current) return;
+    if (field === 'disallow' && value) current.disallow.push(value);
+    if (field === 'allow' && value) current.allow.push(value);
+    if (field === 'crawl-delay') {
+      const delay = parseFloat(value);
+      if (!Number.isNaN(delay)) current.crawlDelay = delay;
+    }
+  });
+
+  const agent = userAgent.toLowerCase();
+  const score = (group) =>
+    Math.max(
+      ...group.agents.map((name) => {
+        if (name === '*') return 0;
+        return agent.includes(name) ? name.length : -1;
+      }),
+    );
+  const best = groups
+    .filter((group) => score(group) >= 0)
+    .sort((a, b) => score(b) - score(a))[0];
+
+  return best
+    ? {
+        crawlDelay: best.crawlDelay,
+        allow: best.allow,
+        disallow: best.disallow,
+      }
+    : { crawlDelay: null, allow: [], disallow: [] };
+}
+
+/**
+ * Whether a robots.txt rule matches a path (supports `*` and a trailing `$`)
+ * @param {string} rule - Allow/Disallow value
+ * @param {string} target - Path plus query string
+ * @returns {boolean} True if the rule matches
+ */
+function ruleMatches(rule, target) {
+  const anchored = rule.endsWith('$');
+  const pattern = (anchored ? rule.slice(0, -1) : rule)
+    .split('*')
+    .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${pattern}${anchored ? '$' : ''}`).test(target);
+}
+
+/**
+ * Whether robots.txt rules allow fetching a path. The longest matching rule
+ * wins and Allow wins ties, as in RFC 9309.
+ * @param {Object} rules - Rules from parseRobotsTxt
+ * @param {string} target - Path plus query string
+ * @returns {boolean} True if the path may be fetched
+ */
+function isPathAllowed(rules, target) {
+  const longest = (list) =>
+    Math.max(
+      -1,
+      ...list.filter((rule) => ruleMatches(rule, target)).map((r) => r.length),
+    );
+  return longest(rules.allow) >= longest(rules.disallow);
+}
+
+/**
+ * Crawl policy class. Every listing page load goes through load(), which
+ * waits for the next request slot, then checks the response for rate
+ * limiting and retries with an adaptive backoff.
+ */
+class CrawlPolicy {
+  /**
+   * @param {Object} options - Policy options
+   * @param {number} options.minDelay - Minimum milliseconds between page requests (default: config.CRAWL_DELAY)
+   * @param {boolean} options.respectRobots - Fetch and honour robots.txt (default: true)
+   * @param {number} options.maxBackoffs - Rate-limited retries per page before giving up (default: config.CRAWL_MAX_BACKOFFS)
+   * @param {number} options.timeout - Navigation timeout for retries in milliseconds (default: config.TIMEOUT)
+   * @param {string} options.userAgent - User agent the browser sends, which picks the robots.txt group (default: config.USER_AGENT)
+   * @param {Object} perfMonitor - PerformanceMonitor receiving delays and backoffs
+   */
+  constructor(options = {}, perfMonitor = null) {
+    this.options = {
+      minDelay: config.CRAWL_DELAY,
+      respectRobots: true,
+      maxBackoffs: config.CRAWL_MAX_BACKOFFS,
+      timeout: config.TIMEOUT,
+      userAgent: config.USER_AGENT,
+      ...options,
+    };
+    this.perfMonitor = perfMonitor;
+    this.robots = null;
+    this.delay = this.options.minDelay;
+    this.backoff = 0;
+    this.nextSlotAt = 0;
+    this.perfMonitor?.setCrawlPolicy(this.describe());
+  }
+
+  /**
+   * Fetch robots.txt and raise the request delay to its Crawl-delay
+   * @param {Object} request - Playwright APIRequestContext (e.g. page.context().request)
+   * @param {string} baseUrl - Site to read robots.txt from
+   * @returns {Promise<Object|null>} Applicable rules, or null when robots.txt is ignored or unavailable
+   */
+  async loadRobots(request, baseUrl) {
+    if (!this.options.respectRobots) return null;
+
+    const url = new URL('/robots.txt', baseUrl).toString();
+    try {
+      const response = await request.get(url, {
+        timeout: this.options.timeout,
+      });
+      if (!response.ok()) {
+        logger.debug(`No robots.txt at ${url} (${response.status()})`);
+        return null;
+      }
+
+      this.robots = parseRobotsTxt(
+        await response.text(),
+        this.options.userAgent,
+      );
+      if (this.robots.crawlDelay) {
+        this.delay = Math.max(this.delay, this.robots.crawlDelay * 1000);
+      }
+      logger.debug(
+        `robots.txt: Crawl-delay ${this.robots.crawlDelay ?? 'none'}, ${
+          this.robots.disallow.length
+        } disallow rules`,
+      );
+    } catch (error) {
+      logger.debug(`Failed to read ${url}:`, error.message);
+    }
+
+    this.perfMonitor?.setCrawlPolicy(this.describe());
+    return this.robots;
+  }
+
+  /**
+   * Policy settings in effect
+   * @returns {Object} minDelay, effective delay, Crawl-delay and disallow rules
+   */
+  describe() {
+    return {
+      minDelay: this.options.minDelay,
+      delay: this.delay,
+      respectRobots: this.options.respectRobots,
+      crawlDelay: this.robots?.crawlDelay ?? null,
+      disallow: this.robots?.disallow || [],
+    };
+  }
+
+  /**
+   * Throw when robots.txt disallows a URL
+   * @param {string} url - URL about to be requested
+   */
+  assertAllowed(url) {
+    if (!this.robots) return;
+    const { pathname, search } = new URL(url);
+    if (!isPathAllowed(this.robots, `${pathname}${search}`)) {
+      throw new Error(`robots.txt disallows ${pathname}${search}`);
+    }
+  }
+
+  /**
+   * Wait until the next request slot. Slots are reserved before waiting, so
+   * concurrent workers are spaced out too.
+   * @returns {Promise<number>} Milliseconds waited
+   */
+  async waitForSlot() {
+    const now = Date.now();
+    const slot = Math.max(now, this.nextSlotAt);
+    this.nextSlotAt = slot + this.delay + this.backoff;
+
+    const wait = slot - now;
+    if (wait > 0) {
+      await new Promise((resolve) => setTimeout(resolve, wait));
+      this.perfMonitor?.recordCrawlDelay(wait);
+    }
+    return wait;
+  }
+
+  /**
+   * Work out whether a loaded page is a rate-limit response
+   * @param {Object} page - Playwright page object
+   * @param {Object|null} response - Navigation response
+   * @returns {Promise<Object|null>} status, reason and Retry-After (seconds), or null when not rate-limited
+   */
+  async detectRateLimit(page, response) {
+    const status = response ? response.status() : null;
+    const retryAfter = response
+      ? parseInt(response.headers()['retry-after'], 10) || null
+      : null;
+
+    if (RATE_LIMIT_STATUSES.includes(status)) {
+      return { status, reason: `HTTP ${status}`, retryAfter };
+    }
+
+    // HN serves its rate-limit page with a 200, so read the response body:
+    // after a click the new document may not have replaced the old one yet
+    let text = response ? await response.text().catch(() => null) : null;
+    if (text === null) {
+      text = await page
+        .evaluate(() => (document.body ? document.body.innerText : ''))
+        .catch(() => '');
+    }
+    if (text.includes(RATE_LIMIT_TEXT)) {
+      return { status, reason: 'rate-limit page', retryAfter };
+    }
+
+    return null;
+  }
+
+  /**
+   * Load a listing page under the policy: wait for a slot, run the navigation,
+   * and on a rate-limit response back off and reload the URL
+   * @param {Object} page - Playwright page object
+   * @param {string} url - Absolute URL being loaded
+   * @param {Function} navigate - Performs the first load and resolves to its response
+   * @returns {Promise<Object|null>} Navigation response of the successful load
+   */
+  async load(page, url, navigate) {
+    this.assertAllowed(url);
+
+    for (let attempt = 0; ; attempt++) {
+      await this.waitForSlot();
+      const response =
+        attempt === 0
+          ? await navigate()
+          : await page.goto(url, {
+              waitUntil: 'domcontentloaded',
+              timeout: this.options.timeout,
+            });
+
+      const limited = await this.detectRateLimit(page, response);
+      if (!limited) {
+        // Ease off the backoff gradually once requests succeed again
+        this.backoff = Math.floor(this.backoff / 2);
+        return response;
+      }
+
+      if (attempt >= this.options.maxBackoffs) {
+        throw new Error(
+          `Rate limited at ${url} (${limited.reason}) after ${attempt} backoffs`,
+        );
+      }
+      await this.backOff(url, limited);
+    }
+  }
+
+  /**
+   * Double the backoff (or use Retry-After) and wait it out
+   * @param {string} url - URL that was rate-limited
+   * @param {Object} limited - Result of detectRateLimit
+   * @returns {Promise<number>} Milliseconds waited
+   */
+  async backOff(url, limited) {
+    this.backoff = Math.min(
+      config.CRAWL_MAX_BACKOFF,
+      Math.max(this.backoff * 2, this.delay, config.CRAWL_DELAY),
+    );
+    const wait = limited.retryAfter
+      ? Math.max(this.backoff, limited.retryAfter * 1000)
+      : this.backoff;
+
+    logger.warn(
+      `Rate limited at ${url} (${limited.reason}); backing off ${Math.round(
+        wait / 1000,
+      )}s`,
+    );
+    this.perfMonitor?.recordBackoff({
+      url,
+      reason: limited.reason,
+      status: limited.status,
+      wait,
+      at: new Date().toISOString(),
+    });
+
+    await new Promise((resolve) => setTimeout(resolve, wait));
+    this.nextSlotAt = Date.now();
+    return wait;
+  }
+}
+
+module.exports = {
+  CrawlPolicy,
+  parseRobotsTxt,
+  isPathAllowed,
+  RATE_LIMIT_TEXT,
+};
@@ -0,0 +1,350 @@
+/**
+ * Evidence Collector Module
+ * Captures screenshots and DOM snippets of rows involved in validation
+ * violations so they can be confirmed without rerunning the tool
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../logger');
+const { validateListingRules } = require('../utils/validation');
+
+const INDEX_FILE = 'evidence.json';
+const MAX_SCREENSHOTS = 50; // per run; snippets are still written for every violation
+
+/**
+ * Create a timestamped run directory under a root directory
+ * @param {string} rootDir - Root directory
+ * @returns {string} Created run directory
+ */
+function createRunDir(rootDir) {
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const dir = path.join(rootDir, `run-${stamp}`);
+  fs.mkdirSync(dir, { recursive: true });
+  return dir;
+}
+
+/**
+ * List the violations of a validation result by the article positions they
+ * involve. Only rules the listing enforces are included. Repeats the
+ * extractor skipped have no position of their own, so they also name the
+ * page and row ID the repeat appeared on (`pageRows`).
+ * @param {Object} results - chronological, idOrder, duplicates, rankContinuity and dateMembership results
+ * @param {Array<string>} rules - Rules enforced for the listing
+ * @returns {Array<Object>} Violations with type, key, positions, the source entry and optionally pageRows
+ */
+function listViolations(results, rules) {
+  const { chronological, idOrder, duplicates, rankContinuity, dateMembership } =
+    results;
+  const violations = [];
+
+  if (rules.includes('chronological')) {
+    (chronological?.violations || []).forEach((entry) => {
+      violations.push({
+        type: 'chronological',
+        positions: [entry.previous.position, entry.current.position],
+        entry,
+      });
+    });
+  }
+
+  if (rules.includes('idOrder')) {
+    (idOrder?.inversions || []).forEach((entry) => {
+      violations.push({
+        type: 'idOrder',
+        positions: [entry.previous.position, entry.current.position],
+        entry,
+      });
+    });
+  }
+
+  if (rules.includes('noDuplicates')) {
+    (duplicates?.duplicates?.byId || []).forEach((entry) => {
+      if (entry.skipped) {
+        violations.push({
+          type: 'duplicateId',
+          positions: [entry.firstPosition].filter(Boolean),
+          key: `duplicateId:${entry.id}-page${entry.pageNumber}`,
+          pageRows: { pageNumber: entry.pageNumber, ids: [entry.id] },
+          entry,
+        });
+      } else {
+        violations.push({
+          type: 'duplicateId',
+          positions: [entry.originalPosition, entry.position],
+          entry,
+        });
+      }
+    });
+    (duplicates?.duplicates?.byTitle || []).forEach((entry) => {
+      violations.push({
+        type: 'duplicateTitle',
+        positions: [entry.originalPosition, entry.position],
+        entry,
+      });
+    });
+  }
+
+  if (rules.includes('rankContinuity')) {
+    (rankContinuity?.gaps || []).forEach((entry) => {
+      violations.push({
+        type: 'rankGap',
+        positions: [entry.position - 1, entry.position].filter(Boolean),
+        entry,
+      });
+    });
+    (rankContinuity?.repeats || []).forEach((entry) => {
+      violations.push({
+        type: 'rankRepeat',
+        positions: [entry.firstPosition, entry.position],
+        entry,
+      });
+    });
+  }
+
+  if (rules.includes('dateMembership')) {
+    (dateMembership?.outsiders || []).forEach((entry) => {
+      violations.push({
+        type: 'dateMembership',
+        positions: [entry.position],
+        entry,
+      });
+    });
+  }
+
+  return violations.map((violation) => ({
+    ...violation,
+    key: violation.key || `${violation.type}:${violation.positions.join('-')}`,
+  }));
+}
+
+/**
+ * Evidence collector class. Snippets of every extracted row are kept in
+ * memory; screenshots are only taken of rows involved in a violation while
+ * their page is still loaded. Nothing is written unless a violation is found.
+ */
+class EvidenceCollector {
+  /**
+   * @param {string} rootDir - Directory new evidence runs are created under
+   * @param {Array<string>} rules - Rules enforced for the listing
+   */
+  constructor(rootDir, rules) {
+    this.rootDir = rootDir;
+    this.rules = rules;
+    this.dir = null;
+    this.snippets = new Map();
+    this.screenshots = new Map();
+  }
+
+  /**
+   * Create the run directory on first use
+   * @returns {string} Run directory
+   */
+  ensureDir() {
+    if (!this.dir) {
+      this.dir = createRunDir(this.rootDir);
+    }
+    return this.dir;
+  }
+
+  /**
+   * Keep the outer HTML (title row plus subtext row) of articles on the page
+   * @param {Object} page - Playwright page object
+   * @param {Array<string>} ids - Article IDs to capture (default: every row with an ID)
+   * @returns {Promise<void>}
+   */
+  async captureSnippets(page, ids = null) {
+    const snippets = await page.evaluate((wanted) => {
+      const rows = wanted
+        ? wanted.map((id) => document.getElementById(id)).filter(Boolean)
+        : Array.from(document.querySelectorAll('tr[id]'));
+      return rows.map((row) => ({
+        id: row.id,
+        html: `${row.outerHTML}\n${
+          row.nextElementSibling ? row.nextElementSibling.outerHTML : ''
+        }`,
+      }));
+    }, ids);
+
+    snippets.forEach(({ id, html }) => {
+      if (!this.snippets.has(id)) {
+        this.snippets.set(id, html);
+      }
+    });
+  }
+
+  /**
+   * Record a freshly extracted page: keep its snippets, then screenshot the
+   * rows of any new violation that involves an article on this page
+   * @param {Object} page - Playwright page object (still showing the page)
+   * @param {Array} articles - All articles extracted so far
+   * @param {number} pageNumber - Page that was just extracted
+   * @param {Object} options - Options for validateListingRules (skipped rows, day, severity)
+   * @returns {Promise<number>} Number of screenshots taken
+   */
+  async capturePage(page, articles, pageNumber, options = {}) {
+    const pageArticles = articles.filter((a) => a.pageNumber === pageNumber);
+    await this.captureSnippets(
+      page,
+      pageArticles.map((a) => a.id),
+    );
+
+    const violations = listViolations(
+      validateListingRules(articles, this.rules, options),
+      this.rules,
+    );
+
+    let taken = 0;
+    for (const violation of violations) {
+      if (this.screenshots.size >= MAX_SCREENSHOTS) break;
+      if (this.screenshots.has(violation.key)) continue;
+
+      // A skipped repeat is only on the page it was skipped from
+      const ids = violation.pageRows
+        ? violation.pageRows.pageNumber === pageNumber
+          ? violation.pageRows.ids
+          : []
+        : this.withNeighbours(articles, violation.positions)
+            .filter((a) => a.pageNumber === pageNumber)
+            .map((a) => a.id);
+      if (ids.length === 0) continue;
+
+      const file = await this.screenshotRows(page, ids, violation.key);
+      if (file) {
+        this.screenshots.set(violation.key, file);
+        taken++;
+      }
+    }
+
+    return taken;
+  }
+
+  /**
+   * Articles at the given positions plus the rows directly above and below
+   * @param {Array} articles - All articles
+   * @param {Array<number>} positions - 1-based positions involved
+   * @returns {Array} Articles in listing order
+   */
+  withNeighbours(articles, positions) {
+    const indexes = new Set();
+    positions.forEach((position) => {
+      [position - 2, position - 1, position].forEach((index) => {
+        if (index >= 0 && index < articles.length) indexes.add(index);
+      });
+    });
+    return [...indexes].sort((a, b) => a - b).map((index) => articles[index]);
+  }
+
+  /**
+   * Screenshot the region spanning the given rows and their subtext rows
+   * @param {Object} page - Playwright page object
+   * @param {Array<string>} ids - Article IDs to include
+   * @param {string} key - Violation key (used for the file name)
+   * @returns {Promise<string|null>} Screenshot file name, or null if the rows are not on the page
+   */
+  async screenshotRows(page, ids, key) {
+    try {
+      const clip = await page.evaluate((rowIds) => {
+        const rects = [];
+        rowIds.forEach((id) => {
+          const row = document.getElementById(id);
+          if (!row) return;
+          rects.push(row.getBoundingClientRect());
+          if (row.nextElementSibling) {
+            rects.push(row.nextElementSibling.getBoundingClientRect());
+          }
+        });
+        if (rects.length === 0) return null;
+
+        const top = Math.min(...rects.map((r) => r.top));
+        const bottom = Math.max(...rects.map((r) => r.bottom));
+        const left = Math.min(...rects.map((r) => r.left));
+        const right = Math.max(...rects.map((r) => r.right));
+        return {
+          x: left + window.scrollX,
+          y: top + window.scrollY,
+          width: Math.max(1, right - left),
+          height: Math.max(1, bottom - top),
+        };
+      }, ids);
+      if (!clip) return null;
+
+      const file = `${key.replace(/[^a-zA-Z0-9-]/g, '_')}.png`;
+      await page.screenshot({
+        path: path.join(this.ensureDir(), file),
+        clip,
+        fullPage: true,
+      });
+      logger.debug(`Captured evidence screenshot ${file}`);
+      return file;
+    } catch (error) {
+      logger.debug(`Evidence screenshot failed for ${key}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Write a DOM snippet and index entry for every violation in the final
+   * report, and link them from the report entries as `evidence`
+   * @param {Object} validationReport - Final validation report
+   * @param {Array} articles - Validated articles
+   * @returns {Object|null} Evidence summary (dir and items), or null when there were no violations
+   */
+  finalize(validationReport, articles) {
+    const violations = listViolations(
+      validationReport,
+      validationReport.listing?.rules || this.rules,
+    );
+    if (violations.length === 0) return null;
+
+    const dir = this.ensureDir();
+    const items = violations.map((violation) => {
+      const rows = this.withNeighbours(articles, violation.positions);
+      const snippet = `${violation.key.replace(/[^a-zA-Z0-9-]/g, '_')}.html`;
+      fs.writeFileSync(
+        path.join(dir, snippet),
+        `<!-- ${violation.type}: positions ${violation.positions.join(
+          ', ',
+        )} -->\n<table>\n${rows
+          .map(
+            (article) =>
+              `<!-- #${article.position} ${article.id} (page ${
+                article.pageNumber
+              }) -->\n${
+                this.snippets.get(article.id) || '<!-- not captured -->'
+              }`,
+          )
+          .join('\n')}\n</table>\n`,
+        'utf-8',
+      );
+
+      const evidence = {
+        snippet,
+        screenshot: this.screenshots.get(violation.key) || null,
+        ids: rows.map((article) => article.id),
+      };
+      violation.entry.evidence = evidence;
+
+      return {
+        type: violation.type,
+        positions: violation.positions,
+        ...evidence,
+      };
+    });
+
+    fs.writeFileSync(
+      path.join(dir, INDEX_FILE),
+      JSON.stringify({ generatedAt: new Date().toISOString(), items }, null, 2),
+      'utf-8',
+    );
+    logger.debug(`Wrote ${items.length} evidence entries to ${dir}`);
+
+    return { dir, items };
+  }
+}
+
+module.exports = {
+  EvidenceCollector,
+  createRunDir,
+  listViolations,
+};
@@ -0,0 +1,47 @@
+/**
+ * Incremental Validator Module
+ * Re-checks the articles extracted so far after each page and reports only
+ * the violations that were not seen before
+ */
+
+const { validateListingRules } = require('../utils/validation');
+const { listViolations } = require('./evidenceCollector');
+
+/**
+ * Incremental validator class. Articles are only ever appended, so a
+ * violation's key (type and positions) stays stable across updates.
+ */
+class IncrementalValidator {
+  /**
+   * @param {Array<string>} rules - Rules enforced for the listing
+   */
+  constructor(rules) {
+    this.rules = rules;
+    this.seen = new Set();
+    this.violations = [];
+  }
+
+  /**
+   * Validate every article extracted so far against the listing's rules
+   * @param {Array} articles - All articles extracted so far
+   * @param {Object} options - Options for validateListingRules (skipped rows, day, severity), as the final report uses them
+   * @returns {Array<Object>} Violations not reported by an earlier update (type, key, positions, entry)
+   */
+  update(articles, options = {}) {
+    const violations = listViolations(
+      validateListingRules(articles, this.rules, options),
+      this.rules,
+    );
+
+    const fresh = violations.filter(
+      (violation) => !this.seen.has(violation.key),
+    );
+    fresh.forEach((violation) => this.seen.add(violation.key));
+    this.violations.push(...fresh);
+    return fresh;
+  }
+}
+
+module.exports = {
+  IncrementalValidator,
+};
@@ -0,0 +1,119 @@
+/**
+ * Network Recorder Module
+ * Records every request a run makes (URL, type, status, size and timing)
+ * from Playwright context events and feeds them to the performance monitor
+ */
+
+const logger = require('../logger');
+
+/**
+ * Network recorder class. Attach it to each browser context; requests are
+ * tagged with the listing page the issuing browser page was loading.
+ */
+class NetworkRecorder {
+  /**
+   * @param {Object} perfMonitor - PerformanceMonitor receiving each request
+   */
+  constructor(perfMonitor) {
+    this.perfMonitor = perfMonitor;
+    this.pageNumbers = new WeakMap();
+    this.defaultPageNumber = 1;
+    this.pending = new Set();
+  }
+
+  /**
+   * Start recording requests made in a browser context
+   * @param {Object} context - Playwright browser context
+   */
+  attach(context) {
+    context.on('requestfinished', (request) => this.track(request, false));
+    context.on('requestfailed', (request) => this.track(request, true));
+  }
+
+  /**
+   * Tag subsequent requests from a browser page with a listing page number
+   * @param {number} pageNumber - Listing page being loaded
+   * @param {Object} page - Playwright page (default: every untagged page)
+   */
+  setPageNumber(pageNumber, page = null) {
+    if (page) {
+      this.pageNumbers.set(page, pageNumber);
+    } else {
+      this.defaultPageNumber = pageNumber;
+    }
+  }
+
+  /**
+   * Listing page number for a request's browser page
+   * @param {Object} request - Playwright request
+   * @returns {number} Listing page number
+   */
+  resolvePageNumber(request) {
+    try {
+      const page = request.frame().page();
+      if (this.pageNumbers.has(page)) return this.pageNumbers.get(page);
+    } catch (error) {
+      // Service worker requests have no frame
+    }
+    return this.defaultPageNumber;
+  }
+
+  /**
+   * Record a finished or failed request. Sizes are read asynchronously, so
+   * the pending read is kept until flush().
+   * @param {Object} request - Playwright request
+   * @param {boolean} failed - Whether the request failed
+   */
+  track(request, failed) {
+    const pageNumber = this.resolvePageNumber(request);
+    const read = this.describe(request, failed, pageNumber)
+      .then((entry) => this.perfMonitor.recordNetworkRequest(entry))
+      .catch((error) =>
+        logger.debug(
+          `Failed to record request ${request.url()}:`,
+          error.message,
+        ),
+      )
+      .finally(() => this.pending.delete(read));
+    this.pending.add(read);
+  }
+
+  /**
+   * Build the inventory entry for a request
+   * @param {Object} request - Playwright request
+   * @param {boolean} failed - Whether the request failed
+   * @param {number} pageNumber - Listing page the request belongs to
+   * @returns {Promise<Object>} url, method, resourceType, status, size, duration, failed, failure, pageNumber, startedAt
+   */
+  async describe(request, failed, pageNumber) {
+    const timing = request.timing();
+    const response = failed ? null : await request.response();
+    const sizes = failed ? null : await request.sizes();
+
+    return {
+      url: request.url(),
+      method: request.method(),
+      resourceType: request.resourceType(),
+      status: response ? response.status() : null,
+      size: sizes ? sizes.responseBodySize + sizes.responseHeadersSize : 0,
+      duration: timing.responseEnd >= 0 ? Math.round(timing.responseEnd) : null,
+      failed: failed || (response ? response.status() >= 400 : false),
+      failure: failed ? request.failure()?.errorText || 'failed' : null,
+      pageNumber,
+      startedAt:
+        timing.startTime > 0 ? new Date(timing.startTime).toISOString() : null,
+    };
+  }
+
+  /**
+   * Wait for every pending request to be recorded
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    await Promise.all([...this.pending]);
+  }
+}
+
+module.exports = {
+  NetworkRecorder,
+};
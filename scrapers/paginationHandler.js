@@ -6,20 +6,31 @@
 const config = require('../config');
 const logger = require('../logger');
 const { retry } = require('../utils/retry');
+const { anySelector } = require('../utils/selectors');
+
+/**
+ * Ways to reach the next page: click the More link and poll for new rows,
+ * or navigate directly to the More link's next/n URL
+ */
+const PAGINATION_STRATEGIES = ['click', 'url'];
 
 /**
  * Click the "More" button and wait for new articles to load
  * @param {Object} page - Playwright page object
  * @param {Array} existingArticles - Currently extracted articles
  * @param {number} pageNumber - Current page number
+ * @param {number} timeout - Navigation timeout in milliseconds
  * @param {boolean} debug - Debug mode flag
+ * @param {Object} policy - CrawlPolicy the click goes through (default: none)
  * @returns {Promise<boolean>} True if new articles were loaded successfully
  */
 async function clickMoreAndWaitForArticles(
   page,
   existingArticles,
   pageNumber,
+  timeout = config.TIMEOUT,
   debug = false,
+  policy = null,
 ) {
   try {
     // Find the More link fresh each time to avoid stale element references
@@ -32,8 +43,32 @@ async function clickMoreAndWaitForArticles(
       logger.info(`Before click: Current articles=${existingArticles.length}`);
     }
 
-    // Click the More link
-    await moreLink.click();
+    // Click the More link, capturing the navigation response so the crawl
+    // policy can spot rate limiting, and wait for the new document so it is
+    // not checked against the page being left
+    const href = await moreLink.evaluate((a) => a.href);
+    const click = async () => {
+      try {
+        const [response] = await Promise.all([
+          page.waitForResponse(
+            (r) =>
+              r.request().isNavigationRequest() &&
+              r.request().frame() === page.mainFrame(),
+            { timeout },
+          ),
+          page.waitForURL(href, { waitUntil: 'domcontentloaded', timeout }),
+          moreLink.click(),
+        ]);
+        return response;
+      } catch (error) {
+        throw new Error(`Clicking More did not load ${href}: ${error.message}`);
+      }
+    };
+    if (policy) {
+      await policy.load(page, href, click);
+    } else {
+      await click();
+    }
 
     // Wait for navigation to complete and new articles to load
     const newArticlesFound = await waitForNewArticles(
@@ -58,7 +93,112 @@ async function clickMoreAndWaitForArticles(
 }
 
 /**
- * Wait for new articles to load after clicking "More"
+ * Read the More link's target URL and its next/n cursor
+ * @param {Object} page - Playwright page object
+ * @returns {Promise<Object|null>} url, next and n, or null when there is no More link
+ */
+async function getMoreLinkTarget(page) {
+  const moreLink = await page.$(config.SELECTORS.MORE_LINK);
+  if (!moreLink) {
+    return null;
+  }
+
+  const url = await moreLink.evaluate((a) => a.href);
+  const { searchParams } = new URL(url);
+  return {
+    url,
+    next: searchParams.get('next'),
+    n: searchParams.get('n'),
+  };
+}
+
+/**
+ * Navigate straight to the More link's URL instead of clicking it
+ * @param {Object} page - Playwright page object
+ * @param {Array} existingArticles - Currently extracted articles
+ * @param {number} pageNumber - Number of the page being loaded
+ * @param {number} timeout - Navigation timeout in milliseconds
+ * @param {boolean} debug - Debug mode flag
+ * @param {Object} policy - CrawlPolicy the navigation goes through (default: none)
+ * @returns {Promise<boolean>} True if new articles were loaded successfully
+ */
+async function navigateToMoreUrl(
+  page,
+  existingArticles,
+  pageNumber,
+  timeout = config.TIMEOUT,
+  debug = false,
+  policy = null,
+) {
+  try {
+    const target = await getMoreLinkTarget(page);
+    if (!target) {
+      throw new Error('More link not found');
+    }
+
+    if (debug) {
+      logger.info(
+        `Navigating to ${target.url} (next=${target.next}, n=${target.n})`,
+      );
+    }
+
+    const navigate = () =>
+      page.goto(target.url, { waitUntil: 'domcontentloaded', timeout });
+    const response = policy
+      ? await policy.load(page, target.url, navigate)
+      : await navigate();
+    if (response && !response.ok()) {
+      throw new Error(`Page ${pageNumber} returned ${response.status()}`);
+    }
+
+    await page.waitForSelector(anySelector('row'), { timeout });
+
+    // Leading rows may repeat the previous page when the listing shifted
+    // (the extractor records them as drift); some row must be new, otherwise
+    // the cursor did not advance
+    if (!(await findFirstNewRowId(page, existingArticles))) {
+      throw new Error(`No new articles found at ${target.url}`);
+    }
+
+    if (debug) {
+      logger.info(`Successfully loaded page ${pageNumber}`);
+    }
+
+    return true;
+  } catch (error) {
+    logger.error(`Failed to load more articles: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Find the first row ID whose article has not been extracted yet
+ * @param {Array<string>} ids - Row IDs in page order
+ * @param {Array} existingArticles - Currently extracted articles
+ * @returns {string|null} First new ID, or null when every row repeats
+ */
+function findFirstNewId(ids, existingArticles) {
+  const seen = new Set(existingArticles.map((article) => article.id));
+  return ids.find((id) => !seen.has(id)) || null;
+}
+
+/**
+ * Find the first row on the page whose article has not been extracted yet
+ * @param {Object} page - Playwright page object
+ * @param {Array} existingArticles - Currently extracted articles
+ * @returns {Promise<string|null>} ID of the first new row, or null when every row repeats
+ */
+async function findFirstNewRowId(page, existingArticles) {
+  const ids = await page.$$eval(anySelector('row'), (rows) =>
+    rows.map((row) => row.id),
+  );
+  return findFirstNewId(ids, existingArticles);
+}
+
+/**
+ * Wait for new articles to load after clicking "More". The page counts as
+ * loaded once any row is new: rows at the top that repeat the previous page
+ * are listing drift, not a page that failed to load.
  * @param {Object} page - Playwright page object
  * @param {Array} existingArticles - Currently extracted articles
  * @param {boolean} debug - Debug mode flag
@@ -75,24 +215,16 @@ async function waitForNewArticles(page, existingArticles, debug = false) {
 
     try {
       // Wait for article rows to be present
-      await page.waitForSelector(config.SELECTORS.ARTICLE_ROW, {
+      await page.waitForSelector(anySelector('row'), {
         timeout: 2000,
       });
 
-      // Get all article rows
-      const newRows = await page.$$(config.SELECTORS.ARTICLE_ROW);
-
-      // Check if we have new articles by looking at the first article's ID
-      if (newRows.length > 0) {
-        const firstNewRow = newRows[0];
-        const firstNewId = await firstNewRow.getAttribute('id');
-
-        // If this is a new article we haven't seen, we're good
-        if (!existingArticles.some((article) => article.id === firstNewId)) {
-          newArticlesFound = true;
-          if (debug) {
-            logger.info(`Found new articles starting with ID: ${firstNewId}`);
-          }
+      // Check if we have new articles by looking for a row we haven't seen
+      const firstNewId = await findFirstNewRowId(page, existingArticles);
+      if (firstNewId) {
+        newArticlesFound = true;
+        if (debug) {
+          logger.info(`Found new articles starting with ID: ${firstNewId}`);
         }
       }
 
@@ -158,14 +290,18 @@ async function getPageInfo(page) {
 async function waitForPageLoad(page, timeout = 5000) {
   try {
     await page.waitForLoadState('networkidle', { timeout });
-    await page.waitForSelector(config.SELECTORS.ARTICLE_ROW, { timeout });
+    await page.waitForSelector(anySelector('row'), { timeout });
   } catch (error) {
     logger.warn('Page load timeout, continuing anyway:', error.message);
   }
 }
 
 module.exports = {
+  PAGINATION_STRATEGIES,
   clickMoreAndWaitForArticles,
+  getMoreLinkTarget,
+  navigateToMoreUrl,
+  findFirstNewId,
   waitForNewArticles,
   hasMoreArticles,
   getPageInfo,
@@ -0,0 +1,162 @@
+/**
+ * Run Archive Module
+ * Records the raw pages a run scraped and replays them without live navigation
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../logger');
+
+const MANIFEST_FILE = 'manifest.json';
+const ARCHIVE_VERSION = 1;
+
+/**
+ * Run archive class for recording and replaying scraped pages
+ */
+class RunArchive {
+  /**
+   * @param {string} dir - Directory holding this run's manifest and pages
+   * @param {Object} manifest - Existing manifest (when loading)
+   */
+  constructor(dir, manifest = null) {
+    this.dir = dir;
+    this.manifest = manifest || {
+      version: ARCHIVE_VERSION,
+      createdAt: new Date().toISOString(),
+      pages: [],
+    };
+    this.lastDocumentResponse = null;
+  }
+
+  /**
+   * Create a new run directory under the given archive root
+   * @param {string} rootDir - Archive root directory
+   * @param {Object} metadata - Run metadata stored in the manifest
+   * @returns {RunArchive} Archive ready for recording
+   */
+  static create(rootDir, metadata = {}) {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const dir = path.join(rootDir, `run-${stamp}`);
+    fs.mkdirSync(dir, { recursive: true });
+
+    const archive = new RunArchive(dir);
+    Object.assign(archive.manifest, metadata);
+    archive.writeManifest();
+    return archive;
+  }
+
+  /**
+   * Load a recorded run for replay
+   * @param {string} dir - Run directory containing manifest.json
+   * @returns {RunArchive} Archive ready for replay
+   */
+  static load(dir) {
+    const manifestPath = path.join(dir, MANIFEST_FILE);
+    if (!fs.existsSync(manifestPath)) {
+      throw new Error(`No ${MANIFEST_FILE} found in archive ${dir}`);
+    }
+
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+    if (!Array.isArray(manifest.pages) || manifest.pages.length === 0) {
+      throw new Error(`Archive ${dir} contains no pages`);
+    }
+
+    return new RunArchive(dir, manifest);
+  }
+
+  /**
+   * Track main-frame document responses so their headers can be archived
+   * @param {Object} page - Playwright page object
+   */
+  attach(page) {
+    page.on('response', (response) => {
+      if (
+        response.request().isNavigationRequest() &&
+        response.frame() === page.mainFrame()
+      ) {
+        this.lastDocumentResponse = response;
+      }
+    });
+  }
+
+  /**
+   * Save the currently loaded page into the archive
+   * @param {Object} page - Playwright page object
+   * @param {number} pageNumber - Page number in the run
+   * @returns {Promise<Object>} Manifest entry for the page
+   */
+  async capturePage(page, pageNumber) {
+    const file = `page-${String(pageNumber).padStart(3, '0')}.html`;
+    const html = await page.content();
+    fs.writeFileSync(path.join(this.dir, file), html, 'utf-8');
+
+    const response = this.lastDocumentResponse;
+    const entry = {
+      pageNumber,
+      url: page.url(),
+      file,
+      status: response ? response.status() : null,
+      headers: response ? await response.allHeaders() : {},
+      capturedAt: new Date().toISOString(),
+    };
+
+    this.manifest.pages.push(entry);
+    this.writeManifest();
+    logger.debug(`Archived page ${pageNumber} to ${file}`);
+
+    return entry;
+  }
+
+  /**
+   * Record extra metadata and persist the manifest
+   * @param {Object} metadata - Fields to merge into the manifest
+   */
+  finalize(metadata = {}) {
+    Object.assign(this.manifest, metadata, {
+      completedAt: new Date().toISOString(),
+    });
+    this.writeManifest();
+  }
+
+  /**
+   * Write the manifest to disk
+   */
+  writeManifest() {
+    fs.writeFileSync(
+      path.join(this.dir, MANIFEST_FILE),
+      JSON.stringify(this.manifest, null, 2),
+      'utf-8',
+    );
+  }
+
+  /**
+   * Number of pages in the archive
+   * @returns {number} Page count
+   */
+  getPageCount() {
+    return this.manifest.pages.length;
+  }
+
+  /**
+   * Load an archived page into a browser page without any network access
+   * @param {Object} page - Playwright page object
+   * @param {number} index - 0-based index of the archived page
+   * @returns {Promise<Object>} Manifest entry for the replayed page
+   */
+  async replayPage(page, index) {
+    const entry = this.manifest.pages[index];
+    if (!entry) {
+      throw new Error(`Archive has no page ${index + 1}`);
+    }
+
+    const html = fs.readFileSync(path.join(this.dir, entry.file), 'utf-8');
+    await page.setContent(html, { waitUntil: 'domcontentloaded' });
+    logger.debug(`Replayed archived page ${entry.pageNumber} (${entry.url})`);
+
+    return entry;
+  }
+}
+
+module.exports = {
+  RunArchive,
+};
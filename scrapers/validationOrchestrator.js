@@ -9,11 +9,50 @@ const config = require('../config');
 const logger = require('../logger');
 const { retry } = require('../utils/retry');
 const { exportJSON, exportCSV } = require('../utils/export');
-const { generateValidationReport } = require('../utils/validation');
+const {
+  generateValidationReport,
+  resolveSeverityOptions,
+} = require('../utils/validation');
+const { loadCustomRules } = require('../utils/customRules');
+const {
+  SCHEMA_VERSION,
+  validateResult,
+  buildExportSchema,
+} = require('../utils/schema');
 const { createMonitor, getSystemInfo } = require('../utils/performance');
+const { resolveBaseUrl, buildHackerNewsUrl } = require('../utils/url');
+const {
+  resolveDeviceProfile,
+  describeDeviceProfile,
+} = require('../utils/devices');
+const {
+  getListingProfile,
+  getListingPagePath,
+  getDefaultListingDay,
+} = require('../utils/listings');
 const { BrowserManager } = require('./browserManager');
-const { extractArticlesFromPage } = require('./articleExtractor');
-const { clickMoreAndWaitForArticles } = require('./paginationHandler');
+const { RunArchive } = require('./runArchive');
+const { EvidenceCollector, createRunDir } = require('./evidenceCollector');
+const { NetworkRecorder } = require('./networkRecorder');
+const { Checkpoint } = require('./checkpoint');
+const { CrawlPolicy } = require('./crawlPolicy');
+const { IncrementalValidator } = require('./incrementalValidator');
+const {
+  buildArticle,
+  readArticleRows,
+  extractArticlesFromPage,
+  extractArticlesFromPageBatch,
+  describeSkippedRow,
+} = require('./articleExtractor');
+const {
+  fetchPagesConcurrently,
+  detectPageDrift,
+} = require('./concurrentScraper');
+const {
+  clickMoreAndWaitForArticles,
+  getMoreLinkTarget,
+  navigateToMoreUrl,
+} = require('./paginationHandler');
 
 /**
  * Main validation orchestrator class
@@ -25,18 +64,162 @@ class ValidationOrchestrator {
       exportJson: false,
       exportCsv: false,
       debug: false,
+      quiet: false,
       headless: true,
       timeout: config.TIMEOUT,
       retryAttempts: config.RETRY_ATTEMPTS,
       retryDelay: config.RETRY_DELAY,
+      listing: 'newest',
+      pagination: 'click',
+      extraction: 'batch',
+      concurrency: 1,
+      browser: 'chromium',
+      device: 'desktop',
+      evidence: false,
+      evidenceDir: config.EVIDENCE_PATH,
+      trace: 'off',
+      video: false,
+      har: false,
+      checkpoint: false,
+      resume: null,
+      similarityThreshold: config.SIMILAR_TITLE_THRESHOLD,
+      customRules: null,
+      failSeverity: config.FAIL_SEVERITY,
+      severityThresholds: null,
+      crawlDelay: config.CRAWL_DELAY,
+      respectRobots: true,
       ...options,
     };
 
+    // Resuming continues the checkpointed listing after its last good page
+    this.resumeCheckpoint = this.options.resume
+      ? Checkpoint.load(this.options.resume)
+      : null;
+    if (this.resumeCheckpoint) {
+      const { run = {}, complete, nextPagePath } = this.resumeCheckpoint.state;
+      if (complete) {
+        throw new Error(
+          `Checkpoint ${this.options.resume} is already complete`,
+        );
+      }
+      if (!nextPagePath) {
+        throw new Error(
+          `Checkpoint ${this.options.resume} has no next page to resume from`,
+        );
+      }
+      // Concurrent and replayed runs start over from page one and would
+      // discard the checkpointed articles
+      if (this.options.concurrency > 1 || this.options.replay) {
+        throw new Error(
+          `Checkpoint ${this.options.resume} continues a single-browser live run and cannot be resumed with concurrency or replay`,
+        );
+      }
+      // The resumed run keeps checkpointing into the same file
+      this.options.checkpoint = true;
+      this.options.listing = run.listing || this.options.listing;
+      this.options.day = run.day || this.options.day;
+      // The site, target count and pagination strategy carry over unless the
+      // caller passed their own, so a resumed run keeps reading the same data
+      ['baseUrl', 'articleCount', 'pagination'].forEach((key) => {
+        if (options[key] === undefined && run[key] !== undefined) {
+          this.options[key] = run[key];
+        }
+      });
+    }
+    this.options.baseUrl = resolveBaseUrl(this.options.baseUrl);
+
+    this.listingProfile = getListingProfile(this.options.listing);
+    // Parallel contexts fetch pages by number; cursor listings have none
+    if (
+      this.options.concurrency > 1 &&
+      !this.options.replay &&
+      this.listingProfile.paging === 'cursor'
+    ) {
+      throw new Error(
+        `The ${this.listingProfile.label} listing pages through the More link's cursor, so its pages cannot be fetched concurrently; use concurrency 1 or a ranked listing`,
+      );
+    }
+    this.customRules = this.options.customRules
+      ? loadCustomRules(this.options.customRules)
+      : [];
+    // Fail before browsing rather than when the first page is validated
+    resolveSeverityOptions(this.options);
+    this.deviceProfile = resolveDeviceProfile(this.options.device);
+    if (this.listingProfile.name === 'past' && !this.options.day) {
+      this.options.day = getDefaultListingDay();
+    }
+
     this.browserManager = new BrowserManager();
     this.perfMonitor = createMonitor();
+    this.network = new NetworkRecorder(this.perfMonitor);
     this.systemInfo = getSystemInfo();
-    this.articles = [];
-    this.pageNumber = 1;
+    this.articles = this.resumeCheckpoint
+      ? this.resumeCheckpoint.getArticles()
+      : [];
+    this.pageNumber = this.resumeCheckpoint
+      ? this.resumeCheckpoint.state.pageNumber + 1
+      : 1;
+    // Rows skipped because their article was already extracted on an earlier
+    // page; validation tells listing drift apart from real repeats
+    this.skippedRows = this.resumeCheckpoint
+      ? this.resumeCheckpoint.state.skippedRows || []
+      : [];
+    this.checkpoint = this.resumeCheckpoint;
+    this.network.setPageNumber(this.pageNumber);
+
+    // Replay a recorded run, or record this one when an archive root is given
+    this.replayArchive = this.options.replay
+      ? RunArchive.load(this.options.replay)
+      : null;
+    this.recordArchive = null;
+    this.pageReferenceTime = null;
+
+    // Replays never touch the network, so they are not throttled
+    this.crawlPolicy = this.replayArchive
+      ? null
+      : new CrawlPolicy(
+          {
+            minDelay: this.options.crawlDelay,
+            respectRobots: this.options.respectRobots,
+            timeout: this.options.timeout,
+            // robots.txt groups are matched against the UA actually sent
+            userAgent:
+              this.deviceProfile.contextOptions.userAgent || config.USER_AGENT,
+          },
+          this.perfMonitor,
+        );
+    this.pageDrift = null;
+
+    // Screenshots and DOM snippets of rows involved in violations
+    this.evidence = this.options.evidence
+      ? new EvidenceCollector(
+          this.options.evidenceDir,
+          this.listingProfile.rules,
+        )
+      : null;
+    this.runOutputDir = null;
+  }
+
+  /**
+   * Directory this run's evidence, trace and video are saved into, created
+   * on first use
+   * @returns {string} Run output directory
+   */
+  getRunOutputDir() {
+    if (!this.runOutputDir) {
+      this.runOutputDir = this.evidence
+        ? this.evidence.ensureDir()
+        : createRunDir(this.options.evidenceDir);
+    }
+    return this.runOutputDir;
+  }
+
+  /**
+   * Whether pages are fetched in parallel browser contexts
+   * @returns {boolean} True when concurrency is above 1 and not replaying
+   */
+  isConcurrent() {
+    return this.options.concurrency > 1 && !this.replayArchive;
   }
 
   /**
@@ -53,6 +236,53 @@ class ValidationOrchestrator {
 ${logger.colors.info('Target Articles:')} ${logger.chalk.white.bold(
         this.options.articleCount,
       )}
+${logger.colors.info('Target:')} ${logger.chalk.white.bold(
+        this.replayArchive
+          ? `Replay of ${this.options.replay}`
+          : this.getListingUrl(),
+      )}
+${logger.colors.info('Listing:')} ${logger.chalk.white.bold(
+        `${this.listingProfile.label} (${this.listingProfile.rules.join(
+          ', ',
+        )})`,
+      )}
+${logger.colors.info('Fail Severity:')} ${logger.chalk.white.bold(
+        `${this.options.failSeverity} and above`,
+      )}
+${logger.colors.info('Custom Rules:')} ${logger.chalk.white.bold(
+        this.customRules.length > 0
+          ? this.customRules.map((rule) => rule.name).join(', ')
+          : 'None',
+      )}
+${logger.colors.info('Pagination:')} ${logger.chalk.white.bold(
+        this.getPaginationStrategy(),
+      )}
+${logger.colors.info('Extraction:')} ${logger.chalk.white.bold(
+        this.options.extraction,
+      )}
+${logger.colors.info('Archive:')} ${logger.chalk.white.bold(
+        this.options.archive && !this.replayArchive
+          ? this.options.archive
+          : 'No',
+      )}
+${logger.colors.info('Browser:')} ${logger.chalk.white.bold(
+        this.options.browser,
+      )}
+${logger.colors.info('Device:')} ${logger.chalk.white.bold(
+        this.deviceProfile.label,
+      )}
+${logger.colors.info('Crawl Delay:')} ${logger.chalk.white.bold(
+        this.crawlPolicy
+          ? `${this.options.crawlDelay}ms${
+              this.options.respectRobots ? ' (or robots.txt Crawl-delay)' : ''
+            }`
+          : 'None (replay)',
+      )}
+${logger.colors.info('Trace / Video / HAR:')} ${logger.chalk.white.bold(
+        `${this.options.trace} / ${this.options.video ? 'Yes' : 'No'} / ${
+          this.options.har ? 'Yes' : 'No'
+        }`,
+      )}
 ${logger.colors.info('Headless Mode:')} ${logger.chalk.white.bold(
         this.options.headless ? 'Yes' : 'No',
       )}
@@ -76,12 +306,53 @@ ${logger.colors.info('System:')} ${logger.chalk.white.bold(
     );
   }
 
+  /**
+   * Get the URL the run starts from: the listing, or the page after the last
+   * checkpointed one when resuming
+   * @returns {string} Absolute URL
+   */
+  getStartUrl() {
+    return this.resumeCheckpoint
+      ? buildHackerNewsUrl(
+          this.options.baseUrl,
+          this.resumeCheckpoint.state.nextPagePath,
+        )
+      : this.getListingUrl();
+  }
+
+  /**
+   * Get the URL of the listing being validated
+   * @returns {string} Absolute listing URL
+   */
+  getListingUrl() {
+    return buildHackerNewsUrl(
+      this.options.baseUrl,
+      this.listingProfile.path({ day: this.options.day }),
+    );
+  }
+
+  /**
+   * Describe how pages after the first are reached
+   * @returns {string} Pagination strategy name
+   */
+  getPaginationStrategy() {
+    if (this.replayArchive) return 'archive';
+    if (this.isConcurrent()) {
+      return `concurrent (${this.options.concurrency} contexts)`;
+    }
+    return this.options.pagination;
+  }
+
   /**
    * Initialize browser and navigate to Hacker News
    * @returns {Promise<number>} Load time in milliseconds
    */
   async initializeBrowser() {
-    this.perfMonitor.start().startPhase('browser_launch');
+    this.perfMonitor
+      .start()
+      .setPaginationStrategy(this.getPaginationStrategy())
+      .setExtractionMode(this.options.extraction)
+      .startPhase('browser_launch');
 
     const spinner = ora({
       text: 'Launching browser...',
@@ -91,17 +362,64 @@ ${logger.colors.info('System:')} ${logger.chalk.white.bold(
 
     try {
       await this.browserManager.launch({
+        browserName: this.options.browser,
+        device: this.deviceProfile,
         headless: this.options.headless,
         timeout: this.options.timeout,
+        blockNetwork: Boolean(this.replayArchive),
+        trace: this.options.trace,
+        video: this.options.video,
+        har: this.options.har,
+        outputDir:
+          this.options.trace !== 'off' || this.options.video || this.options.har
+            ? this.getRunOutputDir()
+            : null,
+        onContext: (context) => this.network.attach(context),
       });
 
       this.perfMonitor.endPhase().startPhase('navigation');
+
+      if (this.replayArchive) {
+        spinner.text = 'Loading archived page...';
+        const loadTime = await this.replayArchivedPage(0);
+        spinner.succeed(
+          `${
+            logger.icons.network
+          } Loaded archived run (${this.replayArchive.getPageCount()} pages)`,
+        );
+        return loadTime;
+      }
+
+      if (this.options.archive) {
+        this.recordArchive = RunArchive.create(this.options.archive, {
+          baseUrl: this.options.baseUrl,
+          articleCount: this.options.articleCount,
+        });
+        this.recordArchive.attach(this.browserManager.getPage());
+      }
+
+      spinner.text = 'Reading robots.txt...';
+      const robots = await this.crawlPolicy.loadRobots(
+        this.browserManager.getPage().context().request,
+        this.options.baseUrl,
+      );
+      // HN's Crawl-delay is far longer than the default crawl delay, so say
+      // why the run is slower than configured
+      if (robots?.crawlDelay * 1000 > this.options.crawlDelay) {
+        spinner.info(
+          `robots.txt Crawl-delay: listing pages load ${robots.crawlDelay}s apart`,
+        );
+        spinner.start();
+      }
+
       spinner.text = 'Navigating to Hacker News...';
 
       const loadTime = await retry(
         async () => {
           return await this.browserManager.navigateToHackerNews(
             this.options.timeout,
+            this.getStartUrl(),
+            this.crawlPolicy,
           );
         },
         this.options.retryAttempts,
@@ -109,9 +427,11 @@ ${logger.colors.info('System:')} ${logger.chalk.white.bold(
         logger,
       );
 
-      this.perfMonitor.recordNetworkRequest(loadTime);
+      await this.archiveCurrentPage();
       spinner.succeed(
-        `${logger.icons.network} Successfully loaded Hacker News`,
+        this.resumeCheckpoint
+          ? `${logger.icons.network} Resumed at page ${this.pageNumber} with ${this.articles.length} checkpointed articles`
+          : `${logger.icons.network} Successfully loaded Hacker News`,
       );
 
       return loadTime;
@@ -137,47 +457,369 @@ ${logger.colors.info('System:')} ${logger.chalk.white.bold(
       barIncompleteChar: '\u2591',
       hideCursor: true,
     });
-    progressBar.start(this.options.articleCount, 0);
+    progressBar.start(this.options.articleCount, this.articles.length);
+
+    try {
+      if (this.isConcurrent()) {
+        await this.extractArticlesConcurrently(progressBar);
+      } else {
+        for await (const batch of this.extractPages(progressBar)) {
+          progressBar.increment(batch.length);
+        }
+      }
+
+      progressBar.stop();
+      this.perfMonitor.endPhase();
+
+      return this.articles;
+    } catch (error) {
+      progressBar.stop();
+      throw error;
+    }
+  }
+
+  /**
+   * Extract pages one at a time until enough articles are collected, yielding
+   * each page's new articles once they are added to this.articles
+   * @param {Object} progressBar - Progress bar paused while pages load (default: none)
+   * @param {AbortSignal} signal - Stops extraction before the next page when aborted (default: none)
+   * @returns {AsyncGenerator<Array>} New articles per page
+   */
+  async *extractPages(progressBar = null, signal = null) {
+    while (this.articles.length < this.options.articleCount) {
+      signal?.throwIfAborted();
+      const page = this.browserManager.getPage();
+
+      // Extract articles from current page
+      const newArticles = await this.extractCurrentPage(page);
+
+      this.articles.push(...newArticles);
+      await this.captureEvidence(page);
+      await this.saveCheckpoint(page);
+      yield newArticles;
+
+      // Check if we need more articles
+      if (this.articles.length < this.options.articleCount) {
+        if (
+          this.replayArchive &&
+          this.pageNumber >= this.replayArchive.getPageCount()
+        ) {
+          logger.warn(
+            `Archive exhausted after ${this.pageNumber} pages (${this.articles.length} articles)`,
+          );
+          return;
+        }
+        signal?.throwIfAborted();
+        await this.loadNextPage(progressBar);
+      }
+    }
+  }
+
+  /**
+   * Fetch the remaining pages in parallel browser contexts and stitch them
+   * back together in listing order. Page 1 is read from the main page.
+   * @param {Object} progressBar - Progress bar instance
+   */
+  async extractArticlesConcurrently(progressBar) {
+    const pageSize = config.PAGE_SIZE;
+    const mainPage = this.browserManager.getPage();
+    const readStart = Date.now();
+    await this.captureEvidence(mainPage, { snippetsOnly: true });
+    const fetched = [
+      {
+        pageNumber: 1,
+        url: mainPage.url(),
+        rows: await readArticleRows(mainPage),
+        fetchedAt: new Date(),
+        workerId: 0,
+        duration: Date.now() - readStart,
+      },
+    ];
+    this.articles = this.stitchPages(fetched);
+    progressBar.update(this.articles.length);
+
+    while (this.articles.length < this.options.articleCount) {
+      const lastPage = fetched[fetched.length - 1];
+      if (lastPage.rows.length < pageSize) {
+        logger.warn(
+          `Listing ended after ${lastPage.pageNumber} pages (${this.articles.length} articles)`,
+        );
+        break;
+      }
+
+      const needed = Math.ceil(
+        (this.options.articleCount - this.articles.length) / pageSize,
+      );
+      const targets = Array.from({ length: needed }, (_, index) => {
+        const pageNumber = lastPage.pageNumber + index + 1;
+        return {
+          pageNumber,
+          url: buildHackerNewsUrl(
+            this.options.baseUrl,
+            getListingPagePath(this.listingProfile, {
+              day: this.options.day,
+              page: pageNumber,
+            }),
+          ),
+        };
+      });
+
+      const { pages, workers } = await fetchPagesConcurrently(
+        this.browserManager,
+        targets,
+        {
+          concurrency: this.options.concurrency,
+          timeout: this.options.timeout,
+          policy: this.crawlPolicy,
+          onPage: () => progressBar.increment(pageSize),
+          onNavigate: (page, target) =>
+            this.network.setPageNumber(target.pageNumber, page),
+          capture: (page) => this.captureEvidence(page, { snippetsOnly: true }),
+        },
+      );
+
+      workers.forEach((worker) =>
+        this.perfMonitor.recordWorker(
+          worker.workerId,
+          worker.pages,
+          worker.totalTime,
+        ),
+      );
+      pages.forEach((page) => {
+        this.perfMonitor.recordPageLoad(
+          page.pageNumber,
+          page.duration,
+          `worker-${page.workerId}`,
+        );
+      });
+
+      fetched.push(...pages);
+      this.articles = this.stitchPages(fetched);
+      progressBar.update(this.articles.length);
+    }
+
+    this.pageNumber = fetched[fetched.length - 1].pageNumber;
+    this.pageDrift = detectPageDrift(fetched, {
+      idOrdered: this.listingProfile.rules.includes('idOrder'),
+    });
+
+    if (this.pageDrift.hasDrift) {
+      logger.warn(
+        `Listing drifted while pages were fetched: ${this.pageDrift.movedArticles.length} articles moved between pages, ${this.pageDrift.boundaryInversions.length} page boundaries out of order`,
+      );
+    }
+  }
+
+  /**
+   * Checkpoint the articles extracted so far and the page after the current
+   * one. Replayed and concurrent runs are not checkpointed.
+   * @param {Object} page - Playwright page object (still showing the extracted page)
+   */
+  async saveCheckpoint(page) {
+    if (!this.options.checkpoint || this.replayArchive || this.isConcurrent()) {
+      return;
+    }
 
     try {
-      // Extract articles from pages until we have enough
-      while (this.articles.length < this.options.articleCount) {
-        const page = this.browserManager.getPage();
+      if (!this.checkpoint) {
+        this.checkpoint = Checkpoint.create(this.getRunOutputDir(), {
+          listing: this.listingProfile.name,
+          day: this.options.day,
+          baseUrl: this.options.baseUrl,
+          articleCount: this.options.articleCount,
+          pagination: this.options.pagination,
+        });
+      }
+
+      const next = await getMoreLinkTarget(page);
+      const nextUrl = next ? new URL(next.url) : null;
+      this.checkpoint.save({
+        articles: this.articles,
+        skippedRows: this.skippedRows,
+        pageNumber: this.pageNumber,
+        pageUrl: page.url(),
+        nextPagePath: nextUrl ? `${nextUrl.pathname}${nextUrl.search}` : null,
+      });
+    } catch (error) {
+      logger.warn('Failed to save checkpoint:', error.message);
+    }
+  }
+
+  /**
+   * Capture evidence from the page that was just extracted. Failures are
+   * logged and never interrupt the run.
+   * @param {Object} page - Playwright page object
+   * @param {Object} options - Capture options
+   * @param {boolean} options.snippetsOnly - Keep row HTML without screenshots (concurrent pages are stitched later)
+   */
+  async captureEvidence(page, { snippetsOnly = false } = {}) {
+    if (!this.evidence) return;
 
-        // Extract articles from current page
-        const newArticles = await extractArticlesFromPage(
+    try {
+      if (snippetsOnly) {
+        await this.evidence.captureSnippets(page);
+      } else {
+        await this.evidence.capturePage(
           page,
           this.articles,
-          this.options.articleCount - this.articles.length,
           this.pageNumber,
-          this.options.debug,
+          this.getRuleValidationOptions(),
         );
+      }
+    } catch (error) {
+      logger.debug(`Evidence capture failed: ${error.message}`);
+    }
+  }
 
-        this.articles.push(...newArticles);
-        progressBar.update(this.articles.length);
+  /**
+   * Options that re-checking the listing's rules mid-run needs to agree with
+   * the final report
+   * @returns {Object} skipped rows, day, fail severity and severity thresholds
+   */
+  getRuleValidationOptions() {
+    return {
+      skipped: this.skippedRows,
+      day: this.options.day,
+      failSeverity: this.options.failSeverity,
+      severityThresholds: this.options.severityThresholds,
+    };
+  }
 
-        // Check if we need more articles
-        if (this.articles.length < this.options.articleCount) {
-          await this.loadNextPage(progressBar);
+  /**
+   * Build articles from fetched pages in listing order, keeping the first
+   * occurrence of each ID and numbering positions continuously. Later
+   * occurrences are recorded in skippedRows.
+   * @param {Array} pages - Fetched pages sorted by page number
+   * @returns {Array} Stitched articles, at most the requested count
+   */
+  stitchPages(pages) {
+    const articles = [];
+    const seenIds = new Set();
+    this.skippedRows = [];
+
+    for (const page of pages) {
+      const startTime = Date.now();
+      let extracted = 0;
+
+      for (const [index, raw] of page.rows.entries()) {
+        if (articles.length >= this.options.articleCount) break;
+        if (seenIds.has(raw.id)) {
+          this.skippedRows.push(
+            describeSkippedRow(raw, page.pageNumber, index, articles),
+          );
+          continue;
+        }
+
+        try {
+          articles.push(
+            buildArticle(
+              raw,
+              articles.length + 1,
+              page.pageNumber,
+              this.options.debug,
+              page.fetchedAt,
+            ),
+          );
+          seenIds.add(raw.id);
+          extracted++;
+        } catch (error) {
+          if (this.options.debug) {
+            logger.warn(`Failed to extract article ${raw.id}:`, error.message);
+          }
         }
       }
 
-      progressBar.stop();
-      this.perfMonitor.endPhase();
+      if (!page.stitched) {
+        this.perfMonitor.recordExtraction(
+          'batch',
+          page.pageNumber,
+          extracted,
+          Date.now() - startTime,
+        );
+        page.stitched = true;
+      }
+    }
 
-      return this.articles;
-    } catch (error) {
-      progressBar.stop();
-      throw error;
+    return articles;
+  }
+
+  /**
+   * Extract the current page using the configured extraction mode.
+   * Batch extraction falls back to the per-element path if it fails.
+   * @param {Object} page - Playwright page object
+   * @returns {Promise<Array>} Newly extracted articles
+   */
+  async extractCurrentPage(page) {
+    const skipped = [];
+    const args = [
+      page,
+      this.articles,
+      this.options.articleCount - this.articles.length,
+      this.pageNumber,
+      this.options.debug,
+      this.pageReferenceTime || new Date(),
+    ];
+
+    if (this.options.extraction !== 'element') {
+      try {
+        const articles = await this.timeExtraction('batch', () =>
+          extractArticlesFromPageBatch(...args, skipped),
+        );
+
+        if (this.options.extraction === 'compare') {
+          const elementArticles = await this.timeExtraction('element', () =>
+            extractArticlesFromPage(...args, []),
+          );
+          const batchIds = articles.map((a) => a.id).join(',');
+          if (elementArticles.map((a) => a.id).join(',') !== batchIds) {
+            logger.warn(
+              `Batch and per-element extraction disagree on page ${this.pageNumber}`,
+            );
+          }
+        }
+
+        this.skippedRows.push(...skipped);
+        return articles;
+      } catch (error) {
+        logger.warn(
+          `Batch extraction failed on page ${this.pageNumber}, falling back to per-element: ${error.message}`,
+        );
+        skipped.length = 0;
+      }
     }
+
+    const articles = await this.timeExtraction('element', () =>
+      extractArticlesFromPage(...args, skipped),
+    );
+    this.skippedRows.push(...skipped);
+    return articles;
+  }
+
+  /**
+   * Run one extraction pass and record its duration
+   * @param {string} mode - Extraction mode being timed
+   * @param {Function} extract - Extraction function
+   * @returns {Promise<Array>} Extracted articles
+   */
+  async timeExtraction(mode, extract) {
+    const startTime = Date.now();
+    const articles = await extract();
+    this.perfMonitor.recordExtraction(
+      mode,
+      this.pageNumber,
+      articles.length,
+      Date.now() - startTime,
+    );
+    return articles;
   }
 
   /**
    * Load the next page of articles
-   * @param {Object} progressBar - Progress bar instance
+   * @param {Object} progressBar - Progress bar instance (default: none)
    */
-  async loadNextPage(progressBar) {
+  async loadNextPage(progressBar = null) {
     this.pageNumber++;
+    this.network.setPageNumber(this.pageNumber);
     const page = this.browserManager.getPage();
 
     const paginationStart = Date.now();
@@ -188,13 +830,32 @@ ${logger.colors.info('System:')} ${logger.chalk.white.bold(
     }).start();
 
     try {
+      if (this.replayArchive) {
+        await this.replayArchivedPage(this.pageNumber - 1);
+        spinner.succeed(`Archived page ${this.pageNumber} loaded`);
+        progressBar?.start(this.options.articleCount, this.articles.length);
+        return;
+      }
+
       await retry(
         async () => {
+          if (this.options.pagination === 'url') {
+            return await navigateToMoreUrl(
+              page,
+              this.articles,
+              this.pageNumber,
+              this.options.timeout,
+              this.options.debug,
+              this.crawlPolicy,
+            );
+          }
           return await clickMoreAndWaitForArticles(
             page,
             this.articles,
             this.pageNumber,
+            this.options.timeout,
             this.options.debug,
+            this.crawlPolicy,
           );
         },
         this.options.retryAttempts,
@@ -203,10 +864,15 @@ ${logger.colors.info('System:')} ${logger.chalk.white.bold(
       );
 
       const paginationTime = Date.now() - paginationStart;
-      this.perfMonitor.recordPaginationClick(paginationTime);
+      this.perfMonitor.recordPageLoad(
+        this.pageNumber,
+        paginationTime,
+        this.options.pagination,
+      );
+      await this.archiveCurrentPage();
 
       spinner.succeed(`Page ${this.pageNumber} loaded successfully`);
-      progressBar.start(this.options.articleCount, this.articles.length);
+      progressBar?.start(this.options.articleCount, this.articles.length);
     } catch (error) {
       if (error.message.includes('More link not found')) {
         spinner.warn('No more articles available');
@@ -217,6 +883,39 @@ ${logger.colors.info('System:')} ${logger.chalk.white.bold(
     }
   }
 
+  /**
+   * Load an archived page into the browser, anchoring relative ages to its capture time
+   * @param {number} index - 0-based index of the archived page
+   * @returns {Promise<number>} Load time in milliseconds
+   */
+  async replayArchivedPage(index) {
+    const startTime = Date.now();
+    const entry = await this.replayArchive.replayPage(
+      this.browserManager.getPage(),
+      index,
+    );
+    this.pageReferenceTime = new Date(entry.capturedAt);
+    return Date.now() - startTime;
+  }
+
+  /**
+   * Save the current page into the run archive when recording
+   */
+  async archiveCurrentPage() {
+    if (!this.recordArchive) {
+      return;
+    }
+
+    try {
+      await this.recordArchive.capturePage(
+        this.browserManager.getPage(),
+        this.pageNumber,
+      );
+    } catch (error) {
+      logger.warn('Failed to archive page:', error.message);
+    }
+  }
+
   /**
    * Perform validation analysis
    * @returns {Promise<Object>} Validation report
@@ -235,11 +934,36 @@ ${logger.colors.info('System:')} ${logger.chalk.white.bold(
       this.perfMonitor.setArticlesProcessed(this.articles.length);
 
       // Generate comprehensive validation report
-      const validationReport = generateValidationReport(this.articles);
+      const validationReport = generateValidationReport(this.articles, {
+        listing: this.listingProfile.name,
+        day: this.options.day,
+        device: describeDeviceProfile(this.deviceProfile),
+        similarityThreshold: this.options.similarityThreshold,
+        skipped: this.skippedRows,
+        customRules: this.customRules,
+        failSeverity: this.options.failSeverity,
+        severityThresholds: this.options.severityThresholds,
+      });
 
       spinner.stop();
       this.perfMonitor.endPhase();
 
+      if (validationReport.selectorHealth.hasDrift) {
+        this.reportSelectorDrift(validationReport.selectorHealth);
+      }
+
+      if (this.evidence) {
+        validationReport.evidence = this.evidence.finalize(
+          validationReport,
+          this.articles,
+        );
+        if (validationReport.evidence) {
+          logger.info(
+            `📸 Saved evidence for ${validationReport.evidence.items.length} violations to ${validationReport.evidence.dir}`,
+          );
+        }
+      }
+
       return validationReport;
     } catch (error) {
       spinner.fail('Validation analysis failed');
@@ -247,6 +971,130 @@ ${logger.colors.info('System:')} ${logger.chalk.white.bold(
     }
   }
 
+  /**
+   * Run the validation as a stream of events, yielding articles as they are
+   * extracted and violations as soon as they appear. Breaking out of the loop
+   * or aborting the signal stops before the next page and closes the browser;
+   * an aborted stream ends without a 'done' event instead of throwing.
+   * @param {Object} options - Stream options
+   * @param {string} options.by - Yield one 'article' event per article, or one 'page' event per page (default: 'article')
+   * @param {AbortSignal} options.signal - Cancels the run (default: none)
+   * @returns {AsyncGenerator<Object>} Events: {type: 'article', article}, {type: 'page', pageNumber, articles},
+   *   {type: 'violation', violation} and finally {type: 'done', result}
+   */
+  async *stream({ by = 'article', signal = null } = {}) {
+    if (this.isConcurrent()) {
+      throw new Error('Streaming reads pages in order; use concurrency 1');
+    }
+
+    let result = null;
+    const validator = new IncrementalValidator(this.listingProfile.rules);
+
+    try {
+      signal?.throwIfAborted();
+      const loadTime = await this.initializeBrowser();
+      this.perfMonitor.endPhase().startPhase('article_extraction');
+
+      for await (const newArticles of this.extractPages(null, signal)) {
+        if (by === 'page') {
+          yield {
+            type: 'page',
+            pageNumber: this.pageNumber,
+            articles: newArticles,
+          };
+        } else {
+          for (const article of newArticles) {
+            yield { type: 'article', article };
+          }
+        }
+
+        for (const violation of validator.update(
+          this.articles,
+          this.getRuleValidationOptions(),
+        )) {
+          yield { type: 'violation', violation };
+        }
+      }
+      this.perfMonitor.endPhase();
+
+      this.validationReport = await this.performValidation();
+      await this.exportData();
+      if (this.checkpoint) {
+        this.checkpoint.remove();
+        this.checkpoint = null;
+      }
+
+      result = await this.generateResults(this.validationReport, loadTime);
+      yield { type: 'done', result };
+    } catch (error) {
+      // Aborting ends the stream quietly, like breaking out of the loop
+      if (signal?.aborted && error === signal.reason) return;
+      throw error;
+    } finally {
+      await this.network.flush();
+      const artifacts = await this.cleanup({ failed: !result?.success });
+      if (result && (artifacts.trace || artifacts.video || artifacts.har)) {
+        result.artifacts = { dir: this.runOutputDir, ...artifacts };
+      }
+    }
+  }
+
+  /**
+   * Validate whatever was extracted before a run failed
+   * @returns {Object|null} Validation report marked partial, or null when nothing was extracted
+   */
+  getPartialValidationReport() {
+    if (this.validationReport) return this.validationReport;
+    if (this.articles.length === 0) return null;
+
+    try {
+      return {
+        ...generateValidationReport(this.articles, {
+          listing: this.listingProfile.name,
+          day: this.options.day,
+          device: describeDeviceProfile(this.deviceProfile),
+          similarityThreshold: this.options.similarityThreshold,
+          skipped: this.skippedRows,
+          customRules: this.customRules,
+          failSeverity: this.options.failSeverity,
+          severityThresholds: this.options.severityThresholds,
+        }),
+        partial: true,
+      };
+    } catch (error) {
+      logger.debug('Partial validation failed:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Warn that primary selectors stopped matching HN's markup
+   * @param {Object} selectorHealth - Selector chain match summary
+   */
+  reportSelectorDrift(selectorHealth) {
+    logger.box(
+      `${
+        logger.icons.warn
+      } Primary selectors stopped matching:\n\n${selectorHealth.drift
+        .map((drift) => {
+          const fallbacks = Object.entries(drift.fallbacks)
+            .map(([selector, count]) => `${selector} (${count})`)
+            .join(', ');
+          return `• ${drift.field}: ${drift.primary} missed ${
+            drift.fallbackMatches + drift.missing
+          }/${drift.rows} rows${
+            fallbacks ? ` - recovered by ${fallbacks}` : ''
+          }${drift.missing > 0 ? ` - ${drift.missing} unrecovered` : ''}`;
+        })
+        .join('\n')}`,
+      {
+        title: '🧭 Selector Drift',
+        titleAlignment: 'center',
+        borderColor: 'yellow',
+      },
+    );
+  }
+
   /**
    * Export data if requested
    */
@@ -266,7 +1114,13 @@ ${logger.colors.info('System:')} ${logger.chalk.white.bold(
     try {
       if (this.options.exportJson) {
         exportJSON(this.articles, `${config.EXPORT_PATH}.json`);
+        exportJSON(buildExportSchema(), `${config.EXPORT_PATH}.schema.json`);
         exportJSON(this.validationReport, `${config.EXPORT_PATH}_report.json`);
+        await this.network.flush();
+        exportJSON(
+          this.perfMonitor.getNetworkReport(),
+          `${config.EXPORT_PATH}_network.json`,
+        );
       }
 
       if (this.options.exportCsv) {
@@ -288,28 +1142,59 @@ ${logger.colors.info('System:')} ${logger.chalk.white.bold(
    * @returns {Promise<Object>} Complete results object
    */
   async generateResults(validationReport, loadTime) {
+    await this.network.flush();
     this.perfMonitor.end();
     const performanceReport = this.perfMonitor.getReport();
 
-    return {
+    const result = {
+      schemaVersion: SCHEMA_VERSION,
       success: validationReport.summary.validationPassed,
       articles: this.articles,
       validationReport,
       performanceReport,
       systemInfo: this.systemInfo,
       pages: this.pageNumber,
+      baseUrl: this.options.baseUrl,
+      browser: this.options.browser,
+      device: validationReport.device,
+      listing: validationReport.listing,
+      archiveDir: this.recordArchive ? this.recordArchive.dir : null,
+      replayedFrom: this.replayArchive ? this.replayArchive.dir : null,
+      pageDrift: this.pageDrift,
+      selectorHealth: validationReport.selectorHealth,
+      evidenceDir: validationReport.evidence?.dir || null,
+      checkpointFile: this.checkpoint ? this.checkpoint.file : null,
+      resumedFrom: this.resumeCheckpoint ? this.resumeCheckpoint.file : null,
       execTime: performanceReport.summary.totalDuration / 1000,
       loadTime: loadTime,
       newest: validationReport.chronological.newest,
       oldest: validationReport.chronological.oldest,
     };
+
+    const schemaErrors = validateResult(result);
+    if (schemaErrors.length > 0) {
+      logger.warn(
+        `Result does not match result schema v${SCHEMA_VERSION}: ${schemaErrors
+          .slice(0, 3)
+          .map((error) => `${error.path} ${error.message}`)
+          .join('; ')}`,
+      );
+    }
+
+    return result;
   }
 
   /**
    * Cleanup resources
+   * @param {Object} options - Cleanup options
+   * @param {boolean} options.failed - Whether the run failed (keeps 'on-failure' traces)
+   * @returns {Promise<{trace: string|null, video: string|null}>} Saved trace and video paths
    */
-  async cleanup() {
-    await this.browserManager.close();
+  async cleanup({ failed = false } = {}) {
+    if (this.recordArchive) {
+      this.recordArchive.finalize({ articlesExtracted: this.articles.length });
+    }
+    return this.browserManager.close({ failed });
   }
 
   /**
@@ -318,10 +1203,13 @@ ${logger.colors.info('System:')} ${logger.chalk.white.bold(
    */
   async run() {
     let loadTime = 0;
+    let result = null;
 
     try {
-      // Display configuration
-      this.displayConfiguration();
+      // Display configuration (unless in quiet mode)
+      if (!this.options.quiet) {
+        this.displayConfiguration();
+      }
 
       // Initialize browser and navigate
       loadTime = await this.initializeBrowser();
@@ -335,9 +1223,17 @@ ${logger.colors.info('System:')} ${logger.chalk.white.bold(
       // Export data if requested
       await this.exportData();
 
+      // A finished run has nothing left to resume
+      if (this.checkpoint) {
+        this.checkpoint.remove();
+        this.checkpoint = null;
+      }
+
       // Generate and return results
-      return await this.generateResults(this.validationReport, loadTime);
+      result = await this.generateResults(this.validationReport, loadTime);
+      return result;
     } catch (error) {
+      await this.network.flush();
       this.perfMonitor.end();
 
       logger.errorBox('💥 FATAL ERROR', [
@@ -349,14 +1245,25 @@ ${logger.colors.info('System:')} ${logger.chalk.white.bold(
           : 'Run with --debug for more details',
       ]);
 
-      return {
+      result = {
         success: false,
         error: error,
+        partial: this.articles.length > 0,
+        articles: this.articles,
+        pages: this.pageNumber,
+        validationReport: this.getPartialValidationReport(),
         performanceReport: this.perfMonitor.getReport(),
         systemInfo: this.systemInfo,
+        browser: this.options.browser,
+        archiveDir: this.recordArchive ? this.recordArchive.dir : null,
+        checkpointFile: this.checkpoint ? this.checkpoint.file : null,
       };
+      return result;
     } finally {
-      await this.cleanup();
+      const artifacts = await this.cleanup({ failed: !result?.success });
+      if (result && (artifacts.trace || artifacts.video || artifacts.har)) {
+        result.artifacts = { dir: this.runOutputDir, ...artifacts };
+      }
     }
   }
 }
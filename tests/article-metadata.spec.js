@@ -0,0 +1,121 @@
+/**
+ * 🧪 Article Metadata Tests
+ *
+ * Checks the metadata buildArticle keeps from a row's raw fields: outbound
+ * URL and domain, comment count, item type and moderation markers, and that
+ * job posts are not counted as missing a score or author. Pure functions
+ * only: no browser is launched.
+ */
+
+const { test, expect } = require('@playwright/test');
+const {
+  buildArticle,
+  parseCommentCount,
+} = require('../scrapers/articleExtractor');
+const { analyzeDataQuality } = require('../utils/validation');
+
+const REFERENCE_TIME = new Date('2026-10-19T12:00:00Z');
+
+/**
+ * Build an article from a story row's raw fields
+ * @param {Object} fields - Raw fields overriding the story's
+ * @returns {Object} Article from buildArticle
+ */
+function build(fields = {}) {
+  return buildArticle(
+    {
+      id: '41000000',
+      title: 'A story',
+      rank: '1.',
+      ageText: '5 minutes ago',
+      ageTitle: '2026-10-19T11:55:00',
+      score: '42 points',
+      author: 'pg',
+      url: 'https://example.com/post',
+      domain: 'example.com',
+      subtextLinks: ['pg', '5 minutes ago', 'hide', '12 comments'],
+      markerText: '',
+      ...fields,
+    },
+    1,
+    1,
+    false,
+    REFERENCE_TIME,
+  );
+}
+
+test.describe('🏷️ Article Metadata', () => {
+  test('🔗 Should keep the outbound URL, domain and comment count', () => {
+    const article = build();
+
+    expect(article).toMatchObject({
+      id: '41000000',
+      rank: '1',
+      url: 'https://example.com/post',
+      domain: 'example.com',
+      commentCount: 12,
+      itemType: 'story',
+      isDead: false,
+      isFlagged: false,
+      isDeleted: false,
+    });
+  });
+
+  test('💬 Should read comment counts from the subtext links', () => {
+    expect(parseCommentCount(['1 comment'])).toBe(1);
+    expect(parseCommentCount(['hide', 'discuss'])).toBe(0);
+    expect(parseCommentCount(['hide', 'past'])).toBeNull();
+  });
+
+  test('🗂️ Should classify items by title prefix', () => {
+    expect(build({ title: 'Ask HN: Anyone?' }).itemType).toBe('ask');
+    expect(build({ title: 'Show HN: My tool' }).itemType).toBe('show');
+    expect(build({ title: 'Poll: Tabs or spaces?' }).itemType).toBe('poll');
+  });
+
+  test('💼 Should treat rows without score or author as job posts', () => {
+    const job = build({
+      title: 'Acme (YC W24) is hiring',
+      rank: '',
+      score: null,
+      author: null,
+      subtextLinks: ['5 minutes ago'],
+    });
+
+    expect(job.itemType).toBe('job');
+    expect(job.commentCount).toBeNull();
+  });
+
+  test('🪦 Should flag dead, flagged and deleted items', () => {
+    const dead = build({
+      score: null,
+      author: null,
+      markerText: 'A story [dead]',
+    });
+    expect(dead.isDead).toBe(true);
+    // Dead items lose their score and author but are not job posts
+    expect(dead.itemType).toBe('story');
+
+    expect(build({ markerText: '[flagged]' }).isFlagged).toBe(true);
+    expect(build({ markerText: '[deleted]' }).isDeleted).toBe(true);
+  });
+
+  test('📊 Should not count job posts as missing a score or author', () => {
+    const quality = analyzeDataQuality([
+      build(),
+      build({ id: '40999999', score: null, author: null, subtextLinks: [] }),
+      build({ id: '40999998', author: null }),
+      build({ id: '40999997', markerText: '[dead] [flagged]' }),
+    ]);
+
+    expect(quality.itemTypes).toEqual({ story: 3, job: 1 });
+    expect(quality.missingData.scores).toBe(0);
+    expect(quality.missingData.authors).toBe(1);
+    expect(quality.markers).toEqual({ dead: 1, flagged: 1, deleted: 0 });
+  });
+
+  test('🚫 Should reject rows without an ID or title', () => {
+    expect(() => build({ id: '' })).toThrow('Article ID not found');
+    expect(() => build({ title: '' })).toThrow('Article title not found');
+  });
+});
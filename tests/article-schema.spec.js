@@ -0,0 +1,170 @@
+/**
+ * 🧪 Article Schema Tests
+ *
+ * Checks extracted article records against the published JSON Schema and
+ * the per-field error statistics built from it. Pure functions only: no
+ * browser is launched.
+ */
+
+const { test, expect } = require('@playwright/test');
+const {
+  validateValue,
+  validateArticleRecord,
+  validateArticleRecords,
+  buildExportSchema,
+} = require('../utils/schema');
+const { buildArticle } = require('../scrapers/articleExtractor');
+
+const REFERENCE_TIME = new Date('2026-10-19T12:00:00Z');
+
+/**
+ * Article as the extractor builds it from a listing row
+ * @param {Object} overrides - Raw row fields to change
+ * @returns {Object} Article object
+ */
+function extractedArticle(overrides = {}) {
+  return buildArticle(
+    {
+      id: '45000001',
+      title: 'A story worth reading',
+      rank: '1.',
+      ageText: '2 hours ago',
+      ageTitle: '2026-10-19T10:00:00 1760868000',
+      score: '42 points',
+      author: 'someone',
+      url: 'https://example.com/story',
+      domain: 'example.com',
+      subtextLinks: ['someone', '2 hours ago', 'hide', '7 comments'],
+      markerText: '',
+      selectorMatches: {},
+      ...overrides,
+    },
+    1,
+    1,
+    false,
+    REFERENCE_TIME,
+  );
+}
+
+test.describe('📋 Article Records', () => {
+  test('✅ Should accept an extracted story', () => {
+    expect(validateArticleRecord(extractedArticle())).toEqual([]);
+  });
+
+  test('💼 Should accept an unranked job ad', () => {
+    const job = extractedArticle({
+      title: 'Acme (YC S25) is hiring engineers',
+      rank: '',
+      score: null,
+      author: null,
+      subtextLinks: [],
+    });
+
+    expect(job.itemType).toBe('job');
+    expect(job.rank).toBe('');
+    expect(validateArticleRecord(job)).toEqual([]);
+  });
+
+  test('🆔 Should reject a non-numeric ID and rank', () => {
+    const errors = validateArticleRecord({
+      ...extractedArticle(),
+      id: 'abc',
+      rank: 'x',
+    });
+
+    expect(errors.map((error) => [error.field, error.keyword])).toEqual([
+      ['id', 'pattern'],
+      ['rank', 'pattern'],
+    ]);
+  });
+
+  test('❔ Should report missing fields against the field itself', () => {
+    const article = extractedArticle();
+    delete article.title;
+
+    expect(validateArticleRecord(article)).toEqual([
+      {
+        path: '/',
+        keyword: 'required',
+        message: 'is missing title',
+        field: 'title',
+      },
+    ]);
+  });
+
+  test('🚫 Should reject fields the schema does not define', () => {
+    const errors = validateArticleRecord({
+      ...extractedArticle(),
+      comments: 7,
+    });
+
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toMatchObject({
+      field: 'comments',
+      keyword: 'additionalProperties',
+    });
+  });
+
+  test('📅 Should check formats as the JSON export writes them', () => {
+    const errors = validateArticleRecord({
+      ...extractedArticle(),
+      timestamp: new Date('invalid'),
+      url: 'not a url',
+    });
+
+    expect(errors.map((error) => [error.field, error.keyword])).toEqual([
+      ['timestamp', 'type'],
+      ['url', 'format'],
+    ]);
+  });
+
+  test('📊 Should count errors per field and keep samples', () => {
+    const articles = [
+      extractedArticle(),
+      { ...extractedArticle(), id: 'abc', position: 2 },
+      { ...extractedArticle(), id: 'def', score: '1 vote', position: 3 },
+    ];
+    const report = validateArticleRecords(articles);
+
+    expect(report.isValid).toBe(false);
+    expect(report.validArticles).toBe(1);
+    expect(report.invalidArticles).toBe(2);
+    expect(report.errorsByField.id).toEqual({
+      count: 2,
+      keywords: { pattern: 2 },
+    });
+    expect(report.errorsByField.score.count).toBe(1);
+    expect(report.samples.map((sample) => sample.position)).toEqual([2, 3, 3]);
+  });
+});
+
+test.describe('🧩 Schema Keywords', () => {
+  test('🔢 Should accept integers where numbers are allowed', () => {
+    expect(validateValue(3, { type: 'number' })).toEqual([]);
+    expect(validateValue(1.5, { type: 'integer' })).toHaveLength(1);
+  });
+
+  test('📍 Should point errors at nested values', () => {
+    const errors = validateValue(
+      { items: [1, 'two'] },
+      { type: 'object', properties: { items: { items: { type: 'integer' } } } },
+    );
+
+    expect(errors).toEqual([
+      {
+        path: '/items/1',
+        keyword: 'type',
+        message: 'must be integer, got string',
+      },
+    ]);
+  });
+
+  test('📦 Should publish an export schema of article records', () => {
+    const schema = buildExportSchema();
+    const records = JSON.parse(JSON.stringify([extractedArticle()]));
+
+    expect(schema.type).toBe('array');
+    expect(validateValue(records, schema)).toEqual([]);
+    expect(validateValue([{}], schema).length).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,172 @@
+/**
+ * 🧪 Browser Comparison Tests
+ *
+ * Checks how runs of the same listing on several engines are compared:
+ * article sets only within the ID range every engine covered, stable field
+ * values, validation outcomes and failed runs. Pure functions only: no
+ * browser is launched.
+ */
+
+const { test, expect } = require('@playwright/test');
+const { compareEngineRuns } = require('../utils/browserComparison');
+
+/**
+ * Completed run holding articles with the given IDs
+ * @param {Array<number>} ids - Article IDs in listing order
+ * @param {Object} options - Run details
+ * @param {boolean} options.passed - Whether validation passed (default: true)
+ * @param {Object} options.fields - Field overrides by article ID (default: none)
+ * @returns {Object} Validation result
+ */
+function run(ids, { passed = true, fields = {} } = {}) {
+  return {
+    articles: ids.map((id) => ({
+      id: String(id),
+      title: `Story ${id}`,
+      url: `https://example.com/${id}`,
+      author: 'pg',
+      itemType: 'story',
+      preciseTimestamp: new Date(Date.UTC(2026, 9, 19, 0, 0, id)),
+      ...fields[id],
+    })),
+    pages: 1,
+    validationReport: {
+      summary: { validationPassed: passed },
+      chronological: { violations: [] },
+      idOrder: { inversions: [] },
+      duplicates: { duplicates: { byId: [] } },
+    },
+  };
+}
+
+/**
+ * IDs counting down from first to last inclusive
+ * @param {number} first - Highest ID
+ * @param {number} last - Lowest ID
+ * @returns {Array<number>} IDs
+ */
+function ids(first, last) {
+  return Array.from({ length: first - last + 1 }, (_, i) => first - i);
+}
+
+test.describe('🌐 Engine Comparison', () => {
+  test('✅ Should find identical runs consistent', () => {
+    const comparison = compareEngineRuns([
+      { browser: 'chromium', result: run(ids(130, 101)) },
+      { browser: 'firefox', result: run(ids(130, 101)) },
+    ]);
+
+    expect(comparison.consistent).toBe(true);
+    expect(comparison.allPassed).toBe(true);
+    expect(comparison.sharedIdRange).toEqual({ min: 101, max: 130 });
+    expect(comparison.edgeDifferences).toHaveLength(0);
+    expect(comparison.engines.map((engine) => engine.articleCount)).toEqual([
+      30, 30,
+    ]);
+  });
+
+  test('↕️ Should report IDs outside the shared range as edge differences', () => {
+    // firefox ran a little later: two new stories pushed the oldest two out
+    const comparison = compareEngineRuns([
+      { browser: 'chromium', result: run(ids(130, 101)) },
+      { browser: 'firefox', result: run(ids(132, 103)) },
+    ]);
+
+    expect(comparison.sharedIdRange).toEqual({ min: 103, max: 130 });
+    expect(comparison.edgeDifferences).toEqual([
+      { id: '102', missingFrom: ['firefox'] },
+      { id: '101', missingFrom: ['firefox'] },
+      { id: '132', missingFrom: ['chromium'] },
+      { id: '131', missingFrom: ['chromium'] },
+    ]);
+    expect(comparison.consistent).toBe(true);
+  });
+
+  test('🕳️ Should report IDs missing inside the shared range', () => {
+    const comparison = compareEngineRuns([
+      { browser: 'chromium', result: run(ids(130, 101)) },
+      {
+        browser: 'webkit',
+        result: run(ids(130, 101).filter((id) => id !== 115)),
+      },
+    ]);
+
+    expect(comparison.findings).toEqual([
+      {
+        type: 'article-set',
+        browsers: ['webkit'],
+        id: '115',
+        description: 'Article 115 was not extracted by webkit',
+      },
+    ]);
+    expect(comparison.consistent).toBe(false);
+  });
+
+  test('🔤 Should report stable fields that differ between engines', () => {
+    const comparison = compareEngineRuns([
+      { browser: 'chromium', result: run(ids(105, 101)) },
+      {
+        browser: 'firefox',
+        result: run(ids(105, 101), {
+          fields: { 103: { title: 'Story 103 ', score: '9 points' } },
+        }),
+      },
+    ]);
+
+    expect(comparison.findings).toEqual([
+      expect.objectContaining({
+        type: 'field-mismatch',
+        id: '103',
+        field: 'title',
+        values: { chromium: 'Story 103', firefox: 'Story 103 ' },
+      }),
+    ]);
+  });
+
+  test('⚖️ Should report engines that disagree on the outcome', () => {
+    const comparison = compareEngineRuns([
+      { browser: 'chromium', result: run(ids(105, 101)) },
+      { browser: 'webkit', result: run(ids(105, 101), { passed: false }) },
+    ]);
+
+    expect(comparison.findings.map((finding) => finding.description)).toEqual([
+      'Validation passed on chromium but failed on webkit',
+    ]);
+    expect(comparison.allPassed).toBe(false);
+  });
+
+  test('💥 Should report a failed run by its first error line', () => {
+    const comparison = compareEngineRuns([
+      { browser: 'chromium', result: run(ids(105, 101)) },
+      {
+        browser: 'webkit',
+        result: {
+          error: new Error('browserType.launch: missing libraries\n  libicu'),
+        },
+      },
+    ]);
+
+    expect(comparison.engines[1]).toMatchObject({
+      browser: 'webkit',
+      completed: false,
+      error: 'browserType.launch: missing libraries',
+    });
+    expect(comparison.findings.map((finding) => finding.type)).toEqual([
+      'engine-failed',
+    ]);
+    // Only completed engines count towards the shared range
+    expect(comparison.sharedIdRange).toEqual({ min: 101, max: 105 });
+    expect(comparison.allPassed).toBe(false);
+  });
+
+  test('🚫 Should have no shared range when the runs do not overlap', () => {
+    const comparison = compareEngineRuns([
+      { browser: 'chromium', result: run(ids(130, 121)) },
+      { browser: 'firefox', result: run(ids(110, 101)) },
+    ]);
+
+    expect(comparison.sharedIdRange).toBeNull();
+    expect(comparison.edgeDifferences).toHaveLength(20);
+    expect(comparison.findings).toHaveLength(0);
+  });
+});
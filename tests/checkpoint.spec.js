@@ -0,0 +1,206 @@
+/**
+ * 🧪 Checkpoint Tests
+ *
+ * Checks that checkpoints save and revive extracted articles, that a resumed
+ * run picks up the checkpointed listing and settings after its last good
+ * page, and which checkpoints cannot be resumed. No browser is launched.
+ */
+
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Checkpoint } = require('../scrapers/checkpoint');
+const {
+  ValidationOrchestrator,
+} = require('../scrapers/validationOrchestrator');
+
+const RUN = {
+  listing: 'front',
+  day: null,
+  baseUrl: 'http://127.0.0.1:4173',
+  articleCount: 90,
+  pagination: 'url',
+};
+
+/**
+ * Extracted article as the scraper builds it
+ * @param {number} index - Position in the listing, from 0
+ * @returns {Object} Article object
+ */
+function extractedArticle(index) {
+  const time = new Date(Date.UTC(2026, 9, 19, 12, 0 - index));
+  return {
+    id: String(5000 - index),
+    title: `Story ${index + 1}`,
+    rank: String(index + 1),
+    position: index + 1,
+    pageNumber: Math.floor(index / 30) + 1,
+    timestamp: time,
+    preciseTimestamp: time,
+    timestampPrecision: 'precise',
+    extractedAt: new Date('2026-10-19T12:05:00Z'),
+  };
+}
+
+let directory;
+
+test.beforeEach(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'hn-checkpoint-'));
+});
+
+test.afterEach(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+/**
+ * Save a checkpoint of the first page into the temp directory
+ * @param {Object} progress - Fields overriding the saved progress
+ * @returns {Checkpoint} Saved checkpoint
+ */
+function saveFirstPage(progress = {}) {
+  const checkpoint = Checkpoint.create(directory, RUN);
+  checkpoint.save({
+    articles: Array.from({ length: 30 }, (_, i) => extractedArticle(i)),
+    skippedRows: [{ id: '4999', rank: 31, pageNumber: 2, pageIndex: 0 }],
+    pageNumber: 1,
+    pageUrl: `${RUN.baseUrl}/news`,
+    nextPagePath: '/news?p=2',
+    ...progress,
+  });
+  return checkpoint;
+}
+
+test.describe('💾 Saving and Loading', () => {
+  test('📄 Should revive the saved articles with their Dates', () => {
+    const saved = saveFirstPage();
+    const loaded = Checkpoint.load(saved.file);
+
+    expect(fs.existsSync(`${saved.file}.tmp`)).toBe(false);
+    expect(loaded.state).toMatchObject({
+      run: RUN,
+      complete: false,
+      pageNumber: 1,
+      nextPagePath: '/news?p=2',
+    });
+    expect(loaded.state.skippedRows).toHaveLength(1);
+
+    const articles = loaded.getArticles();
+    expect(articles).toHaveLength(30);
+    expect(articles[3].timestamp).toBeInstanceOf(Date);
+    expect(articles[3]).toEqual(extractedArticle(3));
+  });
+
+  test('⏱️ Should revive relative timestamp intervals', () => {
+    const interval = {
+      earliest: new Date('2026-10-19T11:54:00Z'),
+      latest: new Date('2026-10-19T11:55:00Z'),
+    };
+    saveFirstPage({
+      articles: [{ ...extractedArticle(0), timestampInterval: interval }],
+    });
+
+    const [article] = Checkpoint.load(directory).getArticles();
+    expect(article.timestampInterval.earliest).toEqual(interval.earliest);
+    expect(article.timestampInterval.latest).toEqual(interval.latest);
+  });
+
+  test('📁 Should load the checkpoint from its run directory', () => {
+    saveFirstPage();
+
+    expect(Checkpoint.load(directory).file).toBe(
+      path.join(directory, 'checkpoint.json'),
+    );
+  });
+
+  test('🚫 Should reject missing checkpoints and ones without pages', () => {
+    expect(() => Checkpoint.load(directory)).toThrow('not found');
+
+    Checkpoint.create(directory, RUN).write();
+    expect(() => Checkpoint.load(directory)).toThrow(
+      'holds no extracted pages',
+    );
+  });
+
+  test('✅ Should mark a finished run complete', () => {
+    const checkpoint = saveFirstPage();
+    checkpoint.markComplete();
+
+    expect(Checkpoint.load(directory).state.complete).toBe(true);
+  });
+
+  test('🧹 Should remove the checkpoint of a finished run', () => {
+    const checkpoint = saveFirstPage();
+    checkpoint.remove();
+
+    expect(fs.existsSync(checkpoint.file)).toBe(false);
+    expect(fs.existsSync(directory)).toBe(true);
+  });
+});
+
+test.describe('⏯️ Resuming', () => {
+  /**
+   * Orchestrator resuming the checkpoint in the temp directory
+   * @param {Object} options - Further orchestrator options
+   * @returns {ValidationOrchestrator} Orchestrator
+   */
+  const resume = (options = {}) =>
+    new ValidationOrchestrator({
+      resume: directory,
+      ...options,
+    });
+
+  test('▶️ Should continue after the last checkpointed page', () => {
+    saveFirstPage();
+    const orchestrator = resume();
+
+    expect(orchestrator.pageNumber).toBe(2);
+    expect(orchestrator.articles).toHaveLength(30);
+    expect(orchestrator.skippedRows).toHaveLength(1);
+    expect(orchestrator.checkpoint).toBe(orchestrator.resumeCheckpoint);
+  });
+
+  test('💾 Should keep checkpointing a resumed run', () => {
+    saveFirstPage();
+
+    expect(new ValidationOrchestrator().options.checkpoint).toBe(false);
+    expect(resume({ checkpoint: false }).options.checkpoint).toBe(true);
+  });
+
+  test('⚙️ Should restore the run settings the caller did not pass', () => {
+    saveFirstPage();
+
+    const restored = resume();
+    expect(restored.listingProfile.name).toBe('front');
+    expect(restored.options).toMatchObject({
+      baseUrl: RUN.baseUrl,
+      articleCount: 90,
+      pagination: 'url',
+    });
+
+    const overridden = resume({ articleCount: 120, pagination: 'click' });
+    expect(overridden.options).toMatchObject({
+      articleCount: 120,
+      pagination: 'click',
+    });
+  });
+
+  test('🚫 Should refuse complete checkpoints and ones with no next page', () => {
+    saveFirstPage({ nextPagePath: null });
+    expect(() => resume()).toThrow('has no next page to resume from');
+
+    saveFirstPage().markComplete();
+    expect(() => resume()).toThrow('is already complete');
+  });
+
+  test('🚫 Should refuse resuming with concurrency or replay', () => {
+    saveFirstPage();
+
+    expect(() => resume({ concurrency: 2 })).toThrow(
+      'cannot be resumed with concurrency or replay',
+    );
+    expect(() => resume({ replay: directory })).toThrow(
+      'cannot be resumed with concurrency or replay',
+    );
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * 🧪 Chronological Validation Tests
+ *
+ * Checks how relative ages bound an inversion: the floored "N minutes ago"
+ * buckets are half-open intervals. Pure functions only: no browser is
+ * launched.
+ */
+
+const { test, expect } = require('@playwright/test');
+const { validateChronologicalOrder } = require('../utils/validation');
+const { parseHackerNewsTime } = require('../utils/time');
+
+const REFERENCE_TIME = new Date('2026-10-19T12:00:00Z');
+const MINUTE = 60 * 1000;
+
+/**
+ * Article whose only timestamp is a relative age rendered at REFERENCE_TIME
+ * @param {string} ageText - Relative age (e.g. '5 minutes ago')
+ * @param {string} id - Article ID
+ * @returns {Object} Article object
+ */
+function relativeArticle(ageText, id) {
+  const interval = parseHackerNewsTime(ageText, REFERENCE_TIME);
+  return {
+    id,
+    title: `Story ${id}`,
+    ageText,
+    timestamp: interval.latest,
+    timestampInterval: interval,
+    timestampPrecision: 'relative',
+  };
+}
+
+/**
+ * Article with a precise timestamp some minutes before REFERENCE_TIME
+ * @param {number} minutesAgo - Minutes before REFERENCE_TIME
+ * @param {string} id - Article ID
+ * @returns {Object} Article object
+ */
+function preciseArticle(minutesAgo, id) {
+  const time = new Date(REFERENCE_TIME.getTime() - minutesAgo * MINUTE);
+  return {
+    id,
+    title: `Story ${id}`,
+    ageText: `${minutesAgo} minutes ago`,
+    timestamp: time,
+    preciseTimestamp: time,
+    timestampPrecision: 'precise',
+  };
+}
+
+test.describe('⏱️ Relative Age Intervals', () => {
+  test('📐 Should prove an inversion between adjacent minute buckets', () => {
+    const result = validateChronologicalOrder([
+      relativeArticle('5 minutes ago', '2'),
+      relativeArticle('4 minutes ago', '1'),
+    ]);
+
+    expect(result.violations).toHaveLength(1);
+    expect(result.violations[0].minimumDifference).toBe(0);
+    expect(result.violations[0].severity).toBe('minor');
+    expect(result.isValid).toBe(false);
+  });
+
+  test('📐 Should prove an inversion between adjacent hour buckets', () => {
+    const result = validateChronologicalOrder([
+      relativeArticle('3 hours ago', '2'),
+      relativeArticle('2 hours ago', '1'),
+    ]);
+
+    expect(result.violations).toHaveLength(1);
+    expect(result.indeterminate).toHaveLength(0);
+    expect(result.isValid).toBe(false);
+  });
+
+  test('🟰 Should not flag two articles in the same bucket', () => {
+    const result = validateChronologicalOrder([
+      relativeArticle('5 minutes ago', '2'),
+      relativeArticle('5 minutes ago', '1'),
+    ]);
+
+    expect(result.violations).toHaveLength(0);
+    expect(result.indeterminate).toHaveLength(0);
+    expect(result.isValid).toBe(true);
+  });
+
+  test('✅ Should accept relative ages in order', () => {
+    const result = validateChronologicalOrder([
+      relativeArticle('4 minutes ago', '3'),
+      relativeArticle('5 minutes ago', '2'),
+      relativeArticle('2 hours ago', '1'),
+    ]);
+
+    expect(result.violations).toHaveLength(0);
+    expect(result.isValid).toBe(true);
+  });
+
+  test('❓ Should leave a precise time inside a relative bucket indeterminate', () => {
+    // "5 minutes ago" covers (6, 5] minutes before the page was rendered
+    const result = validateChronologicalOrder([
+      preciseArticle(5.5, '2'),
+      relativeArticle('5 minutes ago', '1'),
+    ]);
+
+    expect(result.violations).toHaveLength(0);
+    expect(result.indeterminate).toHaveLength(1);
+  });
+
+  test('📐 Should prove an inversion against a precise time at the open bound', () => {
+    const result = validateChronologicalOrder([
+      preciseArticle(6, '2'),
+      relativeArticle('5 minutes ago', '1'),
+    ]);
+
+    expect(result.violations).toHaveLength(1);
+    expect(result.violations[0].severity).toBe('minor');
+  });
+
+  test('🟰 Should not treat identical precise times as an inversion', () => {
+    const result = validateChronologicalOrder([
+      preciseArticle(5, '2'),
+      preciseArticle(5, '1'),
+    ]);
+
+    expect(result.violations).toHaveLength(0);
+    expect(result.indeterminate).toHaveLength(0);
+  });
+});
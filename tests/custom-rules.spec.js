@@ -0,0 +1,360 @@
+/**
+ * 🧪 Custom Rules Engine Tests
+ *
+ * Checks how --rules definitions are loaded and evaluated: article, pairwise
+ * and set scopes, set windows, severities and predicates that throw or
+ * return something other than a result. Pure functions only: no browser is
+ * launched.
+ */
+
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  loadCustomRules,
+  evaluateCustomRules,
+} = require('../utils/customRules');
+
+/**
+ * Articles in listing order
+ * @param {Array<Object>} fields - Fields of each article
+ * @returns {Array<Object>} Article objects with IDs counting down
+ */
+function listing(fields) {
+  return fields.map((article, index) => ({
+    id: String(100 - index),
+    title: `Story ${index + 1}`,
+    ...article,
+  }));
+}
+
+/**
+ * Load and evaluate rule definitions
+ * @param {Array<Object>} definitions - Rule definitions
+ * @param {Array<Object>} articles - Articles in listing order
+ * @returns {Object} Results from evaluateCustomRules
+ */
+function evaluate(definitions, articles) {
+  return evaluateCustomRules(articles, loadCustomRules(definitions));
+}
+
+test.describe('📥 Loading Rules', () => {
+  test('📄 Should load a JSON file holding { rules: [...] }', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'hn-rules-'));
+    const file = path.join(directory, 'rules.json');
+    fs.writeFileSync(
+      file,
+      JSON.stringify({
+        rules: [
+          {
+            name: 'short-titles',
+            scope: 'article',
+            check: { field: 'title', maxLength: 80 },
+          },
+        ],
+      }),
+    );
+
+    try {
+      const [rule] = loadCustomRules(file);
+      expect(rule).toMatchObject({
+        name: 'short-titles',
+        description: 'short-titles',
+        severity: 'error',
+        scope: 'article',
+      });
+      expect(typeof rule.predicate).toBe('function');
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  test('🚫 Should reject invalid definitions with the rule named', () => {
+    expect(() => loadCustomRules('./missing-rules.json')).toThrow(
+      'Rules file ./missing-rules.json not found',
+    );
+    expect(() => loadCustomRules({})).toThrow(
+      'rules must hold an array of rules or { rules: [...] }',
+    );
+    expect(() => loadCustomRules([{ scope: 'article' }])).toThrow(
+      'Rule 1 in rules needs a name',
+    );
+    expect(() =>
+      loadCustomRules([{ name: 'r', scope: 'page', predicate: () => true }]),
+    ).toThrow('Rule "r" in rules has unknown scope "page"');
+    expect(() =>
+      loadCustomRules([
+        { name: 'r', scope: 'article', severity: 'fatal', check: {} },
+      ]),
+    ).toThrow('has unknown severity "fatal"');
+    expect(() => loadCustomRules([{ name: 'r', scope: 'article' }])).toThrow(
+      'needs a predicate function or a check with a field',
+    );
+    expect(() =>
+      loadCustomRules([
+        { name: 'r', scope: 'set', check: { field: 'author' } },
+      ]),
+    ).toThrow('needs check.maxOccurrences or check.unique');
+  });
+
+  test('👯 Should reject rules defined twice', () => {
+    const rule = { name: 'r', scope: 'article', predicate: () => true };
+    expect(() => loadCustomRules([rule, rule])).toThrow(
+      'Rule "r" is defined twice in rules',
+    );
+  });
+});
+
+test.describe('🧮 Rule Scopes', () => {
+  test('📰 Should check each article on its own', () => {
+    const result = evaluate(
+      [
+        {
+          name: 'short-titles',
+          scope: 'article',
+          check: { field: 'title', maxLength: 10 },
+        },
+        {
+          name: 'integer-score',
+          scope: 'article',
+          check: { field: 'score', integer: true, min: 1 },
+        },
+      ],
+      listing([
+        { title: 'Short one', score: '42' },
+        { title: 'A title that is too long', score: 'n/a' },
+        { title: 'Missing', score: null },
+      ]),
+    );
+
+    const [titles, scores] = result.rules;
+    expect(titles.violations).toEqual([
+      {
+        positions: [2],
+        ids: ['99'],
+        message: 'title is 24 characters (max 10)',
+      },
+    ]);
+    // Missing values only fail checks marked required
+    expect(scores.violations.map((v) => v.message)).toEqual([
+      'score "n/a" does not parse to an integer',
+    ]);
+  });
+
+  test('🔢 Should accept whole numbers only as integers', () => {
+    const result = evaluate(
+      [
+        {
+          name: 'integer-score',
+          scope: 'article',
+          check: { field: 'score', integer: true },
+        },
+      ],
+      listing(
+        [42, ' 7 ', '-3', '42 points', '12abc', '3.5', '1e3'].map((score) => ({
+          score,
+        })),
+      ),
+    );
+
+    expect(result.rules[0].violations.map((v) => v.positions[0])).toEqual([
+      4, 5, 6, 7,
+    ]);
+  });
+
+  test('🔗 Should check each adjacent pair', () => {
+    const result = evaluate(
+      [
+        {
+          name: 'descending-ids',
+          scope: 'pairwise',
+          check: { field: 'id', order: 'desc' },
+        },
+        {
+          name: 'alternating-authors',
+          scope: 'pairwise',
+          check: { field: 'author', distinct: true },
+        },
+      ],
+      [
+        { id: '30', author: 'a' },
+        { id: '20', author: 'a' },
+        { id: '25', author: 'b' },
+      ],
+    );
+
+    const [order, authors] = result.rules;
+    expect(order.violations).toEqual([
+      {
+        positions: [2, 3],
+        ids: ['20', '25'],
+        message: 'id 25 after 20 is not descending',
+      },
+    ]);
+    expect(authors.violations.map((v) => v.positions)).toEqual([[1, 2]]);
+  });
+
+  test('🪟 Should limit occurrences within each window of articles', () => {
+    const authors = ['a', 'b', 'a', 'c', 'a', 'd', 'e', 'a'];
+    const articles = listing(authors.map((author) => ({ author })));
+    const rule = (window) => ({
+      name: `author-cap-${window || 'all'}`,
+      scope: 'set',
+      check: { field: 'author', maxOccurrences: 2, window },
+    });
+
+    const result = evaluate([rule(3), rule(5), rule()], articles);
+    const [three, five, all] = result.rules;
+
+    // No three consecutive articles hold "a" more than twice
+    expect(three.passed).toBe(true);
+    // Positions 1-5 hold it three times; the value is reported once
+    expect(five.violations).toEqual([
+      {
+        positions: [1, 3, 5],
+        ids: ['100', '98', '96'],
+        message: 'author "a" occurs 3 times in 5 consecutive articles (max 2)',
+      },
+    ]);
+    expect(all.violations).toEqual([
+      {
+        positions: [1, 3, 5, 8],
+        ids: ['100', '98', '96', '93'],
+        message: 'author "a" occurs 4 times in the listing (max 2)',
+      },
+    ]);
+  });
+
+  test('🆔 Should report each repeated value once for unique checks', () => {
+    const result = evaluate(
+      [
+        {
+          name: 'unique-domains',
+          scope: 'set',
+          severity: 'warning',
+          check: { field: 'domain', unique: true, window: 2 },
+        },
+      ],
+      listing([
+        { domain: 'x.com' },
+        { domain: 'x.com' },
+        { domain: 'x.com' },
+        { domain: null },
+      ]),
+    );
+
+    expect(result.rules[0].violations.map((v) => v.positions)).toEqual([
+      [1, 2],
+    ]);
+  });
+
+  test('🧰 Should accept predicate functions and their own violations', () => {
+    const result = evaluate(
+      [
+        {
+          name: 'no-ask-hn',
+          scope: 'article',
+          description: 'Ask HN posts are not expected here',
+          predicate: (article) => !article.title.startsWith('Ask HN'),
+        },
+        {
+          name: 'enough-articles',
+          scope: 'set',
+          predicate: (articles) =>
+            articles.length >= 3 || `only ${articles.length} articles`,
+        },
+        {
+          name: 'first-is-newest',
+          scope: 'set',
+          predicate: (articles) => [
+            { positions: [2], message: `${articles[1].id} looks newer` },
+          ],
+        },
+      ],
+      listing([{ title: 'Ask HN: Anyone?' }, { title: 'A story' }]),
+    );
+
+    const [ask, enough, newest] = result.rules;
+    expect(ask.violations).toEqual([
+      {
+        positions: [1],
+        ids: ['100'],
+        message: 'Ask HN posts are not expected here',
+      },
+    ]);
+    expect(enough.violations).toEqual([
+      { positions: [], ids: [], message: 'only 2 articles' },
+    ]);
+    expect(newest.violations).toEqual([
+      { positions: [2], ids: ['99'], message: '99 looks newer' },
+    ]);
+  });
+});
+
+test.describe('🚦 Rule Outcomes', () => {
+  test('💥 Should report a predicate that throws as a failed rule', () => {
+    const result = evaluate(
+      [
+        {
+          name: 'broken',
+          scope: 'article',
+          predicate: (article) => article.missing.field,
+        },
+        { name: 'fine', scope: 'article', predicate: () => true },
+      ],
+      listing([{}]),
+    );
+
+    const [broken, fine] = result.rules;
+    expect(broken.passed).toBe(false);
+    expect(broken.error).toContain('Cannot read properties of undefined');
+    expect(broken.violations).toEqual([]);
+    expect(fine.passed).toBe(true);
+    expect(result.isValid).toBe(false);
+    expect(result.failedErrors).toBe(1);
+  });
+
+  test('❓ Should report a predicate returning anything else as a failed rule', () => {
+    const result = evaluate(
+      [
+        { name: 'undefined', scope: 'article', predicate: () => {} },
+        { name: 'number', scope: 'pairwise', predicate: () => 0 },
+        { name: 'null', scope: 'set', predicate: () => null },
+        { name: 'message', scope: 'article', predicate: () => 'bad title' },
+      ],
+      listing([{}, {}]),
+    );
+
+    expect(result.rules.map((rule) => rule.error)).toEqual([
+      'Rule "undefined" predicate returned undefined; return true, false or a message',
+      'Rule "number" predicate returned number; return true, false or a message',
+      'Rule "null" predicate returned null; return true, false or a message (or an array of violations)',
+      null,
+    ]);
+    expect(result.rules[3].violations).toHaveLength(2);
+    expect(result.failedErrors).toBe(4);
+  });
+
+  test('⚠️ Should only fail the run on error-severity rules', () => {
+    const failing = (name, severity) => ({
+      name,
+      severity,
+      scope: 'article',
+      predicate: () => false,
+    });
+    const articles = listing([{}]);
+
+    const reported = evaluate(
+      [failing('w', 'warning'), failing('i', 'info')],
+      articles,
+    );
+    expect(reported.isValid).toBe(true);
+    expect(reported.failedWarnings).toBe(1);
+    expect(reported.failedInfo).toBe(1);
+
+    const failed = evaluate([failing('e', 'error')], articles);
+    expect(failed.isValid).toBe(false);
+    expect(failed.checkedRules).toBe(1);
+  });
+});
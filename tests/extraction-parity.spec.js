@@ -0,0 +1,132 @@
+/**
+ * 🧪 Extraction Parity Tests
+ *
+ * Loads mock server listings in the browser and checks that batch extraction
+ * (one page.evaluate per page) and per-element extraction build the same
+ * articles, skip the same already-extracted rows and number positions the
+ * same way, and that the speed difference between them is reported.
+ */
+
+const { test, expect } = require('@playwright/test');
+const { startMockServer } = require('../mock/hnMockServer');
+const {
+  extractArticlesFromPage,
+  extractArticlesFromPageBatch,
+} = require('../scrapers/articleExtractor');
+const { createMonitor } = require('../utils/performance');
+
+/**
+ * Articles without their extraction time, which differs between passes
+ * @param {Array<Object>} articles - Extracted articles
+ * @returns {Array<Object>} Comparable articles
+ */
+const comparable = (articles) =>
+  articles.map(({ extractedAt, ...article }) => article);
+
+test.describe('⚖️ Batch and Per-Element Extraction', () => {
+  let mock;
+
+  test.beforeAll(async () => {
+    mock = await startMockServer();
+  });
+
+  test.afterAll(async () => {
+    await mock.close();
+  });
+
+  ['newest', 'news', 'jobs'].forEach((listing) => {
+    test(`🟰 Should build the same articles from /${listing}`, async ({
+      page,
+    }) => {
+      await page.goto(`${mock.url}/${listing}`);
+      const referenceTime = new Date();
+
+      const batch = await extractArticlesFromPageBatch(
+        page,
+        [],
+        30,
+        1,
+        false,
+        referenceTime,
+      );
+      const element = await extractArticlesFromPage(
+        page,
+        [],
+        30,
+        1,
+        false,
+        referenceTime,
+      );
+
+      expect(batch).toHaveLength(30);
+      expect(comparable(element)).toEqual(comparable(batch));
+    });
+  });
+
+  test('⏭️ Should skip and number rows the same way', async ({ page }) => {
+    await page.goto(`${mock.url}/newest`);
+    const referenceTime = new Date();
+    const existing = (
+      await extractArticlesFromPageBatch(page, [], 5, 1, false, referenceTime)
+    ).map((article) => ({ ...article, pageNumber: 1 }));
+
+    const batchSkipped = [];
+    const batch = await extractArticlesFromPageBatch(
+      page,
+      existing,
+      10,
+      2,
+      false,
+      referenceTime,
+      batchSkipped,
+    );
+    const elementSkipped = [];
+    const element = await extractArticlesFromPage(
+      page,
+      existing,
+      10,
+      2,
+      false,
+      referenceTime,
+      elementSkipped,
+    );
+
+    expect(batch.map((article) => article.position)).toEqual([
+      6, 7, 8, 9, 10, 11, 12, 13, 14, 15,
+    ]);
+    expect(comparable(element)).toEqual(comparable(batch));
+    expect(batchSkipped.map((row) => row.id)).toEqual(
+      existing.map((article) => article.id),
+    );
+    expect(elementSkipped).toEqual(batchSkipped);
+  });
+});
+
+test.describe('⏱️ Extraction Timings', () => {
+  test('📈 Should report how much faster batch extraction was', () => {
+    const monitor = createMonitor();
+    monitor.setExtractionMode('compare');
+    monitor.recordExtraction('batch', 1, 30, 30);
+    monitor.recordExtraction('element', 1, 30, 240);
+    monitor.recordExtraction('batch', 2, 30, 60);
+    monitor.recordExtraction('element', 2, 30, 300);
+
+    const report = monitor.getExtractionReport();
+    expect(report.mode).toBe('compare');
+    expect(report.byMode.batch).toEqual({
+      pages: 2,
+      articles: 60,
+      totalTime: 90,
+      msPerArticle: 1.5,
+    });
+    expect(report.byMode.element.msPerArticle).toBe(9);
+    expect(report.speedup).toBe(6);
+  });
+
+  test('❔ Should report no speedup when only one mode ran', () => {
+    const monitor = createMonitor();
+    monitor.recordExtraction('batch', 1, 30, 30);
+
+    expect(monitor.getExtractionReport().speedup).toBeNull();
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * 🧪 Fault Detection Tests
+ *
+ * Applies each fault scenario to a fixed mock listing, validates what a
+ * scraper would extract from it page by page, and checks which faults the
+ * detection report scores as detected, missed or not reached. Pure functions
+ * only: no browser or server is started.
+ */
+
+const { test, expect } = require('@playwright/test');
+const {
+  FAULT_SCENARIOS,
+  applyFaultScenario,
+  evaluateFaultDetection,
+  getDriftShift,
+} = require('../mock/faultInjector');
+const { generateArticles } = require('../mock/fixtureGenerator');
+const { generateValidationReport } = require('../utils/validation');
+const { describeSkippedRow } = require('../scrapers/articleExtractor');
+
+const PAGE_SIZE = 30;
+const LISTING = generateArticles({
+  seed: 42,
+  count: 120,
+  anchorTime: new Date('2026-10-19T12:00:00Z'),
+});
+
+/**
+ * Extract a faulty listing the way the scraper does: page by page (shifted
+ * back by any drift), skipping rows whose ID was already extracted
+ * @param {Array} served - Listing returned by applyFaultScenario
+ * @param {Array} faults - Faults returned by applyFaultScenario
+ * @param {number} articleCount - Articles to extract
+ * @returns {{articles: Array, skipped: Array}} Extracted articles and skipped rows
+ */
+function extract(served, faults, articleCount) {
+  const articles = [];
+  const skipped = [];
+
+  for (let page = 1; articles.length < articleCount; page++) {
+    const start = Math.max(
+      0,
+      (page - 1) * PAGE_SIZE - getDriftShift(faults, page),
+    );
+    const rows = served.slice(start, start + PAGE_SIZE);
+    if (rows.length === 0) break;
+
+    rows.forEach((row, pageIndex) => {
+      const rank = String(
+        row.rankOverride ?? (page - 1) * PAGE_SIZE + pageIndex + 1,
+      );
+      if (articles.some((article) => article.id === row.id)) {
+        skipped.push(
+          describeSkippedRow(
+            { id: row.id, title: row.title, rank },
+            page,
+            pageIndex,
+            articles,
+          ),
+        );
+        return;
+      }
+      if (articles.length >= articleCount) return;
+
+      articles.push({
+        id: row.id,
+        title: row.title,
+        url: row.url,
+        rank,
+        position: articles.length + 1,
+        pageNumber: page,
+        timestamp: row.time,
+        preciseTimestamp: row.time,
+        timestampPrecision: row.time ? 'precise' : null,
+      });
+    });
+  }
+
+  return { articles, skipped };
+}
+
+/**
+ * Run a scenario end to end and score it
+ * @param {string} scenario - Key of FAULT_SCENARIOS
+ * @param {number} articleCount - Articles to extract (default: 60)
+ * @returns {Object} Fault detection report
+ */
+function scoreScenario(scenario, articleCount = 60) {
+  const { articles: served, faults } = applyFaultScenario(LISTING, scenario);
+  const { articles, skipped } = extract(served, faults, articleCount);
+  const validationReport = generateValidationReport(articles, {
+    listing: 'newest',
+    skipped,
+  });
+  return evaluateFaultDetection(faults, { articles, validationReport });
+}
+
+test.describe('🧨 Fault Scenarios', () => {
+  const expectedEvidence = {
+    'swap-adjacent': ['chronological violation', 'chronological violation'],
+    'cross-page-repeat': ['duplicate ID'],
+    'drop-timestamps': [
+      'missing timestamp in data quality',
+      'missing timestamp in data quality',
+      'missing timestamp in data quality',
+    ],
+    'corrupt-ranks': ['rank gap', 'repeated rank'],
+    'listing-drift': ['listing drift'],
+  };
+
+  Object.entries(expectedEvidence).forEach(([scenario, evidence]) => {
+    test(`🎯 Should detect every fault of ${scenario}`, () => {
+      const report = scoreScenario(scenario);
+
+      expect(report.totalFaults).toBe(FAULT_SCENARIOS[scenario].length);
+      expect(report.allDetected).toBe(true);
+      expect(report.missed).toBe(0);
+      expect(report.notReached).toBe(0);
+      expect(report.outcomes.map((outcome) => outcome.evidence)).toEqual(
+        evidence,
+      );
+    });
+  });
+
+  test('🧩 Should detect every fault of the all scenario', () => {
+    const report = scoreScenario('all');
+
+    expect(report.totalFaults).toBe(FAULT_SCENARIOS.all.length);
+    expect(report.outcomes.map((outcome) => outcome.status)).toEqual(
+      FAULT_SCENARIOS.all.map(() => 'detected'),
+    );
+    expect(report.allDetected).toBe(true);
+  });
+
+  test('🚧 Should score faults past the extracted articles as not reached', () => {
+    const report = scoreScenario('swap-adjacent', 30);
+
+    expect(report.outcomes.map((outcome) => outcome.status)).toEqual([
+      'detected',
+      'not-reached',
+    ]);
+    expect(report.notReached).toBe(1);
+    expect(report.allDetected).toBe(true);
+  });
+
+  test('🙈 Should score faults the report does not show as missed', () => {
+    const { articles: served, faults } = applyFaultScenario(LISTING, 'all');
+    const { articles } = extract(served, faults, 60);
+    const report = evaluateFaultDetection(faults, {
+      articles,
+      validationReport: {},
+    });
+
+    expect(report.detected).toBe(0);
+    expect(report.missed).toBe(report.totalFaults);
+    expect(report.allDetected).toBe(false);
+  });
+
+  test('🚫 Should reject unknown scenarios', () => {
+    expect(() => applyFaultScenario(LISTING, 'nope')).toThrow(
+      'Unknown fault scenario "nope"',
+    );
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * 🧪 Item ID Ordering Tests
+ *
+ * Checks that item IDs must decrease down the newest listing, that each
+ * inversion names both neighbours, and how inversions are cross-referenced
+ * with timestamp violations. Pure functions only: no browser is launched.
+ */
+
+const { test, expect } = require('@playwright/test');
+const {
+  validateChronologicalOrder,
+  validateIdOrdering,
+  generateValidationReport,
+} = require('../utils/validation');
+
+const REFERENCE_TIME = new Date('2026-10-19T12:00:00Z');
+const MINUTE = 60 * 1000;
+
+/**
+ * Articles with precise timestamps
+ * @param {Array<[string, number]>} rows - ID and minutes before REFERENCE_TIME of each article
+ * @returns {Array<Object>} Article objects in listing order
+ */
+function listing(rows) {
+  return rows.map(([id, minutesAgo], index) => {
+    const time = new Date(REFERENCE_TIME.getTime() - minutesAgo * MINUTE);
+    return {
+      id,
+      title: `Story ${id}`,
+      rank: String(index + 1),
+      ageText: `${minutesAgo} minutes ago`,
+      timestamp: time,
+      preciseTimestamp: time,
+      timestampPrecision: 'precise',
+    };
+  });
+}
+
+/**
+ * Validate ID order cross-referenced with the chronological check
+ * @param {Array<Object>} articles - Articles in listing order
+ * @returns {Object} Results from validateIdOrdering
+ */
+function checkIds(articles) {
+  return validateIdOrdering(articles, validateChronologicalOrder(articles));
+}
+
+test.describe('🆔 Item ID Ordering', () => {
+  test('✅ Should accept IDs decreasing down the listing', () => {
+    const result = checkIds(
+      listing([
+        ['300', 1],
+        ['200', 2],
+        ['100', 3],
+      ]),
+    );
+
+    expect(result.isValid).toBe(true);
+    expect(result.checkedPairs).toBe(2);
+    expect(result.inversions).toHaveLength(0);
+  });
+
+  test('🔀 Should report an inversion with both neighbours', () => {
+    const result = checkIds(
+      listing([
+        ['300', 1],
+        ['100', 2],
+        ['250', 3],
+      ]),
+    );
+
+    expect(result.isValid).toBe(false);
+    expect(result.inversions).toEqual([
+      {
+        position: 3,
+        previous: {
+          position: 2,
+          id: '100',
+          title: 'Story 100',
+          ageText: '2 minutes ago',
+        },
+        current: {
+          position: 3,
+          id: '250',
+          title: 'Story 250',
+          ageText: '3 minutes ago',
+        },
+        idDifference: 150,
+        timestampViolation: false,
+      },
+    ]);
+  });
+
+  test('🔗 Should tell confirmed inversions from ID-only and timestamp-only ones', () => {
+    const result = checkIds(
+      listing([
+        ['600', 10],
+        // ID and timestamp both out of order: the listing is mis-sorted
+        ['700', 5],
+        ['500', 20],
+        // ID out of order, timestamp fine
+        ['550', 25],
+        ['400', 30],
+        // Timestamp out of order, ID fine: parsing noise
+        ['300', 15],
+      ]),
+    );
+
+    expect(result.inversions.map((inversion) => inversion.position)).toEqual([
+      2, 4,
+    ]);
+    expect(result.crossReference).toEqual({
+      confirmed: [2],
+      idOnly: [4],
+      timestampOnly: [6],
+    });
+  });
+
+  test('⏭️ Should skip pairs without a numeric ID', () => {
+    const result = checkIds(
+      listing([
+        ['300', 1],
+        ['', 2],
+        ['100', 3],
+      ]),
+    );
+
+    expect(result.checkedPairs).toBe(0);
+    expect(result.isValid).toBe(true);
+  });
+
+  test('📋 Should only fail listings that enforce ID order', () => {
+    const articles = listing([
+      ['100', 1],
+      ['200', 1],
+    ]);
+
+    const newest = generateValidationReport(articles, { listing: 'newest' });
+    expect(newest.idOrder.inversions).toHaveLength(1);
+    expect(newest.summary.isIdOrderValid).toBe(false);
+    expect(newest.summary.validationPassed).toBe(false);
+
+    const front = generateValidationReport(articles, { listing: 'front' });
+    expect(front.idOrder.inversions).toHaveLength(1);
+    expect(front.summary.validationPassed).toBe(true);
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * 🧪 Listing Drift Tests
+ *
+ * Runs the validation orchestrator sequentially against the mock server's
+ * ranked listings while they shift between page loads, and checks that the
+ * repeated rows are reported as listing drift rather than breaking
+ * pagination. A page counts as loaded once any of its rows is new.
+ */
+
+const { test, expect } = require('@playwright/test');
+const { startMockServer } = require('../mock/hnMockServer');
+const {
+  ValidationOrchestrator,
+} = require('../scrapers/validationOrchestrator');
+const { findFirstNewId } = require('../scrapers/paginationHandler');
+
+test.describe('🆕 First New Row', () => {
+  const existing = ['103', '102', '101'].map((id) => ({ id }));
+
+  test('➡️ Should find the first row past the repeated ones', () => {
+    // Two stories from the previous page were pushed down onto this one
+    expect(findFirstNewId(['102', '101', '100', '99'], existing)).toBe('100');
+    expect(findFirstNewId(['100', '99'], existing)).toBe('100');
+  });
+
+  test('🛑 Should find nothing when every row repeats', () => {
+    expect(findFirstNewId(['103', '102', '101'], existing)).toBeNull();
+    expect(findFirstNewId([], existing)).toBeNull();
+  });
+});
+
+test.describe('🔀 Listing Drift on Ranked Listings', () => {
+  let mock;
+
+  test.beforeAll(async () => {
+    mock = await startMockServer({ faultScenario: 'listing-drift' });
+  });
+
+  test.afterAll(async () => {
+    await mock.close();
+  });
+
+  ['click', 'url'].forEach((pagination) => {
+    test(`📄 Should report drift with ${pagination} pagination`, async ({
+      browserName,
+    }) => {
+      console.log(
+        `🔍 Testing: Drift on /front with ${pagination} pagination...`,
+      );
+
+      const [fault] = mock.faults;
+      const orchestrator = new ValidationOrchestrator({
+        baseUrl: mock.url,
+        listing: 'front',
+        articleCount: 60,
+        pagination,
+        browser: browserName,
+        crawlDelay: 0,
+        quiet: true,
+      });
+      const result = await orchestrator.run();
+
+      // The shifted page loads instead of being retried past
+      expect(result.error).toBeUndefined();
+      expect(result.articles).toHaveLength(60);
+
+      const { listingDrift, rankContinuity } = result.validationReport;
+      expect(listingDrift.hasDrift).toBe(true);
+      expect(listingDrift.shiftedArticles.map((row) => row.id)).toEqual(
+        fault.ids,
+      );
+      expect(listingDrift.shiftedArticles.map((row) => row.pageNumber)).toEqual(
+        [2, 2],
+      );
+      expect(rankContinuity.gaps).toHaveLength(0);
+
+      console.log(
+        `✅ PASSED: ${listingDrift.count} shifted rows reported as drift`,
+      );
+    });
+  });
+});
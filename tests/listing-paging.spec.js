@@ -0,0 +1,100 @@
+/**
+ * 🧪 Listing Paging Tests
+ *
+ * Checks how listing pages are addressed: ranked listings by `?p=N`, newest
+ * and jobs only by the More link's cursor. Concurrent runs, which fetch pages
+ * by number, are refused for cursor listings, and the mock server's strict
+ * paging mode rejects `?p=` on them as the real site would.
+ */
+
+const { test, expect } = require('@playwright/test');
+const { getListingProfile, getListingPagePath } = require('../utils/listings');
+const {
+  ValidationOrchestrator,
+} = require('../scrapers/validationOrchestrator');
+const { startMockServer } = require('../mock/hnMockServer');
+
+test.describe('🔢 Page Addresses', () => {
+  test('📄 Should address ranked listing pages with p', () => {
+    expect(getListingPagePath(getListingProfile('front'), { page: 1 })).toBe(
+      '/news',
+    );
+    expect(getListingPagePath(getListingProfile('front'), { page: 3 })).toBe(
+      '/news?p=3',
+    );
+    expect(
+      getListingPagePath(getListingProfile('past'), {
+        day: '2026-10-18',
+        page: 2,
+      }),
+    ).toBe('/front?day=2026-10-18&p=2');
+  });
+
+  test('🧭 Should have no page address past the first for cursor listings', () => {
+    ['newest', 'jobs'].forEach((name) => {
+      const profile = getListingProfile(name);
+      expect(profile.paging).toBe('cursor');
+      expect(getListingPagePath(profile)).toBe(`/${name}`);
+      expect(() => getListingPagePath(profile, { page: 2 })).toThrow(
+        "pages through the More link's cursor",
+      );
+    });
+  });
+
+  test('🚫 Should refuse concurrent runs of cursor listings', () => {
+    expect(
+      () =>
+        new ValidationOrchestrator({
+          listing: 'newest',
+          concurrency: 2,
+        }),
+    ).toThrow('cannot be fetched concurrently');
+
+    const orchestrator = new ValidationOrchestrator({
+      listing: 'front',
+      concurrency: 2,
+    });
+    expect(orchestrator.isConcurrent()).toBe(true);
+  });
+});
+
+test.describe('🧪 Mock Strict Paging', () => {
+  let strict;
+  let lenient;
+
+  test.beforeAll(async () => {
+    strict = await startMockServer({ strictPaging: true });
+    lenient = await startMockServer();
+  });
+
+  test.afterAll(async () => {
+    await strict.close();
+    await lenient.close();
+  });
+
+  test('🚫 Should reject p on cursor listings', async () => {
+    for (const name of ['newest', 'jobs']) {
+      const response = await fetch(`${strict.url}/${name}?p=2`);
+      expect(response.status).toBe(400);
+    }
+    expect((await fetch(`${lenient.url}/newest?p=2`)).status).toBe(200);
+  });
+
+  test('🧭 Should serve cursor pages and ranked p pages', async () => {
+    const last = strict.articles[29];
+    const cursorPage = await fetch(`${strict.url}/newest?next=${last.id}&n=31`);
+    expect(cursorPage.status).toBe(200);
+    const html = await cursorPage.text();
+    expect(html).toContain(`id="${strict.articles[30].id}"`);
+    expect(html).not.toContain(`id="${last.id}"`);
+
+    expect((await fetch(`${strict.url}/news?p=2`)).status).toBe(200);
+  });
+
+  test('🔗 Should link cursor listings onward by cursor', async () => {
+    const html = await (await fetch(`${strict.url}/jobs`)).text();
+    expect(html).toContain(
+      `href="jobs?next=${strict.articles[29].id}&amp;n=31"`,
+    );
+  });
+});
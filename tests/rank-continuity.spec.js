@@ -0,0 +1,203 @@
+/**
+ * 🧪 Rank Continuity & Listing Drift Tests
+ *
+ * Checks that rank gaps and repeats are found across pages, that rows
+ * skipped at the top of a page are told apart as listing drift, and that
+ * drifted ranks do not show up as gaps. Pure functions only: no browser is
+ * launched.
+ */
+
+const { test, expect } = require('@playwright/test');
+const {
+  validateRankContinuity,
+  validateListingDrift,
+} = require('../utils/validation');
+const { describeSkippedRow } = require('../scrapers/articleExtractor');
+
+/**
+ * Ranked articles, 30 to a page
+ * @param {Array<number>} ranks - Rank of each article in listing order
+ * @returns {Array<Object>} Article objects
+ */
+function rankedArticles(ranks) {
+  return ranks.map((rank, index) => ({
+    id: String(1000 - index),
+    title: `Story ${index + 1}`,
+    rank: String(rank),
+    position: index + 1,
+    pageNumber: Math.floor(index / 30) + 1,
+  }));
+}
+
+/**
+ * Ranks from first to last inclusive
+ * @param {number} first - First rank
+ * @param {number} last - Last rank
+ * @returns {Array<number>} Ranks
+ */
+function range(first, last) {
+  return Array.from({ length: last - first + 1 }, (_, i) => first + i);
+}
+
+test.describe('🔢 Rank Continuity', () => {
+  test('✅ Should accept ranks continuing across pages', () => {
+    const result = validateRankContinuity(rankedArticles(range(1, 60)));
+
+    expect(result.isValid).toBe(true);
+    expect(result.checkedRanks).toBe(60);
+    expect(result.gaps).toHaveLength(0);
+    expect(result.repeats).toHaveLength(0);
+  });
+
+  test('🕳️ Should report a rank that jumps ahead as a gap', () => {
+    const ranks = range(1, 30);
+    ranks[7] = 80;
+    const articles = rankedArticles(ranks);
+    const result = validateRankContinuity(articles);
+
+    expect(result.isValid).toBe(false);
+    expect(result.gaps[0]).toMatchObject({
+      position: 8,
+      id: articles[7].id,
+      expectedRank: 8,
+      actualRank: 80,
+      missingRanks: 72,
+    });
+  });
+
+  test('🔁 Should report a rank that falls behind as a repeat', () => {
+    const ranks = range(1, 40);
+    ranks[34] = 34;
+    const articles = rankedArticles(ranks);
+    const result = validateRankContinuity(articles);
+
+    expect(result.repeats).toEqual([
+      { position: 35, id: articles[34].id, rank: 34, firstPosition: 34 },
+    ]);
+    // Rank 35 itself never appeared
+    expect(result.gaps).toEqual([
+      {
+        position: 36,
+        id: articles[35].id,
+        expectedRank: 35,
+        actualRank: 36,
+        missingRanks: 1,
+      },
+    ]);
+  });
+
+  test('🕳️ Should report a page that skips ranks', () => {
+    const result = validateRankContinuity(
+      rankedArticles([...range(1, 30), ...range(36, 65)]),
+    );
+
+    expect(result.gaps).toHaveLength(1);
+    expect(result.gaps[0]).toMatchObject({
+      position: 31,
+      expectedRank: 31,
+      actualRank: 36,
+      missingRanks: 5,
+    });
+  });
+
+  test('❔ Should list rows without a rank, such as job ads, as missing', () => {
+    // Unranked rows do not take a rank, so the next row continues the count
+    const articles = rankedArticles([1, 0, 2, 3]);
+    articles[1].rank = '';
+    const result = validateRankContinuity(articles);
+
+    expect(result.missing).toEqual([{ position: 2, id: articles[1].id }]);
+    expect(result.checkedRanks).toBe(3);
+    expect(result.gaps).toHaveLength(0);
+  });
+
+  test('🔀 Should not report the ranks of drifted rows as a gap', () => {
+    // Page 2 was shifted down two rows: ranks 31 and 32 held repeats of
+    // page 1's last articles and were skipped
+    const articles = rankedArticles([...range(1, 30), ...range(33, 60)]);
+    const skipped = [
+      { id: articles[28].id, rank: 31, pageNumber: 2, pageIndex: 0 },
+      { id: articles[29].id, rank: 32, pageNumber: 2, pageIndex: 1 },
+    ];
+
+    expect(validateRankContinuity(articles).gaps).toHaveLength(1);
+    expect(validateRankContinuity(articles, { skipped }).gaps).toHaveLength(0);
+  });
+});
+
+test.describe('🔀 Listing Drift', () => {
+  const pageOne = rankedArticles(range(1, 30));
+
+  test('📄 Should report repeats leading a page as drift', () => {
+    const skipped = [
+      describeSkippedRow(
+        { id: pageOne[28].id, title: pageOne[28].title, rank: '31.' },
+        2,
+        0,
+        pageOne,
+      ),
+      describeSkippedRow(
+        { id: pageOne[29].id, title: pageOne[29].title, rank: '32.' },
+        2,
+        1,
+        pageOne,
+      ),
+    ];
+    const result = validateListingDrift(skipped);
+
+    expect(result.hasDrift).toBe(true);
+    expect(result.count).toBe(2);
+    expect(result.pagesAffected).toBe(1);
+    expect(result.shiftedArticles.map((row) => row.id)).toEqual([
+      pageOne[28].id,
+      pageOne[29].id,
+    ]);
+    expect(result.shiftedArticles[0]).toMatchObject({
+      rank: 31,
+      firstPosition: 29,
+      firstPageNumber: 1,
+      firstRank: 29,
+    });
+    expect(result.repeatedArticles).toHaveLength(0);
+  });
+
+  test('🔁 Should report a repeat below fresh rows as a real duplicate', () => {
+    const skipped = [
+      describeSkippedRow(
+        { id: pageOne[19].id, title: pageOne[19].title, rank: '33.' },
+        2,
+        2,
+        pageOne,
+      ),
+    ];
+    const result = validateListingDrift(skipped);
+
+    expect(result.hasDrift).toBe(false);
+    expect(result.repeatedArticles.map((row) => row.id)).toEqual([
+      pageOne[19].id,
+    ]);
+  });
+
+  test('🔁 Should report a repeat of an article from the same page as a duplicate', () => {
+    const result = validateListingDrift([
+      {
+        id: pageOne[0].id,
+        rank: 2,
+        pageNumber: 1,
+        pageIndex: 0,
+        firstPageNumber: 1,
+      },
+    ]);
+
+    expect(result.hasDrift).toBe(false);
+    expect(result.repeatedArticles).toHaveLength(1);
+  });
+
+  test('✅ Should report no drift when nothing was skipped', () => {
+    const result = validateListingDrift();
+
+    expect(result.hasDrift).toBe(false);
+    expect(result.count).toBe(0);
+    expect(result.pagesAffected).toBe(0);
+  });
+});
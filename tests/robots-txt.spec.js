@@ -0,0 +1,176 @@
+/**
+ * 🧪 robots.txt Tests
+ *
+ * Checks which robots.txt group applies to the scraper's user agent and how
+ * Allow/Disallow rules match listing paths. Pure functions and a stand-in
+ * request context only: no browser is launched.
+ */
+
+const { test, expect } = require('@playwright/test');
+const {
+  CrawlPolicy,
+  parseRobotsTxt,
+  isPathAllowed,
+} = require('../scrapers/crawlPolicy');
+const {
+  ValidationOrchestrator,
+} = require('../scrapers/validationOrchestrator');
+
+const USER_AGENT = 'Mozilla/5.0 (X11; Linux x86_64) HNScraper/1.0';
+
+test.describe('🤖 robots.txt Groups', () => {
+  test('📜 Should apply the * group when no other group matches', () => {
+    const rules = parseRobotsTxt(
+      ['User-agent: *', 'Disallow: /x?', 'Crawl-delay: 30'].join('\n'),
+      USER_AGENT,
+    );
+
+    expect(rules).toEqual({ crawlDelay: 30, allow: [], disallow: ['/x?'] });
+  });
+
+  test('🎯 Should prefer the most specific matching group', () => {
+    const rules = parseRobotsTxt(
+      [
+        'User-agent: *',
+        'Disallow: /',
+        '',
+        'User-agent: HNScraper',
+        'Disallow: /login',
+        'Crawl-delay: 2',
+      ].join('\n'),
+      USER_AGENT,
+    );
+
+    expect(rules).toEqual({
+      crawlDelay: 2,
+      allow: [],
+      disallow: ['/login'],
+    });
+  });
+
+  test('👥 Should share one group between consecutive User-agent lines', () => {
+    const rules = parseRobotsTxt(
+      [
+        'User-agent: SomeBot',
+        'User-agent: hnscraper',
+        'Disallow: /item',
+        'User-agent: *',
+        'Disallow: /',
+      ].join('\n'),
+      USER_AGENT,
+    );
+
+    expect(rules.disallow).toEqual(['/item']);
+  });
+
+  test('💬 Should ignore comments, blank values and unknown fields', () => {
+    const rules = parseRobotsTxt(
+      [
+        '# Hacker News',
+        'User-agent: * # everyone',
+        'Disallow:',
+        'Sitemap: https://example.com/sitemap.xml',
+        'Crawl-delay: soon',
+        'Allow: /news',
+      ].join('\r\n'),
+      USER_AGENT,
+    );
+
+    expect(rules).toEqual({ crawlDelay: null, allow: ['/news'], disallow: [] });
+  });
+
+  test('🚫 Should apply no rules when no group matches', () => {
+    const rules = parseRobotsTxt(
+      ['User-agent: SomeBot', 'Disallow: /'].join('\n'),
+      USER_AGENT,
+    );
+
+    expect(rules).toEqual({ crawlDelay: null, allow: [], disallow: [] });
+    expect(isPathAllowed(rules, '/newest')).toBe(true);
+  });
+});
+
+test.describe('🛣️ robots.txt Path Matching', () => {
+  test('📏 Should match Disallow rules as path prefixes', () => {
+    const rules = { allow: [], disallow: ['/x?'] };
+
+    expect(isPathAllowed(rules, '/x?fnid=abc')).toBe(false);
+    expect(isPathAllowed(rules, '/newest?next=1')).toBe(true);
+    expect(isPathAllowed(rules, '/x')).toBe(true);
+  });
+
+  test('✳️ Should support * wildcards and the $ anchor', () => {
+    const rules = { allow: [], disallow: ['/*?p=', '/item$'] };
+
+    expect(isPathAllowed(rules, '/front?day=2026-10-19&p=2')).toBe(true);
+    expect(isPathAllowed(rules, '/news?p=2')).toBe(false);
+    expect(isPathAllowed(rules, '/item')).toBe(false);
+    expect(isPathAllowed(rules, '/item?id=1')).toBe(true);
+  });
+
+  test('📐 Should let the longest matching rule win', () => {
+    const rules = { allow: ['/newest'], disallow: ['/'] };
+
+    expect(isPathAllowed(rules, '/newest?next=1')).toBe(true);
+    expect(isPathAllowed(rules, '/front')).toBe(false);
+  });
+
+  test('🤝 Should let Allow win a tie', () => {
+    const rules = { allow: ['/news'], disallow: ['/news'] };
+
+    expect(isPathAllowed(rules, '/news')).toBe(true);
+  });
+});
+
+test.describe('🚦 Crawl Policy robots.txt', () => {
+  const ROBOTS_TXT = [
+    'User-agent: *',
+    'Crawl-delay: 30',
+    '',
+    'User-agent: iPhone',
+    'Disallow: /front',
+    'Crawl-delay: 60',
+  ].join('\n');
+
+  /**
+   * Stand-in for Playwright's APIRequestContext serving ROBOTS_TXT
+   * @returns {Object} Request context with get
+   */
+  const request = () => ({
+    get: async () => ({
+      ok: () => true,
+      status: () => 200,
+      text: async () => ROBOTS_TXT,
+    }),
+  });
+
+  test('📱 Should pick the group for the user agent the browser sends', async () => {
+    const policy = new CrawlPolicy({
+      minDelay: 0,
+      userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X)',
+    });
+    await policy.loadRobots(request(), 'https://news.ycombinator.com');
+
+    expect(policy.describe()).toMatchObject({
+      crawlDelay: 60,
+      delay: 60000,
+      disallow: ['/front'],
+    });
+  });
+
+  test('🖥️ Should use the desktop user agent by default', async () => {
+    const policy = new CrawlPolicy({ minDelay: 1000 });
+    await policy.loadRobots(request(), 'https://news.ycombinator.com');
+
+    expect(policy.describe()).toMatchObject({ crawlDelay: 30, delay: 30000 });
+  });
+
+  test("🔌 Should be given the device profile's user agent", () => {
+    const orchestrator = new ValidationOrchestrator({ device: 'phone' });
+
+    expect(orchestrator.crawlPolicy.options.userAgent).toBe(
+      orchestrator.deviceProfile.contextOptions.userAgent,
+    );
+    expect(orchestrator.crawlPolicy.options.userAgent).toContain('iPhone');
+  });
+});
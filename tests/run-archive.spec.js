@@ -0,0 +1,174 @@
+/**
+ * 🧪 Run Archive Tests
+ *
+ * Checks that recorded pages keep their HTML, URL, document headers and
+ * capture time, that a recorded run loads back for replay, and that replayed
+ * runs never browse. Pages are stand-ins for Playwright's: no browser is
+ * launched.
+ */
+
+const { test, expect } = require('@playwright/test');
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RunArchive } = require('../scrapers/runArchive');
+const {
+  ValidationOrchestrator,
+} = require('../scrapers/validationOrchestrator');
+
+/**
+ * Stand-in for a Playwright page showing a listing page
+ * @returns {Object} Page with content, url, setContent, mainFrame and response events
+ */
+function createPage() {
+  const page = new EventEmitter();
+  const mainFrame = {};
+  page.html = '';
+  page.address = 'about:blank';
+  page.content = async () => page.html;
+  page.url = () => page.address;
+  page.mainFrame = () => mainFrame;
+  page.setContent = async (html) => {
+    page.html = html;
+  };
+
+  /**
+   * Show a page as if it had been navigated to
+   * @param {string} url - Page URL
+   * @param {string} html - Page HTML
+   * @param {Object} headers - Document response headers
+   */
+  page.load = (url, html, headers) => {
+    page.address = url;
+    page.html = html;
+    page.emit('response', {
+      request: () => ({ isNavigationRequest: () => true }),
+      frame: () => mainFrame,
+      status: () => 200,
+      allHeaders: async () => headers,
+    });
+  };
+  return page;
+}
+
+let root;
+
+test.beforeEach(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'hn-archive-'));
+});
+
+test.afterEach(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+/**
+ * Record a two-page run into the temp root
+ * @returns {Promise<RunArchive>} Finalized archive
+ */
+async function recordRun() {
+  const page = createPage();
+  const archive = RunArchive.create(root, { listing: 'newest' });
+  archive.attach(page);
+
+  page.load('https://news.ycombinator.com/newest', '<p>page one</p>', {
+    'content-type': 'text/html',
+  });
+  await archive.capturePage(page, 1);
+  page.load(
+    'https://news.ycombinator.com/newest?next=41&n=31',
+    '<p>page two</p>',
+    { 'content-type': 'text/html', date: 'Mon, 19 Oct 2026 12:00:00 GMT' },
+  );
+  await archive.capturePage(page, 2);
+
+  archive.finalize({ articlesExtracted: 60 });
+  return archive;
+}
+
+test.describe('📼 Recording', () => {
+  test('💾 Should save each page with its URL, headers and capture time', async () => {
+    const archive = await recordRun();
+    const manifest = JSON.parse(
+      fs.readFileSync(path.join(archive.dir, 'manifest.json'), 'utf-8'),
+    );
+
+    expect(path.dirname(archive.dir)).toBe(root);
+    expect(manifest).toMatchObject({
+      version: 1,
+      listing: 'newest',
+      articlesExtracted: 60,
+    });
+    expect(manifest.completedAt).toBeTruthy();
+    expect(manifest.pages.map((entry) => entry.file)).toEqual([
+      'page-001.html',
+      'page-002.html',
+    ]);
+    expect(manifest.pages[1]).toMatchObject({
+      pageNumber: 2,
+      url: 'https://news.ycombinator.com/newest?next=41&n=31',
+      status: 200,
+      headers: { date: 'Mon, 19 Oct 2026 12:00:00 GMT' },
+    });
+    expect(new Date(manifest.pages[1].capturedAt).getTime()).not.toBeNaN();
+    expect(
+      fs.readFileSync(path.join(archive.dir, 'page-002.html'), 'utf-8'),
+    ).toBe('<p>page two</p>');
+  });
+
+  test('🙈 Should ignore responses that are not the page document', async () => {
+    const page = createPage();
+    const archive = RunArchive.create(root);
+    archive.attach(page);
+
+    page.emit('response', {
+      request: () => ({ isNavigationRequest: () => false }),
+      frame: () => page.mainFrame(),
+    });
+    const entry = await archive.capturePage(page, 1);
+
+    expect(entry.status).toBeNull();
+    expect(entry.headers).toEqual({});
+  });
+});
+
+test.describe('⏪ Replay', () => {
+  test('📄 Should load recorded pages back in order', async () => {
+    const recorded = await recordRun();
+    const archive = RunArchive.load(recorded.dir);
+    const page = createPage();
+
+    expect(archive.getPageCount()).toBe(2);
+    const entry = await archive.replayPage(page, 1);
+    expect(entry.pageNumber).toBe(2);
+    expect(page.html).toBe('<p>page two</p>');
+    await expect(archive.replayPage(page, 2)).rejects.toThrow(
+      'Archive has no page 3',
+    );
+  });
+
+  test('🚫 Should reject directories without a recorded run', () => {
+    expect(() => RunArchive.load(root)).toThrow(
+      `No manifest.json found in archive ${root}`,
+    );
+
+    RunArchive.create(root);
+    const [dir] = fs.readdirSync(root);
+    expect(() => RunArchive.load(path.join(root, dir))).toThrow(
+      'contains no pages',
+    );
+  });
+
+  test('📴 Should replay without throttling, crawling or concurrency', async () => {
+    const recorded = await recordRun();
+    const orchestrator = new ValidationOrchestrator({
+      replay: recorded.dir,
+      listing: 'front',
+      concurrency: 4,
+    });
+
+    expect(orchestrator.replayArchive.getPageCount()).toBe(2);
+    expect(orchestrator.crawlPolicy).toBeNull();
+    expect(orchestrator.isConcurrent()).toBe(false);
+  });
+});
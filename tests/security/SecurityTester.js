@@ -12,6 +12,7 @@ const HTTPSecurityTester = require('./modules/httpsTester');
 const SecurityHeadersTester = require('./modules/headersTester');
 const CookieSecurityTester = require('./modules/cookieTester');
 const VulnerabilityTester = require('./modules/vulnerabilityTester');
+const { describeDeviceProfile } = require('../../utils/devices');
 
 class SecurityTester {
   /**
@@ -20,6 +21,7 @@ class SecurityTester {
    * @param {string} options.targetUrl - Target URL to test
    * @param {boolean} options.verbose - Enable verbose logging
    * @param {number} options.timeout - Network timeout in milliseconds
+   * @param {string} options.device - Device profile for browser-based tests (default: 'desktop')
    */
   constructor(options = {}) {
     this.targetUrl = options.targetUrl || 'https://news.ycombinator.com';
@@ -40,6 +42,7 @@ class SecurityTester {
       tests: [],
       summary: {},
       timestamp: new Date().toISOString(),
+      device: describeDeviceProfile(this.cookieTester.device),
       recommendations: [],
     };
   }
@@ -8,6 +8,10 @@
  */
 
 const { chromium } = require('playwright');
+const {
+  resolveDeviceProfile,
+  getContextOptions,
+} = require('../../../utils/devices');
 
 class CookieSecurityTester {
   /**
@@ -16,11 +20,13 @@ class CookieSecurityTester {
    * @param {string} options.targetUrl - Target URL to test
    * @param {number} options.timeout - Request timeout in milliseconds
    * @param {boolean} options.verbose - Enable verbose logging
+   * @param {string} options.device - Device profile to browse as (default: 'desktop')
    */
   constructor(options = {}) {
     this.targetUrl = options.targetUrl || 'https://news.ycombinator.com';
     this.timeout = options.timeout || 30000;
     this.verbose = options.verbose || false;
+    this.device = resolveDeviceProfile(options.device);
   }
 
   /**
@@ -39,7 +45,8 @@ class CookieSecurityTester {
 
     try {
       const browser = await chromium.launch({ headless: true });
-      const page = await browser.newPage();
+      const page = await browser.newPage(getContextOptions(this.device));
+      test.details.push(`📱 Device: ${this.device.label}`);
 
       // Navigate to target URL
       await page.goto(this.targetUrl, {
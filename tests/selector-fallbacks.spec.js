@@ -0,0 +1,146 @@
+/**
+ * 🧪 Selector Fallback Tests
+ *
+ * Checks that each field is read through its primary selector and then its
+ * fallbacks in order, and that a run reports drift when rows needed a
+ * fallback or a required field matched nothing. Element handles are
+ * stand-ins for Playwright's: no browser is launched.
+ */
+
+const { test, expect } = require('@playwright/test');
+const config = require('../config');
+const {
+  SELECTOR_FIELDS,
+  getSelectorChain,
+  getSelectorChains,
+  anySelector,
+  queryChain,
+  analyzeSelectorHealth,
+} = require('../utils/selectors');
+
+/**
+ * Stand-in for an element handle whose $ matches only the given selectors
+ * @param {Array<string>} matching - Selectors that find an element
+ * @returns {Object} Handle with $ and the selectors it was queried with
+ */
+function createHandle(matching) {
+  const handle = { queried: [] };
+  handle.$ = async (selector) => {
+    handle.queried.push(selector);
+    return matching.includes(selector) ? { selector } : null;
+  };
+  return handle;
+}
+
+/**
+ * Article whose fields matched their primary selector unless overridden
+ * @param {Object} overrides - Candidate indexes by field (null for no match)
+ * @returns {Object} Article with selectorMatches
+ */
+function article(overrides = {}) {
+  return {
+    selectorMatches: {
+      ...Object.fromEntries(
+        Object.keys(SELECTOR_FIELDS).map((field) => [field, 0]),
+      ),
+      ...overrides,
+    },
+  };
+}
+
+test.describe('🔗 Selector Chains', () => {
+  test('🥇 Should put the primary selector before its fallbacks', () => {
+    expect(getSelectorChain('title')).toEqual([
+      config.SELECTORS.TITLE,
+      ...config.SELECTOR_FALLBACKS.TITLE,
+    ]);
+    expect(Object.keys(getSelectorChains())).toEqual(
+      Object.keys(SELECTOR_FIELDS),
+    );
+    expect(anySelector('row')).toBe(getSelectorChain('row').join(', '));
+  });
+
+  test('🪜 Should return the first candidate that matches', async () => {
+    const chain = getSelectorChain('rank');
+    const handle = createHandle([chain[1], chain[2]]);
+
+    const { element, index } = await queryChain(handle, chain);
+    expect(index).toBe(1);
+    expect(element).toEqual({ selector: chain[1] });
+    // Later candidates are not tried once one matches
+    expect(handle.queried).toEqual(chain.slice(0, 2));
+  });
+
+  test('🕳️ Should report no match when every candidate misses', async () => {
+    const chain = getSelectorChain('score');
+
+    await expect(queryChain(createHandle([]), chain)).resolves.toEqual({
+      element: null,
+      index: null,
+    });
+  });
+});
+
+test.describe('📉 Selector Drift', () => {
+  test('✅ Should find no drift when every row matched the primaries', () => {
+    const health = analyzeSelectorHealth([article(), article(), article()]);
+
+    expect(health.rowsChecked).toBe(3);
+    expect(health.hasDrift).toBe(false);
+    expect(health.fields.title).toMatchObject({
+      primary: config.SELECTORS.TITLE,
+      primaryMatches: 3,
+      fallbackMatches: 0,
+      missing: 0,
+    });
+  });
+
+  test('↪️ Should report rows that fell back past the primary', () => {
+    const chain = getSelectorChain('title');
+    const health = analyzeSelectorHealth([
+      article(),
+      article({ title: 1 }),
+      article({ title: 2 }),
+      article({ title: 2 }),
+    ]);
+
+    expect(health.hasDrift).toBe(true);
+    expect(health.drift).toEqual([
+      {
+        field: 'title',
+        primary: chain[0],
+        fallbacks: { [chain[1]]: 1, [chain[2]]: 2 },
+        fallbackMatches: 3,
+        missing: 0,
+        rows: 4,
+      },
+    ]);
+  });
+
+  test('🚫 Should report required fields that matched nothing', () => {
+    const health = analyzeSelectorHealth([article(), article({ age: null })]);
+
+    expect(health.drift.map((entry) => entry.field)).toEqual(['age']);
+    expect(health.drift[0]).toMatchObject({ fallbackMatches: 0, missing: 1 });
+  });
+
+  test('🤷 Should not count optional fields missing as drift', () => {
+    // Job posts have no score or author
+    const health = analyzeSelectorHealth([
+      article(),
+      article({ score: null, author: null, site: null }),
+    ]);
+
+    expect(health.hasDrift).toBe(false);
+    expect(health.fields.score.missing).toBe(1);
+  });
+
+  test('⏭️ Should skip articles without selector matches', () => {
+    const health = analyzeSelectorHealth([
+      article(),
+      { id: '1', selectorMatches: null },
+    ]);
+
+    expect(health.rowsChecked).toBe(1);
+  });
+});
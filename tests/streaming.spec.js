@@ -0,0 +1,188 @@
+/**
+ * 🧪 Streaming Tests
+ *
+ * Checks that violations are reported once, on the page that introduced
+ * them, and that a streamed run against the mock server yields its pages and
+ * violations in order, stops when the loop is left and ends quietly when
+ * aborted.
+ */
+
+const { test, expect } = require('@playwright/test');
+const { startMockServer } = require('../mock/hnMockServer');
+const { IncrementalValidator } = require('../scrapers/incrementalValidator');
+const {
+  ValidationOrchestrator,
+} = require('../scrapers/validationOrchestrator');
+
+const NEWEST_RULES = ['chronological', 'idOrder', 'noDuplicates'];
+
+/**
+ * Newest-first articles posted ten minutes apart, with the given pairs of
+ * positions swapped
+ * @param {number} count - Articles to build
+ * @param {Array<number>} swaps - Positions swapped with the one after them
+ * @returns {Array<Object>} Articles as extracted, 30 per page
+ */
+function listing(count, swaps = []) {
+  const rows = Array.from({ length: count }, (_, i) => ({
+    id: String(41000000 - i),
+    time: new Date(Date.UTC(2026, 9, 19, 12) - i * 10 * 60 * 1000),
+  }));
+  swaps.forEach((position) => {
+    [rows[position - 1], rows[position]] = [rows[position], rows[position - 1]];
+  });
+
+  return rows.map((row, i) => ({
+    id: row.id,
+    title: `Story ${row.id}`,
+    position: i + 1,
+    pageNumber: Math.floor(i / 30) + 1,
+    timestamp: row.time,
+    preciseTimestamp: row.time,
+    timestampPrecision: 'precise',
+  }));
+}
+
+test.describe('🔁 Incremental Validation', () => {
+  test('🆕 Should report each violation on the page that introduced it', () => {
+    const articles = listing(60, [5, 40]);
+    const validator = new IncrementalValidator(NEWEST_RULES);
+
+    const first = validator.update(articles.slice(0, 30));
+    expect(first.length).toBeGreaterThan(0);
+    first.forEach((violation) => {
+      expect(violation.positions).toEqual([5, 6]);
+    });
+
+    const second = validator.update(articles);
+    expect(second.length).toBeGreaterThan(0);
+    second.forEach((violation) => {
+      expect(violation.positions).toEqual([40, 41]);
+    });
+
+    expect(validator.violations).toEqual([...first, ...second]);
+  });
+
+  test('🤐 Should report nothing new when no violation appeared', () => {
+    const validator = new IncrementalValidator(NEWEST_RULES);
+
+    expect(validator.update(listing(30))).toEqual([]);
+    const articles = listing(60, [5]);
+    expect(validator.update(articles.slice(0, 30))).not.toEqual([]);
+    expect(validator.update(articles)).toEqual([]);
+  });
+
+  test('📐 Should only check the listing rules it was given', () => {
+    const articles = listing(30, [5]);
+
+    const types = new IncrementalValidator(['idOrder'])
+      .update(articles)
+      .map((violation) => violation.type);
+    expect(types).toEqual(['idOrder']);
+    expect(new IncrementalValidator(['noDuplicates']).update(articles)).toEqual(
+      [],
+    );
+  });
+});
+
+test.describe('🌊 Streamed Runs', () => {
+  let mock;
+
+  test.beforeAll(async () => {
+    mock = await startMockServer({ faultScenario: 'swap-adjacent' });
+  });
+
+  test.afterAll(async () => {
+    await mock.close();
+  });
+
+  /**
+   * Orchestrator for the mock /newest listing
+   * @param {string} browserName - Browser engine to run
+   * @returns {ValidationOrchestrator} Sequential orchestrator
+   */
+  const createOrchestrator = (browserName) =>
+    new ValidationOrchestrator({
+      baseUrl: mock.url,
+      listing: 'newest',
+      articleCount: 60,
+      browser: browserName,
+      crawlDelay: 0,
+    });
+
+  test('📄 Should yield pages, then their new violations, then the result', async ({
+    browserName,
+  }) => {
+    const events = [];
+    for await (const event of createOrchestrator(browserName).stream({
+      by: 'page',
+    })) {
+      events.push(event);
+    }
+
+    const pages = events.filter((event) => event.type === 'page');
+    expect(pages.map((event) => event.pageNumber)).toEqual([1, 2]);
+    expect(pages.map((event) => event.articles.length)).toEqual([30, 30]);
+
+    // Each violation follows the page that introduced it
+    events.forEach((event, index) => {
+      if (event.type !== 'violation') return;
+      const page = events
+        .slice(0, index)
+        .filter((earlier) => earlier.type === 'page')
+        .pop();
+      expect(Math.max(...event.violation.positions)).toBeLessThanOrEqual(
+        page.pageNumber * 30,
+      );
+    });
+    const keys = events
+      .filter((event) => event.type === 'violation')
+      .map((event) => event.violation.key);
+    expect(keys.length).toBeGreaterThan(0);
+    expect(new Set(keys).size).toBe(keys.length);
+
+    const done = events.pop();
+    expect(done.type).toBe('done');
+    expect(done.result.articles).toHaveLength(60);
+  });
+
+  test('✋ Should stop before the next page when the loop is left', async ({
+    browserName,
+  }) => {
+    const orchestrator = createOrchestrator(browserName);
+    for await (const event of orchestrator.stream()) {
+      expect(event).toMatchObject({ type: 'article' });
+      break;
+    }
+
+    expect(orchestrator.articles).toHaveLength(30);
+  });
+
+  test('🛑 Should end without a result when aborted', async ({
+    browserName,
+  }) => {
+    const controller = new AbortController();
+    const types = [];
+    for await (const event of createOrchestrator(browserName).stream({
+      by: 'page',
+      signal: controller.signal,
+    })) {
+      types.push(event.type);
+      controller.abort();
+    }
+
+    expect(types[0]).toBe('page');
+    expect(types).not.toContain('done');
+  });
+
+  test('🚫 Should refuse to stream a concurrent run', async () => {
+    const orchestrator = new ValidationOrchestrator({
+      listing: 'front',
+      concurrency: 4,
+    });
+
+    await expect(orchestrator.stream().next()).rejects.toThrow(
+      'Streaming reads pages in order; use concurrency 1',
+    );
+  });
+});
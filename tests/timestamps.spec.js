@@ -0,0 +1,144 @@
+/**
+ * 🧪 Timestamp Tests
+ *
+ * Checks how the age element's absolute title attribute and its relative
+ * "N minutes ago" text are parsed, which of them an article keeps, and that
+ * validation compares articles by the precise value when there is one. Pure
+ * functions only: no browser is launched.
+ */
+
+const { test, expect } = require('@playwright/test');
+const {
+  parseHackerNewsTime,
+  parseHackerNewsTimestamp,
+} = require('../utils/time');
+const { resolveTimestamps } = require('../scrapers/articleExtractor');
+const {
+  getComparableTimestamp,
+  getTimestampPrecision,
+  getTimestampInterval,
+  validateChronologicalOrder,
+} = require('../utils/validation');
+
+const REFERENCE_TIME = new Date('2026-10-19T12:00:00Z');
+
+test.describe('🕰️ Absolute Timestamps', () => {
+  test('🔢 Should prefer the epoch seconds after the ISO value', () => {
+    expect(
+      parseHackerNewsTimestamp('2025-07-27T20:10:44 1753647044').toISOString(),
+    ).toBe('2025-07-27T20:10:44.000Z');
+    // The epoch wins when the two disagree
+    expect(
+      parseHackerNewsTimestamp('2025-07-27T00:00:00 1753647044').toISOString(),
+    ).toBe('2025-07-27T20:10:44.000Z');
+  });
+
+  test('🌐 Should read an ISO value without a zone as UTC', () => {
+    expect(parseHackerNewsTimestamp('2025-07-27T20:10:44').toISOString()).toBe(
+      '2025-07-27T20:10:44.000Z',
+    );
+    expect(
+      parseHackerNewsTimestamp('2025-07-27T22:10:44+02:00').toISOString(),
+    ).toBe('2025-07-27T20:10:44.000Z');
+  });
+
+  test('🚫 Should reject missing and malformed values', () => {
+    expect(() => parseHackerNewsTimestamp('')).toThrow(
+      'Invalid timestamp string',
+    );
+    expect(() => parseHackerNewsTimestamp('yesterday')).toThrow(
+      'Unable to parse timestamp format: "yesterday"',
+    );
+  });
+});
+
+test.describe('⏳ Relative Ages', () => {
+  test('📏 Should cover the whole displayed unit', () => {
+    const interval = parseHackerNewsTime('2 hours ago', REFERENCE_TIME);
+
+    expect(interval).toEqual({
+      earliest: new Date('2026-10-19T09:00:00Z'),
+      latest: new Date('2026-10-19T10:00:00Z'),
+      granularity: 'hour',
+    });
+  });
+
+  test('🚫 Should reject text it cannot parse', () => {
+    expect(() => parseHackerNewsTime('on 2026-10-19', REFERENCE_TIME)).toThrow(
+      'Unable to parse time format',
+    );
+  });
+});
+
+test.describe('🎯 Article Timestamps', () => {
+  test('📌 Should keep both forms and use the precise one', () => {
+    const resolved = resolveTimestamps(
+      '2026-10-19T11:57:30 1792411050',
+      '2 minutes ago',
+      '1',
+      false,
+      REFERENCE_TIME,
+    );
+
+    expect(resolved.timestampPrecision).toBe('precise');
+    expect(resolved.timestamp).toEqual(new Date('2026-10-19T11:57:30Z'));
+    expect(resolved.preciseTimestamp).toEqual(resolved.timestamp);
+    expect(resolved.relativeTimestamp).toEqual(
+      new Date('2026-10-19T11:58:00Z'),
+    );
+    expect(getComparableTimestamp(resolved)).toEqual(resolved.timestamp);
+    expect(getTimestampInterval(resolved).granularity).toBe('second');
+  });
+
+  test('↩️ Should fall back to the relative age and record it', () => {
+    ['', 'not a date'].forEach((ageTitle) => {
+      const resolved = resolveTimestamps(
+        ageTitle,
+        '2 minutes ago',
+        '1',
+        false,
+        REFERENCE_TIME,
+      );
+
+      expect(resolved.preciseTimestamp).toBeNull();
+      expect(resolved.timestampPrecision).toBe('relative');
+      expect(resolved.timestamp).toEqual(new Date('2026-10-19T11:58:00Z'));
+      expect(getTimestampPrecision(resolved)).toBe('relative');
+      expect(getTimestampInterval(resolved).earliest).toEqual(
+        new Date('2026-10-19T11:57:00Z'),
+      );
+    });
+  });
+
+  test('❔ Should record no precision when neither form parses', () => {
+    const resolved = resolveTimestamps('', '', '1', false, REFERENCE_TIME);
+
+    expect(resolved.timestamp).toBeNull();
+    expect(resolved.timestampPrecision).toBeNull();
+    expect(getTimestampPrecision(resolved)).toBeNull();
+  });
+
+  test('⚖️ Should order articles in the same minute by their precise time', () => {
+    // Both render as "1 minute ago"; only the precise times tell them apart
+    const article = (id, ageTitle) => ({
+      id,
+      title: `Story ${id}`,
+      ageText: '1 minute ago',
+      ...resolveTimestamps(ageTitle, '1 minute ago', id, false, REFERENCE_TIME),
+    });
+
+    const inOrder = validateChronologicalOrder([
+      article('2', '2026-10-19T11:58:50'),
+      article('1', '2026-10-19T11:58:10'),
+    ]);
+    expect(inOrder.violations).toHaveLength(0);
+    expect(inOrder.isValid).toBe(true);
+
+    const inverted = validateChronologicalOrder([
+      article('2', '2026-10-19T11:58:10'),
+      article('1', '2026-10-19T11:58:50'),
+    ]);
+    expect(inverted.violations).toHaveLength(1);
+    expect(inverted.violations[0].severity).toBe('tie');
+  });
+});
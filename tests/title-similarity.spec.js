@@ -0,0 +1,137 @@
+/**
+ * 🧪 Repost Similarity Tests
+ *
+ * Checks title normalisation, that the similarity threshold's shortcuts
+ * never change which pairs match, and how article URLs are matched as
+ * reposts. Pure functions only: no browser is launched.
+ */
+
+const { test, expect } = require('@playwright/test');
+const {
+  normalizeTitle,
+  editDistance,
+  titleSimilarity,
+  normalizeArticleUrl,
+  matchUrls,
+} = require('../utils/similarity');
+const { detectDuplicates } = require('../utils/validation');
+
+const TITLE_PAIRS = [
+  ['Show HN: A tiny Lisp in Rust', 'A Tiny Lisp in Rust (2019)'],
+  [
+    'The unreasonable effectiveness of RNNs',
+    'The unreasonable efectiveness of RNNs',
+  ],
+  ['Why SQLite succeeded', 'Why SQLite succeeded as a database'],
+  ['Postgres 17 released', 'Postgres 16 released'],
+  ['Rust 1.80', 'Go 1.23'],
+  ['Ask HN: What are you working on?', 'Ask HN: What are you reading?'],
+  ['', ''],
+];
+
+test.describe('🔤 Title Similarity', () => {
+  test('🧹 Should normalise prefixes, annotations and punctuation', () => {
+    expect(normalizeTitle('Show HN: My new tool [pdf] (2021)')).toBe(
+      'my new tool',
+    );
+    expect(normalizeTitle("It's — finally — here!")).toBe('its finally here');
+  });
+
+  test('✏️ Should give up on edit distances past the bound', () => {
+    expect(editDistance('kitten', 'sitting')).toBe(3);
+    expect(editDistance('kitten', 'sitting', 2)).toBe(3);
+    expect(editDistance('a', 'abcdef', 2)).toBe(3);
+  });
+
+  test('🎯 Should score normalised duplicates as identical', () => {
+    expect(titleSimilarity(...TITLE_PAIRS[0])).toEqual({
+      similarity: 1,
+      tokenSimilarity: 1,
+      editSimilarity: 1,
+    });
+  });
+
+  test('🔡 Should count a one-letter typo in a long word as a shared token', () => {
+    const scores = titleSimilarity(...TITLE_PAIRS[1]);
+
+    expect(scores.tokenSimilarity).toBe(1);
+    expect(scores.editSimilarity).toBeLessThan(1);
+  });
+
+  [0.5, 0.7, 0.8, 0.9, 0.95].forEach((threshold) => {
+    test(`🎚️ Should match exactly the pairs scoring at least ${threshold}`, () => {
+      TITLE_PAIRS.forEach(([a, b]) => {
+        const exact = titleSimilarity(a, b);
+        const pruned = titleSimilarity(a, b, threshold);
+
+        if (exact.similarity >= threshold) {
+          expect(pruned).toEqual(exact);
+        } else {
+          expect(pruned).toBeNull();
+        }
+      });
+    });
+  });
+
+  test('📋 Should report near-duplicates at or above the threshold only', () => {
+    const articles = [
+      { id: '3', title: 'Why SQLite succeeded', url: null },
+      { id: '2', title: 'Why SQLite succeeded as a database', url: null },
+      { id: '1', title: 'Show HN: Why SQLite succeeded', url: null },
+    ];
+
+    const strict = detectDuplicates(articles, { similarityThreshold: 0.95 });
+    expect(strict.duplicates.bySimilarTitle.map((match) => match.id)).toEqual([
+      '1',
+    ]);
+    expect(strict.duplicates.byTitle).toHaveLength(0);
+
+    const loose = detectDuplicates(articles, { similarityThreshold: 0.5 });
+    expect(loose.duplicates.bySimilarTitle.map((match) => match.id)).toEqual([
+      '2',
+      '1',
+    ]);
+  });
+});
+
+test.describe('🔗 Repost URLs', () => {
+  const match = (a, b) =>
+    matchUrls(normalizeArticleUrl(a), normalizeArticleUrl(b));
+
+  test('🟰 Should ignore scheme, www, trailing slash, fragment and tracking', () => {
+    expect(
+      match(
+        'http://www.example.com/post/?utm_source=hn#comments',
+        'https://example.com/post',
+      ),
+    ).toBe('url');
+  });
+
+  test('🛣️ Should match host and path when the query only differs in extras', () => {
+    expect(
+      match('https://example.com/post?page=2', 'https://example.com/post'),
+    ).toBe('domain-path');
+  });
+
+  test('🎬 Should not match when a shared parameter differs', () => {
+    expect(
+      match(
+        'https://www.youtube.com/watch?v=abc',
+        'https://www.youtube.com/watch?v=xyz',
+      ),
+    ).toBeNull();
+  });
+
+  test('🏠 Should never match bare domains', () => {
+    expect(match('https://github.com/', 'https://www.github.com')).toBeNull();
+    expect(match('https://github.com', 'https://github.com')).toBeNull();
+  });
+
+  test('🚫 Should ignore non-http links', () => {
+    expect(normalizeArticleUrl('mailto:someone@example.com')).toBeNull();
+    expect(normalizeArticleUrl('item?id=1')).toBeNull();
+    expect(
+      match('ftp://example.com/file', 'ftp://example.com/file'),
+    ).toBeNull();
+  });
+});
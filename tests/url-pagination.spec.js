@@ -0,0 +1,255 @@
+/**
+ * 🧪 URL Pagination Tests
+ *
+ * Checks the url pagination strategy against the mock server: the More
+ * link's next/n cursor is read and navigated to directly, leading repeats
+ * from a shifted listing are tolerated, and a cursor that does not advance
+ * or a failed response is an error. Clicking the More link waits for the
+ * new document within the run's timeout. Page loads are timed per strategy.
+ * The page is a stand-in that fetches from the mock server: no browser is
+ * launched.
+ */
+
+const { test, expect } = require('@playwright/test');
+const { startMockServer } = require('../mock/hnMockServer');
+const {
+  clickMoreAndWaitForArticles,
+  getMoreLinkTarget,
+  navigateToMoreUrl,
+} = require('../scrapers/paginationHandler');
+const { createMonitor } = require('../utils/performance');
+
+/**
+ * Stand-in for a Playwright page that loads documents with fetch. Clicking
+ * the More link navigates to it unless `clicksNavigate` is turned off.
+ * @returns {Object} Page with goto, url, $, $$eval, waitForSelector and the click-path waits
+ */
+function createPage() {
+  const mainFrame = {};
+  const page = {
+    address: 'about:blank',
+    html: '',
+    visits: [],
+    waits: [],
+    clicksNavigate: true,
+  };
+
+  page.url = () => page.address;
+  page.goto = async (url) => {
+    const response = await fetch(url);
+    page.address = url;
+    page.html = await response.text();
+    page.visits.push(url);
+    return { ok: () => response.ok, status: () => response.status };
+  };
+  page.rowIds = () =>
+    [...page.html.matchAll(/<tr class="athing[^"]*" id="(\d+)"/g)].map(
+      (match) => match[1],
+    );
+  page.$ = async () => {
+    const match = page.html.match(/<a href="([^"]+)" class="morelink"/);
+    if (!match) return null;
+    const href = new URL(match[1].replace(/&amp;/g, '&'), page.address).href;
+    return {
+      evaluate: async (fn) => fn({ href }),
+      click: async () => {
+        if (page.clicksNavigate) await page.goto(href);
+      },
+    };
+  };
+  page.$$eval = async (selector, fn) => fn(page.rowIds().map((id) => ({ id })));
+  page.waitForSelector = async () => {
+    if (page.rowIds().length === 0) throw new Error('No article rows');
+  };
+  page.waitForTimeout = async () => {};
+  page.mainFrame = () => mainFrame;
+
+  /**
+   * Poll until a condition holds, failing like Playwright after the timeout
+   * @param {string} name - Wait being recorded
+   * @param {Function} condition - Returns a truthy value once the wait is over
+   * @param {number} timeout - Milliseconds before giving up
+   * @returns {Promise<*>} The condition's value
+   */
+  const waitFor = (name, condition, timeout) => {
+    page.waits.push({ name, timeout });
+    const deadline = Date.now() + timeout;
+    return new Promise((resolve, reject) => {
+      const poll = () => {
+        const value = condition();
+        if (value) return resolve(value);
+        if (Date.now() > deadline) {
+          return reject(new Error(`Timeout ${timeout}ms exceeded`));
+        }
+        setTimeout(poll, 10);
+      };
+      poll();
+    });
+  };
+  page.waitForResponse = (predicate, { timeout }) => {
+    const visits = page.visits.length;
+    const response = {
+      request: () => ({
+        isNavigationRequest: () => true,
+        frame: () => mainFrame,
+      }),
+    };
+    return waitFor(
+      'response',
+      () => page.visits.length > visits && predicate(response) && response,
+      timeout,
+    );
+  };
+  page.waitForURL = (url, { timeout }) =>
+    waitFor('url', () => page.address === url, timeout);
+  return page;
+}
+
+let server;
+
+test.beforeAll(async () => {
+  server = await startMockServer({ strictPaging: true });
+});
+
+test.afterAll(async () => {
+  await server.close();
+});
+
+/**
+ * Articles already extracted from the listing
+ * @param {number} start - Index of the first article
+ * @param {number} end - Index after the last article
+ * @returns {Array<Object>} Articles with their IDs
+ */
+const extracted = (start, end) =>
+  server.articles.slice(start, end).map(({ id }) => ({ id }));
+
+test.describe('🧭 URL Pagination', () => {
+  test('🔗 Should read the next/n cursor from the More link', async () => {
+    const page = createPage();
+    await page.goto(`${server.url}/newest`);
+
+    expect(await getMoreLinkTarget(page)).toEqual({
+      url: `${server.url}/newest?next=${server.articles[29].id}&n=31`,
+      next: server.articles[29].id,
+      n: '31',
+    });
+  });
+
+  test('➡️ Should navigate straight to the next page', async () => {
+    const page = createPage();
+    await page.goto(`${server.url}/newest`);
+
+    await expect(
+      navigateToMoreUrl(page, extracted(0, 30), 2, 5000),
+    ).resolves.toBe(true);
+    expect(page.url()).toBe(
+      `${server.url}/newest?next=${server.articles[29].id}&n=31`,
+    );
+    expect(page.rowIds()[0]).toBe(server.articles[30].id);
+  });
+
+  test('🚦 Should go through the crawl policy', async () => {
+    const page = createPage();
+    await page.goto(`${server.url}/newest`);
+    const loads = [];
+    const policy = {
+      load: (loadedPage, url, navigate) => {
+        loads.push(url);
+        return navigate();
+      },
+    };
+
+    await navigateToMoreUrl(page, extracted(0, 30), 2, 5000, false, policy);
+    expect(loads).toEqual([page.url()]);
+  });
+
+  test('🔀 Should accept a page whose leading rows were already extracted', async () => {
+    const page = createPage();
+    await page.goto(`${server.url}/newest`);
+
+    // The first two rows of page 2 were seen on page 1 of a shifted listing
+    await expect(
+      navigateToMoreUrl(page, extracted(0, 32), 2, 5000),
+    ).resolves.toBe(true);
+  });
+
+  test('🛑 Should fail when the cursor does not advance', async () => {
+    const page = createPage();
+    await page.goto(`${server.url}/newest`);
+
+    await expect(
+      navigateToMoreUrl(page, extracted(0, 60), 2, 5000),
+    ).rejects.toThrow('No new articles found at');
+  });
+
+  test('🚫 Should fail on an error response', async () => {
+    const page = createPage();
+    page.address = `${server.url}/newest`;
+    // A More link addressed by page number, which strict paging refuses
+    page.html = '<a href="newest?p=2" class="morelink">More</a>';
+
+    await expect(navigateToMoreUrl(page, [], 2, 5000)).rejects.toThrow(
+      'Page 2 returned 400',
+    );
+  });
+
+  test('🚫 Should fail without a More link', async () => {
+    const page = createPage();
+    page.html = '<table></table>';
+
+    await expect(navigateToMoreUrl(page, [], 2, 5000)).rejects.toThrow(
+      'More link not found',
+    );
+  });
+});
+
+test.describe('🖱️ Click Pagination', () => {
+  test('⏳ Should wait for the new document within the run timeout', async () => {
+    const page = createPage();
+    await page.goto(`${server.url}/newest`);
+
+    await expect(
+      clickMoreAndWaitForArticles(page, extracted(0, 30), 1, 4000),
+    ).resolves.toBe(true);
+    expect(page.waits).toEqual([
+      { name: 'response', timeout: 4000 },
+      { name: 'url', timeout: 4000 },
+    ]);
+    expect(page.rowIds()[0]).toBe(server.articles[30].id);
+  });
+
+  test('🚫 Should fail when the click does not navigate', async () => {
+    const page = createPage();
+    await page.goto(`${server.url}/newest`);
+    page.clicksNavigate = false;
+
+    await expect(
+      clickMoreAndWaitForArticles(page, extracted(0, 30), 1, 100),
+    ).rejects.toThrow(
+      `Clicking More did not load ${server.url}/newest?next=${server.articles[29].id}&n=31: Timeout 100ms exceeded`,
+    );
+  });
+});
+
+test.describe('⏱️ Page Load Timings', () => {
+  test('📈 Should record each page load with its strategy', () => {
+    const monitor = createMonitor();
+    monitor.setPaginationStrategy('url');
+    monitor.recordPageLoad(2, 120);
+    monitor.recordPageLoad(3, 80);
+    monitor.recordPageLoad(4, 1500, 'click');
+
+    const report = monitor.getPaginationReport();
+    expect(report.strategy).toBe('url');
+    expect(report.pages).toEqual([
+      { pageNumber: 2, strategy: 'url', waitTime: 120 },
+      { pageNumber: 3, strategy: 'url', waitTime: 80 },
+      { pageNumber: 4, strategy: 'click', waitTime: 1500 },
+    ]);
+    expect(report.clicks).toBe(3);
+    expect(report.fastestWaitTime).toBe(80);
+    expect(report.slowestWaitTime).toBe(1500);
+    expect(report.averageWaitTime).toBeCloseTo(566.67, 1);
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * 🧪 Violation Severity Tests
+ *
+ * Checks how chronological violations are classified (tie, minor, major,
+ * critical), which severities fail the run, and that unknown severities and
+ * thresholds are rejected. No browser is launched.
+ */
+
+const { test, expect } = require('@playwright/test');
+const {
+  classifyViolation,
+  resolveSeverityOptions,
+  validateChronologicalOrder,
+} = require('../utils/validation');
+const {
+  ValidationOrchestrator,
+} = require('../scrapers/validationOrchestrator');
+
+const REFERENCE_TIME = new Date('2026-10-19T12:00:00Z');
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const THRESHOLDS = {
+  TIE: MINUTE,
+  MAJOR: HOUR,
+  CRITICAL: 24 * HOUR,
+  MAJOR_DISPLACEMENT: 5,
+  CRITICAL_DISPLACEMENT: 30,
+};
+
+/**
+ * Article with a precise timestamp some minutes before REFERENCE_TIME
+ * @param {number} minutesAgo - Minutes before REFERENCE_TIME
+ * @param {string} id - Article ID
+ * @returns {Object} Article object
+ */
+function preciseArticle(minutesAgo, id) {
+  const time = new Date(REFERENCE_TIME.getTime() - minutesAgo * MINUTE);
+  return {
+    id,
+    title: `Story ${id}`,
+    ageText: `${minutesAgo} minutes ago`,
+    timestamp: time,
+    preciseTimestamp: time,
+    timestampPrecision: 'precise',
+  };
+}
+
+/**
+ * Minimal violation as validateChronologicalOrder reports it
+ * @param {string} precision - 'precise' or 'relative' for both articles
+ * @param {number} difference - Milliseconds the later article is newer by
+ * @returns {Object} Violation
+ */
+function violationOf(precision, difference) {
+  return {
+    previous: { precision },
+    current: { precision },
+    timeDifference: difference,
+    minimumDifference: difference,
+  };
+}
+
+test.describe('🚦 Violation Severity', () => {
+  test('🟢 Should classify a precise inversion under the tie threshold as a tie', () => {
+    const classification = classifyViolation(
+      violationOf('precise', 30 * 1000),
+      1,
+      THRESHOLDS,
+    );
+    expect(classification.severity).toBe('tie');
+    expect(classification.source).toBe('precise');
+  });
+
+  test('📏 Should classify precise inversions by time difference', () => {
+    const severityOf = (difference) =>
+      classifyViolation(violationOf('precise', difference), 1, THRESHOLDS)
+        .severity;
+
+    expect(severityOf(MINUTE)).toBe('minor');
+    expect(severityOf(HOUR - 1)).toBe('minor');
+    expect(severityOf(HOUR)).toBe('major');
+    expect(severityOf(24 * HOUR)).toBe('critical');
+  });
+
+  test('📏 Should classify small inversions by displacement', () => {
+    const severityOf = (displacement) =>
+      classifyViolation(
+        violationOf('precise', 2 * MINUTE),
+        displacement,
+        THRESHOLDS,
+      ).severity;
+
+    expect(severityOf(4)).toBe('minor');
+    expect(severityOf(5)).toBe('major');
+    expect(severityOf(30)).toBe('critical');
+  });
+
+  test('⬇️ Should downgrade relative inversions one level', () => {
+    const classification = classifyViolation(
+      violationOf('relative', 2 * HOUR),
+      1,
+      THRESHOLDS,
+    );
+    expect(classification.severity).toBe('minor');
+    expect(classification.downgraded).toBe(true);
+    expect(classification.source).toBe('relative');
+  });
+
+  test('🔒 Should never classify a relative inversion as a tie', () => {
+    const classification = classifyViolation(
+      violationOf('relative', 0),
+      1,
+      THRESHOLDS,
+    );
+    expect(classification.severity).toBe('minor');
+    expect(classification.downgraded).toBe(false);
+  });
+
+  test('🎚️ Should only fail on severities at or above the fail severity', () => {
+    const articles = [preciseArticle(10, '2'), preciseArticle(8, '1')];
+
+    const lenient = validateChronologicalOrder(articles, {
+      failSeverity: 'major',
+    });
+    expect(lenient.severityCounts.minor).toBe(1);
+    expect(lenient.failingViolations).toBe(0);
+    expect(lenient.isValid).toBe(true);
+
+    const strict = validateChronologicalOrder(articles, {
+      failSeverity: 'minor',
+    });
+    expect(strict.failingViolations).toBe(1);
+    expect(strict.isValid).toBe(false);
+  });
+
+  test('⚙️ Should apply threshold overrides', () => {
+    const result = validateChronologicalOrder(
+      [preciseArticle(10, '2'), preciseArticle(8, '1')],
+      { severityThresholds: { TIE: 5 * MINUTE } },
+    );
+    expect(result.violations[0].severity).toBe('tie');
+  });
+
+  test('🧩 Should fill thresholds that are not overridden from the config', () => {
+    const { failSeverity, thresholds } = resolveSeverityOptions({
+      severityThresholds: { MAJOR_DISPLACEMENT: 10 },
+    });
+
+    expect(failSeverity).toBe('minor');
+    expect(thresholds).toEqual({ ...THRESHOLDS, MAJOR_DISPLACEMENT: 10 });
+  });
+
+  test('🚫 Should reject unknown fail severities', () => {
+    const articles = [preciseArticle(10, '2'), preciseArticle(8, '1')];
+
+    expect(() =>
+      validateChronologicalOrder(articles, { failSeverity: 'severe' }),
+    ).toThrow(
+      'Unknown fail severity "severe" (use tie, minor, major, critical)',
+    );
+    expect(
+      () => new ValidationOrchestrator({ failSeverity: 'severe' }),
+    ).toThrow('Unknown fail severity "severe"');
+  });
+
+  test('🚫 Should reject unknown or invalid thresholds', () => {
+    expect(() =>
+      resolveSeverityOptions({ severityThresholds: { MINOR: MINUTE } }),
+    ).toThrow('Unknown severity threshold "MINOR"');
+    expect(() =>
+      resolveSeverityOptions({ severityThresholds: { TIE: -1 } }),
+    ).toThrow('Severity threshold TIE must be a non-negative number, not -1');
+    expect(
+      () =>
+        new ValidationOrchestrator({
+          severityThresholds: { TIE: '5 minutes' },
+        }),
+    ).toThrow('Severity threshold TIE must be a non-negative number');
+  });
+});
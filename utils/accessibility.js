@@ -329,6 +329,7 @@ class AccessibilityAuditor {
         testRunner: auditResults.testRunner,
         timestamp: auditResults.timestamp,
         url: auditResults.url,
+        device: auditResults.device || null,
       },
     };
   }
@@ -0,0 +1,191 @@
+// utils/browserComparison.js
+// Compare validation runs of the same listing across browser engines
+
+// Fields that should not change between runs minutes apart; ranks, scores and
+// comment counts move naturally and are left out
+const STABLE_FIELDS = [
+  'title',
+  'url',
+  'domain',
+  'author',
+  'itemType',
+  'preciseTimestamp',
+];
+
+/**
+ * Normalize a field value so Dates and strings compare by value
+ * @param {*} value - Field value
+ * @returns {string|null} Comparable value
+ */
+function comparable(value) {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  return String(value);
+}
+
+/**
+ * First line of an error message (Playwright launch errors span many lines)
+ * @param {Error} error - Error thrown by the run
+ * @returns {string} Short error message
+ */
+function shortMessage(error) {
+  return String(error.message || error).split('\n')[0];
+}
+
+/**
+ * Summarize one engine's run
+ * @param {string} browser - Engine name
+ * @param {Object} result - Validation result for that engine
+ * @returns {Object} Engine summary
+ */
+function summarizeEngineRun(browser, result) {
+  const report = result.validationReport;
+  return {
+    browser,
+    completed: !result.error,
+    error: result.error ? shortMessage(result.error) : null,
+    articleCount: result.articles?.length || 0,
+    pages: result.pages || 0,
+    validationPassed: Boolean(report?.summary?.validationPassed),
+    chronologicalViolations: report?.chronological?.violations?.length || 0,
+    idInversions: report?.idOrder?.inversions?.length || 0,
+    duplicates: report?.duplicates?.duplicates?.byId?.length || 0,
+    duration: result.performanceReport?.summary?.totalDuration || null,
+    loadTime: result.loadTime || null,
+    articlesPerSecond: result.performanceReport?.efficiency?.articlesPerSecond,
+  };
+}
+
+/**
+ * ID range every engine covered: from the highest of the engines' lowest IDs
+ * to the lowest of their highest IDs
+ * @param {Map<string, Map>} byEngine - Articles by ID, per engine
+ * @returns {{min: number, max: number}|null} Shared range, or null when there is none
+ */
+function sharedIdRange(byEngine) {
+  const ranges = [...byEngine.values()]
+    .map((articles) => [...articles.keys()].map(Number).filter(Number.isFinite))
+    .filter((ids) => ids.length > 0)
+    .map((ids) => ({ min: Math.min(...ids), max: Math.max(...ids) }));
+  if (ranges.length !== byEngine.size) return null;
+
+  const min = Math.max(...ranges.map((range) => range.min));
+  const max = Math.min(...ranges.map((range) => range.max));
+  return min <= max ? { min, max } : null;
+}
+
+/**
+ * Compare the article sets, timings and validation outcomes of several engines.
+ * Engines run one after another against a live listing, so articles are only
+ * compared within the ID range every engine covered; IDs missing at the edges
+ * are reported as edge differences, not findings.
+ * @param {Array<{browser: string, result: Object}>} runs - One run per engine
+ * @returns {Object} Comparison with engine summaries and findings
+ */
+function compareEngineRuns(runs) {
+  const engines = runs.map(({ browser, result }) =>
+    summarizeEngineRun(browser, result),
+  );
+  const findings = [];
+  const completed = runs.filter(({ result }) => !result.error);
+
+  runs
+    .filter(({ result }) => result.error)
+    .forEach(({ browser, result }) => {
+      findings.push({
+        type: 'engine-failed',
+        browsers: [browser],
+        description: `${browser} run failed: ${shortMessage(result.error)}`,
+      });
+    });
+
+  // Article sets: IDs extracted by some engines but not others
+  const byEngine = new Map(
+    completed.map(({ browser, result }) => [
+      browser,
+      new Map((result.articles || []).map((a) => [a.id, a])),
+    ]),
+  );
+  const allIds = new Set();
+  byEngine.forEach((articles) => articles.forEach((_, id) => allIds.add(id)));
+  const range = sharedIdRange(byEngine);
+  const edgeDifferences = [];
+
+  allIds.forEach((id) => {
+    const missingFrom = [...byEngine.keys()].filter(
+      (browser) => !byEngine.get(browser).has(id),
+    );
+    if (missingFrom.length === 0) return;
+
+    const numericId = Number(id);
+    if (range && numericId >= range.min && numericId <= range.max) {
+      findings.push({
+        type: 'article-set',
+        browsers: missingFrom,
+        id,
+        description: `Article ${id} was not extracted by ${missingFrom.join(
+          ', ',
+        )}`,
+      });
+    } else {
+      edgeDifferences.push({ id, missingFrom });
+    }
+  });
+
+  // Field values of articles every engine extracted
+  allIds.forEach((id) => {
+    const copies = [...byEngine.entries()]
+      .filter(([, articles]) => articles.has(id))
+      .map(([browser, articles]) => ({ browser, article: articles.get(id) }));
+    if (copies.length < 2) return;
+
+    STABLE_FIELDS.forEach((field) => {
+      const values = new Set(copies.map((c) => comparable(c.article[field])));
+      if (values.size > 1) {
+        findings.push({
+          type: 'field-mismatch',
+          browsers: copies.map((c) => c.browser),
+          id,
+          field,
+          values: Object.fromEntries(
+            copies.map((c) => [c.browser, comparable(c.article[field])]),
+          ),
+          description: `Article ${id} has a different ${field} across engines`,
+        });
+      }
+    });
+  });
+
+  // Validation outcomes
+  const outcomes = new Set(
+    engines.filter((e) => e.completed).map((e) => e.validationPassed),
+  );
+  if (outcomes.size > 1) {
+    findings.push({
+      type: 'outcome-mismatch',
+      browsers: engines.filter((e) => e.completed).map((e) => e.browser),
+      description: `Validation passed on ${engines
+        .filter((e) => e.validationPassed)
+        .map((e) => e.browser)
+        .join(', ')} but failed on ${engines
+        .filter((e) => e.completed && !e.validationPassed)
+        .map((e) => e.browser)
+        .join(', ')}`,
+    });
+  }
+
+  return {
+    engines,
+    findings,
+    sharedIdRange: range,
+    edgeDifferences,
+    consistent: findings.length === 0,
+    allPassed: engines.every((e) => e.completed && e.validationPassed),
+    comparedAt: new Date().toISOString(),
+  };
+}
+
+module.exports = {
+  STABLE_FIELDS,
+  compareEngineRuns,
+};
@@ -0,0 +1,376 @@
+// utils/customRules.js
+// User-defined validation rules loaded from a JSON file or JS module (--rules)
+
+const fs = require('fs');
+const path = require('path');
+
+// Errors fail the run; warnings and info are only reported
+const RULE_SEVERITIES = ['error', 'warning', 'info'];
+// article: each article on its own; pairwise: each adjacent pair; set: all articles
+const RULE_SCOPES = ['article', 'pairwise', 'set'];
+
+/**
+ * Whether a field value counts as missing
+ * @param {*} value - Field value
+ * @returns {boolean} True for null, undefined and blank strings
+ */
+function isMissing(value) {
+  return value === null || value === undefined || String(value).trim() === '';
+}
+
+/**
+ * Turn a value into a number for min/max and ordering checks
+ * @param {*} value - Field value (number, numeric string such as "42 points", or Date)
+ * @returns {number} Number, or NaN when it does not parse
+ */
+function toNumber(value) {
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'number') return value;
+  return parseFloat(String(value));
+}
+
+/**
+ * Build the predicate for a declarative per-article check
+ * @param {Object} check - field, plus any of required, maxLength, minLength, pattern (and flags), integer, min, max, oneOf
+ * @returns {Function} (article) => true or a violation message
+ */
+function compileArticleCheck(check) {
+  const pattern = check.pattern ? new RegExp(check.pattern, check.flags) : null;
+
+  return (article) => {
+    const value = article[check.field];
+    if (isMissing(value)) {
+      return check.required ? `${check.field} is missing` : true;
+    }
+
+    const text = String(value);
+    if (check.maxLength !== undefined && text.length > check.maxLength) {
+      return `${check.field} is ${text.length} characters (max ${check.maxLength})`;
+    }
+    if (check.minLength !== undefined && text.length < check.minLength) {
+      return `${check.field} is ${text.length} characters (min ${check.minLength})`;
+    }
+    if (pattern && !pattern.test(text)) {
+      return `${check.field} "${text}" does not match /${check.pattern}/`;
+    }
+    if (check.integer && !/^\s*-?\d+\s*$/.test(text)) {
+      return `${check.field} "${text}" does not parse to an integer`;
+    }
+    const number = toNumber(value);
+    if (check.min !== undefined && !(number >= check.min)) {
+      return `${check.field} ${text} is below ${check.min}`;
+    }
+    if (check.max !== undefined && !(number <= check.max)) {
+      return `${check.field} ${text} is above ${check.max}`;
+    }
+    if (check.oneOf && !check.oneOf.includes(value)) {
+      return `${check.field} "${text}" is not one of ${check.oneOf.join(', ')}`;
+    }
+    return true;
+  };
+}
+
+/**
+ * Build the predicate for a declarative check on adjacent articles
+ * @param {Object} check - field, plus order ('asc' or 'desc') and/or distinct
+ * @returns {Function} (previous, current) => true or a violation message
+ */
+function compilePairwiseCheck(check) {
+  return (previous, current) => {
+    const a = previous[check.field];
+    const b = current[check.field];
+    if (isMissing(a) || isMissing(b)) return true;
+
+    if (check.distinct && String(a) === String(b)) {
+      return `${check.field} "${b}" repeats the previous article's`;
+    }
+    if (check.order) {
+      const difference = toNumber(b) - toNumber(a);
+      const outOfOrder =
+        check.order === 'asc' ? difference < 0 : difference > 0;
+      if (outOfOrder) {
+        return `${check.field} ${String(b)} after ${String(a)} is not ${
+          check.order === 'asc' ? 'ascending' : 'descending'
+        }`;
+      }
+    }
+    return true;
+  };
+}
+
+/**
+ * Build the predicate for a declarative check on the whole set: no value of
+ * a field may occur more than maxOccurrences times in any window of
+ * consecutive articles (the whole set when no window is given)
+ * @param {Object} check - field, plus maxOccurrences (or unique) and optional window
+ * @returns {Function} (articles) => Array of violations
+ */
+function compileSetCheck(check) {
+  const maxOccurrences = check.unique ? 1 : check.maxOccurrences;
+
+  return (articles) => {
+    const size = check.window || articles.length;
+    const lastStart = Math.max(0, articles.length - size);
+    const reported = new Set();
+    const violations = [];
+
+    for (let start = 0; start <= lastStart; start++) {
+      const window = articles.slice(start, start + size);
+      const positions = new Map();
+      window.forEach((article, offset) => {
+        const value = article[check.field];
+        if (isMissing(value)) return;
+        if (!positions.has(value)) positions.set(value, []);
+        positions.get(value).push(start + offset + 1);
+      });
+
+      positions.forEach((found, value) => {
+        if (found.length <= maxOccurrences || reported.has(value)) return;
+        reported.add(value);
+        violations.push({
+          positions: found,
+          message: `${check.field} "${value}" occurs ${found.length} times in ${
+            check.window ? `${size} consecutive articles` : 'the listing'
+          } (max ${maxOccurrences})`,
+        });
+      });
+    }
+
+    return violations;
+  };
+}
+
+const CHECK_COMPILERS = {
+  article: compileArticleCheck,
+  pairwise: compilePairwiseCheck,
+  set: compileSetCheck,
+};
+
+/**
+ * Validate a rule definition and give it a predicate
+ * @param {Object} definition - name, severity, scope, description and a predicate function or declarative check
+ * @param {number} index - Index of the definition in its file
+ * @param {string} source - Where the rules came from (for error messages)
+ * @returns {Object} Rule with name, description, severity, scope and predicate
+ */
+function normalizeRule(definition, index, source) {
+  const label = `Rule ${
+    definition?.name ? `"${definition.name}"` : index + 1
+  } in ${source}`;
+  if (!definition || typeof definition !== 'object') {
+    throw new Error(`${label} must be an object`);
+  }
+  if (typeof definition.name !== 'string' || !definition.name.trim()) {
+    throw new Error(`${label} needs a name`);
+  }
+
+  const severity = definition.severity || 'error';
+  if (!RULE_SEVERITIES.includes(severity)) {
+    throw new Error(
+      `${label} has unknown severity "${severity}" (use ${RULE_SEVERITIES.join(
+        ', ',
+      )})`,
+    );
+  }
+  if (!RULE_SCOPES.includes(definition.scope)) {
+    throw new Error(
+      `${label} has unknown scope "${definition.scope}" (use ${RULE_SCOPES.join(
+        ', ',
+      )})`,
+    );
+  }
+
+  let { predicate } = definition;
+  if (typeof predicate !== 'function') {
+    const { check } = definition;
+    if (!check || typeof check.field !== 'string') {
+      throw new Error(
+        `${label} needs a predicate function or a check with a field`,
+      );
+    }
+    if (
+      definition.scope === 'set' &&
+      !check.unique &&
+      !(check.maxOccurrences >= 1)
+    ) {
+      throw new Error(`${label} needs check.maxOccurrences or check.unique`);
+    }
+    predicate = CHECK_COMPILERS[definition.scope](check);
+  }
+
+  return {
+    name: definition.name,
+    description: definition.description || definition.name,
+    severity,
+    scope: definition.scope,
+    predicate,
+  };
+}
+
+/**
+ * Load custom rules from a JSON file or JS module. Either may hold an array
+ * of rules or an object with a `rules` array; JSON rules use declarative
+ * checks, JS rules may also pass a predicate function.
+ * @param {string|Array} source - Rules file path, or rule definitions
+ * @returns {Array<Object>} Normalised rules
+ */
+function loadCustomRules(source) {
+  let definitions = source;
+  let label = 'rules';
+
+  if (typeof source === 'string') {
+    const file = path.resolve(source);
+    label = source;
+    if (!fs.existsSync(file)) {
+      throw new Error(`Rules file ${source} not found`);
+    }
+    definitions =
+      path.extname(file).toLowerCase() === '.json'
+        ? JSON.parse(fs.readFileSync(file, 'utf-8'))
+        : require(file);
+  }
+
+  if (definitions && !Array.isArray(definitions)) {
+    definitions = definitions.rules;
+  }
+  if (!Array.isArray(definitions)) {
+    throw new Error(`${label} must hold an array of rules or { rules: [...] }`);
+  }
+
+  const rules = definitions.map((definition, index) =>
+    normalizeRule(definition, index, label),
+  );
+  const names = new Set();
+  rules.forEach((rule) => {
+    if (names.has(rule.name)) {
+      throw new Error(`Rule "${rule.name}" is defined twice in ${label}`);
+    }
+    names.add(rule.name);
+  });
+
+  return rules;
+}
+
+/**
+ * Turn what a predicate returned into a violation, if any. `true` passes;
+ * `false` or a message string fails. Anything else is a mistake in the rule,
+ * so it throws rather than guessing.
+ * @param {*} outcome - Predicate return value
+ * @param {Object} rule - Rule being evaluated
+ * @param {Array} articles - Articles the violation covers
+ * @returns {Object|null} positions, ids and message, or null when the rule held
+ */
+function toViolation(outcome, rule, articles) {
+  if (outcome === true) return null;
+  if (outcome !== false && typeof outcome !== 'string') {
+    throw new Error(
+      `Rule "${rule.name}" predicate returned ${
+        outcome === null ? 'null' : typeof outcome
+      }; return true, false or a message${
+        rule.scope === 'set' ? ' (or an array of violations)' : ''
+      }`,
+    );
+  }
+  return {
+    positions: articles.map((article) => article.position),
+    ids: articles.map((article) => article.id),
+    message: typeof outcome === 'string' ? outcome : rule.description,
+  };
+}
+
+/**
+ * Run one rule over the articles
+ * @param {Object} rule - Normalised rule
+ * @param {Array} articles - Array of article objects in listing order
+ * @returns {Array<Object>} Violations (positions, ids, message)
+ */
+function runRule(rule, articles) {
+  const positioned = articles.map((article, index) => ({
+    ...article,
+    position: article.position || index + 1,
+  }));
+
+  if (rule.scope === 'article') {
+    return positioned
+      .map((article, index) =>
+        toViolation(rule.predicate(article, index, positioned), rule, [
+          article,
+        ]),
+      )
+      .filter(Boolean);
+  }
+
+  if (rule.scope === 'pairwise') {
+    const violations = [];
+    for (let i = 1; i < positioned.length; i++) {
+      const pair = [positioned[i - 1], positioned[i]];
+      const violation = toViolation(rule.predicate(...pair, i), rule, pair);
+      if (violation) violations.push(violation);
+    }
+    return violations;
+  }
+
+  // Set rules may return their own violations ({positions, message})
+  const outcome = rule.predicate(positioned);
+  if (Array.isArray(outcome)) {
+    return outcome.map((violation) => ({
+      positions: violation.positions || [],
+      ids: (violation.positions || []).map(
+        (position) => positioned[position - 1]?.id,
+      ),
+      message: violation.message || rule.description,
+    }));
+  }
+  const violation = toViolation(outcome, rule, []);
+  return violation ? [violation] : [];
+}
+
+/**
+ * Evaluate custom rules against the extracted articles. A rule whose
+ * predicate throws, or returns something other than a result, is reported
+ * as failed with the error.
+ * @param {Array} articles - Array of article objects in listing order
+ * @param {Array<Object>} rules - Rules from loadCustomRules
+ * @returns {Object} Per-rule results, counts by severity and whether no error-severity rule failed
+ */
+function evaluateCustomRules(articles, rules) {
+  const results = rules.map((rule) => {
+    let violations = [];
+    let error = null;
+    try {
+      violations = runRule(rule, articles);
+    } catch (ruleError) {
+      error = ruleError.message;
+    }
+
+    return {
+      name: rule.name,
+      description: rule.description,
+      severity: rule.severity,
+      scope: rule.scope,
+      passed: violations.length === 0 && !error,
+      error,
+      violations,
+    };
+  });
+
+  const failed = (severity) =>
+    results.filter((result) => !result.passed && result.severity === severity)
+      .length;
+
+  return {
+    isValid: failed('error') === 0,
+    checkedRules: results.length,
+    failedErrors: failed('error'),
+    failedWarnings: failed('warning'),
+    failedInfo: failed('info'),
+    rules: results,
+  };
+}
+
+module.exports = {
+  RULE_SEVERITIES,
+  RULE_SCOPES,
+  loadCustomRules,
+  evaluateCustomRules,
+};
@@ -0,0 +1,148 @@
+// utils/devices.js
+// Device and viewport emulation profiles shared by scraping and audits
+
+const fs = require('fs');
+const { devices } = require('playwright');
+const config = require('../config');
+
+/**
+ * Built-in profiles. Each either lists its own context options or points at an
+ * entry in Playwright's device registry.
+ */
+const CUSTOM_DEVICE_PROFILES = {
+  desktop: {
+    label: 'Desktop (1280×800)',
+    contextOptions: {
+      userAgent: config.USER_AGENT,
+      viewport: config.VIEWPORT,
+    },
+  },
+  'desktop-hd': {
+    label: 'Desktop HD (1920×1080)',
+    contextOptions: {
+      userAgent: config.USER_AGENT,
+      viewport: { width: 1920, height: 1080 },
+    },
+  },
+  phone: { label: 'Phone', playwrightDevice: 'iPhone 13' },
+  'android-phone': { label: 'Android phone', playwrightDevice: 'Pixel 7' },
+  tablet: { label: 'Tablet', playwrightDevice: 'iPad (gen 7)' },
+};
+
+// Context options a device profile may set
+const CONTEXT_OPTION_KEYS = [
+  'userAgent',
+  'viewport',
+  'screen',
+  'deviceScaleFactor',
+  'isMobile',
+  'hasTouch',
+];
+
+/**
+ * Keep only the context options a device profile is allowed to set
+ * @param {Object} options - Raw options
+ * @returns {Object} Context options
+ */
+function pickContextOptions(options) {
+  return Object.fromEntries(
+    CONTEXT_OPTION_KEYS.filter((key) => options[key] !== undefined).map(
+      (key) => [key, options[key]],
+    ),
+  );
+}
+
+/**
+ * Resolve a device profile by name. Accepts a built-in profile, any device in
+ * Playwright's registry (e.g. "iPhone 13", "Galaxy S9+") or a path to a JSON
+ * file with `name` and context options (viewport, userAgent, isMobile, ...).
+ * @param {string} name - Profile name, Playwright device name or JSON path (default: 'desktop')
+ * @returns {Object} Profile with name, label, source and contextOptions
+ */
+function resolveDeviceProfile(name = 'desktop') {
+  if (name.endsWith('.json')) {
+    if (!fs.existsSync(name)) {
+      throw new Error(`Device profile file ${name} not found`);
+    }
+    const custom = JSON.parse(fs.readFileSync(name, 'utf-8'));
+    if (!custom.viewport) {
+      throw new Error(`Device profile ${name} must define a viewport`);
+    }
+    return {
+      name: custom.name || name,
+      label: custom.label || custom.name || name,
+      source: 'file',
+      contextOptions: {
+        userAgent: config.USER_AGENT,
+        ...pickContextOptions(custom),
+      },
+    };
+  }
+
+  const builtIn = CUSTOM_DEVICE_PROFILES[name];
+  if (builtIn && builtIn.contextOptions) {
+    return {
+      name,
+      label: builtIn.label,
+      source: 'custom',
+      contextOptions: { ...builtIn.contextOptions },
+    };
+  }
+
+  const registryName = builtIn ? builtIn.playwrightDevice : name;
+  const registryDevice = devices[registryName];
+  if (!registryDevice) {
+    throw new Error(
+      `Unknown device "${name}". Use one of ${Object.keys(
+        CUSTOM_DEVICE_PROFILES,
+      ).join(', ')}, a Playwright device name, or a .json profile`,
+    );
+  }
+
+  return {
+    name,
+    label: builtIn ? `${builtIn.label} (${registryName})` : registryName,
+    source: 'playwright',
+    contextOptions: pickContextOptions(registryDevice),
+  };
+}
+
+/**
+ * Adapt a profile's context options to a browser engine.
+ * Firefox does not support mobile emulation, so isMobile is dropped there.
+ * @param {Object} profile - Resolved device profile
+ * @param {string} browserName - Playwright engine name
+ * @returns {Object} Context options for browser.newContext()
+ */
+function getContextOptions(profile, browserName = 'chromium') {
+  const options = { ...profile.contextOptions };
+  if (browserName === 'firefox') {
+    delete options.isMobile;
+  }
+  return options;
+}
+
+/**
+ * Summarize a profile for reports
+ * @param {Object} profile - Resolved device profile
+ * @returns {Object} name, label, source, viewport, isMobile and userAgent
+ */
+function describeDeviceProfile(profile) {
+  if (!profile) return null;
+  const { viewport, isMobile = false, userAgent } = profile.contextOptions;
+  return {
+    name: profile.name,
+    label: profile.label,
+    source: profile.source,
+    viewport,
+    isMobile,
+    userAgent,
+  };
+}
+
+module.exports = {
+  CUSTOM_DEVICE_PROFILES,
+  resolveDeviceProfile,
+  getContextOptions,
+  describeDeviceProfile,
+};
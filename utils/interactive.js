@@ -11,6 +11,12 @@ const {
 } = require('./accessibility');
 const { handleSecurityTesting } = require('../cli/securityHandler');
 const { createReportServer } = require('./reports/reportServer');
+const { buildHackerNewsUrl } = require('./url');
+const {
+  resolveDeviceProfile,
+  getContextOptions,
+  describeDeviceProfile,
+} = require('./devices');
 
 /**
  * Show interactive menu after validation completion
@@ -250,10 +256,11 @@ async function handleAccessibilityAudit(articles = [], options = {}) {
   try {
     // Launch browser for accessibility testing
     const { chromium } = require('playwright');
+    const device = resolveDeviceProfile(options.device);
     const browser = await chromium.launch({ headless: options.headless });
-    const page = await browser.newPage();
+    const page = await browser.newPage(getContextOptions(device));
 
-    await page.goto('https://news.ycombinator.com/newest');
+    await page.goto(buildHackerNewsUrl(options.baseUrl));
 
     // Configure audit based on user selections
     const runOnly = [];
@@ -272,6 +279,7 @@ async function handleAccessibilityAudit(articles = [], options = {}) {
     spinner.stop();
 
     // Generate and display enhanced report
+    auditResults.device = describeDeviceProfile(device);
     const report = auditor.generateReport(auditResults);
     await displayAccessibilityReport(report, auditResults.articleAnalysis);
   } catch (error) {
@@ -304,7 +312,8 @@ async function displayAccessibilityReport(report, articleAnalysis = null) {
 • Total Violations: ${executive.totalViolations}
 • Affected Elements: ${executive.affectedElements}
 • Critical Issues: ${executive.criticalIssues}
-• WCAG Compliance: ${executive.wcagCompliance}`,
+• WCAG Compliance: ${executive.wcagCompliance}
+• Device: ${report.technicalDetails?.device?.label || 'Desktop'}`,
     {
       title: '♿ Accessibility Report',
       titleAlignment: 'center',
@@ -522,8 +531,19 @@ async function handlePerformanceBreakdown(performanceReport) {
     `⏱️  Total Duration: ${performanceReport.summary.totalDurationFormatted}
 🚀 Articles/Second: ${performanceReport.efficiency.articlesPerSecond}
 💾 Peak Memory: ${performanceReport.summary.peakMemoryMB} MB
-🌐 Network Requests: ${performanceReport.summary.networkRequests}
-📄 Pagination Clicks: ${performanceReport.summary.paginationClicks}`,
+🌐 Network Requests: ${performanceReport.summary.networkRequests} (${
+      performanceReport.network?.failed || 0
+    } failed, ${Math.round(
+      (performanceReport.network?.totalBytes || 0) / 1024,
+    )} KB)
+📄 Pagination: ${performanceReport.summary.paginationClicks} pages via ${
+      performanceReport.summary.paginationStrategy || 'click'
+    }
+🐢 Throttled: ${Math.round(
+      (performanceReport.crawl?.throttledTime || 0) / 1000,
+    )}s (${
+      performanceReport.crawl?.backoffs?.length || 0
+    } rate-limit backoffs)`,
     {
       title: '📊 Performance Summary',
       borderColor: 'blue',
@@ -539,6 +559,41 @@ async function handlePerformanceBreakdown(performanceReport) {
     );
   });
 
+  const pageLoads = performanceReport.pagination?.pages || [];
+  if (pageLoads.length > 0) {
+    logger.info('\n📄 Page Loads:');
+    pageLoads.forEach((load) => {
+      logger.info(
+        `  Page ${load.pageNumber} (${load.strategy}): ${load.waitTime}ms`,
+      );
+    });
+  }
+
+  const extraction = performanceReport.extraction;
+  if (extraction && Object.keys(extraction.byMode).length > 0) {
+    logger.info('\n🧲 Extraction:');
+    Object.entries(extraction.byMode).forEach(([mode, stats]) => {
+      logger.info(
+        `  ${mode}: ${stats.articles} articles in ${stats.totalTime}ms (${
+          stats.msPerArticle !== null ? stats.msPerArticle.toFixed(1) : 'N/A'
+        }ms/article)`,
+      );
+    });
+    if (extraction.speedup) {
+      logger.info(`  Batch is ${extraction.speedup}x faster than per-element`);
+    }
+  }
+
+  const workers = performanceReport.workers || [];
+  if (workers.length > 0) {
+    logger.info('\n🧵 Workers:');
+    workers.forEach((worker) => {
+      logger.info(
+        `  Worker ${worker.workerId}: ${worker.pages.length} pages in ${worker.totalTime}ms (avg ${worker.averageTime}ms)`,
+      );
+    });
+  }
+
   logger.info('\n💾 Memory Analysis:');
   logger.info(`  Initial: ${performanceReport.memory.initial.heapUsedMB} MB`);
   logger.info(`  Final: ${performanceReport.memory.final.heapUsedMB} MB`);
@@ -572,7 +627,7 @@ async function handleAdvancedAnalysis(validationResult) {
   // Author analysis
   const authorStats = {};
   articles.forEach((article) => {
-    if (article.author && article.author !== 'unknown') {
+    if (article.author) {
       authorStats[article.author] = (authorStats[article.author] || 0) + 1;
     }
   });
@@ -581,6 +636,32 @@ async function handleAdvancedAnalysis(validationResult) {
     .sort(([, a], [, b]) => b - a)
     .slice(0, 5);
 
+  // Item type, domain and comment analysis
+  const typeStats = {};
+  const domainStats = {};
+  articles.forEach((article) => {
+    const itemType = article.itemType || 'story';
+    typeStats[itemType] = (typeStats[itemType] || 0) + 1;
+    if (article.domain) {
+      domainStats[article.domain] = (domainStats[article.domain] || 0) + 1;
+    }
+  });
+
+  const topDomains = Object.entries(domainStats)
+    .sort(([, a], [, b]) => b - a)
+    .slice(0, 5);
+
+  const commentCounts = articles
+    .map((article) => article.commentCount)
+    .filter((count) => typeof count === 'number');
+  const avgComments =
+    commentCounts.length > 0
+      ? commentCounts.reduce((a, b) => a + b, 0) / commentCounts.length
+      : 0;
+  const maxComments = commentCounts.length > 0 ? Math.max(...commentCounts) : 0;
+
+  const countMarked = (flag) => articles.filter((a) => a[flag]).length;
+
   logger.box(
     `📊 Advanced Data Analysis
 
@@ -594,6 +675,23 @@ ${topAuthors
   .map(([author, count]) => `• ${author}: ${count} articles`)
   .join('\n')}
 
+🏷️ Item Types:
+${Object.entries(typeStats)
+  .map(([itemType, count]) => `• ${itemType}: ${count}`)
+  .join('\n')}
+
+🌐 Top Domains:
+${topDomains.map(([domain, count]) => `• ${domain}: ${count}`).join('\n')}
+
+💬 Comments:
+• Average: ${Math.round(avgComments)} per article
+• Most discussed: ${maxComments} comments
+
+🚩 Moderation:
+• Dead: ${countMarked('isDead')} • Flagged: ${countMarked(
+      'isFlagged',
+    )} • Deleted: ${countMarked('isDeleted')}
+
 📈 Quality Metrics:
 • Data completeness: ${Math.round(
       (articles.filter((a) => a.timestamp).length / articles.length) * 100,
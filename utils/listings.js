@@ -0,0 +1,131 @@
+// utils/listings.js
+// Listing profiles describing each Hacker News listing and how it must be ordered
+
+/**
+ * Listing profiles. `rules` names the checks in utils/validation.js that decide
+ * whether a listing passes:
+ * - chronological: newer articles first (timestamp intervals)
+ * - idOrder: item IDs decrease down the listing
+ * - rankContinuity: ranks run 1..N without gaps or repeats
+ * - noDuplicates: no article appears twice
+ * - dateMembership: every article belongs to the requested day
+ *
+ * `paging` is how HN addresses later pages: `offset` listings take `?p=N`;
+ * `cursor` listings only continue from the More link's `next`/`n` cursor,
+ * so their pages must be read in order.
+ */
+const LISTING_PROFILES = {
+  newest: {
+    name: 'newest',
+    label: 'Newest',
+    path: () => '/newest',
+    rules: ['chronological', 'idOrder', 'noDuplicates'],
+    paging: 'cursor',
+    successMessage: 'are properly sorted from newest to oldest',
+  },
+  front: {
+    name: 'front',
+    label: 'Front Page',
+    path: () => '/news',
+    rules: ['rankContinuity', 'noDuplicates'],
+    paging: 'offset',
+    successMessage: 'are ranked contiguously with no duplicates',
+  },
+  ask: {
+    name: 'ask',
+    label: 'Ask HN',
+    path: () => '/ask',
+    rules: ['rankContinuity', 'noDuplicates'],
+    paging: 'offset',
+    successMessage: 'are ranked contiguously with no duplicates',
+  },
+  show: {
+    name: 'show',
+    label: 'Show HN',
+    path: () => '/show',
+    rules: ['rankContinuity', 'noDuplicates'],
+    paging: 'offset',
+    successMessage: 'are ranked contiguously with no duplicates',
+  },
+  jobs: {
+    name: 'jobs',
+    label: 'Jobs',
+    path: () => '/jobs',
+    rules: ['chronological', 'noDuplicates'],
+    paging: 'cursor',
+    successMessage: 'are properly sorted from newest to oldest',
+  },
+  past: {
+    name: 'past',
+    label: 'Past Front Page',
+    path: ({ day }) => `/front?day=${day}`,
+    rules: ['dateMembership', 'rankContinuity', 'noDuplicates'],
+    paging: 'offset',
+    successMessage:
+      'belong to the requested day and are ranked with no duplicates',
+  },
+  best: {
+    name: 'best',
+    label: 'Best',
+    path: () => '/best',
+    rules: ['rankContinuity', 'noDuplicates'],
+    paging: 'offset',
+    successMessage: 'are ranked contiguously with no duplicates',
+  },
+};
+
+/**
+ * Build the path of a numbered page of a listing. Offset listings address
+ * pages with HN's `p` parameter so they can be fetched without following
+ * More links; cursor listings have no such address past the first page.
+ * @param {Object} profile - Listing profile
+ * @param {Object} params - Path parameters
+ * @param {string} params.day - Day for the past listing
+ * @param {number} params.page - 1-based page number
+ * @returns {string} Listing path for that page
+ */
+function getListingPagePath(profile, { day, page = 1 } = {}) {
+  const path = profile.path({ day });
+  if (page <= 1) {
+    return path;
+  }
+  if (profile.paging === 'cursor') {
+    throw new Error(
+      `The ${profile.label} listing pages through the More link's cursor and has no page ${page} address`,
+    );
+  }
+  return `${path}${path.includes('?') ? '&' : '?'}p=${page}`;
+}
+
+/**
+ * Look up a listing profile by name
+ * @param {string} name - Profile name (default: 'newest')
+ * @returns {Object} Listing profile
+ */
+function getListingProfile(name = 'newest') {
+  const profile = LISTING_PROFILES[name];
+  if (!profile) {
+    throw new Error(
+      `Unknown listing "${name}". Available: ${Object.keys(
+        LISTING_PROFILES,
+      ).join(', ')}`,
+    );
+  }
+  return profile;
+}
+
+/**
+ * Get the default day for the past front page listing (yesterday, UTC)
+ * @returns {string} Day in YYYY-MM-DD format
+ */
+function getDefaultListingDay() {
+  const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000);
+  return yesterday.toISOString().slice(0, 10);
+}
+
+module.exports = {
+  LISTING_PROFILES,
+  getListingProfile,
+  getListingPagePath,
+  getDefaultListingDay,
+};
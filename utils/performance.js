@@ -12,11 +12,25 @@ class PerformanceMonitor {
         requests: 0,
         totalTime: 0,
         averageTime: 0,
+        entries: [],
       },
       pagination: {
         clicks: 0,
         totalWaitTime: 0,
         averageWaitTime: 0,
+        strategy: null,
+        pages: [],
+      },
+      extraction: {
+        mode: null,
+        pages: [],
+      },
+      workers: [],
+      crawl: {
+        policy: null,
+        delayedRequests: 0,
+        delayTime: 0,
+        backoffs: [],
       },
     };
     this.currentPhase = null;
@@ -57,11 +71,12 @@ class PerformanceMonitor {
     return this;
   }
 
-  recordNetworkRequest(duration) {
+  recordNetworkRequest(entry) {
     this.metrics.network.requests++;
-    this.metrics.network.totalTime += duration;
+    this.metrics.network.totalTime += entry.duration || 0;
     this.metrics.network.averageTime =
       this.metrics.network.totalTime / this.metrics.network.requests;
+    this.metrics.network.entries.push(entry);
     return this;
   }
 
@@ -73,6 +88,63 @@ class PerformanceMonitor {
     return this;
   }
 
+  setPaginationStrategy(strategy) {
+    this.metrics.pagination.strategy = strategy;
+    return this;
+  }
+
+  recordPageLoad(pageNumber, waitTime, strategy) {
+    this.metrics.pagination.pages.push({
+      pageNumber,
+      strategy: strategy || this.metrics.pagination.strategy,
+      waitTime,
+    });
+    return this.recordPaginationClick(waitTime);
+  }
+
+  setExtractionMode(mode) {
+    this.metrics.extraction.mode = mode;
+    return this;
+  }
+
+  recordExtraction(mode, pageNumber, articleCount, duration) {
+    this.metrics.extraction.pages.push({
+      mode,
+      pageNumber,
+      articleCount,
+      duration,
+    });
+    return this;
+  }
+
+  recordWorker(workerId, pages, totalTime) {
+    let worker = this.metrics.workers.find((w) => w.workerId === workerId);
+    if (!worker) {
+      worker = { workerId, pages: [], totalTime: 0, averageTime: 0 };
+      this.metrics.workers.push(worker);
+    }
+    worker.pages.push(...pages);
+    worker.totalTime += totalTime;
+    worker.averageTime = Math.round(worker.totalTime / worker.pages.length);
+    return this;
+  }
+
+  setCrawlPolicy(policy) {
+    this.metrics.crawl.policy = policy;
+    return this;
+  }
+
+  recordCrawlDelay(waitTime) {
+    this.metrics.crawl.delayedRequests++;
+    this.metrics.crawl.delayTime += waitTime;
+    return this;
+  }
+
+  recordBackoff(entry) {
+    this.metrics.crawl.backoffs.push(entry);
+    return this;
+  }
+
   end() {
     if (this.currentPhase) {
       this.endPhase();
@@ -124,11 +196,17 @@ class PerformanceMonitor {
         peakMemoryMB: this.metrics.memory.peak.heapUsedMB,
         networkRequests: this.metrics.network.requests,
         paginationClicks: this.metrics.pagination.clicks,
+        paginationStrategy: this.metrics.pagination.strategy,
+        extractionMode: this.metrics.extraction.mode,
+        throttledTime: this.getCrawlReport().throttledTime,
       },
       phases: this.getPhaseReport(),
       memory: this.getMemoryReport(),
-      network: this.metrics.network,
-      pagination: this.metrics.pagination,
+      network: this.getNetworkReport(),
+      pagination: this.getPaginationReport(),
+      extraction: this.getExtractionReport(),
+      workers: this.metrics.workers,
+      crawl: this.getCrawlReport(),
       efficiency: this.calculateEfficiencyMetrics(),
     };
   }
@@ -148,6 +226,103 @@ class PerformanceMonitor {
     return report;
   }
 
+  getPaginationReport() {
+    const waitTimes = this.metrics.pagination.pages.map((p) => p.waitTime);
+    return {
+      ...this.metrics.pagination,
+      fastestWaitTime: waitTimes.length > 0 ? Math.min(...waitTimes) : null,
+      slowestWaitTime: waitTimes.length > 0 ? Math.max(...waitTimes) : null,
+    };
+  }
+
+  getNetworkReport() {
+    const { entries } = this.metrics.network;
+    const byType = {};
+    const byPage = {};
+
+    entries.forEach((entry) => {
+      const type = byType[entry.resourceType] || { requests: 0, bytes: 0 };
+      type.requests++;
+      type.bytes += entry.size;
+      byType[entry.resourceType] = type;
+
+      const page = byPage[entry.pageNumber] || {
+        pageNumber: entry.pageNumber,
+        requests: 0,
+        bytes: 0,
+        totalTime: 0,
+        failed: 0,
+      };
+      page.requests++;
+      page.bytes += entry.size;
+      page.totalTime += entry.duration || 0;
+      if (entry.failed) page.failed++;
+      byPage[entry.pageNumber] = page;
+    });
+
+    const failedRequests = entries.filter((entry) => entry.failed);
+
+    return {
+      requests: this.metrics.network.requests,
+      totalTime: this.metrics.network.totalTime,
+      averageTime: this.metrics.network.averageTime,
+      totalBytes: entries.reduce((sum, entry) => sum + entry.size, 0),
+      failed: failedRequests.length,
+      byType,
+      byPage: Object.values(byPage).sort((a, b) => a.pageNumber - b.pageNumber),
+      failedRequests,
+      entries,
+    };
+  }
+
+  getCrawlReport() {
+    const { policy, delayedRequests, delayTime, backoffs } = this.metrics.crawl;
+    const backoffTime = backoffs.reduce((sum, entry) => sum + entry.wait, 0);
+    return {
+      policy,
+      delayedRequests,
+      delayTime,
+      backoffs,
+      backoffTime,
+      throttledTime: delayTime + backoffTime,
+    };
+  }
+
+  getExtractionReport() {
+    const byMode = {};
+    this.metrics.extraction.pages.forEach((entry) => {
+      const stats = byMode[entry.mode] || {
+        pages: 0,
+        articles: 0,
+        totalTime: 0,
+        msPerArticle: null,
+      };
+      stats.pages++;
+      stats.articles += entry.articleCount;
+      stats.totalTime += entry.duration;
+      stats.msPerArticle =
+        stats.articles > 0 ? stats.totalTime / stats.articles : null;
+      byMode[entry.mode] = stats;
+    });
+
+    // How many times faster batch extraction was, when both modes ran
+    const speedup =
+      byMode.batch?.msPerArticle && byMode.element?.msPerArticle
+        ? Number(
+            (byMode.element.msPerArticle / byMode.batch.msPerArticle).toFixed(
+              1,
+            ),
+          )
+        : null;
+
+    return {
+      mode: this.metrics.extraction.mode,
+      pages: this.metrics.extraction.pages,
+      byMode,
+      speedup,
+    };
+  }
+
   getMemoryReport() {
     return {
       initial: this.metrics.memory.initial,
@@ -27,7 +27,8 @@ function generateAccessibilityReport(data) {
     `;
   }
 
-  const { violations, passes, inapplicable, timestamp } = accessibilityReport;
+  const { violations, passes, inapplicable, timestamp, device } =
+    accessibilityReport;
   const totalIssues = violations.length;
   const totalPasses =
     typeof passes === 'number' ? passes : passes ? passes.length : 0;
@@ -76,7 +77,9 @@ function generateAccessibilityReport(data) {
   return `
     <div class="header">
       <h1>♿ Accessibility Compliance Report</h1>
-      <div class="subtitle">WCAG 2.1 AA/AAA Analysis</div>
+      <div class="subtitle">WCAG 2.1 AA/AAA Analysis${
+        device ? ` · ${device.label}` : ''
+      }</div>
       <div class="timestamp">Generated: ${new Date(
         timestamp,
       ).toLocaleString()}</div>
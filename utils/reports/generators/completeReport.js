@@ -3,23 +3,118 @@
  * Generates comprehensive validation reports with all analysis sections
  */
 
+const path = require('path');
+const { buildItemUrl } = require('../../url');
+const { describeSeverityCounts } = require('../../validation');
+
+// Chronological violation severities mapped onto the report's CSS classes
+const SEVERITY_STYLES = {
+  critical: '',
+  major: 'serious',
+  minor: 'moderate',
+  tie: 'minor',
+};
+const SEVERITY_BADGES = {
+  critical: 'critical',
+  major: 'serious',
+  minor: 'moderate',
+  tie: 'minor',
+};
+
+/**
+ * Explain why a chronological violation got its severity
+ * @param {Object} violation - Classified chronological violation
+ * @returns {string} Text for the violation stats
+ */
+function describeClassification(violation) {
+  const classification = violation.classification;
+  if (!classification) return '';
+  return `🏷️ ${violation.severity}: ${
+    classification.displacement
+  } positions out of place, ${classification.source} timestamps${
+    classification.downgraded ? ' (downgraded one level)' : ''
+  }`;
+}
+
+/**
+ * Links to the DOM snippet and screenshot captured for a violation
+ * @param {Object} evidence - Evidence entry attached to the violation
+ * @returns {string} HTML content
+ */
+function renderEvidenceLinks(evidence) {
+  if (!evidence) return '';
+  return `
+                <div class="violation-evidence" style="margin-top: 10px;">
+                    🧾 <a href="/evidence/${
+                      evidence.snippet
+                    }" target="_blank" class="article-link">DOM snippet</a>${
+    evidence.screenshot
+      ? ` · 📸 <a href="/evidence/${evidence.screenshot}" target="_blank" class="article-link">Screenshot</a>`
+      : ''
+  }
+                </div>`;
+}
+
 /**
  * Generate complete validation report HTML
  * @param {Object} data - Complete validation data
  * @returns {string} HTML content
  */
 function generateCompleteReport(data) {
-  const { articles, validationReport, performanceReport, accessibilityReport } =
-    data;
+  const {
+    articles,
+    validationReport,
+    performanceReport,
+    accessibilityReport,
+    baseUrl,
+    artifacts,
+  } = data;
   const success = validationReport?.summary?.validationPassed || false;
   const chronologyViolations =
     validationReport?.chronological?.violations || [];
   const qualityIssues = validationReport?.quality?.issues || [];
+  const schemaCheck = validationReport?.quality?.schema;
+  const listing = validationReport?.listing;
+  const enforces = (rule) => !listing || listing.rules.includes(rule);
+  const idOrder = enforces('idOrder') ? validationReport?.idOrder : null;
+  const idInversions = idOrder?.inversions || [];
+  const rankContinuity = enforces('rankContinuity')
+    ? validationReport?.rankContinuity
+    : null;
+  const listingDrift = validationReport?.listingDrift?.hasDrift
+    ? validationReport.listingDrift
+    : null;
+  const dateMembership = validationReport?.dateMembership;
+  const customRules = validationReport?.customRules;
+  const duplicateTitles = enforces('noDuplicates')
+    ? validationReport?.duplicates?.duplicates?.byTitle || []
+    : [];
+  const duplicateIds = enforces('noDuplicates')
+    ? validationReport?.duplicates?.duplicates?.byId || []
+    : [];
+  const nearDuplicates = [
+    ...(validationReport?.duplicates?.duplicates?.bySimilarTitle || []).map(
+      (match) => ({ ...match, kind: 'title' }),
+    ),
+    ...(validationReport?.duplicates?.duplicates?.byUrl || []).map((match) => ({
+      ...match,
+      kind: match.match,
+    })),
+  ].sort((a, b) => a.position - b.position);
+  const selectorDrift = validationReport?.selectorHealth?.hasDrift
+    ? validationReport.selectorHealth.drift
+    : [];
 
   return `
     <div class="header">
         <h1>🚀 Joshua Bautista - QA Wolf Take Home</h1>
-        <div class="subtitle">Complete Validation Analysis</div>
+        <div class="subtitle">Complete Validation Analysis${
+          listing
+            ? ` · ${listing.label}${listing.day ? ` (${listing.day})` : ''}`
+            : ''
+        }${
+    validationReport?.device ? ` · ${validationReport.device.label}` : ''
+  }</div>
         <div style="margin-top: 20px;">
             <span class="grade-badge ${success ? 'grade-a' : 'grade-c'}">
                 ${success ? '✅ PASSED' : '⚠️ ISSUES FOUND'}
@@ -46,30 +141,44 @@ function generateCompleteReport(data) {
             <div class="value">${chronologyViolations.length}</div>
             <div class="label">Chronology Violations</div>
         </div>
+        <div class="stat-card">
+            <span class="icon">🔢</span>
+            <div class="value">${idInversions.length}</div>
+            <div class="label">Item ID Inversions</div>
+        </div>
     </div>
 
     ${
-      chronologyViolations.length > 0
+      !enforces('chronological')
+        ? ''
+        : chronologyViolations.length > 0
         ? `
     <div class="violations-section">
         <h3 style="margin-bottom: 20px; color: #e53e3e;">🚨 Chronological Order Violations</h3>
-        <p style="margin-bottom: 20px; color: #4a5568;">The following articles are not in proper chronological order (newest to oldest):</p>
+        <p style="margin-bottom: 20px; color: #4a5568;">The following articles are not in proper chronological order (newest to oldest).
+            Severity: ${describeSeverityCounts(
+              validationReport.chronological.severityCounts,
+            )}; ${
+            validationReport.chronological.failSeverity
+          } and above fail the run.</p>
         ${chronologyViolations
           .slice(0, 10)
           .map(
             (violation) => `
-            <div class="violation-item serious">
+            <div class="violation-item ${SEVERITY_STYLES[violation.severity]}">
                 <div class="violation-header">
                     <div class="violation-title">Article #${
                       violation.current.position
                     } is out of chronological order</div>
-                    <div class="violation-impact-badge serious">ORDER VIOLATION</div>
+                    <div class="violation-impact-badge ${
+                      SEVERITY_BADGES[violation.severity]
+                    }">${violation.severity} ORDER VIOLATION</div>
                 </div>
                 <div class="violation-description">
                     <strong>Article:</strong> 
                     <a href="${
                       violation.current.url ||
-                      `https://news.ycombinator.com/item?id=${violation.current.id}`
+                      buildItemUrl(baseUrl, violation.current.id)
                     }" 
                        target="_blank" 
                        class="article-link"
@@ -93,8 +202,10 @@ function generateCompleteReport(data) {
                         <span>⏱️ Time Difference: ${Math.round(
                           violation.timeDifference / (1000 * 60),
                         )} minutes newer</span>
+                        <span>${describeClassification(violation)}</span>
                     </div>
                 </div>
+                ${renderEvidenceLinks(violation.evidence)}
             </div>
         `,
           )
@@ -114,18 +225,22 @@ function generateCompleteReport(data) {
               .slice(10)
               .map(
                 (violation) => `
-                <div class="violation-item serious">
+                <div class="violation-item ${
+                  SEVERITY_STYLES[violation.severity]
+                }">
                     <div class="violation-header">
                         <div class="violation-title">Article #${
                           violation.current.position
                         } is out of chronological order</div>
-                        <div class="violation-impact-badge serious">ORDER VIOLATION</div>
+                        <div class="violation-impact-badge ${
+                          SEVERITY_BADGES[violation.severity]
+                        }">${violation.severity} ORDER VIOLATION</div>
                     </div>
                     <div class="violation-description">
                         <strong>Article:</strong> 
                         <a href="${
                           violation.current.url ||
-                          `https://news.ycombinator.com/item?id=${violation.current.id}`
+                          buildItemUrl(baseUrl, violation.current.id)
                         }" 
                            target="_blank" 
                            class="article-link"
@@ -151,8 +266,10 @@ function generateCompleteReport(data) {
                             <span>⏱️ Time Difference: ${Math.round(
                               violation.timeDifference / (1000 * 60),
                             )} minutes newer</span>
+                            <span>${describeClassification(violation)}</span>
                         </div>
                     </div>
+                    ${renderEvidenceLinks(violation.evidence)}
                 </div>
             `,
               )
@@ -173,6 +290,431 @@ function generateCompleteReport(data) {
     `
     }
 
+    ${
+      rankContinuity || listingDrift || dateMembership
+        ? `
+    <div class="violations-section">
+        <h3 style="margin-bottom: 20px; color: #4a5568;">📋 Listing Checks</h3>
+        ${
+          rankContinuity
+            ? `
+        <div class="violation-item ${
+          rankContinuity.isValid ? 'minor' : 'serious'
+        }">
+            <div class="violation-title">${
+              rankContinuity.isValid ? '✅' : '🚨'
+            } Rank continuity</div>
+            <div class="violation-description">
+                ${rankContinuity.checkedRanks} ranks checked:
+                ${rankContinuity.gaps.length} gaps,
+                ${rankContinuity.repeats.length} repeated ranks
+                ${rankContinuity.gaps
+                  .slice(0, 5)
+                  .map(
+                    (gap) =>
+                      `<br>Position ${gap.position}: expected rank ${
+                        gap.expectedRank
+                      }, found ${gap.actualRank}${renderEvidenceLinks(
+                        gap.evidence,
+                      )}`,
+                  )
+                  .join('')}
+                ${rankContinuity.repeats
+                  .slice(0, 5)
+                  .map(
+                    (repeat) =>
+                      `<br>Position ${repeat.position}: rank ${
+                        repeat.rank
+                      } already used at position ${
+                        repeat.firstPosition
+                      }${renderEvidenceLinks(repeat.evidence)}`,
+                  )
+                  .join('')}
+                ${(rankContinuity.pages || [])
+                  .filter((page) => !page.continuous)
+                  .slice(0, 5)
+                  .map(
+                    (page) =>
+                      `<br>Page ${page.pageNumber}: starts at rank ${page.firstRank}, expected ${page.expectedFirstRank}`,
+                  )
+                  .join('')}
+            </div>
+        </div>
+        `
+            : ''
+        }
+        ${
+          listingDrift
+            ? `
+        <div class="violation-item minor">
+            <div class="violation-title">↕️ Listing drift</div>
+            <div class="violation-description">
+                ${listingDrift.count} articles shifted onto the next page on
+                ${listingDrift.pagesAffected} pages while paginating (new
+                submissions arrived mid-run); each was counted once
+                ${listingDrift.shiftedArticles
+                  .slice(0, 5)
+                  .map(
+                    (row) =>
+                      `<br>Page ${row.pageNumber}, rank ${row.rank}: ${
+                        row.title || row.id
+                      } (first seen at position ${row.firstPosition})`,
+                  )
+                  .join('')}
+            </div>
+        </div>
+        `
+            : ''
+        }
+        ${
+          dateMembership
+            ? `
+        <div class="violation-item ${
+          dateMembership.isValid ? 'minor' : 'serious'
+        }">
+            <div class="violation-title">${
+              dateMembership.isValid ? '✅' : '🚨'
+            } Membership of ${dateMembership.day}</div>
+            <div class="violation-description">
+                ${dateMembership.checkedArticles} articles checked,
+                ${dateMembership.outsiders.length} outside the day
+                ${dateMembership.outsiders
+                  .slice(0, 5)
+                  .map(
+                    (outsider) =>
+                      `<br>#${outsider.position} ${outsider.title} (${
+                        outsider.formatted
+                      }, ${outsider.reason})${renderEvidenceLinks(
+                        outsider.evidence,
+                      )}`,
+                  )
+                  .join('')}
+            </div>
+        </div>
+        `
+            : ''
+        }
+    </div>
+    `
+        : ''
+    }
+
+    ${
+      customRules
+        ? `
+    <div class="violations-section">
+        <h3 style="margin-bottom: 20px; color: #4a5568;">🧩 Custom Rules</h3>
+        ${customRules.rules
+          .map(
+            (rule) => `
+        <div class="violation-item ${
+          rule.passed || rule.severity !== 'error' ? 'minor' : 'serious'
+        }">
+            <div class="violation-title">${
+              rule.passed ? '✅' : rule.severity === 'error' ? '🚨' : '⚠️'
+            } ${rule.name} (${rule.severity}, ${rule.scope})</div>
+            <div class="violation-description">
+                ${rule.description}
+                ${rule.error ? `<br>Rule could not run: ${rule.error}` : ''}
+                ${rule.violations
+                  .slice(0, 5)
+                  .map(
+                    (violation) =>
+                      `<br>${
+                        violation.positions.length > 0
+                          ? `#${violation.positions.join(', #')}: `
+                          : ''
+                      }${violation.message}`,
+                  )
+                  .join('')}
+                ${
+                  rule.violations.length > 5
+                    ? `<br>… and ${rule.violations.length - 5} more`
+                    : ''
+                }
+            </div>
+        </div>
+        `,
+          )
+          .join('')}
+    </div>
+    `
+        : ''
+    }
+
+    ${
+      selectorDrift.length > 0
+        ? `
+    <div class="violations-section">
+        <h3 style="margin-bottom: 20px; color: #dd6b20;">🧭 Selector Drift</h3>
+        <p style="margin-bottom: 20px; color: #4a5568;">
+            The primary selectors below stopped matching on some rows. Values were
+            recovered through fallback candidates where possible; update
+            config.SELECTORS before the extracted data goes wrong.
+        </p>
+        ${selectorDrift
+          .map(
+            (drift) => `
+            <div class="violation-item ${
+              drift.missing > 0 ? 'serious' : 'minor'
+            }">
+                <div class="violation-title">⚠️ ${drift.field} (<code>${
+              drift.primary
+            }</code>)</div>
+                <div class="violation-description">
+                    ${drift.rows} rows checked:
+                    ${drift.fallbackMatches} matched by fallbacks,
+                    ${drift.missing} matched no candidate
+                    ${Object.entries(drift.fallbacks)
+                      .map(
+                        ([selector, count]) =>
+                          `<br><code>${selector}</code>: ${count} rows`,
+                      )
+                      .join('')}
+                </div>
+            </div>
+        `,
+          )
+          .join('')}
+    </div>
+    `
+        : ''
+    }
+
+    ${
+      idOrder
+        ? `
+    <div class="violations-section">
+        <h3 style="margin-bottom: 20px; color: ${
+          idInversions.length > 0 ? '#e53e3e' : '#38a169'
+        };">🔢 Item ID Ordering</h3>
+        <p style="margin-bottom: 20px; color: #4a5568;">
+            HN item IDs increase with submission time, so they should decrease down the listing.
+            ${idOrder.checkedPairs} neighbouring pairs checked:
+            ${
+              idOrder.crossReference.confirmed.length
+            } inversions confirmed by timestamps,
+            ${idOrder.crossReference.idOnly.length} ID-only inversions,
+            ${
+              idOrder.crossReference.timestampOnly.length
+            } timestamp-only violations (likely parsing noise).
+        </p>
+        ${idInversions
+          .slice(0, 10)
+          .map(
+            (inversion) => `
+            <div class="violation-item serious">
+                <div class="violation-header">
+                    <div class="violation-title">Article #${
+                      inversion.current.position
+                    } has a higher ID than the article above it</div>
+                    <div class="violation-impact-badge serious">${
+                      inversion.timestampViolation
+                        ? 'CONFIRMED BY TIMESTAMP'
+                        : 'ID ONLY'
+                    }</div>
+                </div>
+                <div class="violation-description">
+                    <strong>Previous:</strong> #${inversion.previous.position}
+                    <a href="${buildItemUrl(
+                      baseUrl,
+                      inversion.previous.id,
+                    )}" target="_blank" class="article-link">${
+              inversion.previous.title
+            }</a> (ID ${inversion.previous.id})<br>
+                    <strong>Current:</strong> #${inversion.current.position}
+                    <a href="${buildItemUrl(
+                      baseUrl,
+                      inversion.current.id,
+                    )}" target="_blank" class="article-link">${
+              inversion.current.title
+            }</a> (ID ${inversion.current.id})
+                </div>
+                <div class="violation-details">
+                    <div class="violation-stats">
+                        <span>🔢 ID Difference: +${
+                          inversion.idDifference
+                        }</span>
+                        <span>📅 Ages: ${
+                          inversion.previous.ageText || 'N/A'
+                        } → ${inversion.current.ageText || 'N/A'}</span>
+                    </div>
+                </div>
+                ${renderEvidenceLinks(inversion.evidence)}
+            </div>
+        `,
+          )
+          .join('')}
+        ${
+          idInversions.length > 10
+            ? `<div class="more-violations"><p>... and ${
+                idInversions.length - 10
+              } more ID inversions</p></div>`
+            : ''
+        }
+    </div>
+    `
+        : ''
+    }
+
+    ${
+      artifacts
+        ? `
+    <div class="violations-section">
+        <h3 style="margin-bottom: 20px; color: #4a5568;">🎞️ Run Artifacts</h3>
+        ${
+          artifacts.trace
+            ? `
+        <p style="margin-bottom: 10px; color: #4a5568;">
+            📦 <a href="/artifacts/${path.basename(
+              artifacts.trace,
+            )}" class="article-link" download>Playwright trace</a>
+            — open with <code>npx playwright show-trace ${
+              artifacts.trace
+            }</code>
+        </p>`
+            : ''
+        }
+        ${
+          artifacts.har
+            ? `
+        <p style="margin-bottom: 10px; color: #4a5568;">
+            🌐 <a href="/artifacts/${path.basename(
+              artifacts.har,
+            )}" class="article-link" download>HAR file</a>
+            — every request of the main browser context
+        </p>`
+            : ''
+        }
+        ${
+          artifacts.video
+            ? `
+        <video controls style="max-width: 100%;" src="/artifacts/${path
+          .relative(artifacts.dir, artifacts.video)
+          .split(path.sep)
+          .join('/')}"></video>`
+            : ''
+        }
+    </div>
+    `
+        : ''
+    }
+
+    ${
+      duplicateIds.length > 0
+        ? `
+    <div class="violations-section">
+        <h3 style="margin-bottom: 20px; color: #e53e3e;">🆔 Duplicate IDs</h3>
+        ${duplicateIds
+          .slice(0, 10)
+          .map(
+            (duplicate) => `
+            <div class="violation-item serious">
+                <div class="violation-title">${
+                  duplicate.skipped
+                    ? `Article ${duplicate.id} from #${duplicate.firstPosition} appeared again on page ${duplicate.pageNumber}`
+                    : `Article #${duplicate.position} repeats ${duplicate.id} from #${duplicate.originalPosition}`
+                }</div>
+                <div class="violation-description">${duplicate.title}</div>
+                ${renderEvidenceLinks(duplicate.evidence)}
+            </div>
+        `,
+          )
+          .join('')}
+        ${
+          duplicateIds.length > 10
+            ? `<div class="more-violations"><p>... and ${
+                duplicateIds.length - 10
+              } more duplicate IDs</p></div>`
+            : ''
+        }
+    </div>
+    `
+        : ''
+    }
+
+    ${
+      duplicateTitles.length > 0
+        ? `
+    <div class="violations-section">
+        <h3 style="margin-bottom: 20px; color: #e53e3e;">🔁 Duplicate Titles</h3>
+        ${duplicateTitles
+          .slice(0, 10)
+          .map(
+            (duplicate) => `
+            <div class="violation-item serious">
+                <div class="violation-title">Article #${
+                  duplicate.position
+                } repeats the title of #${duplicate.originalPosition}</div>
+                <div class="violation-description">${duplicate.title}</div>
+                ${renderEvidenceLinks(duplicate.evidence)}
+            </div>
+        `,
+          )
+          .join('')}
+        ${
+          duplicateTitles.length > 10
+            ? `<div class="more-violations"><p>... and ${
+                duplicateTitles.length - 10
+              } more duplicate titles</p></div>`
+            : ''
+        }
+    </div>
+    `
+        : ''
+    }
+
+    ${
+      nearDuplicates.length > 0
+        ? `
+    <div class="violations-section">
+        <h3 style="margin-bottom: 20px; color: #d69e2e;">👯 Near-Duplicates & Reposts</h3>
+        <p style="margin-bottom: 15px; color: #718096;">Title similarity threshold: ${
+          validationReport.duplicates.similarityThreshold
+        }</p>
+        ${nearDuplicates
+          .slice(0, 10)
+          .map(
+            (match) => `
+            <div class="violation-item moderate">
+                <div class="violation-title">Article #${match.position} ${
+              match.kind === 'title'
+                ? `has a title ${Math.round(
+                    match.similarity * 100,
+                  )}% similar to #${match.originalPosition}`
+                : `links the same ${
+                    match.kind === 'url' ? 'URL' : 'page'
+                  } as #${match.originalPosition} (titles ${Math.round(
+                    match.similarity * 100,
+                  )}% similar)`
+            }</div>
+                <div class="violation-description">"${match.title}" / "${
+              match.originalTitle
+            }"${
+              match.kind === 'title'
+                ? ` (tokens ${Math.round(
+                    match.tokenSimilarity * 100,
+                  )}%, edit similarity ${Math.round(
+                    match.editSimilarity * 100,
+                  )}%)`
+                : ''
+            }</div>
+            </div>
+        `,
+          )
+          .join('')}
+        ${
+          nearDuplicates.length > 10
+            ? `<div class="more-violations"><p>... and ${
+                nearDuplicates.length - 10
+              } more near-duplicates</p></div>`
+            : ''
+        }
+    </div>
+    `
+        : ''
+    }
+
     ${
       accessibilityReport
         ? `
@@ -300,6 +842,45 @@ function generateCompleteReport(data) {
 
 
 
+    ${
+      schemaCheck && !schemaCheck.isValid
+        ? `
+    <div class="quality-issues">
+        <h3 style="margin-bottom: 20px; color: #d69e2e;">🧾 Schema Validation</h3>
+        <p style="margin-bottom: 20px; color: #4a5568;">
+            ${schemaCheck.invalidArticles} of ${
+            schemaCheck.validArticles + schemaCheck.invalidArticles
+          } articles do not match article schema v${schemaCheck.version}
+            (<code>${schemaCheck.schema}</code>).
+        </p>
+        ${Object.entries(schemaCheck.errorsByField)
+          .map(
+            ([field, entry]) => `
+            <div class="violation-item moderate">
+                <div class="violation-title">${field}: ${
+              entry.count
+            } errors</div>
+                <div class="violation-description">${Object.entries(
+                  entry.keywords,
+                )
+                  .map(([keyword, count]) => `${keyword} × ${count}`)
+                  .join(', ')}${schemaCheck.samples
+              .filter((sample) => sample.field === field)
+              .slice(0, 3)
+              .map(
+                (sample) =>
+                  `<br>#${sample.position} (${sample.id}): ${sample.path} ${sample.message}`,
+              )
+              .join('')}</div>
+            </div>
+        `,
+          )
+          .join('')}
+    </div>
+    `
+        : ''
+    }
+
     ${
       performanceReport
         ? `
@@ -332,8 +913,7 @@ function generateCompleteReport(data) {
                     <div class="article-info">
                         <div class="article-title">
                             <a href="${
-                              article.url ||
-                              `https://news.ycombinator.com/item?id=${article.id}`
+                              article.url || buildItemUrl(baseUrl, article.id)
                             }" 
                                target="_blank" 
                                class="article-link"
@@ -349,8 +929,20 @@ function generateCompleteReport(data) {
                               article.ageText || 'Unknown time'
                             }</span>
                             <span class="article-score">${
-                              article.score || 0
-                            } points</span>
+                              article.itemType === 'job'
+                                ? 'job'
+                                : article.score || '0 points'
+                            }</span>
+                            ${
+                              article.domain
+                                ? `<span class="article-domain">${article.domain}</span>`
+                                : ''
+                            }
+                            ${
+                              typeof article.commentCount === 'number'
+                                ? `<span class="article-comments">${article.commentCount} comments</span>`
+                                : ''
+                            }
                         </div>
                     </div>
                     ${
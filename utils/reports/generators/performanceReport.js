@@ -3,6 +3,17 @@
  * Generates detailed performance analysis reports
  */
 
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Byte count
+ * @returns {string} Human-readable size
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+}
+
 function generatePerformanceReport(data) {
   const performanceData = data.performanceReport || data;
 
@@ -19,8 +30,17 @@ function generatePerformanceReport(data) {
     `;
   }
 
-  const { summary, phases, memory, network, pagination, efficiency } =
-    performanceData;
+  const {
+    summary,
+    phases,
+    memory,
+    network,
+    pagination,
+    extraction,
+    workers = [],
+    crawl = null,
+    efficiency,
+  } = performanceData;
 
   // Generate phase breakdown
   const phaseBreakdown = Object.entries(phases)
@@ -130,8 +150,80 @@ function generatePerformanceReport(data) {
                   network.totalTime,
                 )}ms</span>
             </div>
+            <div class="network-item">
+                <span class="network-label">Transferred:</span>
+                <span class="network-value">${formatBytes(
+                  network.totalBytes || 0,
+                )}</span>
+            </div>
+            <div class="network-item">
+                <span class="network-label">Failed Requests:</span>
+                <span class="network-value">${network.failed || 0}</span>
+            </div>
+            ${Object.entries(network.byType || {})
+              .map(
+                ([type, stats]) => `
+            <div class="network-item">
+                <span class="network-label">${type}:</span>
+                <span class="network-value">${
+                  stats.requests
+                } requests, ${formatBytes(stats.bytes)}</span>
+            </div>`,
+              )
+              .join('')}
+        </div>
+    </div>
+
+    ${
+      (network.byPage || []).length > 0
+        ? `
+    <div class="network-analysis">
+        <h3>Requests per Page</h3>
+        <div class="network-stats">
+            ${network.byPage
+              .map(
+                (page) => `
+            <div class="network-item">
+                <span class="network-label">Page ${page.pageNumber}:</span>
+                <span class="network-value">${
+                  page.requests
+                } requests, ${formatBytes(page.bytes)}, ${page.totalTime}ms${
+                  page.failed > 0 ? `, ${page.failed} failed` : ''
+                }</span>
+            </div>`,
+              )
+              .join('')}
+        </div>
+    </div>
+    `
+        : ''
+    }
+
+    ${
+      (network.failedRequests || []).length > 0
+        ? `
+    <div class="network-analysis">
+        <h3>Failed Requests</h3>
+        <div class="network-stats">
+            ${network.failedRequests
+              .slice(0, 20)
+              .map(
+                (request) => `
+            <div class="network-item">
+                <span class="network-label">${request.method} ${
+                  request.url
+                }</span>
+                <span class="network-value">${
+                  request.failure || `HTTP ${request.status}`
+                } (page ${request.pageNumber})</span>
+            </div>`,
+              )
+              .join('')}
         </div>
     </div>
+    `
+        : ''
+    }
 
     <div class="efficiency-analysis">
         <h3>Efficiency Metrics</h3>
@@ -170,11 +262,74 @@ function generatePerformanceReport(data) {
         </div>
     </div>
 
+    ${
+      extraction && Object.keys(extraction.byMode).length > 0
+        ? `
+    <div class="pagination-analysis">
+        <h3>Extraction Performance</h3>
+        <div class="pagination-stats">
+            ${Object.entries(extraction.byMode)
+              .map(
+                ([mode, stats]) => `
+            <div class="pagination-item">
+                <span class="pagination-label">${mode} (${
+                  stats.pages
+                } pages):</span>
+                <span class="pagination-value">${
+                  stats.msPerArticle !== null
+                    ? stats.msPerArticle.toFixed(1)
+                    : 'N/A'
+                }ms/article</span>
+            </div>`,
+              )
+              .join('')}
+            ${
+              extraction.speedup
+                ? `
+            <div class="pagination-item">
+                <span class="pagination-label">Batch Speedup:</span>
+                <span class="pagination-value">${extraction.speedup}x</span>
+            </div>`
+                : ''
+            }
+        </div>
+    </div>
+    `
+        : ''
+    }
+
+    ${
+      workers.length > 0
+        ? `
+    <div class="pagination-analysis">
+        <h3>Worker Performance</h3>
+        <div class="pagination-stats">
+            ${workers
+              .map(
+                (worker) => `
+            <div class="pagination-item">
+                <span class="pagination-label">Worker ${worker.workerId} (${worker.pages.length} pages):</span>
+                <span class="pagination-value">${worker.totalTime}ms total, ${worker.averageTime}ms avg</span>
+            </div>`,
+              )
+              .join('')}
+        </div>
+    </div>
+    `
+        : ''
+    }
+
     <div class="pagination-analysis">
         <h3>Pagination Performance</h3>
         <div class="pagination-stats">
             <div class="pagination-item">
-                <span class="pagination-label">Total Clicks:</span>
+                <span class="pagination-label">Strategy:</span>
+                <span class="pagination-value">${
+                  pagination.strategy || 'click'
+                }</span>
+            </div>
+            <div class="pagination-item">
+                <span class="pagination-label">Pages Loaded:</span>
                 <span class="pagination-value">${pagination.clicks}</span>
             </div>
             <div class="pagination-item">
@@ -189,8 +344,62 @@ function generatePerformanceReport(data) {
                   pagination.totalWaitTime,
                 )}ms</span>
             </div>
+            ${(pagination.pages || [])
+              .map(
+                (load) => `
+            <div class="pagination-item">
+                <span class="pagination-label">Page ${load.pageNumber} (${load.strategy}):</span>
+                <span class="pagination-value">${load.waitTime}ms</span>
+            </div>`,
+              )
+              .join('')}
+        </div>
+    </div>
+
+    ${
+      crawl?.policy
+        ? `
+    <div class="pagination-analysis">
+        <h3>Crawl Policy</h3>
+        <div class="pagination-stats">
+            <div class="pagination-item">
+                <span class="pagination-label">Delay Between Pages:</span>
+                <span class="pagination-value">${crawl.policy.delay}ms${
+            crawl.policy.crawlDelay
+              ? ` (robots.txt Crawl-delay ${crawl.policy.crawlDelay}s)`
+              : ''
+          }</span>
+            </div>
+            <div class="pagination-item">
+                <span class="pagination-label">robots.txt:</span>
+                <span class="pagination-value">${
+                  crawl.policy.respectRobots
+                    ? `${crawl.policy.disallow.length} disallow rules`
+                    : 'ignored'
+                }</span>
+            </div>
+            <div class="pagination-item">
+                <span class="pagination-label">Time Throttled:</span>
+                <span class="pagination-value">${Math.round(
+                  crawl.throttledTime,
+                )}ms (${crawl.delayTime}ms spacing, ${
+            crawl.backoffTime
+          }ms backoff)</span>
+            </div>
+            ${crawl.backoffs
+              .map(
+                (backoff) => `
+            <div class="pagination-item">
+                <span class="pagination-label">Rate limited (${backoff.reason}):</span>
+                <span class="pagination-value">${backoff.url}, waited ${backoff.wait}ms</span>
+            </div>`,
+              )
+              .join('')}
         </div>
     </div>
+    `
+        : ''
+    }
   `;
 }
 
@@ -17,6 +17,7 @@ function generateSecurityReport(securityData) {
     summary,
     recommendations,
     timestamp,
+    device,
   } = securityData;
   const percentage = Math.round((score / maxScore) * 100);
 
@@ -53,7 +54,9 @@ function generateSecurityReport(securityData) {
   return `
     <div class="header">
         <h1>🔒 Security Assessment Report</h1>
-        <div class="subtitle">Comprehensive Web Security Analysis</div>
+        <div class="subtitle">Comprehensive Web Security Analysis${
+          device ? ` · ${device.label}` : ''
+        }</div>
         <div style="margin-top: 20px;">
             <span class="grade-badge grade-${getOverallColor(overall)}">
                 ${overall} SECURITY RATING
@@ -8,6 +8,7 @@ const path = require('path');
 const open = require('open');
 const logger = require('../../logger');
 const { generateReportHTML } = require('./templates/htmlTemplate');
+const { buildHackerNewsUrl } = require('../url');
 
 /**
  * Create and start a report server
@@ -24,6 +25,16 @@ async function createReportServer(data, reportType = 'complete') {
   app.set('view engine', 'ejs');
   app.set('views', path.join(__dirname, '../templates'));
 
+  // Screenshots and DOM snippets linked from violations
+  if (data.evidenceDir) {
+    app.use('/evidence', express.static(path.resolve(data.evidenceDir)));
+  }
+
+  // Playwright trace and video of the run
+  if (data.artifacts?.dir) {
+    app.use('/artifacts', express.static(path.resolve(data.artifacts.dir)));
+  }
+
   // Main report route
   app.get('/', async (req, res) => {
     try {
@@ -43,7 +54,7 @@ async function createReportServer(data, reportType = 'complete') {
           const page = await browser.newPage();
 
           // Navigate to Hacker News
-          await page.goto('https://news.ycombinator.com/newest', {
+          await page.goto(buildHackerNewsUrl(data.baseUrl), {
             waitUntil: 'networkidle',
             timeout: 30000,
           });
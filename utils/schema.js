@@ -0,0 +1,242 @@
+// utils/schema.js
+// Versioned JSON Schemas for article records and run results, and the
+// validator that checks extracted data against them
+
+const ARTICLE_SCHEMA = require('../schemas/article.schema.json');
+const RESULT_SCHEMA = require('../schemas/result.schema.json');
+
+const SCHEMA_VERSION = 1;
+// Schemas that $ref can point at by $id
+const SCHEMAS_BY_ID = new Map(
+  [ARTICLE_SCHEMA, RESULT_SCHEMA].map((schema) => [schema.$id, schema]),
+);
+// Error samples kept in the report; the per-field counts cover every error
+const MAX_ERROR_SAMPLES = 20;
+
+const FORMATS = {
+  'date-time': (value) =>
+    /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/.test(
+      value,
+    ) && !Number.isNaN(Date.parse(value)),
+  uri: (value) => {
+    try {
+      return Boolean(new URL(value).protocol);
+    } catch (error) {
+      return false;
+    }
+  },
+};
+
+/**
+ * JSON Schema type name of a value
+ * @param {*} value - Parsed JSON value
+ * @returns {string} null, array, integer, number, string, boolean or object
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? 'integer' : 'number';
+  }
+  return typeof value;
+}
+
+/**
+ * Validate a parsed JSON value against a schema. Supports the keywords the
+ * bundled schemas use: $ref (by $id), type, enum, const, required,
+ * properties, additionalProperties, items, minLength, pattern, minimum and
+ * format (date-time, uri).
+ * @param {*} value - Parsed JSON value (use toJsonValue for live objects)
+ * @param {Object} schema - JSON Schema
+ * @param {string} pointer - JSON pointer of the value (default: root)
+ * @returns {Array<Object>} Errors (path, keyword, message); empty when valid
+ */
+function validateValue(value, schema, pointer = '') {
+  if (schema.$ref) {
+    const target = SCHEMAS_BY_ID.get(schema.$ref);
+    if (!target) throw new Error(`Unknown schema reference ${schema.$ref}`);
+    return validateValue(value, target, pointer);
+  }
+
+  const errors = [];
+  const fail = (keyword, message) =>
+    errors.push({ path: pointer || '/', keyword, message });
+  const type = typeOf(value);
+
+  if (schema.type) {
+    const allowed = [].concat(schema.type);
+    const matches =
+      allowed.includes(type) ||
+      (type === 'integer' && allowed.includes('number'));
+    if (!matches) {
+      fail('type', `must be ${allowed.join(' or ')}, got ${type}`);
+      return errors;
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail('enum', `must be one of ${schema.enum.map(String).join(', ')}`);
+  }
+  if ('const' in schema && value !== schema.const) {
+    fail('const', `must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (type === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail('minLength', `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      fail('pattern', `must match ${schema.pattern}`);
+    }
+    if (
+      schema.format &&
+      FORMATS[schema.format] &&
+      !FORMATS[schema.format](value)
+    ) {
+      fail('format', `must be a ${schema.format}`);
+    }
+  }
+
+  if (
+    (type === 'integer' || type === 'number') &&
+    schema.minimum !== undefined &&
+    value < schema.minimum
+  ) {
+    fail('minimum', `must be >= ${schema.minimum}`);
+  }
+
+  if (type === 'array' && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateValue(item, schema.items, `${pointer}/${index}`));
+    });
+  }
+
+  if (type === 'object') {
+    (schema.required || []).forEach((key) => {
+      if (!(key in value)) fail('required', `is missing ${key}`);
+    });
+
+    const properties = schema.properties || {};
+    Object.entries(value).forEach(([key, child]) => {
+      const childPointer = `${pointer}/${key}`;
+      if (properties[key]) {
+        errors.push(...validateValue(child, properties[key], childPointer));
+      } else if (schema.additionalProperties === false) {
+        errors.push({
+          path: childPointer,
+          keyword: 'additionalProperties',
+          message: 'is not allowed',
+        });
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(
+          ...validateValue(child, schema.additionalProperties, childPointer),
+        );
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * The value as a consumer of the JSON export sees it (Dates become strings,
+ * undefined fields disappear)
+ * @param {*} value - Live value
+ * @returns {*} Parsed JSON value
+ */
+function toJsonValue(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Validate one article record against the article schema
+ * @param {Object} article - Extracted article
+ * @returns {Array<Object>} Errors (path, field, keyword, message); empty when valid
+ */
+function validateArticleRecord(article) {
+  return validateValue(toJsonValue(article), ARTICLE_SCHEMA).map((error) => ({
+    ...error,
+    // Missing required fields are reported against the field itself
+    field:
+      error.keyword === 'required'
+        ? error.message.replace('is missing ', '')
+        : error.path.split('/')[1] || '(record)',
+  }));
+}
+
+/**
+ * Validate every article against the article schema and count errors per
+ * field
+ * @param {Array} articles - Array of article objects
+ * @returns {Object} Schema version, valid/invalid counts, errors by field (count and keywords) and error samples
+ */
+function validateArticleRecords(articles) {
+  const byField = {};
+  const samples = [];
+  let invalidArticles = 0;
+
+  articles.forEach((article, index) => {
+    const errors = validateArticleRecord(article);
+    if (errors.length === 0) return;
+    invalidArticles++;
+
+    errors.forEach((error) => {
+      const entry = byField[error.field] || { count: 0, keywords: {} };
+      entry.count++;
+      entry.keywords[error.keyword] = (entry.keywords[error.keyword] || 0) + 1;
+      byField[error.field] = entry;
+
+      if (samples.length < MAX_ERROR_SAMPLES) {
+        samples.push({
+          position: article.position || index + 1,
+          id: article.id,
+          ...error,
+        });
+      }
+    });
+  });
+
+  return {
+    schema: ARTICLE_SCHEMA.$id,
+    version: SCHEMA_VERSION,
+    isValid: invalidArticles === 0,
+    validArticles: articles.length - invalidArticles,
+    invalidArticles,
+    errorsByField: byField,
+    samples,
+  };
+}
+
+/**
+ * Validate a run result against the result schema
+ * @param {Object} result - Result from the validation orchestrator
+ * @returns {Array<Object>} Errors (path, keyword, message); empty when valid
+ */
+function validateResult(result) {
+  return validateValue(toJsonValue(result), RESULT_SCHEMA);
+}
+
+/**
+ * Schema for the JSON article export (an array of article records), to
+ * publish next to it
+ * @returns {Object} JSON Schema
+ */
+function buildExportSchema() {
+  return {
+    $schema: ARTICLE_SCHEMA.$schema,
+    $id: `urn:hn-scraper:articles:v${SCHEMA_VERSION}`,
+    title: 'Hacker News article export',
+    type: 'array',
+    items: ARTICLE_SCHEMA,
+  };
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  ARTICLE_SCHEMA,
+  RESULT_SCHEMA,
+  validateValue,
+  validateArticleRecord,
+  validateArticleRecords,
+  validateResult,
+  buildExportSchema,
+};
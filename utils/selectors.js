@@ -0,0 +1,139 @@
+// utils/selectors.js
+// Selector fallback chains and drift analysis for markup changes on HN
+
+const config = require('../config');
+
+/**
+ * Article fields read through a selector chain, keyed by the name recorded on
+ * each article's `selectorMatches`. Required fields are present on every row,
+ * so a row where no candidate matches them points at changed markup.
+ */
+const SELECTOR_FIELDS = {
+  row: { key: 'ARTICLE_ROW', required: true },
+  title: { key: 'TITLE', required: true },
+  rank: { key: 'RANK', required: true },
+  age: { key: 'AGE', required: true },
+  score: { key: 'SCORE', required: false },
+  author: { key: 'AUTHOR', required: false },
+  site: { key: 'SITE', required: false },
+};
+
+/**
+ * Ordered candidate selectors for a field, primary first
+ * @param {string} field - Field name from SELECTOR_FIELDS
+ * @returns {Array<string>} Candidate selectors
+ */
+function getSelectorChain(field) {
+  const { key } = SELECTOR_FIELDS[field];
+  return [config.SELECTORS[key], ...(config.SELECTOR_FALLBACKS[key] || [])];
+}
+
+/**
+ * Candidate chains for every field (serializable, for in-page evaluation)
+ * @returns {Object} Field name to candidate selectors
+ */
+function getSelectorChains() {
+  return Object.fromEntries(
+    Object.keys(SELECTOR_FIELDS).map((field) => [
+      field,
+      getSelectorChain(field),
+    ]),
+  );
+}
+
+/**
+ * A single selector matching any candidate of a field, for waits that only
+ * need to know the elements exist
+ * @param {string} field - Field name from SELECTOR_FIELDS
+ * @returns {string} Comma-joined selector list
+ */
+function anySelector(field) {
+  return getSelectorChain(field).join(', ');
+}
+
+/**
+ * Find the first candidate in a chain that matches under an element handle
+ * @param {Object} handle - Playwright element handle (or page)
+ * @param {Array<string>} chain - Candidate selectors
+ * @returns {Promise<{element: Object|null, index: number|null}>} Matched element and candidate index
+ */
+async function queryChain(handle, chain) {
+  for (let index = 0; index < chain.length; index++) {
+    const element = await handle.$(chain[index]);
+    if (element) {
+      return { element, index };
+    }
+  }
+  return { element: null, index: null };
+}
+
+/**
+ * Summarize which candidate matched each field across a run. A field drifts
+ * when rows had to fall back past the primary selector, or when a required
+ * field matched no candidate at all.
+ * @param {Array} articles - Extracted articles with selectorMatches
+ * @returns {Object} Per-field match counts, drift entries and hasDrift flag
+ */
+function analyzeSelectorHealth(articles) {
+  const tracked = articles.filter((article) => article.selectorMatches);
+  const fields = {};
+  const drift = [];
+
+  Object.entries(SELECTOR_FIELDS).forEach(([field, { required }]) => {
+    const chain = getSelectorChain(field);
+    const matches = Object.fromEntries(chain.map((selector) => [selector, 0]));
+    let missing = 0;
+
+    tracked.forEach((article) => {
+      const index = article.selectorMatches[field];
+      if (index === null || index === undefined) {
+        missing++;
+      } else {
+        matches[chain[index]]++;
+      }
+    });
+
+    const primaryMatches = matches[chain[0]];
+    const fallbackMatches = tracked.length - primaryMatches - missing;
+    fields[field] = {
+      primary: chain[0],
+      required,
+      matches,
+      primaryMatches,
+      fallbackMatches,
+      missing,
+    };
+
+    if (fallbackMatches > 0 || (required && missing > 0)) {
+      drift.push({
+        field,
+        primary: chain[0],
+        fallbacks: Object.fromEntries(
+          chain
+            .slice(1)
+            .filter((selector) => matches[selector] > 0)
+            .map((selector) => [selector, matches[selector]]),
+        ),
+        fallbackMatches,
+        missing,
+        rows: tracked.length,
+      });
+    }
+  });
+
+  return {
+    rowsChecked: tracked.length,
+    fields,
+    drift,
+    hasDrift: drift.length > 0,
+  };
+}
+
+module.exports = {
+  SELECTOR_FIELDS,
+  getSelectorChain,
+  getSelectorChains,
+  anySelector,
+  queryChain,
+  analyzeSelectorHealth,
+};
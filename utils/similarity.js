@@ -0,0 +1,218 @@
+// utils/similarity.js
+// Title and URL normalisation plus fuzzy similarity scores for spotting reposts
+
+// "Show HN:", "Ask HN:" and friends are dropped before titles are compared
+const TITLE_PREFIX = /^(show|ask|tell|launch) hn\s*[:\-–—]\s*/i;
+// Trailing "(2019)", "[pdf]", "[video]" and similar annotations
+const TITLE_SUFFIX = /\s*[([](\d{4}|pdf|video|audio|slides|paywall)[)\]]\s*$/i;
+// Query parameters that only track where a click came from
+const TRACKING_PARAMS = /^(utm_\w+|ref|ref_src|fbclid|gclid|source)$/i;
+
+/**
+ * Normalise a title for comparison: lowercase, without HN prefixes, trailing
+ * year/format annotations or punctuation
+ * @param {string} title - Article title
+ * @returns {string} Normalised title
+ */
+function normalizeTitle(title) {
+  let normalized = (title || '').trim();
+  normalized = normalized.replace(TITLE_PREFIX, '');
+  while (TITLE_SUFFIX.test(normalized)) {
+    normalized = normalized.replace(TITLE_SUFFIX, '');
+  }
+  return normalized
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Levenshtein distance, giving up once it exceeds a bound
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} maxDistance - Bound (default: no bound)
+ * @returns {number} Edit distance, or maxDistance + 1 when it is exceeded
+ */
+function editDistance(a, b, maxDistance = Infinity) {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > maxDistance) return maxDistance + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Dice coefficient of two token sets. Words of five or more letters that are
+ * one edit apart count as shared, so typos are not scored as new words.
+ * @param {Set<string>} a - First token set
+ * @param {Set<string>} b - Second token set
+ * @returns {number} Similarity between 0 and 1
+ */
+function tokenSimilarity(a, b) {
+  if (a.size === 0 && b.size === 0) return 1;
+  let shared = 0;
+  a.forEach((token) => {
+    if (b.has(token)) {
+      shared++;
+    } else if (
+      token.length >= 5 &&
+      [...b].some(
+        (other) => other.length >= 5 && editDistance(token, other, 1) <= 1,
+      )
+    ) {
+      shared++;
+    }
+  });
+  return Math.min(1, (2 * shared) / (a.size + b.size));
+}
+
+/**
+ * Precompute what titleSimilarity needs from a title, so a title compared
+ * against many others is only normalised and tokenised once
+ * @param {string} title - Article title
+ * @returns {{text: string, tokens: Set<string>, bigrams: Map<string, number>}} Title profile
+ */
+function createTitleProfile(title) {
+  const text = normalizeTitle(title);
+  const bigrams = new Map();
+  for (let i = 0; i < text.length - 1; i++) {
+    const bigram = text.slice(i, i + 2);
+    bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+  }
+  return {
+    text,
+    tokens: new Set(text.split(' ').filter(Boolean)),
+    bigrams,
+  };
+}
+
+/**
+ * Count the character bigrams two profiles share
+ * @param {Object} a - First title profile
+ * @param {Object} b - Second title profile
+ * @returns {number} Shared bigrams (multiset intersection)
+ */
+function sharedBigrams(a, b) {
+  let shared = 0;
+  a.bigrams.forEach((count, bigram) => {
+    shared += Math.min(count, b.bigrams.get(bigram) || 0);
+  });
+  return shared;
+}
+
+/**
+ * Score how similar two titles are: the mean of their token (Dice)
+ * similarity and their edit-distance similarity, on normalised titles
+ * @param {Object|string} a - First title profile (or title)
+ * @param {Object|string} b - Second title profile (or title)
+ * @param {number} threshold - Scores below this are not computed exactly (default: 0)
+ * @returns {{similarity: number, tokenSimilarity: number, editSimilarity: number}|null} Scores, or null when below the threshold
+ */
+function titleSimilarity(a, b, threshold = 0) {
+  const first = typeof a === 'string' ? createTitleProfile(a) : a;
+  const second = typeof b === 'string' ? createTitleProfile(b) : b;
+  const longest = Math.max(first.text.length, second.text.length) || 1;
+
+  // Cheap bounds first: even with identical tokens, the edit similarity must
+  // reach 2 * threshold - 1. Each edit removes at most two shared bigrams.
+  const maxEdits = Math.floor((2 - 2 * threshold) * longest + 1e-9);
+  if (Math.abs(first.text.length - second.text.length) > maxEdits) return null;
+  if (
+    threshold > 0 &&
+    sharedBigrams(first, second) < longest - 1 - 2 * maxEdits
+  ) {
+    return null;
+  }
+
+  const tokens = tokenSimilarity(first.tokens, second.tokens);
+  const maxDistance = Math.floor(
+    (1 - Math.max(0, 2 * threshold - tokens)) * longest + 1e-9,
+  );
+  const distance = editDistance(first.text, second.text, maxDistance);
+  if (distance > maxDistance) return null;
+
+  const edit = 1 - distance / longest;
+  const similarity = (tokens + edit) / 2;
+  if (similarity < threshold) return null;
+
+  return {
+    similarity: Math.round(similarity * 1000) / 1000,
+    tokenSimilarity: Math.round(tokens * 1000) / 1000,
+    editSimilarity: Math.round(edit * 1000) / 1000,
+  };
+}
+
+/**
+ * Normalise an article URL for repost matching: no scheme, `www.`, trailing
+ * slash, fragment or tracking parameters
+ * @param {string} url - Absolute article URL
+ * @returns {{url: string, domainPath: string, params: Map}|null} Normalised URL, host+path and remaining query parameters, or null for non-http(s) URLs
+ */
+function normalizeArticleUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return null;
+  }
+  if (!/^https?:$/.test(parsed.protocol)) return null;
+
+  const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+  const pathname = parsed.pathname.replace(/\/+$/, '') || '/';
+  const params = [...parsed.searchParams.entries()]
+    .filter(([key]) => !TRACKING_PARAMS.test(key))
+    .sort(([a], [b]) => a.localeCompare(b));
+  const query = params.length > 0 ? `?${new URLSearchParams(params)}` : '';
+
+  return {
+    url: `${host}${pathname}${query}`,
+    domainPath: `${host}${pathname}`,
+    params: new Map(params),
+  };
+}
+
+/**
+ * Decide whether two normalised URLs point at the same story. Host+path
+ * matches ignore the query unless both URLs set the same parameter to
+ * different values (e.g. `watch?v=` or `item?id=`). A bare domain never
+ * matches, not even itself.
+ * @param {Object} a - First normalizeArticleUrl result
+ * @param {Object} b - Second normalizeArticleUrl result
+ * @returns {string|null} 'url', 'domain-path', or null when they differ
+ */
+function matchUrls(a, b) {
+  if (!a || !b) return null;
+  // A bare domain (e.g. a link to a project's homepage) is not one story
+  if (a.domainPath.endsWith('/') || b.domainPath.endsWith('/')) return null;
+  if (a.url === b.url) return 'url';
+  if (a.domainPath !== b.domainPath) return null;
+
+  for (const [key, value] of a.params) {
+    if (b.params.has(key) && b.params.get(key) !== value) return null;
+  }
+  return 'domain-path';
+}
+
+module.exports = {
+  normalizeTitle,
+  editDistance,
+  tokenSimilarity,
+  createTitleProfile,
+  titleSimilarity,
+  normalizeArticleUrl,
+  matchUrls,
+};
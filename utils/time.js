@@ -8,11 +8,14 @@ dayjs.extend(relativeTime);
 dayjs.extend(customParseFormat);
 
 /**
- * Parses a Hacker News relative timestamp (e.g., '3 minutes ago') to a UTC Date object.
+ * Parses a Hacker News relative timestamp (e.g., '3 minutes ago') to the UTC interval it covers.
+ * HN floors ages to the displayed unit, so '2 hours ago' means the article was posted
+ * somewhere between 3 and 2 hours before the page was rendered.
  * @param {string} hnTime - The relative time string from HN (e.g., '3 minutes ago')
- * @returns {Date} UTC Date object
+ * @param {Date} [referenceTime] - Moment the age was rendered (default: now)
+ * @returns {{earliest: Date, latest: Date, granularity: string}} UTC interval
  */
-function parseHackerNewsTime(hnTime) {
+function parseHackerNewsTime(hnTime, referenceTime = new Date()) {
   if (!hnTime || typeof hnTime !== 'string') {
     throw new Error('Invalid time string');
   }
@@ -23,9 +26,15 @@ function parseHackerNewsTime(hnTime) {
     .trim()
     .toLowerCase();
 
+  const now = dayjs(referenceTime);
+
   // Handle edge cases
   if (clean === 'now' || clean === 'just now') {
-    return new Date();
+    return {
+      earliest: now.subtract(1, 'minute').toDate(),
+      latest: now.toDate(),
+      granularity: 'minute',
+    };
   }
 
   // Parse different formats
@@ -37,7 +46,6 @@ function parseHackerNewsTime(hnTime) {
   }
 
   const [, amount, unit] = match;
-  const now = dayjs();
 
   // Map units to dayjs units
   const unitMap = {
@@ -55,7 +63,42 @@ function parseHackerNewsTime(hnTime) {
     throw new Error(`Unknown time unit: "${unit}"`);
   }
 
-  return now.subtract(parseInt(amount), dayUnit).toDate();
+  const value = parseInt(amount);
+
+  return {
+    earliest: now.subtract(value + 1, dayUnit).toDate(),
+    latest: now.subtract(value, dayUnit).toDate(),
+    granularity: dayUnit,
+  };
+}
+
+/**
+ * Parses the absolute timestamp HN exposes in the age element's title attribute.
+ * HN renders it as "<ISO datetime> <epoch seconds>" (e.g. '2025-07-27T20:10:44 1753647044');
+ * older markup only carries the ISO part, which is always UTC.
+ * @param {string} hnTitle - The raw title attribute of `span.age`
+ * @returns {Date} UTC Date object
+ */
+function parseHackerNewsTimestamp(hnTitle) {
+  if (!hnTitle || typeof hnTitle !== 'string') {
+    throw new Error('Invalid timestamp string');
+  }
+
+  const [isoPart, epochPart] = hnTitle.trim().split(/\s+/);
+
+  // Prefer the epoch value, it is unambiguous
+  if (epochPart && /^\d+$/.test(epochPart)) {
+    return new Date(parseInt(epochPart, 10) * 1000);
+  }
+
+  // Fall back to the ISO value, treating it as UTC when no zone is given
+  const iso = /(Z|[+-]\d{2}:?\d{2})$/.test(isoPart) ? isoPart : `${isoPart}Z`;
+  const date = new Date(iso);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Unable to parse timestamp format: "${hnTitle}"`);
+  }
+
+  return date;
 }
 
 /**
@@ -80,6 +123,7 @@ function getRelativeTime(date) {
 
 module.exports = {
   parseHackerNewsTime,
+  parseHackerNewsTimestamp,
   formatTimestamp,
   getRelativeTime,
 };
@@ -0,0 +1,40 @@
+// utils/url.js
+// Utility for building Hacker News URLs against a configurable base URL
+
+const config = require('../config');
+
+/**
+ * Normalize a base URL, falling back to the configured Hacker News origin
+ * @param {string} [baseUrl] - Base URL (e.g. 'http://127.0.0.1:4173')
+ * @returns {string} Base URL without a trailing slash
+ */
+function resolveBaseUrl(baseUrl) {
+  return (baseUrl || config.HN_BASE_URL).replace(/\/+$/, '');
+}
+
+/**
+ * Build a Hacker News page URL
+ * @param {string} [baseUrl] - Base URL
+ * @param {string} pagePath - Path of the page (default: '/newest')
+ * @returns {string} Absolute page URL
+ */
+function buildHackerNewsUrl(baseUrl, pagePath = '/newest') {
+  const normalizedPath = pagePath.startsWith('/') ? pagePath : `/${pagePath}`;
+  return `${resolveBaseUrl(baseUrl)}${normalizedPath}`;
+}
+
+/**
+ * Build the discussion URL of a Hacker News item
+ * @param {string} [baseUrl] - Base URL
+ * @param {string} id - Item ID
+ * @returns {string} Absolute item URL
+ */
+function buildItemUrl(baseUrl, id) {
+  return buildHackerNewsUrl(baseUrl, `/item?id=${id}`);
+}
+
+module.exports = {
+  resolveBaseUrl,
+  buildHackerNewsUrl,
+  buildItemUrl,
+};
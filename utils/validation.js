@@ -2,54 +2,281 @@
 // Advanced validation utilities for Hacker News article analysis
 
 const { formatTimestamp, getRelativeTime } = require('./time');
+const { getListingProfile } = require('./listings');
+const config = require('../config');
+const { analyzeSelectorHealth } = require('./selectors');
+const {
+  createTitleProfile,
+  titleSimilarity,
+  normalizeArticleUrl,
+  matchUrls,
+} = require('./similarity');
+const { evaluateCustomRules } = require('./customRules');
+const { validateArticleRecords } = require('./schema');
 
 /**
- * Validate chronological order of articles
+ * Get the timestamp to compare an article by, preferring HN's precise value
+ * over the one derived from the relative "N minutes ago" text
+ * @param {Object} article - Article object
+ * @returns {Date|null} Comparable timestamp
+ */
+function getComparableTimestamp(article) {
+  return article.preciseTimestamp || article.timestamp || null;
+}
+
+/**
+ * Get the precision of an article's comparable timestamp
+ * @param {Object} article - Article object
+ * @returns {string|null} 'precise', 'relative' or null when missing
+ */
+function getTimestampPrecision(article) {
+  if (article.preciseTimestamp) return 'precise';
+  if (article.timestamp) return article.timestampPrecision || 'relative';
+  return null;
+}
+
+/**
+ * Get the interval an article's publication time is known to fall in.
+ * Precise timestamps collapse to a single point; relative ages span their unit.
+ * @param {Object} article - Article object
+ * @returns {{earliest: Date, latest: Date, granularity: string}|null} Interval
+ */
+function getTimestampInterval(article) {
+  if (article.preciseTimestamp) {
+    return {
+      earliest: article.preciseTimestamp,
+      latest: article.preciseTimestamp,
+      granularity: 'second',
+    };
+  }
+  if (article.timestampInterval) return article.timestampInterval;
+
+  const time = getComparableTimestamp(article);
+  return time ? { earliest: time, latest: time, granularity: 'second' } : null;
+}
+
+/**
+ * Whether an article's interval proves it was posted after a time. Relative
+ * ages are floored, so "5 minutes ago" excludes its earliest bound: an
+ * article in that bucket is newer than anything at or before the bound.
+ * @param {Object} article - Article object
+ * @param {Object} interval - The article's timestamp interval
+ * @param {Date} time - Time to compare against
+ * @returns {boolean} True when the article is provably newer than the time
+ */
+function isProvablyAfter(article, interval, time) {
+  const openEarliest =
+    getTimestampPrecision(article) === 'relative' &&
+    interval.earliest < interval.latest;
+  return openEarliest ? interval.earliest >= time : interval.earliest > time;
+}
+
+/**
+ * Describe one side of an ordered pair for violation reporting
+ * @param {Object} article - Article object
+ * @param {number} position - 1-based position in the listing
+ * @returns {Object} Article summary with timestamp and interval
+ */
+function describePairMember(article, position) {
+  const timestamp = getComparableTimestamp(article);
+  const interval = getTimestampInterval(article);
+  return {
+    position,
+    id: article.id,
+    title: article.title,
+    timestamp,
+    precision: getTimestampPrecision(article),
+    interval: {
+      earliest: interval.earliest,
+      latest: interval.latest,
+      granularity: interval.granularity,
+    },
+    formatted: formatTimestamp(timestamp),
+  };
+}
+
+// Chronological violation severities, least severe first
+const SEVERITY_LEVELS = ['tie', 'minor', 'major', 'critical'];
+
+/**
+ * Classify a chronological violation by how far apart the timestamps are,
+ * how many positions the article is out of place, and where its timestamps
+ * came from. Relative ages only bound the inversion, so those violations are
+ * downgraded one level (never below minor).
+ * @param {Object} violation - Violation from validateChronologicalOrder
+ * @param {number} displacement - Positions the article should move up
+ * @param {Object} thresholds - config.VIOLATION_SEVERITY-shaped thresholds
+ * @returns {{severity: string, magnitude: number, displacement: number, source: string, downgraded: boolean}} Classification
+ */
+function classifyViolation(violation, displacement, thresholds) {
+  const precise =
+    violation.current.precision === 'precise' &&
+    violation.previous.precision === 'precise';
+  // Precise pairs are exact; relative pairs are only proven by their bounds
+  const magnitude = precise
+    ? violation.timeDifference
+    : violation.minimumDifference;
+
+  let timeLevel = 3;
+  if (magnitude < thresholds.TIE) timeLevel = 0;
+  else if (magnitude < thresholds.MAJOR) timeLevel = 1;
+  else if (magnitude < thresholds.CRITICAL) timeLevel = 2;
+
+  let displacementLevel = 0;
+  if (displacement >= thresholds.CRITICAL_DISPLACEMENT) displacementLevel = 3;
+  else if (displacement >= thresholds.MAJOR_DISPLACEMENT) displacementLevel = 2;
+
+  let level = Math.max(timeLevel, displacementLevel);
+  const downgraded = !precise && level > 1;
+  if (downgraded) level--;
+  // A relative violation is proven even when its bounds touch, so never a tie
+  if (!precise) level = Math.max(level, 1);
+
+  return {
+    severity: SEVERITY_LEVELS[level],
+    magnitude,
+    displacement,
+    source: precise ? 'precise' : 'relative',
+    downgraded,
+  };
+}
+
+/**
+ * Resolve the fail severity and classification thresholds of a run. Throws
+ * on an unknown severity or threshold name, or a threshold that is not a
+ * non-negative number.
+ * @param {Object} options - Validation options
+ * @param {string} options.failSeverity - Lowest severity that fails (default: config.FAIL_SEVERITY)
+ * @param {Object} options.severityThresholds - Overrides for config.VIOLATION_SEVERITY (default: none)
+ * @returns {{failSeverity: string, thresholds: Object}} Fail severity and complete thresholds
+ */
+function resolveSeverityOptions(options = {}) {
+  const failSeverity = options.failSeverity || config.FAIL_SEVERITY;
+  if (!SEVERITY_LEVELS.includes(failSeverity)) {
+    throw new Error(
+      `Unknown fail severity "${failSeverity}" (use ${SEVERITY_LEVELS.join(
+        ', ',
+      )})`,
+    );
+  }
+
+  const overrides = options.severityThresholds || {};
+  Object.entries(overrides).forEach(([name, value]) => {
+    if (!(name in config.VIOLATION_SEVERITY)) {
+      throw new Error(
+        `Unknown severity threshold "${name}" (use ${Object.keys(
+          config.VIOLATION_SEVERITY,
+        ).join(', ')})`,
+      );
+    }
+    if (typeof value !== 'number' || !(value >= 0)) {
+      throw new Error(
+        `Severity threshold ${name} must be a non-negative number, not ${value}`,
+      );
+    }
+  });
+
+  return {
+    failSeverity,
+    thresholds: { ...config.VIOLATION_SEVERITY, ...overrides },
+  };
+}
+
+/**
+ * Validate chronological order of articles.
+ * A pair is only reported as a violation when the timestamp intervals prove the
+ * later article is newer; pairs whose intervals overlap are reported as indeterminate.
+ * Each violation is classified (tie, minor, major, critical) and only those at
+ * or above the fail severity make the order invalid.
  * @param {Array} articles - Array of article objects with timestamps
+ * @param {Object} options - Validation options
+ * @param {string} options.failSeverity - Lowest severity that fails (default: config.FAIL_SEVERITY)
+ * @param {Object} options.severityThresholds - Overrides for config.VIOLATION_SEVERITY (default: none)
  * @returns {Object} Validation results with detailed analysis
  */
-function validateChronologicalOrder(articles) {
+function validateChronologicalOrder(articles, options = {}) {
+  const { failSeverity, thresholds } = resolveSeverityOptions(options);
   const violations = [];
+  const indeterminate = [];
   const gaps = [];
   let newest = null;
   let oldest = null;
 
   for (let i = 0; i < articles.length; i++) {
     const current = articles[i];
+    const currentTime = getComparableTimestamp(current);
 
-    if (!current.timestamp) continue;
+    if (!currentTime) continue;
 
     // Track newest and oldest
-    if (!newest || current.timestamp > newest) newest = current.timestamp;
-    if (!oldest || current.timestamp < oldest) oldest = current.timestamp;
+    if (!newest || currentTime > newest) newest = currentTime;
+    if (!oldest || currentTime < oldest) oldest = currentTime;
 
     // Check chronological order
     if (i > 0) {
       const previous = articles[i - 1];
-      if (previous.timestamp && current.timestamp > previous.timestamp) {
-        violations.push({
-          position: i + 1,
-          previous: {
-            position: i,
-            id: previous.id,
-            title: previous.title,
-            timestamp: previous.timestamp,
-            formatted: formatTimestamp(previous.timestamp),
-          },
-          current: {
+      const previousTime = getComparableTimestamp(previous);
+
+      if (previousTime) {
+        const currentInterval = getTimestampInterval(current);
+        const previousInterval = getTimestampInterval(previous);
+
+        // Two identical relative ages cannot be ordered and are not suspicious
+        const sameBucket =
+          getTimestampPrecision(current) === 'relative' &&
+          getTimestampPrecision(previous) === 'relative' &&
+          current.ageText === previous.ageText;
+
+        if (
+          isProvablyAfter(current, currentInterval, previousInterval.latest)
+        ) {
+          const violation = {
             position: i + 1,
-            id: current.id,
-            title: current.title,
-            timestamp: current.timestamp,
-            formatted: formatTimestamp(current.timestamp),
-          },
-          timeDifference: current.timestamp - previous.timestamp,
-        });
-      }
+            previous: describePairMember(previous, i),
+            current: describePairMember(current, i + 1),
+            timeDifference: currentTime - previousTime,
+            minimumDifference:
+              currentInterval.earliest - previousInterval.latest,
+          };
+
+          // Count the articles above that are provably older than this one
+          let displacement = 0;
+          for (let j = i - 1; j >= 0; j--) {
+            const interval = getComparableTimestamp(articles[j])
+              ? getTimestampInterval(articles[j])
+              : null;
+            if (
+              !interval ||
+              !isProvablyAfter(current, currentInterval, interval.latest)
+            ) {
+              break;
+            }
+            displacement++;
+          }
 
-      // Calculate time gaps
-      if (previous.timestamp && current.timestamp) {
-        const gap = Math.abs(previous.timestamp - current.timestamp);
+          const classification = classifyViolation(
+            violation,
+            displacement,
+            thresholds,
+          );
+          violation.severity = classification.severity;
+          violation.classification = classification;
+          violations.push(violation);
+        } else if (
+          currentInterval.latest > previousInterval.earliest &&
+          !sameBucket
+        ) {
+          indeterminate.push({
+            position: i + 1,
+            previous: describePairMember(previous, i),
+            current: describePairMember(current, i + 1),
+            maximumDifference:
+              currentInterval.latest - previousInterval.earliest,
+          });
+        }
+
+        // Calculate time gaps
+        const gap = Math.abs(previousTime - currentTime);
         gaps.push({
           position: i,
           gap: gap,
@@ -59,9 +286,24 @@ function validateChronologicalOrder(articles) {
     }
   }
 
+  const failLevel = SEVERITY_LEVELS.indexOf(failSeverity);
+  const severityCounts = Object.fromEntries(
+    SEVERITY_LEVELS.map((severity) => [
+      severity,
+      violations.filter((violation) => violation.severity === severity).length,
+    ]),
+  );
+  const failingViolations = violations.filter(
+    (violation) => SEVERITY_LEVELS.indexOf(violation.severity) >= failLevel,
+  ).length;
+
   return {
-    isValid: violations.length === 0,
+    isValid: failingViolations === 0,
     violations,
+    failSeverity,
+    severityCounts,
+    failingViolations,
+    indeterminate,
     gaps,
     newest,
     oldest,
@@ -74,35 +316,106 @@ function validateChronologicalOrder(articles) {
 }
 
 /**
- * Detect duplicate articles
+ * Validate that HN item IDs decrease down the listing.
+ * IDs are assigned at submission, so an ID inversion is an ordering bug in the
+ * listing itself, whereas a timestamp violation with ordered IDs points at
+ * timestamp parsing noise.
  * @param {Array} articles - Array of article objects
- * @returns {Object} Duplicate analysis results
+ * @param {Object} chronological - Results from validateChronologicalOrder
+ * @returns {Object} ID ordering results cross-referenced with timestamp violations
  */
-function detectDuplicates(articles) {
-  const seenIds = new Set();
-  const seenTitles = new Map();
-  const duplicates = {
-    byId: [],
-    byTitle: [],
-    bySimilarTitle: [],
+function validateIdOrdering(articles, chronological) {
+  const inversions = [];
+  let checkedPairs = 0;
+
+  const timestampViolationPositions = new Set(
+    (chronological?.violations || []).map((v) => v.position),
+  );
+
+  for (let i = 1; i < articles.length; i++) {
+    const previous = articles[i - 1];
+    const current = articles[i];
+    const previousId = parseInt(previous.id, 10);
+    const currentId = parseInt(current.id, 10);
+
+    if (isNaN(previousId) || isNaN(currentId)) continue;
+    checkedPairs++;
+
+    if (currentId > previousId) {
+      inversions.push({
+        position: i + 1,
+        previous: {
+          position: i,
+          id: previous.id,
+          title: previous.title,
+          ageText: previous.ageText,
+        },
+        current: {
+          position: i + 1,
+          id: current.id,
+          title: current.title,
+          ageText: current.ageText,
+        },
+        idDifference: currentId - previousId,
+        timestampViolation: timestampViolationPositions.has(i + 1),
+      });
+    }
+  }
+
+  const inversionPositions = new Set(inversions.map((inv) => inv.position));
+  const crossReference = {
+    // Both signals agree: the listing really is out of order
+    confirmed: inversions
+      .filter((inv) => inv.timestampViolation)
+      .map((inv) => inv.position),
+    // IDs out of order but timestamps look fine
+    idOnly: inversions
+      .filter((inv) => !inv.timestampViolation)
+      .map((inv) => inv.position),
+    // Timestamps out of order but IDs are fine: likely parsing noise
+    timestampOnly: [...timestampViolationPositions].filter(
+      (position) => !inversionPositions.has(position),
+    ),
   };
 
+  return {
+    isValid: inversions.length === 0,
+    checkedPairs,
+    inversions,
+    crossReference,
+  };
+}
+
+/**
+ * Find exact duplicates: repeated IDs and titles. Cheap enough to re-run
+ * after every page, unlike the near-duplicate matching in detectDuplicates.
+ * @param {Array} articles - Array of article objects
+ * @param {Array} repeatedRows - Skipped rows that repeat an article outside listing drift (default: none)
+ * @returns {{byId: Array, byTitle: Array, uniqueArticles: number}} Exact duplicates
+ */
+function findExactDuplicates(articles, repeatedRows = []) {
+  const seenIds = new Map();
+  const seenTitles = new Map();
+  const byId = [];
+  const byTitle = [];
+
   articles.forEach((article, index) => {
     // Check for duplicate IDs
     if (seenIds.has(article.id)) {
-      duplicates.byId.push({
+      byId.push({
         position: index + 1,
         id: article.id,
         title: article.title,
+        originalPosition: seenIds.get(article.id),
       });
     } else {
-      seenIds.add(article.id);
+      seenIds.set(article.id, index + 1);
     }
 
     // Check for duplicate titles
     const normalizedTitle = article.title.toLowerCase().trim();
     if (seenTitles.has(normalizedTitle)) {
-      duplicates.byTitle.push({
+      byTitle.push({
         position: index + 1,
         title: article.title,
         originalPosition: seenTitles.get(normalizedTitle),
@@ -112,14 +425,148 @@ function detectDuplicates(articles) {
     }
   });
 
+  // Repeats the extractor skipped never reach the article list
+  repeatedRows.forEach((row) => {
+    byId.push({
+      position: null,
+      id: row.id,
+      title: row.title,
+      rank: row.rank,
+      pageNumber: row.pageNumber,
+      firstPosition: row.firstPosition,
+      skipped: true,
+    });
+  });
+
+  return { byId, byTitle, uniqueArticles: seenIds.size };
+}
+
+/**
+ * Detect duplicate articles: repeated IDs and exact titles, plus reposts
+ * with near-identical titles or the same URL
+ * @param {Array} articles - Array of article objects
+ * @param {Object} options - Detection options
+ * @param {number} options.similarityThreshold - Minimum title similarity (0-1) for a near-duplicate (default: config.SIMILAR_TITLE_THRESHOLD)
+ * @param {Array} options.repeatedRows - Skipped rows that repeat an article outside listing drift (default: none)
+ * @returns {Object} Duplicate analysis results
+ */
+function detectDuplicates(articles, options = {}) {
+  const {
+    similarityThreshold = config.SIMILAR_TITLE_THRESHOLD,
+    repeatedRows = [],
+  } = options;
+  const exact = findExactDuplicates(articles, repeatedRows);
+  const duplicates = {
+    byId: exact.byId,
+    byTitle: exact.byTitle,
+    bySimilarTitle: [],
+    byUrl: [],
+  };
+
+  duplicates.bySimilarTitle = findSimilarTitles(articles, similarityThreshold);
+  duplicates.byUrl = findUrlReposts(articles);
+
   return {
     hasDuplicates: duplicates.byId.length > 0 || duplicates.byTitle.length > 0,
+    hasNearDuplicates:
+      duplicates.bySimilarTitle.length > 0 || duplicates.byUrl.length > 0,
+    similarityThreshold,
     duplicates,
-    uniqueArticles: seenIds.size,
+    uniqueArticles: exact.uniqueArticles,
     totalArticles: articles.length,
   };
 }
 
+/**
+ * Find articles whose normalised title is close to an earlier article's.
+ * Exact (case-insensitive) repeats are left to byTitle.
+ * @param {Array} articles - Array of article objects
+ * @param {number} threshold - Minimum similarity (0-1)
+ * @returns {Array} One entry per article with its best earlier match and scores
+ */
+function findSimilarTitles(articles, threshold) {
+  const titles = articles.map((article) => ({
+    exact: (article.title || '').toLowerCase().trim(),
+    profile: createTitleProfile(article.title),
+  }));
+  const matches = [];
+
+  articles.forEach((article, index) => {
+    let best = null;
+    for (let earlier = 0; earlier < index; earlier++) {
+      if (
+        articles[earlier].id === article.id ||
+        titles[earlier].exact === titles[index].exact
+      ) {
+        continue;
+      }
+      const scores = titleSimilarity(
+        titles[earlier].profile,
+        titles[index].profile,
+        threshold,
+      );
+      if (scores && (!best || scores.similarity > best.scores.similarity)) {
+        best = { earlier, scores };
+      }
+    }
+
+    if (best) {
+      const original = articles[best.earlier];
+      matches.push({
+        position: index + 1,
+        id: article.id,
+        title: article.title,
+        originalPosition: best.earlier + 1,
+        originalId: original.id,
+        originalTitle: original.title,
+        ...best.scores,
+      });
+    }
+  });
+
+  return matches;
+}
+
+/**
+ * Find articles linking the same URL (or the same host and path) as an
+ * earlier article
+ * @param {Array} articles - Array of article objects
+ * @returns {Array} One entry per repost with the match kind and title similarity
+ */
+function findUrlReposts(articles) {
+  const urls = articles.map((article) => normalizeArticleUrl(article.url));
+  const reposts = [];
+
+  articles.forEach((article, index) => {
+    let match = null;
+    for (let earlier = 0; earlier < index; earlier++) {
+      if (articles[earlier].id === article.id) continue;
+      const kind = matchUrls(urls[earlier], urls[index]);
+      if (kind && (!match || (kind === 'url' && match.kind !== 'url'))) {
+        match = { earlier, kind };
+      }
+    }
+
+    if (match) {
+      const original = articles[match.earlier];
+      reposts.push({
+        position: index + 1,
+        id: article.id,
+        title: article.title,
+        url: article.url,
+        originalPosition: match.earlier + 1,
+        originalId: original.id,
+        originalTitle: original.title,
+        originalUrl: original.url,
+        match: match.kind,
+        similarity: titleSimilarity(original.title, article.title).similarity,
+      });
+    }
+  });
+
+  return reposts;
+}
+
 /**
  * Analyze data quality and completeness
  * @param {Array} articles - Array of article objects
@@ -133,6 +580,18 @@ function analyzeDataQuality(articles) {
       titles: 0,
       timestamps: 0,
       ageText: 0,
+      scores: 0,
+      authors: 0,
+    },
+    itemTypes: {},
+    markers: {
+      dead: 0,
+      flagged: 0,
+      deleted: 0,
+    },
+    timestampPrecision: {
+      precise: 0,
+      relative: 0,
     },
     dataTypes: {
       validTimestamps: 0,
@@ -158,6 +617,22 @@ function analyzeDataQuality(articles) {
     if (!article.timestamp) quality.missingData.timestamps++;
     if (!article.ageText) quality.missingData.ageText++;
 
+    // Job posts have no score or author by design; only count other types
+    const itemType = article.itemType || 'story';
+    quality.itemTypes[itemType] = (quality.itemTypes[itemType] || 0) + 1;
+    if (itemType !== 'job' && !article.isDeleted) {
+      if (!article.score) quality.missingData.scores++;
+      if (!article.author) quality.missingData.authors++;
+    }
+
+    if (article.isDead) quality.markers.dead++;
+    if (article.isFlagged) quality.markers.flagged++;
+    if (article.isDeleted) quality.markers.deleted++;
+
+    // Track which timestamp source each article relies on
+    const precision = getTimestampPrecision(article);
+    if (precision) quality.timestampPrecision[precision]++;
+
     // Analyze data types and quality
     if (article.timestamp instanceof Date && !isNaN(article.timestamp)) {
       quality.dataTypes.validTimestamps++;
@@ -191,66 +666,540 @@ function analyzeDataQuality(articles) {
     };
   }
 
+  // Every record is checked against the published article schema
+  quality.schema = validateArticleRecords(articles);
+
   return quality;
 }
 
+/**
+ * Validate that ranks run contiguously from 1 without gaps or repeats, and
+ * that each page continues where the previous one ended (1..30, 31..60, ...).
+ * Ranks of rows skipped as already extracted still count as seen, so listing
+ * drift does not show up as a gap.
+ * @param {Array} articles - Array of article objects in listing order
+ * @param {Object} options - Validation options
+ * @param {Array} options.skipped - Rows skipped as already extracted (default: none)
+ * @returns {Object} Rank continuity results
+ */
+function validateRankContinuity(articles, options = {}) {
+  const { skipped = [] } = options;
+  const gaps = [];
+  const repeats = [];
+  const missing = [];
+  let checkedRanks = 0;
+  let expected = 1;
+  const seenRanks = new Map();
+  const skippedRanks = new Set(
+    skipped.map((row) => row.rank).filter((rank) => rank !== null),
+  );
+
+  articles.forEach((article, index) => {
+    const rank = parseInt(article.rank, 10);
+    if (isNaN(rank)) {
+      missing.push({ position: index + 1, id: article.id });
+      return;
+    }
+    checkedRanks++;
+
+    if (seenRanks.has(rank)) {
+      repeats.push({
+        position: index + 1,
+        id: article.id,
+        rank,
+        firstPosition: seenRanks.get(rank),
+      });
+    } else {
+      seenRanks.set(rank, index + 1);
+    }
+
+    let missingRanks = 0;
+    for (let r = expected; r < rank; r++) {
+      if (!skippedRanks.has(r)) missingRanks++;
+    }
+    if (missingRanks > 0) {
+      gaps.push({
+        position: index + 1,
+        id: article.id,
+        expectedRank: expected,
+        actualRank: rank,
+        missingRanks,
+      });
+    }
+    expected = Math.max(expected, rank + 1);
+  });
+
+  return {
+    isValid: gaps.length === 0 && repeats.length === 0,
+    checkedRanks,
+    gaps,
+    repeats,
+    missing,
+    pages: summarizePageRanks(articles, skipped),
+  };
+}
+
+/**
+ * Summarize the rank range of each page and whether it starts right after
+ * the previous page's last rank
+ * @param {Array} articles - Array of article objects in listing order
+ * @param {Array} skipped - Rows skipped as already extracted
+ * @returns {Array} One entry per page: pageNumber, firstRank, lastRank, expectedFirstRank and continuous
+ */
+function summarizePageRanks(articles, skipped) {
+  const ranksByPage = new Map();
+  [
+    ...articles.map((article) => ({
+      pageNumber: article.pageNumber,
+      rank: parseInt(article.rank, 10),
+    })),
+    ...skipped,
+  ].forEach(({ pageNumber, rank }) => {
+    if (!pageNumber || !Number.isInteger(rank)) return;
+    if (!ranksByPage.has(pageNumber)) ranksByPage.set(pageNumber, []);
+    ranksByPage.get(pageNumber).push(rank);
+  });
+
+  let previousLast = null;
+  return [...ranksByPage.keys()]
+    .sort((a, b) => a - b)
+    .map((pageNumber) => {
+      const ranks = ranksByPage.get(pageNumber);
+      const firstRank = Math.min(...ranks);
+      const lastRank = Math.max(...ranks);
+      // A resumed run may not start at page 1; trust its first page
+      const expectedFirstRank =
+        previousLast === null
+          ? pageNumber === 1
+            ? 1
+            : firstRank
+          : previousLast + 1;
+      previousLast = lastRank;
+      return {
+        pageNumber,
+        firstRank,
+        lastRank,
+        expectedFirstRank,
+        continuous: firstRank === expectedFirstRank,
+      };
+    });
+}
+
+/**
+ * Classify rows skipped as already extracted. A run of repeats at the top of
+ * a page is listing drift: new submissions arrived while paginating and
+ * pushed the previous page's last articles down. Repeats anywhere else are
+ * real duplicates in the listing.
+ * @param {Array} skipped - Rows skipped as already extracted
+ * @returns {Object} Listing drift results
+ */
+function validateListingDrift(skipped = []) {
+  const shiftedArticles = [];
+  const repeatedArticles = [];
+  const byPage = new Map();
+
+  skipped.forEach((row) => {
+    if (!byPage.has(row.pageNumber)) byPage.set(row.pageNumber, []);
+    byPage.get(row.pageNumber).push(row);
+  });
+
+  byPage.forEach((rows) => {
+    rows.sort((a, b) => a.pageIndex - b.pageIndex);
+    rows.forEach((row, index) => {
+      const leading = row.pageIndex === index;
+      const fromEarlierPage =
+        row.firstPageNumber === null || row.firstPageNumber < row.pageNumber;
+      if (leading && fromEarlierPage) {
+        shiftedArticles.push(row);
+      } else {
+        repeatedArticles.push(row);
+      }
+    });
+  });
+
+  return {
+    hasDrift: shiftedArticles.length > 0,
+    count: shiftedArticles.length,
+    pagesAffected: new Set(shiftedArticles.map((row) => row.pageNumber)).size,
+    shiftedArticles,
+    repeatedArticles,
+  };
+}
+
+/**
+ * Validate that every article belongs to a requested day.
+ * Stories reach a day's front page after submission, so articles submitted up
+ * to one day before are accepted; anything submitted after the day is not.
+ * @param {Array} articles - Array of article objects
+ * @param {string} day - Day in YYYY-MM-DD format (UTC)
+ * @returns {Object} Date membership results
+ */
+function validateDateMembership(articles, day) {
+  const dayStart = new Date(`${day}T00:00:00Z`);
+  const dayEnd = new Date(dayStart.getTime() + 24 * 60 * 60 * 1000);
+  const windowStart = new Date(dayStart.getTime() - 24 * 60 * 60 * 1000);
+  const outsiders = [];
+  let checkedArticles = 0;
+
+  articles.forEach((article, index) => {
+    const interval = getTimestampInterval(article);
+    if (!interval) return;
+    checkedArticles++;
+
+    if (interval.earliest >= dayEnd || interval.latest < windowStart) {
+      const timestamp = getComparableTimestamp(article);
+      outsiders.push({
+        position: index + 1,
+        id: article.id,
+        title: article.title,
+        timestamp,
+        formatted: formatTimestamp(timestamp),
+        reason: interval.earliest >= dayEnd ? 'after day' : 'before window',
+      });
+    }
+  });
+
+  return {
+    isValid: outsiders.length === 0,
+    day,
+    window: { start: windowStart, end: dayEnd },
+    checkedArticles,
+    outsiders,
+  };
+}
+
+/**
+ * Run only the checks behind a listing's pass/fail rules, with exact
+ * duplicates instead of the full near-duplicate analysis. Used to re-check
+ * the articles extracted so far after every page; the results agree with the
+ * final report's for the same rules.
+ * @param {Array} articles - Array of article objects
+ * @param {Array<string>} rules - Rules enforced for the listing
+ * @param {Object} options - Validation options
+ * @param {Array} options.skipped - Rows the extractor skipped as already extracted (default: none)
+ * @param {string} options.day - Day for the past front page listing (YYYY-MM-DD)
+ * @param {string} options.failSeverity - Lowest chronological violation severity that fails (default: config.FAIL_SEVERITY)
+ * @param {Object} options.severityThresholds - Overrides for config.VIOLATION_SEVERITY (default: none)
+ * @returns {Object} chronological, idOrder, duplicates, rankContinuity and dateMembership results (null for rules not enforced)
+ */
+function validateListingRules(articles, rules, options = {}) {
+  const chronological =
+    rules.includes('chronological') || rules.includes('idOrder')
+      ? validateChronologicalOrder(articles, {
+          failSeverity: options.failSeverity,
+          severityThresholds: options.severityThresholds,
+        })
+      : null;
+
+  return {
+    chronological,
+    idOrder: rules.includes('idOrder')
+      ? validateIdOrdering(articles, chronological)
+      : null,
+    duplicates: rules.includes('noDuplicates')
+      ? {
+          duplicates: findExactDuplicates(
+            articles,
+            validateListingDrift(options.skipped).repeatedArticles,
+          ),
+        }
+      : null,
+    rankContinuity: rules.includes('rankContinuity')
+      ? validateRankContinuity(articles, { skipped: options.skipped })
+      : null,
+    dateMembership: rules.includes('dateMembership')
+      ? validateDateMembership(articles, options.day)
+      : null,
+  };
+}
+
 /**
  * Generate comprehensive validation report
  * @param {Array} articles - Array of article objects
+ * @param {Object} options - Report options
+ * @param {string} options.listing - Listing profile name (default: 'newest')
+ * @param {string} options.day - Day for the past front page listing (YYYY-MM-DD)
+ * @param {Object} options.device - Device profile summary the articles were scraped with
+ * @param {number} options.similarityThreshold - Minimum title similarity for near-duplicates (default: config.SIMILAR_TITLE_THRESHOLD)
+ * @param {Array} options.skipped - Rows the extractor skipped as already extracted (default: none)
+ * @param {Array} options.customRules - Rules from loadCustomRules; failed error-severity rules fail validation (default: none)
+ * @param {string} options.failSeverity - Lowest chronological violation severity that fails (default: config.FAIL_SEVERITY)
+ * @param {Object} options.severityThresholds - Overrides for config.VIOLATION_SEVERITY (default: none)
  * @returns {Object} Complete validation report
  */
-function generateValidationReport(articles) {
-  const chronological = validateChronologicalOrder(articles);
-  const duplicates = detectDuplicates(articles);
+function generateValidationReport(articles, options = {}) {
+  const profile = getListingProfile(options.listing);
+  const rules = profile.rules;
+
+  const chronological = validateChronologicalOrder(articles, {
+    failSeverity: options.failSeverity,
+    severityThresholds: options.severityThresholds,
+  });
+  const idOrder = validateIdOrdering(articles, chronological);
+  const listingDrift = validateListingDrift(options.skipped);
+  const duplicates = detectDuplicates(articles, {
+    similarityThreshold: options.similarityThreshold,
+    repeatedRows: listingDrift.repeatedArticles,
+  });
   const quality = analyzeDataQuality(articles);
+  const selectorHealth = analyzeSelectorHealth(articles);
+  // Always measured; only listings with the rule fail on it
+  const rankContinuity = validateRankContinuity(articles, {
+    skipped: options.skipped,
+  });
+  const dateMembership = rules.includes('dateMembership')
+    ? validateDateMembership(articles, options.day)
+    : null;
+  const customRules =
+    options.customRules && options.customRules.length > 0
+      ? evaluateCustomRules(articles, options.customRules)
+      : null;
+
+  // Only the listing's own rules decide pass/fail
+  const ruleResults = {
+    chronological: chronological.isValid,
+    idOrder: idOrder.isValid,
+    noDuplicates: !duplicates.hasDuplicates,
+    rankContinuity: rankContinuity.isValid,
+    dateMembership: dateMembership ? dateMembership.isValid : true,
+  };
 
   return {
+    listing: {
+      name: profile.name,
+      label: profile.label,
+      day: profile.name === 'past' ? options.day : null,
+      rules,
+    },
+    device: options.device || null,
     summary: {
       totalArticles: articles.length,
       isChronologicallyValid: chronological.isValid,
+      indeterminatePairs: chronological.indeterminate.length,
+      isIdOrderValid: idOrder.isValid,
       hasDuplicates: duplicates.hasDuplicates,
-      validationPassed: chronological.isValid && !duplicates.hasDuplicates,
+      hasNearDuplicates: duplicates.hasNearDuplicates,
+      isRankContinuous: rankContinuity.isValid,
+      hasListingDrift: listingDrift.hasDrift,
+      isDateScoped: dateMembership ? dateMembership.isValid : null,
+      hasSelectorDrift: selectorHealth.hasDrift,
+      customRulesPassed: customRules ? customRules.isValid : null,
+      validationPassed:
+        rules.every((rule) => ruleResults[rule]) &&
+        (!customRules || customRules.isValid),
     },
     chronological,
+    idOrder,
     duplicates,
+    rankContinuity,
+    listingDrift,
+    dateMembership,
+    customRules,
     quality,
+    selectorHealth,
     generatedAt: new Date(),
     recommendations: generateRecommendations(
       chronological,
       duplicates,
       quality,
+      {
+        rules,
+        idOrder,
+        rankContinuity,
+        listingDrift,
+        dateMembership,
+        customRules,
+        selectorHealth,
+      },
     ),
   };
 }
 
+/**
+ * Describe violation counts per severity, most severe first
+ * @param {Object} severityCounts - Count per severity level
+ * @returns {string} e.g. "1 critical, 2 minor"
+ */
+function describeSeverityCounts(severityCounts = {}) {
+  return [...SEVERITY_LEVELS]
+    .reverse()
+    .filter((severity) => severityCounts[severity] > 0)
+    .map((severity) => `${severityCounts[severity]} ${severity}`)
+    .join(', ');
+}
+
 /**
  * Generate recommendations based on validation results
  * @param {Object} chronological - Chronological validation results
  * @param {Object} duplicates - Duplicate detection results
  * @param {Object} quality - Data quality analysis
+ * @param {Object} [checks] - Listing-specific checks
+ * @param {Array} [checks.rules] - Rules enforced for the listing
+ * @param {Object} [checks.idOrder] - Item ID ordering results
+ * @param {Object} [checks.rankContinuity] - Rank continuity results
+ * @param {Object} [checks.listingDrift] - Listing drift results
+ * @param {Object} [checks.dateMembership] - Date membership results
+ * @param {Object} [checks.customRules] - Custom rule results
+ * @param {Object} [checks.selectorHealth] - Selector chain match summary
  * @returns {Array} Array of recommendation strings
  */
-function generateRecommendations(chronological, duplicates, quality) {
+function generateRecommendations(
+  chronological,
+  duplicates,
+  quality,
+  checks = {},
+) {
+  const {
+    rules = ['chronological', 'idOrder', 'noDuplicates'],
+    idOrder,
+    rankContinuity,
+    listingDrift,
+    dateMembership,
+    customRules,
+    selectorHealth,
+  } = checks;
   const recommendations = [];
+  const ordersByTime = rules.includes('chronological');
+
+  if (ordersByTime && !chronological.isValid) {
+    recommendations.push(
+      `Found ${
+        chronological.failingViolations
+      } chronological violations at or above ${
+        chronological.failSeverity
+      } severity (${describeSeverityCounts(
+        chronological.severityCounts,
+      )}) - consider investigating data source`,
+    );
+  } else if (ordersByTime && chronological.violations.length > 0) {
+    recommendations.push(
+      `${
+        chronological.violations.length
+      } chronological violations are below the ${
+        chronological.failSeverity
+      } fail severity (${describeSeverityCounts(
+        chronological.severityCounts,
+      )}) and do not fail the run`,
+    );
+  }
+
+  if (rules.includes('idOrder') && idOrder && idOrder.inversions.length > 0) {
+    recommendations.push(
+      `Found ${idOrder.inversions.length} item ID inversions (${idOrder.crossReference.confirmed.length} also out of order by timestamp) - the listing itself is mis-sorted`,
+    );
+  }
+
+  if (
+    rules.includes('idOrder') &&
+    idOrder &&
+    idOrder.crossReference.timestampOnly.length > 0
+  ) {
+    recommendations.push(
+      `${idOrder.crossReference.timestampOnly.length} timestamp violations have correctly ordered item IDs - likely timestamp parsing noise`,
+    );
+  }
+
+  if (ordersByTime && chronological.indeterminate.length > 0) {
+    recommendations.push(
+      `${chronological.indeterminate.length} article pairs could not be ordered from their relative ages - precise timestamps are needed to confirm them`,
+    );
+  }
+
+  if (
+    rules.includes('rankContinuity') &&
+    rankContinuity &&
+    !rankContinuity.isValid
+  ) {
+    recommendations.push(
+      `Found ${rankContinuity.gaps.length} rank gaps and ${rankContinuity.repeats.length} repeated ranks - check pagination and rank extraction`,
+    );
+  }
 
-  if (!chronological.isValid) {
+  if (listingDrift && listingDrift.hasDrift) {
     recommendations.push(
-      `Found ${chronological.violations.length} chronological violations - consider investigating data source`,
+      `${listingDrift.count} articles shifted onto the next page while paginating - new submissions arrived mid-run; they were counted once`,
     );
   }
 
+  if (dateMembership && !dateMembership.isValid) {
+    recommendations.push(
+      `${dateMembership.outsiders.length} articles fall outside ${dateMembership.day} - the listing is not scoped to the requested day`,
+    );
+  }
+
+  if (customRules) {
+    customRules.rules
+      .filter((rule) => !rule.passed)
+      .forEach((rule) => {
+        recommendations.push(
+          rule.error
+            ? `Custom rule "${rule.name}" (${rule.severity}) could not run: ${rule.error}`
+            : `Custom rule "${rule.name}" (${rule.severity}): ${rule.violations.length} violations - ${rule.description}`,
+        );
+      });
+  }
+
   if (duplicates.hasDuplicates) {
     recommendations.push(
       `Found ${duplicates.duplicates.byId.length} duplicate IDs - check data collection logic`,
     );
   }
 
+  if (duplicates.hasNearDuplicates) {
+    recommendations.push(
+      `Found ${duplicates.duplicates.bySimilarTitle.length} near-duplicate titles and ${duplicates.duplicates.byUrl.length} same-URL reposts (similarity threshold ${duplicates.similarityThreshold}) - likely reposts of the same story`,
+    );
+  }
+
+  if (selectorHealth && selectorHealth.hasDrift) {
+    recommendations.push(
+      `Selector drift on ${selectorHealth.drift
+        .map((d) => d.field)
+        .join(
+          ', ',
+        )} - the primary selectors no longer match HN's markup, update config.SELECTORS`,
+    );
+  }
+
+  if (quality.schema && !quality.schema.isValid) {
+    recommendations.push(
+      `${
+        quality.schema.invalidArticles
+      } articles do not match article schema v${
+        quality.schema.version
+      } (${Object.entries(quality.schema.errorsByField)
+        .map(([field, entry]) => `${field}: ${entry.count}`)
+        .join(
+          ', ',
+        )}) - downstream consumers validating the export will reject them`,
+    );
+  }
+
   if (quality.missingData.timestamps > 0) {
     recommendations.push(
       `${quality.missingData.timestamps} articles missing timestamps - improve data extraction`,
     );
   }
 
+  if (quality.missingData.scores > 0 || quality.missingData.authors > 0) {
+    recommendations.push(
+      `${quality.missingData.scores} non-job articles missing scores and ${quality.missingData.authors} missing authors - check subtext extraction`,
+    );
+  }
+
+  const { dead, flagged, deleted } = quality.markers;
+  if (dead + flagged + deleted > 0) {
+    recommendations.push(
+      `${dead} dead, ${flagged} flagged and ${deleted} deleted items in the listing - they may be hidden for other users`,
+    );
+  }
+
+  if (quality.timestampPrecision.relative > 0) {
+    recommendations.push(
+      `${quality.timestampPrecision.relative} articles fell back to relative age text - their timestamps are only accurate to the displayed unit`,
+    );
+  }
+
   if (quality.dataTypes.invalidTimestamps > 0) {
     recommendations.push(
       `${quality.dataTypes.invalidTimestamps} invalid timestamps - review time parsing logic`,
@@ -267,7 +1216,20 @@ function generateRecommendations(chronological, duplicates, quality) {
 }
 
 module.exports = {
+  SEVERITY_LEVELS,
+  resolveSeverityOptions,
+  classifyViolation,
+  describeSeverityCounts,
+  getComparableTimestamp,
+  getTimestampPrecision,
+  getTimestampInterval,
   validateChronologicalOrder,
+  validateIdOrdering,
+  validateRankContinuity,
+  validateListingDrift,
+  validateDateMembership,
+  validateListingRules,
+  findExactDuplicates,
   detectDuplicates,
   analyzeDataQuality,
   generateValidationReport,